@@ -0,0 +1,154 @@
+// actions.js – what a gesture can do to the active tab. Runs in the service worker,
+// which is the only context with chrome.tabs / chrome.scripting access.
+import { MSG, TARGET } from './messages.js';
+
+export const ACTIONS = {
+  none: 'Do nothing',
+  scrollDown: 'Scroll down',
+  scrollUp: 'Scroll up',
+  scrollLeft: 'Scroll left',
+  scrollRight: 'Scroll right',
+  pageDown: 'Page down',
+  pageUp: 'Page up',
+  scrollToBottom: 'Jump to bottom',
+  scrollToTop: 'Jump to top',
+  undoScroll: 'Undo last scroll',
+  nextSlide: 'Next slide',
+  previousSlide: 'Previous slide',
+  mediaPlayPause: 'Play / pause',
+  mediaSeekForward: 'Forward 10 s',
+  mediaSeekBackward: 'Back 10 s',
+  mediaVolumeUp: 'Volume up',
+  mediaVolumeDown: 'Volume down',
+  historyBack: 'Go back',
+  historyForward: 'Go forward',
+  nextTab: 'Next tab',
+  previousTab: 'Previous tab',
+  clickFocused: 'Click focused link',
+  togglePause: 'Pause / resume',
+  recalibrate: 'Recalibrate'
+};
+
+export async function getActiveTab() {
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+
+  if (!tab) {
+    throw new Error('No active tab found');
+  }
+  return tab;
+}
+
+// Tab id -> URL of pages the scroller couldn't be injected into (chrome:// pages, the Web
+// Store, the PDF viewer). The HUD and continuous scrolling send several times a second;
+// they shouldn't retry the injection on every message. Navigating elsewhere tries again.
+const uninjectable = new Map();
+
+// Send a message to the scroller content script in the active tab, injecting it the
+// first time. The scroller finds the right element to scroll (see scrollTarget.js).
+async function sendToScroller(message, { inject = true } = {}) {
+  const tab = await getActiveTab();
+  message = { target: TARGET.CONTENT, ...message };
+
+  try {
+    await chrome.tabs.sendMessage(tab.id, message);
+  } catch (error) {
+    if (!inject || uninjectable.get(tab.id) === tab.url) return;
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        files: ['scroller.bundle.js']
+      });
+    } catch (injectError) {
+      uninjectable.set(tab.id, tab.url);
+      throw injectError;
+    }
+    uninjectable.delete(tab.id);
+    await chrome.tabs.sendMessage(tab.id, message);
+  }
+}
+
+function scroll(action, amount) {
+  return sendToScroller({ type: MSG.SCROLL, action, amount });
+}
+
+async function switchTab(offset) {
+  const tab = await getActiveTab();
+  const tabs = await chrome.tabs.query({ windowId: tab.windowId });
+  const next = tabs[(tab.index + offset + tabs.length) % tabs.length];
+  await chrome.tabs.update(next.id, { active: true });
+}
+
+/**
+ * Set the continuous scroll velocity (page pixels per second) in the active tab,
+ * injecting the scroller content script the first time.
+ */
+export function setScrollVelocity(x, y) {
+  // No scroller in the tab yet: nothing to inject for just stopping
+  return sendToScroller({ type: MSG.SET_VELOCITY, x, y }, { inject: x !== 0 || y !== 0 });
+}
+
+/**
+ * Show reading mode's screen calibration target in the active tab, `target` being a
+ * fraction of the viewport height from the top; null hides it.
+ */
+export function showGazeTarget(target) {
+  return sendToScroller({ type: MSG.SHOW_GAZE_TARGET, target }, { inject: target !== null });
+}
+
+/**
+ * Show the on-page HUD (see hud.js) in the active tab, or remove it when `state` is null.
+ */
+export function updateHud(state, flash = null) {
+  return sendToScroller({ type: MSG.UPDATE_HUD, state, flash }, { inject: state !== null });
+}
+
+/**
+ * Perform `action` on the active tab. `amount` is the scroll distance in pixels
+ * for the scroll-by-pixels actions, the share of the viewport for 'readingScroll'
+ * (reading mode, not bindable to a gesture) and ignored by the rest.
+ */
+export async function runAction(action, amount = 0) {
+  switch (action) {
+    case 'none':
+      return;
+    case 'scrollDown':
+    case 'scrollUp':
+    case 'scrollLeft':
+    case 'scrollRight':
+    case 'pageDown':
+    case 'pageUp':
+    case 'scrollToBottom':
+    case 'scrollToTop':
+    case 'readingScroll':
+      return scroll(action, amount);
+    case 'historyBack':
+      return chrome.tabs.goBack((await getActiveTab()).id);
+    case 'historyForward':
+      return chrome.tabs.goForward((await getActiveTab()).id);
+    case 'nextTab':
+      return switchTab(1);
+    case 'previousTab':
+      return switchTab(-1);
+    case 'undoScroll':
+      // Nothing to undo in a tab the scroller was never injected into
+      return sendToScroller({ type: MSG.UNDO_SCROLL }, { inject: false });
+    case 'clickFocused':
+      return sendToScroller({ type: MSG.CLICK_FOCUSED });
+    case 'nextSlide':
+    case 'previousSlide':
+    case 'mediaPlayPause':
+    case 'mediaSeekForward':
+    case 'mediaSeekBackward':
+    case 'mediaVolumeUp':
+    case 'mediaVolumeDown':
+      return sendToScroller({ type: MSG.PAGE_CONTROL, action });
+    case 'recalibrate':
+      // Handled by the tracker itself (see tracker.js); nothing to do in the page
+      return;
+    case 'togglePause':
+      // Handled by the offscreen document, which owns the paused state
+      return;
+    default:
+      throw new Error(`Unknown action: ${action}`);
+  }
+}
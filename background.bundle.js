@@ -0,0 +1 @@
+(()=>{var h={BACKGROUND:"background",OFFSCREEN:"offscreen",POPUP:"popup",CONTENT:"content"};var n={START:"start",STOP:"stop",GET_STATE:"get-state",START_RECORDING:"start-recording",STOP_RECORDING:"stop-recording",RECALIBRATE:"recalibrate",SET_PAUSED:"set-paused",RECORD_ACTION:"record-action",UPDATE_SETTINGS:"update-settings",STATE:"state",RUN_ACTION:"run-action",API_EVENT:"api-event",SET_API_LISTENING:"set-api-listening",SAVE_SESSION_STATS:"save-session-stats",LOAD_CALIBRATION:"load-calibration",SAVE_CALIBRATION:"save-calibration",SET_VELOCITY:"set-velocity",SCROLL:"scroll",UNDO_SCROLL:"undo-scroll",CLICK_FOCUSED:"click-focused",PAGE_CONTROL:"page-control",SHOW_GAZE_TARGET:"show-gaze-target",UPDATE_HUD:"update-hud"};async function p(){let[e]=await chrome.tabs.query({active:!0,lastFocusedWindow:!0});if(!e)throw new Error("No active tab found");return e}var P=new Map;async function f(e,{inject:t=!0}={}){let r=await p();e={target:h.CONTENT,...e};try{await chrome.tabs.sendMessage(r.id,e)}catch{if(!t||P.get(r.id)===r.url)return;try{await chrome.scripting.executeScript({target:{tabId:r.id},files:["scroller.bundle.js"]})}catch(a){throw P.set(r.id,r.url),a}P.delete(r.id),await chrome.tabs.sendMessage(r.id,e)}}function ie(e,t){return f({type:n.SCROLL,action:e,amount:t})}async function M(e){let t=await p(),r=await chrome.tabs.query({windowId:t.windowId}),o=r[(t.index+e+r.length)%r.length];await chrome.tabs.update(o.id,{active:!0})}function B(e,t){return f({type:n.SET_VELOCITY,x:e,y:t},{inject:e!==0||t!==0})}function b(e){return f({type:n.SHOW_GAZE_TARGET,target:e},{inject:e!==null})}function N(e,t=null){return f({type:n.UPDATE_HUD,state:e,flash:t},{inject:e!==null})}async function D(e,t=0){switch(e){case"none":return;case"scrollDown":case"scrollUp":case"scrollLeft":case"scrollRight":case"pageDown":case"pageUp":case"scrollToBottom":case"scrollToTop":case"readingScroll":return ie(e,t);case"historyBack":return chrome.tabs.goBack((await p()).id);case"historyForward":return chrome.tabs.goForward((await p()).id);case"nextTab":return M(1);case"previousTab":return M(-1);case"undoScroll":return f({type:n.UNDO_SCROLL},{inject:!1});case"clickFocused":return f({type:n.CLICK_FOCUSED});case"nextSlide":case"previousSlide":case"mediaPlayPause":case"mediaSeekForward":case"mediaSeekBackward":case"mediaVolumeUp":case"mediaVolumeDown":return f({type:n.PAGE_CONTROL,action:e});case"recalibrate":return;case"togglePause":return;default:throw new Error(`Unknown action: ${e}`)}}var T={paused:"#6c757d",loading:"#f0ad4e",error:"#d9534f",tracking:"#28a745"},se=1500,G=null,A=null;function V(e){if(!e||!e.isTracking)return{text:e&&e.status&&e.status.type==="error"?"!":"",color:T.error};if(e.isPaused)return{text:"II",color:T.paused};let t=e.status&&e.status.type;return t==="loading"?{text:"\u2026",color:T.loading}:t==="error"?{text:"!",color:T.error}:{text:"ON",color:T.tracking}}function C({text:e,color:t}){chrome.action.setBadgeText({text:e}),chrome.action.setBadgeBackgroundColor({color:t})}function L(e){G=e;let t=e&&e.isTracking&&e.status?`Head Knock Scroll: ${e.status.message}`:"Head Knock Scroll";chrome.action.setTitle({title:t}),A===null&&C(V(e))}function F(e){clearTimeout(A),C({text:e,color:T.loading}),A=setTimeout(()=>{A=null,C(V(G))},se)}var j="head-events",H=["state","offset","gesture","face-lost","face-found"];function w(e){return{isTracking:!!(e&&e.isTracking),isPaused:!!(e&&e.isPaused),status:e&&e.status||null}}function y(e,t){return!!(e&&e.id)&&t.includes(e.id)}async function K(e,t){if(!e||e.api!==1)return{api:1,ok:!1,error:"unsupported-api-version"};switch(e.type){case"getState":return{api:1,ok:!0,state:w(await t.getState())};case"start":{let r=await t.start();return r&&r.error?{api:1,ok:!1,error:r.error}:{api:1,ok:!0,state:w(r)}}case"stop":return{api:1,ok:!0,state:w(await t.stop())};default:return{api:1,ok:!1,error:"unknown-request"}}}function W({onListeningChange:e=()=>{}}={}){let t=new Map;function r(i){t.set(i,new Set(H)),i.onMessage.addListener(s=>{if(!s||s.api!==1){i.postMessage({api:1,type:"error",error:"unsupported-api-version"});return}s.type==="subscribe"&&Array.isArray(s.events)&&t.set(i,new Set(s.events.filter(_=>H.includes(_))))}),i.onDisconnect.addListener(()=>o(i)),t.size===1&&e(!0)}function o(i){t.delete(i)&&t.size===0&&e(!1)}function a(i){for(let s of[...t.keys()])i(s)||(s.disconnect(),o(s))}function l(i){i.type==="state"&&(i={...i,state:w(i.state)});for(let[s,_]of t)if(_.has(i.type))try{s.postMessage({api:1,...i})}catch{o(s)}}function d(){return t.size>0}return{add:r,broadcast:l,retain:a,isListening:d}}var O={sensitivity:25,horizontalSensitivity:30,scrollSpeed:80,scrollMode:"stepped",pageMode:"auto",continuousMaxSpeed:900,continuousCurve:1.5,continuousFullSpeedRatio:3,cameraDeviceId:"",cameraResolution:"640x480",cameraFrameRate:30,showHud:!0,hudPosition:"bottom-right",hudOpacity:.85,debugOverlay:!1,lockPrimaryUser:!1,reuseCalibration:!0,driftCompensation:!0,driftTimeConstant:60,confirmFrames:0,gestureBindings:{nodDown:"scrollDown",nodUp:"scrollUp",doubleNodDown:"none",doubleNodUp:"none",holdDown:"scrollDown",holdUp:"scrollUp",tiltLeft:"scrollLeft",tiltRight:"scrollRight",longBlink:"none",doubleBlink:"none",mouthOpen:"none"},apiAllowList:[],siteProfiles:{}},ce=8*60*60*1e3;async function g(){let e=await chrome.storage.sync.get(Object.keys(O));return{...O,...e,gestureBindings:{...O.gestureBindings,...e.gestureBindings}}}function x(e){return chrome.storage.sync.set(e)}function z(e,t){return t==="sync"&&Object.keys(e).some(r=>r in O)}function S(e,t){let r;try{r=new URL(t).hostname}catch{return null}let o=r.split(".");for(let a=0;a<o.length;a++){let l=e[o.slice(a).join(".")];if(l)return l}return null}function Y(e,t){let r=t?S(e.siteProfiles,t):null;if(!r)return e;let o={};return Number.isFinite(r.sensitivity)&&(o.sensitivity=r.sensitivity),Number.isFinite(r.scrollSpeed)&&(o.scrollSpeed=r.scrollSpeed),{...e,...o}}async function q(e,t,r){let{calibrations:o={}}=await chrome.storage.local.get("calibrations"),a=o[e];return!a||Date.now()-a.savedAt>ce||a.width!==t||a.height!==r?null:a}async function $(e,t){let{calibrations:r={}}=await chrome.storage.local.get("calibrations");r[e]={...t,savedAt:Date.now()},await chrome.storage.local.set({calibrations:r})}var le=[{mode:"slides",host:"docs.google.com",path:/^\/presentation\//},{mode:"media",host:"youtube.com",path:/^\/(watch|live\/)/},{mode:"media",host:"vimeo.com",path:/^\/\d+/},{mode:"media",host:"twitch.tv",path:/^\/videos\//},{mode:"media",host:"netflix.com",path:/^\/watch\//}],J=".reveal .slides",ue={slides:{nodDown:"nextSlide",nodUp:"previousSlide",doubleNodDown:"none",doubleNodUp:"none",holdDown:"none",holdUp:"none",tiltLeft:"previousSlide",tiltRight:"nextSlide"},media:{nodDown:"mediaPlayPause",nodUp:"none",doubleNodDown:"none",doubleNodUp:"none",holdDown:"mediaVolumeDown",holdUp:"mediaVolumeUp",tiltLeft:"mediaSeekBackward",tiltRight:"mediaSeekForward"}};function de(e,t){return e===t||e.endsWith(`.${t}`)}function pe(e,t,r={},{slideDeck:o=!1}={}){if(e&&e!=="auto")return e;let a=t?S(r,t):null;if(a&&a.pageMode)return a.pageMode;let l;try{l=new URL(t)}catch{return o?"slides":"scroll"}let d=le.find(({host:i,path:s})=>(!i||de(l.hostname,i))&&(!s||s.test(l.pathname)));return d?d.mode:o?"slides":"scroll"}function v(e,t,r={}){let o=pe(e.pageMode,t,e.siteProfiles,r),a=ue[o];return a?{...e,pageMode:o,scrollMode:"stepped",gestureBindings:{...e.gestureBindings,...a}}:{...e,pageMode:o}}async function fe(){let{sessionStats:e=[]}=await chrome.storage.local.get("sessionStats");return e}async function k(e){let t=(await fe()).filter(r=>r.id!==e.id);t.push(e),await chrome.storage.local.set({sessionStats:t.slice(-200)})}var Q="offscreen.html",X=5,Se=5,Te=50,I=null,ee=null,te=null,E=W({onListeningChange:async e=>{await u()&&c(n.SET_API_LISTENING,{listening:e}).catch(()=>{})}});async function u(){return(await chrome.runtime.getContexts({contextTypes:["OFFSCREEN_DOCUMENT"],documentUrls:[chrome.runtime.getURL(Q)]})).length>0}async function we(){if(!await u()){I||(I=chrome.offscreen.createDocument({url:Q,reasons:["USER_MEDIA"],justification:"Keep the webcam and head tracking running while the popup is closed."}));try{await I}finally{I=null}}}async function ge(){await u()&&await chrome.offscreen.closeDocument()}function c(e,t={}){return chrome.runtime.sendMessage({target:h.OFFSCREEN,type:e,...t})}async function re(e,t){if(!t||e.pageMode!=="auto")return{};try{let[{result:r}]=await chrome.scripting.executeScript({target:{tabId:t.id},func:o=>document.querySelector(o)!==null,args:[J]});return{slideDeck:r}}catch{return{}}}async function oe(){let e=await g(),t=await p().catch(()=>null),r=t&&t.url;ee=r?S(e.siteProfiles,r):null;let o=v(Y(e,r),r,await re(e,t));return te=o.pageMode,o}async function ne(){await u()&&c(n.UPDATE_SETTINGS,{settings:await oe()}).catch(e=>console.warn("Settings update error:",e))}async function he(){if(!await u())return;let[e,t]=await Promise.all([g(),p().catch(()=>null)]),r=t&&t.url,o=r?S(e.siteProfiles,r):null,{pageMode:a}=v(e,r,await re(e,t));(JSON.stringify(o)!==JSON.stringify(ee)||a!==te)&&await ne()}async function m(e){switch(e.type){case n.START:return await we(),c(n.START,{settings:await oe(),apiListening:E.isListening()});case n.STOP:{let t=await u()?await c(n.STOP).catch(()=>null):null;return t&&t.stats&&await k(t.stats),await b(null).catch(()=>{}),await N(null).catch(()=>{}),await ge(),L(null),E.broadcast({type:"state",state:{isTracking:!1}}),{isTracking:!1}}case n.GET_STATE:return await u()?c(n.GET_STATE):{isTracking:!1,status:null};case n.RECALIBRATE:case n.START_RECORDING:case n.STOP_RECORDING:return await u()?c(e.type):null;case n.SET_PAUSED:return await u()?c(n.SET_PAUSED,{paused:e.paused}):null;case n.STATE:return L(e.state),null;case n.RUN_ACTION:try{return await D(e.action,e.amount),{ok:!0}}catch(t){return console.error("Action error:",t),{ok:!1,error:t.message}}case n.SET_VELOCITY:try{return await B(e.x,e.y),{ok:!0}}catch(t){return{ok:!1,error:t.message}}case n.API_EVENT:return E.broadcast(e.event),null;case n.SHOW_GAZE_TARGET:try{return await b(e.target),{ok:!0}}catch(t){return{ok:!1,error:t.message}}case n.UPDATE_HUD:try{return await N(e.state,e.flash),{ok:!0}}catch(t){return{ok:!1,error:t.message}}case n.LOAD_CALIBRATION:return q(e.deviceId,e.width,e.height);case n.SAVE_CALIBRATION:return await $(e.deviceId,e.calibration),{ok:!0};case n.SAVE_SESSION_STATS:return await k(e.stats),{ok:!0};default:return null}}chrome.runtime.onMessage.addListener((e,t,r)=>e.target!==h.BACKGROUND?!1:(m(e).then(r).catch(o=>{console.error("Background message error:",o),r({ok:!1,error:o.message})}),!0));var ae={getState:()=>m({type:n.GET_STATE}),start:()=>m({type:n.START}),stop:()=>m({type:n.STOP})};chrome.runtime.onMessageExternal.addListener((e,t,r)=>(g().then(({apiAllowList:o})=>y(t,o)?K(e,ae):{api:1,ok:!1,error:"not-allowed"}).then(r).catch(o=>r({api:1,ok:!1,error:o.message})),!0));chrome.runtime.onConnectExternal.addListener(async e=>{if(e.name!==j)return;let t=!1;e.onDisconnect.addListener(()=>{t=!0});try{let{apiAllowList:r}=await g();if(t)return;if(!y(e.sender,r)){e.postMessage({api:1,type:"error",error:"not-allowed"}),e.disconnect();return}E.add(e);let o=await ae.getState();t||e.postMessage({api:1,type:"state",state:w(o)})}catch(r){console.error("Extension API connection error:",r)}});chrome.storage.onChanged.addListener((e,t)=>{if(z(e,t)&&(ne().catch(r=>console.warn("Settings update error:",r)),e.apiAllowList)){let r=e.apiAllowList.newValue||[];E.retain(o=>y(o.sender,r))}});function U(){he().catch(e=>console.warn("Active tab change error:",e))}chrome.tabs.onActivated.addListener(U);chrome.tabs.onUpdated.addListener((e,t,r)=>{(t.url||t.status==="complete")&&r.active&&U()});chrome.windows.onFocusChanged.addListener(U);async function Z(e){let t=await g(),r=await p().catch(()=>null),o=r&&r.url?S(t.siteProfiles,r.url):null,a=o&&Number.isFinite(o.sensitivity),l=a?o.sensitivity:t.sensitivity,d=Math.min(Te,Math.max(Se,l+e));a?(o.sensitivity=d,await x({siteProfiles:t.siteProfiles})):await x({sensitivity:d}),F(String(d))}async function Ee(e){let t=await u();switch(e){case"toggle-tracking":return m({type:t?n.STOP:n.START});case"toggle-pause":{if(!t)return;let r=await c(n.GET_STATE);return c(n.SET_PAUSED,{paused:!r.isPaused})}case"recalibrate":return t?c(n.RECALIBRATE):void 0;case"undo-scroll":return await D("undoScroll"),t?c(n.RECORD_ACTION,{action:"undoScroll"}):void 0;case"more-sensitive":return Z(-X);case"less-sensitive":return Z(X)}}chrome.commands.onCommand.addListener(e=>{Ee(e).catch(t=>console.error("Command error:",t))});})();
@@ -0,0 +1,346 @@
+// background.js – service worker. Owns the offscreen document that runs tracking,
+// relays popup commands to it and performs gesture actions on its behalf (offscreen
+// documents only get chrome.runtime, not chrome.tabs / chrome.scripting / chrome.storage).
+import { getActiveTab, runAction, setScrollVelocity, showGazeTarget, updateHud } from './actions.js';
+import { flashBadge, renderBadge } from './badge.js';
+import { API_PORT, API_VERSION, createApiHub, handleApiRequest, isAllowedSender, publicState } from './externalApi.js';
+import { MSG, TARGET } from './messages.js';
+import { SLIDE_DECK_SELECTOR, withPageMode } from './pageModes.js';
+import { saveSessionStats } from './stats.js';
+import {
+  isSettingsChange,
+  loadCalibration,
+  loadSettings,
+  saveCalibration,
+  saveSettings,
+  siteProfileFor,
+  withSiteProfile
+} from './settings.js';
+
+const OFFSCREEN_URL = 'offscreen.html';
+// Sensitivity shortcuts move the threshold this much, within the popup slider's range
+const SENSITIVITY_STEP = 5;
+const MIN_SENSITIVITY = 5;
+const MAX_SENSITIVITY = 50;
+
+let creatingOffscreen = null;
+// Site profile and page mode last applied to the tracker, to skip resending unchanged settings
+let appliedProfile = null;
+let appliedPageMode = null;
+
+// Other extensions subscribed to head events (see externalApi.js)
+const apiHub = createApiHub({
+  onListeningChange: async (listening) => {
+    if (await hasOffscreenDocument()) sendToOffscreen(MSG.SET_API_LISTENING, { listening }).catch(() => {});
+  }
+});
+
+async function hasOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)]
+  });
+  return contexts.length > 0;
+}
+
+async function ensureOffscreenDocument() {
+  if (await hasOffscreenDocument()) return;
+
+  // Avoid racing two createDocument() calls if the popup sends commands back to back
+  if (!creatingOffscreen) {
+    creatingOffscreen = chrome.offscreen.createDocument({
+      url: OFFSCREEN_URL,
+      reasons: ['USER_MEDIA'],
+      justification: 'Keep the webcam and head tracking running while the popup is closed.'
+    });
+  }
+  try {
+    await creatingOffscreen;
+  } finally {
+    creatingOffscreen = null;
+  }
+}
+
+async function closeOffscreenDocument() {
+  if (await hasOffscreenDocument()) {
+    await chrome.offscreen.closeDocument();
+  }
+}
+
+function sendToOffscreen(type, payload = {}) {
+  return chrome.runtime.sendMessage({ target: TARGET.OFFSCREEN, type, ...payload });
+}
+
+// Settings for the tracker, with the active tab's site profile and page mode applied
+// What automatic page mode needs to know of the tab's content (see pageModes.js). Pages
+// that can't be scripted (chrome://, the Web Store) aren't slide decks.
+async function inspectPage(settings, tab) {
+  if (!tab || settings.pageMode !== 'auto') return {};
+  try {
+    const [{ result }] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: (selector) => document.querySelector(selector) !== null,
+      args: [SLIDE_DECK_SELECTOR]
+    });
+    return { slideDeck: result };
+  } catch (error) {
+    return {};
+  }
+}
+
+async function loadTrackingSettings() {
+  const settings = await loadSettings();
+  const tab = await getActiveTab().catch(() => null);
+  const url = tab && tab.url;
+  appliedProfile = url ? siteProfileFor(settings.siteProfiles, url) : null;
+  const tracking = withPageMode(withSiteProfile(settings, url), url, await inspectPage(settings, tab));
+  appliedPageMode = tracking.pageMode;
+  return tracking;
+}
+
+async function updateOffscreenSettings() {
+  if (await hasOffscreenDocument()) {
+    // The document may close (tracking stopped) before the settings arrive
+    sendToOffscreen(MSG.UPDATE_SETTINGS, { settings: await loadTrackingSettings() })
+      .catch((error) => console.warn('Settings update error:', error));
+  }
+}
+
+// Switching to a tab on a site with a different profile changes speed and sensitivity, and
+// one in a different page mode what gestures do
+async function handleActiveTabChange() {
+  if (!await hasOffscreenDocument()) return;
+  const [settings, tab] = await Promise.all([loadSettings(), getActiveTab().catch(() => null)]);
+  const url = tab && tab.url;
+  const profile = url ? siteProfileFor(settings.siteProfiles, url) : null;
+  const { pageMode } = withPageMode(settings, url, await inspectPage(settings, tab));
+  if (JSON.stringify(profile) !== JSON.stringify(appliedProfile) || pageMode !== appliedPageMode) {
+    await updateOffscreenSettings();
+  }
+}
+
+async function handleMessage(message) {
+  switch (message.type) {
+    case MSG.START:
+      await ensureOffscreenDocument();
+      return sendToOffscreen(MSG.START, { settings: await loadTrackingSettings(), apiListening: apiHub.isListening() });
+
+    case MSG.STOP: {
+      // The session's usage statistics live in the document; collect them first
+      const response = await hasOffscreenDocument()
+        ? await sendToOffscreen(MSG.STOP).catch(() => null)
+        : null;
+      if (response && response.stats) await saveSessionStats(response.stats);
+      // Stopped halfway through reading mode's screen calibration: don't leave the target up
+      await showGazeTarget(null).catch(() => {});
+      await updateHud(null).catch(() => {});
+      // Closing the document releases the camera even if tracking is mid-setup
+      await closeOffscreenDocument();
+      renderBadge(null);
+      apiHub.broadcast({ type: 'state', state: { isTracking: false } });
+      return { isTracking: false };
+    }
+
+    case MSG.GET_STATE:
+      if (await hasOffscreenDocument()) {
+        return sendToOffscreen(MSG.GET_STATE);
+      }
+      return { isTracking: false, status: null };
+
+    case MSG.RECALIBRATE:
+    case MSG.START_RECORDING:
+    case MSG.STOP_RECORDING:
+      if (await hasOffscreenDocument()) {
+        return sendToOffscreen(message.type);
+      }
+      return null;
+
+    case MSG.SET_PAUSED:
+      if (await hasOffscreenDocument()) {
+        return sendToOffscreen(MSG.SET_PAUSED, { paused: message.paused });
+      }
+      return null;
+
+    case MSG.STATE:
+      renderBadge(message.state);
+      return null;
+
+    case MSG.RUN_ACTION:
+      try {
+        await runAction(message.action, message.amount);
+        return { ok: true };
+      } catch (error) {
+        console.error('Action error:', error);
+        return { ok: false, error: error.message };
+      }
+
+    case MSG.SET_VELOCITY:
+      try {
+        await setScrollVelocity(message.x, message.y);
+        return { ok: true };
+      } catch (error) {
+        return { ok: false, error: error.message };
+      }
+
+    case MSG.API_EVENT:
+      apiHub.broadcast(message.event);
+      return null;
+
+    case MSG.SHOW_GAZE_TARGET:
+      try {
+        await showGazeTarget(message.target);
+        return { ok: true };
+      } catch (error) {
+        return { ok: false, error: error.message };
+      }
+
+    case MSG.UPDATE_HUD:
+      try {
+        await updateHud(message.state, message.flash);
+        return { ok: true };
+      } catch (error) {
+        return { ok: false, error: error.message };
+      }
+
+    case MSG.LOAD_CALIBRATION:
+      return loadCalibration(message.deviceId, message.width, message.height);
+
+    case MSG.SAVE_CALIBRATION:
+      await saveCalibration(message.deviceId, message.calibration);
+      return { ok: true };
+
+    case MSG.SAVE_SESSION_STATS:
+      await saveSessionStats(message.stats);
+      return { ok: true };
+
+    default:
+      return null;
+  }
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== TARGET.BACKGROUND) return false;
+
+  handleMessage(message)
+    .then(sendResponse)
+    .catch((error) => {
+      console.error('Background message error:', error);
+      sendResponse({ ok: false, error: error.message });
+    });
+  // Keep the channel open for the async response
+  return true;
+});
+
+// Public API for allow-listed extensions (see externalApi.js and the README)
+const apiControls = {
+  getState: () => handleMessage({ type: MSG.GET_STATE }),
+  start: () => handleMessage({ type: MSG.START }),
+  stop: () => handleMessage({ type: MSG.STOP })
+};
+
+chrome.runtime.onMessageExternal.addListener((message, sender, sendResponse) => {
+  loadSettings()
+    .then(({ apiAllowList }) => (isAllowedSender(sender, apiAllowList)
+      ? handleApiRequest(message, apiControls)
+      : { api: API_VERSION, ok: false, error: 'not-allowed' }))
+    .then(sendResponse)
+    .catch((error) => sendResponse({ api: API_VERSION, ok: false, error: error.message }));
+  return true;
+});
+
+chrome.runtime.onConnectExternal.addListener(async (port) => {
+  if (port.name !== API_PORT) return;
+  // The other extension may hang up while the allow-list loads; it mustn't be subscribed then
+  let disconnected = false;
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+  });
+  try {
+    const { apiAllowList } = await loadSettings();
+    if (disconnected) return;
+    if (!isAllowedSender(port.sender, apiAllowList)) {
+      port.postMessage({ api: API_VERSION, type: 'error', error: 'not-allowed' });
+      port.disconnect();
+      return;
+    }
+    apiHub.add(port);
+    // The first message tells the subscriber it is connected, and where tracking stands
+    const state = await apiControls.getState();
+    if (!disconnected) port.postMessage({ api: API_VERSION, type: 'state', state: publicState(state) });
+  } catch (error) {
+    console.error('Extension API connection error:', error);
+  }
+});
+
+// Settings changed in the popup or on the options page apply to a running session straight away
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (!isSettingsChange(changes, areaName)) return;
+  updateOffscreenSettings().catch((error) => console.warn('Settings update error:', error));
+  if (changes.apiAllowList) {
+    const allowList = changes.apiAllowList.newValue || [];
+    apiHub.retain((port) => isAllowedSender(port.sender, allowList));
+  }
+});
+
+// The tab or window may be closed by the time its URL is looked up
+function onActiveTabChange() {
+  handleActiveTabChange().catch((error) => console.warn('Active tab change error:', error));
+}
+
+chrome.tabs.onActivated.addListener(onActiveTabChange);
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  // Checked again once loaded: a slide deck is only recognised by its markup
+  if ((changeInfo.url || changeInfo.status === 'complete') && tab.active) onActiveTabChange();
+});
+chrome.windows.onFocusChanged.addListener(onActiveTabChange);
+
+// Make the active site's profile sensitivity, or else the global one, more or less sensitive
+async function nudgeSensitivity(delta) {
+  const settings = await loadSettings();
+  const tab = await getActiveTab().catch(() => null);
+  const profile = tab && tab.url ? siteProfileFor(settings.siteProfiles, tab.url) : null;
+  const useProfile = profile && Number.isFinite(profile.sensitivity);
+
+  const current = useProfile ? profile.sensitivity : settings.sensitivity;
+  const sensitivity = Math.min(MAX_SENSITIVITY, Math.max(MIN_SENSITIVITY, current + delta));
+
+  if (useProfile) {
+    profile.sensitivity = sensitivity;
+    await saveSettings({ siteProfiles: settings.siteProfiles });
+  } else {
+    await saveSettings({ sensitivity });
+  }
+  flashBadge(String(sensitivity));
+}
+
+async function handleCommand(command) {
+  const running = await hasOffscreenDocument();
+
+  switch (command) {
+    case 'toggle-tracking':
+      return handleMessage({ type: running ? MSG.STOP : MSG.START });
+    case 'toggle-pause': {
+      if (!running) return;
+      const state = await sendToOffscreen(MSG.GET_STATE);
+      return sendToOffscreen(MSG.SET_PAUSED, { paused: !state.isPaused });
+    }
+    case 'recalibrate':
+      if (running) return sendToOffscreen(MSG.RECALIBRATE);
+      return;
+    // Works whether or not tracking is running: the positions are kept in the page
+    case 'undo-scroll':
+      await runAction('undoScroll');
+      if (running) return sendToOffscreen(MSG.RECORD_ACTION, { action: 'undoScroll' });
+      return;
+    // A lower threshold means less head movement is needed
+    case 'more-sensitive':
+      return nudgeSensitivity(-SENSITIVITY_STEP);
+    case 'less-sensitive':
+      return nudgeSensitivity(SENSITIVITY_STEP);
+  }
+}
+
+// Keyboard shortcuts (chrome://extensions/shortcuts)
+chrome.commands.onCommand.addListener((command) => {
+  handleCommand(command).catch((error) => console.error('Command error:', error));
+});
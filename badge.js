@@ -0,0 +1,55 @@
+// badge.js – toolbar badge mirroring the tracker state, so shortcuts give feedback
+// without opening the popup. Runs in the service worker.
+
+const BADGE_COLORS = {
+  paused: '#6c757d',
+  loading: '#f0ad4e',
+  error: '#d9534f',
+  tracking: '#28a745'
+};
+// How long a flashed value (e.g. a new sensitivity) shows before the state returns
+const FLASH_MS = 1500;
+
+let lastState = null;
+let flashTimer = null;
+
+function badgeFor(state) {
+  if (!state || !state.isTracking) {
+    // Keep a failed start (e.g. from a shortcut, with no popup open) visible
+    const failed = state && state.status && state.status.type === 'error';
+    return { text: failed ? '!' : '', color: BADGE_COLORS.error };
+  }
+  if (state.isPaused) return { text: 'II', color: BADGE_COLORS.paused };
+
+  const type = state.status && state.status.type;
+  // Starting up or calibrating
+  if (type === 'loading') return { text: '…', color: BADGE_COLORS.loading };
+  // No face in view, or the page can't be scrolled
+  if (type === 'error') return { text: '!', color: BADGE_COLORS.error };
+  return { text: 'ON', color: BADGE_COLORS.tracking };
+}
+
+function setBadge({ text, color }) {
+  chrome.action.setBadgeText({ text });
+  chrome.action.setBadgeBackgroundColor({ color });
+}
+
+/** Show `state` (as reported by the offscreen tracker, or null when stopped) on the badge. */
+export function renderBadge(state) {
+  lastState = state;
+  const title = state && state.isTracking && state.status
+    ? `Head Knock Scroll: ${state.status.message}`
+    : 'Head Knock Scroll';
+  chrome.action.setTitle({ title });
+  if (flashTimer === null) setBadge(badgeFor(state));
+}
+
+/** Briefly show `text` on the badge, then go back to the current state. */
+export function flashBadge(text) {
+  clearTimeout(flashTimer);
+  setBadge({ text, color: BADGE_COLORS.loading });
+  flashTimer = setTimeout(() => {
+    flashTimer = null;
+    setBadge(badgeFor(lastState));
+  }, FLASH_MS);
+}
@@ -0,0 +1,97 @@
+// bench/frameAnalysis.js – time the pixel pipeline the detector worker runs per frame
+// (see frameAnalysis.js), stage by stage, at the analysis canvas size of a 640x480 camera.
+// The frames replay the head movements of the recorded sessions in test/fixtures (face
+// positions only, so the face itself is drawn), once as skin the tracker finds and once
+// under a lamp that hides the skin colour, so the tracker falls back on matching its
+// appearance template. Run with `npm run bench`.
+import { readdirSync, readFileSync } from 'node:fs';
+import { createFaceTracker } from '../faceDetection.js';
+import { findFaceLandmarks } from '../faceLandmarks.js';
+import { measureFaceFeatures } from '../faceFeatures.js';
+import { analyzeFrame } from '../frameAnalysis.js';
+import { correctLighting, measureLight } from '../lighting.js';
+
+const WIDTH = 192;
+const HEIGHT = 144;
+const FACE_SIZE = 48;
+const FIXTURES = new URL('../test/fixtures/', import.meta.url);
+const WARMUP_FRAMES = 30;
+const SKIN = [200, 140, 110];
+// About as bright as SKIN but blue enough not to count as skin
+const LAMP_LIT = [140, 155, 180];
+const BACKGROUND = [60, 70, 80];
+const FEATURE = [20, 20, 20];
+// Under the lamp, skin shows for one frame in this many; the template covers the rest
+const SKIN_EVERY = 16;
+
+// The face positions of every recorded session, in order
+function recordedPositions() {
+  return readdirSync(FIXTURES)
+    .filter((name) => name.endsWith('.json'))
+    .flatMap((name) => JSON.parse(readFileSync(new URL(name, FIXTURES), 'utf8')).samples)
+    .filter((sample) => sample.face)
+    .map((sample) => sample.face);
+}
+
+// A face with eyes and mouth at each position, with sensor noise, dimmed enough that
+// exposure correction has work to do
+function makeFrames(positions, colorAt) {
+  return positions.map(({ x: cx, y: cy }, i) => {
+    const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+    const half = FACE_SIZE / 2;
+    for (let y = 0; y < HEIGHT; y++) {
+      for (let x = 0; x < WIDTH; x++) {
+        let color = BACKGROUND;
+        if (Math.abs(x - cx) < half && Math.abs(y - cy) < half) {
+          const feature = (Math.abs(Math.abs(x - cx) - 10) < 4 && Math.abs(y - cy + 6) < 2) ||
+            (Math.abs(x - cx) < 8 && Math.abs(y - cy - 14) < 2);
+          color = feature ? FEATURE : colorAt(i);
+        }
+        const noise = (Math.random() - 0.5) * 12;
+        data.set([...color.map((value) => (value + noise) * 0.5), 255], (y * WIDTH + x) * 4);
+      }
+    }
+    return data;
+  });
+}
+
+function time(label, frames, run) {
+  frames.slice(0, WARMUP_FRAMES).forEach((data) => run(data.slice()));
+  const copies = frames.map((data) => data.slice());
+  const start = performance.now();
+  copies.forEach(run);
+  const perFrame = (performance.now() - start) / copies.length;
+  console.log(`${label.padEnd(34)} ${perFrame.toFixed(3)} ms/frame`);
+  return perFrame;
+}
+
+const positions = recordedPositions();
+console.log(`${positions.length} recorded face positions, ${WIDTH}x${HEIGHT} frames\n`);
+
+const frames = makeFrames(positions, () => SKIN);
+let lastFace = null;
+const stageTracker = createFaceTracker();
+
+time('measureLight', frames, (data) => measureLight(data));
+time('measureLight + correct', frames, (data) => correctLighting(data, measureLight(data)));
+time('faceTracker.detect (skin)', frames, (data) => { lastFace = stageTracker.detect(data, WIDTH, HEIGHT); });
+time('findFaceLandmarks', frames, (data) => lastFace && findFaceLandmarks(data, WIDTH, HEIGHT, lastFace.box));
+time('measureFaceFeatures', frames, (data) => lastFace && measureFaceFeatures(data, WIDTH, HEIGHT, lastFace.box));
+
+// Exposure correction first, as in the pipeline, so the template sees what it would there
+const lampFrames = makeFrames(positions, (i) => (i % SKIN_EVERY === 0 ? SKIN : LAMP_LIT))
+  .map((data) => {
+    correctLighting(data, measureLight(data));
+    return data;
+  });
+const lampTracker = createFaceTracker();
+let matched = 0;
+time('faceTracker.detect (template)', lampFrames, (data) => {
+  if (lampTracker.detect(data, WIDTH, HEIGHT)) matched++;
+});
+const timed = lampFrames.length + WARMUP_FRAMES;
+console.log(`${''.padEnd(34)} face kept in ${(matched / timed * 100).toFixed(0)}% of frames`);
+
+const pipelineTracker = createFaceTracker();
+const total = time('analyzeFrame (all stages)', frames, (data) => analyzeFrame(pipelineTracker, data, WIDTH, HEIGHT, { measureFeatures: true }));
+console.log(`\nBudget at 30 fps is 33.3 ms/frame; the pipeline uses ${(total / 33.3 * 100).toFixed(1)}% of it.`);
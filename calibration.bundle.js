@@ -0,0 +1 @@
+(()=>{var m={BACKGROUND:"background",OFFSCREEN:"offscreen",POPUP:"popup",CONTENT:"content"},E={DEBUG_OVERLAY:"debug-overlay",RANGE_CALIBRATION:"range-calibration"};var c={START:"start",STOP:"stop",GET_STATE:"get-state",START_RECORDING:"start-recording",STOP_RECORDING:"stop-recording",RECALIBRATE:"recalibrate",SET_PAUSED:"set-paused",RECORD_ACTION:"record-action",UPDATE_SETTINGS:"update-settings",STATE:"state",RUN_ACTION:"run-action",API_EVENT:"api-event",SET_API_LISTENING:"set-api-listening",SAVE_SESSION_STATS:"save-session-stats",LOAD_CALIBRATION:"load-calibration",SAVE_CALIBRATION:"save-calibration",SET_VELOCITY:"set-velocity",SCROLL:"scroll",UNDO_SCROLL:"undo-scroll",CLICK_FOCUSED:"click-focused",PAGE_CONTROL:"page-control",SHOW_GAZE_TARGET:"show-gaze-target",UPDATE_HUD:"update-hud"};var l={sensitivity:25,horizontalSensitivity:30,scrollSpeed:80,scrollMode:"stepped",pageMode:"auto",continuousMaxSpeed:900,continuousCurve:1.5,continuousFullSpeedRatio:3,cameraDeviceId:"",cameraResolution:"640x480",cameraFrameRate:30,showHud:!0,hudPosition:"bottom-right",hudOpacity:.85,debugOverlay:!1,lockPrimaryUser:!1,reuseCalibration:!0,driftCompensation:!0,driftTimeConstant:60,confirmFrames:0,gestureBindings:{nodDown:"scrollDown",nodUp:"scrollUp",doubleNodDown:"none",doubleNodUp:"none",holdDown:"scrollDown",holdUp:"scrollUp",tiltLeft:"scrollLeft",tiltRight:"scrollRight",longBlink:"none",doubleBlink:"none",mouthOpen:"none"},apiAllowList:[],siteProfiles:{}},x=8*60*60*1e3;async function d(){let e=await chrome.storage.sync.get(Object.keys(l));return{...l,...e,gestureBindings:{...l.gestureBindings,...e.gestureBindings}}}function T(e){return chrome.storage.sync.set(e)}var y=document.getElementById("preview"),S=[...document.querySelectorAll("#steps li")],O=document.getElementById("instruction"),u=document.getElementById("progress"),h=document.getElementById("faceWarning"),R=document.getElementById("result"),b=document.getElementById("profileHint"),a=document.getElementById("start"),I=document.getElementById("accept"),C=document.getElementById("retry"),B={baseline:"Look straight ahead at the screen and keep still.",neutral:"Keep looking straight ahead, relaxed.",up:"Tilt your head up as far as is comfortable, and hold it there.",down:"Tilt your head down as far as is comfortable, and hold it there."},N={"face-missing":"Your face was out of view too often. Check that the camera can see you and the room is lit, then try again.",jittery:"Your head, or the tracking, moved too much while resting. Sit comfortably, check the lighting and try again.","range-too-small":"Moving up and down couldn't be told apart from resting. Move a little further if you comfortably can, and hold each position until the step ends."},i=null,t=null,g=!1;function A(e,n={}){return chrome.runtime.sendMessage({target:m.BACKGROUND,type:e,...n})}async function v(){a.hidden=!0,r("Starting the camera...");try{let{cameraDeviceId:e}=await d(),n=e?{deviceId:{ideal:e}}:{facingMode:"user"};y.srcObject=await navigator.mediaDevices.getUserMedia({video:n}),y.hidden=!1;let o=await A(c.GET_STATE);(!o||!o.isTracking)&&await A(c.START)}catch(e){console.error("Calibration start error:",e),r(e.name==="NotAllowedError"?"Camera access denied. Please allow camera access and try again.":"Failed to start the camera. Please check it and try again."),a.hidden=!1;return}L()}function L(){t=null,g=!1,i=chrome.runtime.connect({name:E.RANGE_CALIBRATION}),i.onMessage.addListener(_),i.onDisconnect.addListener(()=>{chrome.runtime.lastError,i=null,!g&&(r("Tracking stopped. Press Start to calibrate again."),s({start:!0}))}),p("baseline",0)}function _(e){e.result?D(e.result):e.faceLost?t||(h.hidden=!1):p(e.step,e.progress)}function p(e,n){h.hidden=!0,R.hidden=!0,s({}),w(e),r(B[e]),u.hidden=!1,u.value=n}async function D(e){if(t=e,h.hidden=!0,u.hidden=!0,w("result"),!t.ok){r(N[t.reason]||"Calibration failed. Please try again."),s({retry:!0});return}let n=await d();document.getElementById("jitter").textContent=t.jitter,document.getElementById("reachUp").textContent=t.reachUp,document.getElementById("reachDown").textContent=t.reachDown,document.getElementById("sensitivity").textContent=`${t.sensitivity} (now ${n.sensitivity})`,document.getElementById("fullSpeed").textContent=`${t.continuousFullSpeedRatio}\xD7 the threshold`,b.hidden=!Object.values(n.siteProfiles).some(o=>Number.isFinite(o.sensitivity)),R.hidden=!1,r("Done. Check the result, then use it or try again."),s({accept:!0,retry:!0})}async function P(){!i||!t||!t.ok||(s({}),await T({sensitivity:t.sensitivity,continuousFullSpeedRatio:t.continuousFullSpeedRatio}),g=!0,i.postMessage({type:"accept"}),r("Saved. Tracking carries on with your new calibration; you can close this page."))}function U(){if(!i){v();return}t=null,i.postMessage({type:"retry"}),p("baseline",0)}function w(e){let n=S.findIndex(o=>o.dataset.steps.split(" ").includes(e));S.forEach((o,f)=>{o.classList.toggle("current",f===n),o.classList.toggle("done",f<n)})}function r(e){O.textContent=e}function s({start:e=!1,accept:n=!1,retry:o=!1}){a.hidden=!e,I.hidden=!n,C.hidden=!o}a.addEventListener("click",v);I.addEventListener("click",P);C.addEventListener("click",U);})();
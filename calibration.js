@@ -0,0 +1,162 @@
+// Calibration.js - Calibration wizard page: starts tracking if it isn't running, then
+// follows the range-of-motion steps the offscreen tracker measures (see rangeOfMotion.js)
+// and saves the sensitivity derived from them once the user accepts the result.
+import { MSG, PORT, TARGET } from './messages.js';
+import { loadSettings, saveSettings } from './settings.js';
+
+const preview = document.getElementById("preview");
+const stepItems = [...document.querySelectorAll("#steps li")];
+const instruction = document.getElementById("instruction");
+const progressBar = document.getElementById("progress");
+const faceWarning = document.getElementById("faceWarning");
+const resultPanel = document.getElementById("result");
+const profileHint = document.getElementById("profileHint");
+const startBtn = document.getElementById("start");
+const acceptBtn = document.getElementById("accept");
+const retryBtn = document.getElementById("retry");
+
+const STEP_INSTRUCTIONS = {
+  baseline: 'Look straight ahead at the screen and keep still.',
+  neutral: 'Keep looking straight ahead, relaxed.',
+  up: 'Tilt your head up as far as is comfortable, and hold it there.',
+  down: 'Tilt your head down as far as is comfortable, and hold it there.'
+};
+const FAILURES = {
+  'face-missing': 'Your face was out of view too often. Check that the camera can see you and the room is lit, then try again.',
+  jittery: 'Your head, or the tracking, moved too much while resting. Sit comfortably, check the lighting and try again.',
+  'range-too-small': "Moving up and down couldn't be told apart from resting. Move a little further if you comfortably can, and hold each position until the step ends."
+};
+
+let port = null;
+let result = null;
+let accepted = false;
+
+function sendCommand(type, payload = {}) {
+  return chrome.runtime.sendMessage({ target: TARGET.BACKGROUND, type, ...payload });
+}
+
+async function start() {
+  startBtn.hidden = true;
+  showInstruction('Starting the camera...');
+  try {
+    // Like the popup's preview, this also asks for camera access if it hasn't been granted
+    const { cameraDeviceId } = await loadSettings();
+    const device = cameraDeviceId ? { deviceId: { ideal: cameraDeviceId } } : { facingMode: 'user' };
+    preview.srcObject = await navigator.mediaDevices.getUserMedia({ video: device });
+    preview.hidden = false;
+
+    const state = await sendCommand(MSG.GET_STATE);
+    if (!state || !state.isTracking) await sendCommand(MSG.START);
+  } catch (error) {
+    console.error('Calibration start error:', error);
+    showInstruction(error.name === 'NotAllowedError'
+      ? 'Camera access denied. Please allow camera access and try again.'
+      : 'Failed to start the camera. Please check it and try again.');
+    startBtn.hidden = false;
+    return;
+  }
+  connect();
+}
+
+function connect() {
+  result = null;
+  accepted = false;
+  port = chrome.runtime.connect({ name: PORT.RANGE_CALIBRATION });
+  port.onMessage.addListener(handleUpdate);
+  port.onDisconnect.addListener(() => {
+    void chrome.runtime.lastError;
+    port = null;
+    if (accepted) return;
+    // Tracking was stopped from the popup, or never got going
+    showInstruction('Tracking stopped. Press Start to calibrate again.');
+    showButtons({ start: true });
+  });
+  showStep('baseline', 0);
+}
+
+function handleUpdate(update) {
+  if (update.result) {
+    showResult(update.result);
+  } else if (update.faceLost) {
+    if (!result) faceWarning.hidden = false;
+  } else {
+    showStep(update.step, update.progress);
+  }
+}
+
+function showStep(step, progress) {
+  faceWarning.hidden = true;
+  resultPanel.hidden = true;
+  showButtons({});
+  markStep(step);
+  showInstruction(STEP_INSTRUCTIONS[step]);
+  progressBar.hidden = false;
+  progressBar.value = progress;
+}
+
+async function showResult(measured) {
+  result = measured;
+  faceWarning.hidden = true;
+  progressBar.hidden = true;
+  markStep('result');
+  if (!result.ok) {
+    showInstruction(FAILURES[result.reason] || 'Calibration failed. Please try again.');
+    showButtons({ retry: true });
+    return;
+  }
+
+  const settings = await loadSettings();
+  document.getElementById("jitter").textContent = result.jitter;
+  document.getElementById("reachUp").textContent = result.reachUp;
+  document.getElementById("reachDown").textContent = result.reachDown;
+  document.getElementById("sensitivity").textContent = `${result.sensitivity} (now ${settings.sensitivity})`;
+  document.getElementById("fullSpeed").textContent = `${result.continuousFullSpeedRatio}× the threshold`;
+  profileHint.hidden = !Object.values(settings.siteProfiles).some((profile) => Number.isFinite(profile.sensitivity));
+  resultPanel.hidden = false;
+  showInstruction('Done. Check the result, then use it or try again.');
+  showButtons({ accept: true, retry: true });
+}
+
+async function accept() {
+  if (!port || !result || !result.ok) return;
+  showButtons({});
+  await saveSettings({
+    sensitivity: result.sensitivity,
+    continuousFullSpeedRatio: result.continuousFullSpeedRatio
+  });
+  accepted = true;
+  port.postMessage({ type: 'accept' });
+  showInstruction('Saved. Tracking carries on with your new calibration; you can close this page.');
+}
+
+function retry() {
+  if (!port) {
+    start();
+    return;
+  }
+  result = null;
+  port.postMessage({ type: 'retry' });
+  showStep('baseline', 0);
+}
+
+function markStep(step) {
+  const index = stepItems.findIndex((item) => item.dataset.steps.split(' ').includes(step));
+  stepItems.forEach((item, i) => {
+    item.classList.toggle('current', i === index);
+    item.classList.toggle('done', i < index);
+  });
+}
+
+function showInstruction(text) {
+  instruction.textContent = text;
+}
+
+function showButtons({ start = false, accept = false, retry = false }) {
+  startBtn.hidden = !start;
+  acceptBtn.hidden = !accept;
+  retryBtn.hidden = !retry;
+}
+
+startBtn.addEventListener('click', start);
+acceptBtn.addEventListener('click', accept);
+retryBtn.addEventListener('click', retry);
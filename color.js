@@ -0,0 +1,13 @@
+// color.js – pixel colour in YCbCr (ITU-R BT.601), shared by the pixel-based analysis.
+// Luma is a pixel's brightness; Cb and Cr are its colour, which changes much less than
+// brightness with the lighting, so skin is told apart by them.
+
+export const lumaOf = (r, g, b) => r * 0.299 + g * 0.587 + b * 0.114;
+export const cbOf = (r, g, b) => 128 - r * 0.168736 - g * 0.331264 + b * 0.5;
+export const crOf = (r, g, b) => 128 + r * 0.5 - g * 0.418688 - b * 0.081312;
+
+/** Darker pixels carry too little colour to classify. */
+export const MIN_CHROMA_LUMA = 30;
+
+/** Where a face's skin colour is read: the middle of its box, mostly cheeks and nose. */
+export const SKIN_SAMPLE_REGION = { left: 0.25, right: 0.75, top: 0.3, bottom: 0.8 };
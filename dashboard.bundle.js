@@ -0,0 +1,3 @@
+(()=>{var y=["FaceDetector","worker","sync"];async function L(){let{sessionStats:e=[]}=await chrome.storage.local.get("sessionStats");return e}function E(){return chrome.storage.local.remove("sessionStats")}function C(e){let t=["startedAt","durationSeconds","frames","faceLostPercent",...y.map(o=>`${o}Frames`),"scrollsDown","scrollsUp","reversals","undos","averageLatencyMs"],r=e.map(o=>[new Date(o.startedAt).toISOString(),o.durationSeconds,o.frames,o.faceLostPercent,...y.map(n=>o.methods[n]||0),o.scrollsDown,o.scrollsUp,o.reversals,o.undos??0,o.averageLatencyMs??""]);return[t,...r].map(o=>o.join(",")).join(`
+`)+`
+`}var k=document.getElementById("emptyState"),A=document.getElementById("dashboard"),x=document.getElementById("summary"),j=document.getElementById("faceLostChart"),P=document.getElementById("scrollsChart"),F=document.getElementById("scrollsLegend"),W=document.getElementById("latencyChart"),M=document.getElementById("sessionRows"),D=document.getElementById("exportJson"),I=document.getElementById("exportCsv"),R=document.getElementById("clearStats"),b=30,H=20,l={down:"#4a90d9",up:"#7fb77e",reversals:"#e06c5a",neutral:"#8a8f98"},a=[];document.addEventListener("DOMContentLoaded",O);async function O(){try{a=await L()}catch(e){console.error("Failed to load usage statistics:",e),a=[]}B()}function B(){if(k.hidden=a.length>0,A.hidden=a.length===0,D.disabled=I.disabled=R.disabled=a.length===0,a.length===0)return;J();let e=a.slice(-b);p(j,e,[{value:t=>t.faceLostPercent,color:l.neutral}]),p(P,e,[{value:t=>t.scrollsDown,color:l.down},{value:t=>t.scrollsUp,color:l.up},{value:t=>t.reversals,color:l.reversals}]),V(F,[["Down",l.down],["Up",l.up],["Reversals",l.reversals]]),p(W,e,[{value:t=>t.averageLatencyMs||0,color:l.neutral}]),X()}function J(){let e=c=>a.reduce((s,d)=>s+(d[c]||0),0),t=e("frames"),r=a.reduce((c,s)=>c+s.frames*s.faceLostPercent/100,0),o=a.filter(c=>c.averageLatencyMs!==null),n=[[a.length,"Sessions"],[$(e("durationSeconds")),"Tracked"],[t>0?`${Math.round((1-r/t)*100)}%`:"\u2013","Face found"],[o.length>0?`${Math.round(o.reduce((c,s)=>c+s.averageLatencyMs,0)/o.length)} ms`:"\u2013","Avg. latency"],[e("scrollsDown"),"Scrolls down"],[e("scrollsUp"),"Scrolls up"],[e("reversals"),"Reversals"],[e("undos"),"Undos"],[t.toLocaleString(),"Frames"]];x.textContent="";for(let[c,s]of n){let d=document.createElement("div"),i=document.createElement("div");i.className="figure",i.textContent=c;let u=document.createElement("div");u.className="figure-label",u.textContent=s,d.append(i,u),x.appendChild(d)}}function p(e,t,r){let o=window.devicePixelRatio||1,n=e.clientWidth,c=e.clientHeight;e.width=n*o,e.height=c*o;let s=e.getContext("2d");s.scale(o,o),s.clearRect(0,0,n,c);let d=t.map(f=>r.reduce((S,{value:h})=>S+h(f),0)),i=Math.max(1,...d),U=c-14-1,m=n/b,w=Math.max(2,m*.7);t.forEach((f,S)=>{let h=n-(t.length-S)*m+(m-w)/2,v=c-1;for(let{value:N,color:_}of r){let g=N(f)/i*U;s.fillStyle=_,s.fillRect(h,v-g,w,g),v-=g}}),s.fillStyle="#ccc",s.fillRect(0,c-1,n,1),s.fillStyle="#777",s.font="11px sans-serif",s.fillText(`max ${Math.round(i*10)/10}`,0,11)}function V(e,t){e.textContent="";for(let[r,o]of t){let n=document.createElement("span");n.className="swatch",n.style.background=o,e.append(n,r)}}function X(){M.textContent="";for(let e of a.slice(-H).reverse()){let t=M.insertRow();[new Date(e.startedAt).toLocaleString(),$(e.durationSeconds),e.frames.toLocaleString(),q(e),`${e.faceLostPercent}%`,`${e.scrollsDown} / ${e.scrollsUp}`,e.reversals,e.undos??0,e.averageLatencyMs!==null?`${e.averageLatencyMs} ms`:"\u2013"].forEach(o=>{t.insertCell().textContent=o})}}function q(e){let[t]=Object.entries(e.methods).sort(([,r],[,o])=>o-r)[0]||["\u2013"];return t}function $(e){let t=Math.floor(e/3600),r=Math.floor(e%3600/60);return t>0?`${t}h ${r}m`:r>0?`${r}m ${e%60}s`:`${e}s`}function T(e,t,r){let o=new Blob([e],{type:t}),n=document.createElement("a");n.href=URL.createObjectURL(o),n.download=`head-scroll-usage-${new Date().toISOString().slice(0,10)}.${r}`,n.click(),setTimeout(()=>URL.revokeObjectURL(n.href),1e3)}D.addEventListener("click",()=>{T(JSON.stringify(a,null,2),"application/json","json")});I.addEventListener("click",()=>{T(C(a),"text/csv","csv")});R.addEventListener("click",async()=>{confirm("Delete all usage statistics?")&&(await E(),a=[],B())});chrome.storage.onChanged.addListener((e,t)=>{t==="local"&&e.sessionStats&&O()});})();
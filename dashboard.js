@@ -0,0 +1,196 @@
+// Dashboard.js - Usage statistics page: totals, charts of recent tracking sessions, a
+// session table and JSON/CSV export. The sessions come from stats.js.
+import { clearSessionStats, loadSessionStats, sessionStatsToCsv } from './stats.js';
+
+const emptyState = document.getElementById("emptyState");
+const dashboard = document.getElementById("dashboard");
+const summaryContainer = document.getElementById("summary");
+const faceLostChart = document.getElementById("faceLostChart");
+const scrollsChart = document.getElementById("scrollsChart");
+const scrollsLegend = document.getElementById("scrollsLegend");
+const latencyChart = document.getElementById("latencyChart");
+const sessionRows = document.getElementById("sessionRows");
+const exportJsonBtn = document.getElementById("exportJson");
+const exportCsvBtn = document.getElementById("exportCsv");
+const clearBtn = document.getElementById("clearStats");
+
+// Charts show this many of the latest sessions, the table this many
+const CHART_SESSIONS = 30;
+const TABLE_SESSIONS = 20;
+const COLORS = { down: '#4a90d9', up: '#7fb77e', reversals: '#e06c5a', neutral: '#8a8f98' };
+
+let sessions = [];
+
+document.addEventListener('DOMContentLoaded', refresh);
+
+async function refresh() {
+  try {
+    sessions = await loadSessionStats();
+  } catch (error) {
+    console.error('Failed to load usage statistics:', error);
+    sessions = [];
+  }
+  render();
+}
+
+function render() {
+  emptyState.hidden = sessions.length > 0;
+  dashboard.hidden = sessions.length === 0;
+  exportJsonBtn.disabled = exportCsvBtn.disabled = clearBtn.disabled = sessions.length === 0;
+  if (sessions.length === 0) return;
+
+  renderSummary();
+  const recent = sessions.slice(-CHART_SESSIONS);
+  drawBarChart(faceLostChart, recent, [{ value: (session) => session.faceLostPercent, color: COLORS.neutral }]);
+  drawBarChart(scrollsChart, recent, [
+    { value: (session) => session.scrollsDown, color: COLORS.down },
+    { value: (session) => session.scrollsUp, color: COLORS.up },
+    { value: (session) => session.reversals, color: COLORS.reversals }
+  ]);
+  renderLegend(scrollsLegend, [['Down', COLORS.down], ['Up', COLORS.up], ['Reversals', COLORS.reversals]]);
+  drawBarChart(latencyChart, recent, [{ value: (session) => session.averageLatencyMs || 0, color: COLORS.neutral }]);
+  renderSessionRows();
+}
+
+function renderSummary() {
+  // Sessions saved before undos were counted have no `undos`
+  const total = (key) => sessions.reduce((sum, session) => sum + (session[key] || 0), 0);
+  const frames = total('frames');
+  const facesLost = sessions.reduce((sum, session) => sum + session.frames * session.faceLostPercent / 100, 0);
+  const timed = sessions.filter((session) => session.averageLatencyMs !== null);
+
+  const figures = [
+    [sessions.length, 'Sessions'],
+    [formatDuration(total('durationSeconds')), 'Tracked'],
+    [frames > 0 ? `${Math.round((1 - facesLost / frames) * 100)}%` : '–', 'Face found'],
+    [timed.length > 0 ? `${Math.round(timed.reduce((sum, session) => sum + session.averageLatencyMs, 0) / timed.length)} ms` : '–', 'Avg. latency'],
+    [total('scrollsDown'), 'Scrolls down'],
+    [total('scrollsUp'), 'Scrolls up'],
+    [total('reversals'), 'Reversals'],
+    [total('undos'), 'Undos'],
+    [frames.toLocaleString(), 'Frames']
+  ];
+
+  summaryContainer.textContent = '';
+  for (const [value, label] of figures) {
+    const figure = document.createElement('div');
+    const valueEl = document.createElement('div');
+    valueEl.className = 'figure';
+    valueEl.textContent = value;
+    const labelEl = document.createElement('div');
+    labelEl.className = 'figure-label';
+    labelEl.textContent = label;
+    figure.append(valueEl, labelEl);
+    summaryContainer.appendChild(figure);
+  }
+}
+
+// One bar per session, oldest on the left; several series stack on top of each other
+function drawBarChart(canvas, chartSessions, series) {
+  const scale = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  canvas.width = width * scale;
+  canvas.height = height * scale;
+  const ctx = canvas.getContext('2d');
+  ctx.scale(scale, scale);
+  ctx.clearRect(0, 0, width, height);
+
+  const totals = chartSessions.map((session) => series.reduce((sum, { value }) => sum + value(session), 0));
+  const max = Math.max(1, ...totals);
+  const top = 14;
+  const plotHeight = height - top - 1;
+  const slot = width / CHART_SESSIONS;
+  const barWidth = Math.max(2, slot * 0.7);
+
+  chartSessions.forEach((session, i) => {
+    const x = width - (chartSessions.length - i) * slot + (slot - barWidth) / 2;
+    let y = height - 1;
+    for (const { value, color } of series) {
+      const barHeight = value(session) / max * plotHeight;
+      ctx.fillStyle = color;
+      ctx.fillRect(x, y - barHeight, barWidth, barHeight);
+      y -= barHeight;
+    }
+  });
+
+  ctx.fillStyle = '#ccc';
+  ctx.fillRect(0, height - 1, width, 1);
+  ctx.fillStyle = '#777';
+  ctx.font = '11px sans-serif';
+  ctx.fillText(`max ${Math.round(max * 10) / 10}`, 0, 11);
+}
+
+function renderLegend(container, entries) {
+  container.textContent = '';
+  for (const [label, color] of entries) {
+    const swatch = document.createElement('span');
+    swatch.className = 'swatch';
+    swatch.style.background = color;
+    container.append(swatch, label);
+  }
+}
+
+function renderSessionRows() {
+  sessionRows.textContent = '';
+  for (const session of sessions.slice(-TABLE_SESSIONS).reverse()) {
+    const row = sessionRows.insertRow();
+    const cells = [
+      new Date(session.startedAt).toLocaleString(),
+      formatDuration(session.durationSeconds),
+      session.frames.toLocaleString(),
+      mainMethod(session),
+      `${session.faceLostPercent}%`,
+      `${session.scrollsDown} / ${session.scrollsUp}`,
+      session.reversals,
+      session.undos ?? 0,
+      session.averageLatencyMs !== null ? `${session.averageLatencyMs} ms` : '–'
+    ];
+    cells.forEach((text) => {
+      row.insertCell().textContent = text;
+    });
+  }
+}
+
+// The detection method that found the face in most frames
+function mainMethod(session) {
+  const [method] = Object.entries(session.methods).sort(([, a], [, b]) => b - a)[0] || ['–'];
+  return method;
+}
+
+function formatDuration(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor(seconds % 3600 / 60);
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+function download(contents, type, extension) {
+  const blob = new Blob([contents], { type });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `head-scroll-usage-${new Date().toISOString().slice(0, 10)}.${extension}`;
+  link.click();
+  // Revoking straight away can cancel the download before it starts
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+exportJsonBtn.addEventListener('click', () => {
+  download(JSON.stringify(sessions, null, 2), 'application/json', 'json');
+});
+
+exportCsvBtn.addEventListener('click', () => {
+  download(sessionStatsToCsv(sessions), 'text/csv', 'csv');
+});
+
+clearBtn.addEventListener('click', async () => {
+  if (!confirm('Delete all usage statistics?')) return;
+  await clearSessionStats();
+  sessions = [];
+  render();
+});
+
+// A session in progress saves every minute, and finished ones arrive on Stop
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.sessionStats) refresh();
+});
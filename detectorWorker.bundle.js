@@ -0,0 +1 @@
+(()=>{var x=(t,e,n)=>t*.299+e*.587+n*.114,G=(t,e,n)=>128-t*.168736-e*.331264+n*.5,B=(t,e,n)=>128+t*.5-e*.418688-n*.081312;var N={left:.25,right:.75,top:.3,bottom:.8};var yt=30,J=10,Q=1.5,_t=30,$=1,mt=.02;function b(t,e,n){let o=Math.max(0,Math.floor(n.x+n.width*N.left)),r=Math.min(e,Math.ceil(n.x+n.width*N.right)),c=Math.max(0,Math.floor(n.y+n.height*N.top)),l=Math.min(t.length/4/e,Math.ceil(n.y+n.height*N.bottom)),s=0,u=0,A=0;for(let a=c;a<l;a++)for(let M=o;M<r;M++){let _=(a*e+M)*4,E=t[_],i=t[_+1],f=t[_+2];x(E,i,f)<30||(s++,u+=G(E,i,f),A+=B(E,i,f))}return s===0?null:{cb:u/s,cr:A/s,size:n.width}}function tt(){let t=null,e=[],n=null,o=1/0;function r(a=null){t=a?{cb:a.cb,cr:a.cr,size:a.size}:null,e=[],n=null,o=1/0}function c(){return t!==null}function l(){return t?{...t}:null}function s(a,M,_){let E=t?A(a,M,_):a.reduce((i,f)=>!i||f.width>i.width?f:i,null);return E?(u(E,M,_),E):(o++,null)}function u(a,M,_){n=a,o=0;let E=b(M,_,a);if(E){if(!t){if(e.push(E),e.length<yt)return;let i=f=>e.reduce((h,y)=>h+y[f],0)/e.length;t={cb:i("cb"),cr:i("cr"),size:i("size")},e=[];return}for(let i of["cb","cr","size"])t[i]+=(E[i]-t[i])*mt}}function A(a,M,_){let E=null,i=1/0;for(let f of a){let h=b(M,_,f);if(!h)continue;let y=Math.hypot(h.cb-t.cb,h.cr-t.cr),p=Math.abs(Math.log(h.size/t.size));if(y>J||p>Math.log(Q))continue;let R=0;if(n&&o<=_t&&(R=Math.hypot(f.x+f.width/2-(n.x+n.width/2),f.y+f.height/2-(n.y+n.height/2))/n.width,R>$))continue;let m=y/J+p/Math.log(Q)+R/$;m<i&&(i=m,E=f)}return E}return{select:s,follow:u,reset:r,isLocked:c,getSignature:l}}var Tt=77,Ot=127,Rt=133,pt=180,It=30,St=2.5,gt=4,xt=15,Nt=.01,Ct=.5,Lt=.6,Pt=3,Ut=.35,Dt=1.3,Ft=.3,D=16,Gt=.4,k=2,Bt=14,et=5,dt=.3,Ht=15,wt=.4,Xt=20;function ot(){let t=null,e=null,n=null,o=null,r=0,c=tt();function l(E=null){t=null,e={frames:0,count:0,cb:0,cr:0,cb2:0,cr2:0},n=null,o=null,r=0,c.reset(E)}function s(E,i,f){if(x(E,i,f)<30)return!1;let h=G(E,i,f),y=B(E,i,f);return t?Math.abs(h-t.cb)<=t.spreadCb&&Math.abs(y-t.cr)<=t.spreadCr:h>=Tt&&h<=Ot&&y>=Rt&&y<=pt}function u(E,i,f,{lockPrimaryUser:h=!1}={}){let y=new Float32Array(i*f),p=new Uint8Array(i*f);for(let O=0;O<i*f;O++){let S=E[O*4],T=E[O*4+1],g=E[O*4+2];y[O]=x(S,T,g),p[O]=s(S,T,g)?1:0}let R=Kt(p,i,f).filter(O=>vt(O,i,f)),m=null,I=!0;if(n){let O=Ft;R.forEach(S=>{let T=kt(H(S),n);T>=O&&(O=T,m=H(S))}),!m&&r<Ht&&(m=M(y,i,f),I=!1)}return m?h&&c.follow(m,E,i):(m=h?c.select(R.map(H),E,i):A(R,i,f),I=!0),m?(r=I?0:r+1,I&&!t&&a(E,i,m),_(y,i,m),n=m,{x:m.x+m.width/2,y:m.y+m.height/2,box:m}):(n=null,o=null,r=0,null)}function A(E,i,f){let h=null,y=-1/0;return E.forEach(p=>{let R=H(p),m=Math.hypot((R.x+R.width/2-i/2)/i,(R.y+R.height/2-f*wt)/f),I=p.area/(i*f)*100-m*Xt;I>y&&(y=I,h=R)}),h}function a(E,i,f){let h=Math.floor(f.x+f.width*N.left),y=Math.ceil(f.x+f.width*N.right),p=Math.floor(f.y+f.height*N.top),R=Math.ceil(f.y+f.height*N.bottom);for(let T=p;T<R;T++)for(let g=h;g<y;g++){let F=(T*i+g)*4,L=E[F],P=E[F+1],w=E[F+2];if(!s(L,P,w))continue;let X=G(L,P,w),K=B(L,P,w);e.count++,e.cb+=X,e.cr+=K,e.cb2+=X*X,e.cr2+=K*K}if(++e.frames<It||e.count===0)return;let{count:m}=e,I=e.cb/m,O=e.cr/m,S=(T,g)=>Math.min(xt,Math.max(gt,St*Math.sqrt(Math.max(0,T/m-g*g))));t={cb:I,cr:O,spreadCb:S(e.cb2,I),spreadCr:S(e.cr2,O)}}function M(E,i,f){if(!o||o.reduce((O,S)=>O+Math.abs(S),0)/o.length<et)return null;let h=Math.max(k,Math.round(n.width*Gt)),y=rt(n,i),{sums:p,squares:R}=zt(E,i,f),m=null,I=Bt*o.length;for(let O=-h;O<=h;O+=k)for(let S=-h;S<=h;S+=k){let T={...n,x:n.x+S,y:n.y+O};if(T.x<0||T.y<0||T.x+T.width>i||T.y+T.height>f)continue;let g=nt(p,i,T);if(Math.sqrt(Math.max(0,nt(R,i,T)-g*g))<et)continue;let F=T.y*i+T.x,L=0;for(let P=0;P<o.length&&L<I;P++)L+=Math.abs(E[F+y[P]]-g-o[P]);L<I&&(I=L,m=T)}return m}function _(E,i,f){let h=Yt(E,i,f);if(!o){o=h;return}for(let y=0;y<h.length;y++)o[y]+=(h[y]-o[y])*dt}return l(),{detect:u,reset:l,getPrimaryUser:c.getSignature}}function Kt(t,e,n){let o=[],r=new Int32Array(e*n);for(let c=0;c<t.length;c++){if(!t[c])continue;let l=0;r[l++]=c,t[c]=0;let s={x0:e,y0:n,x1:0,y1:0,area:0};for(;l>0;){let u=r[--l],A=u%e,a=(u-A)/e;s.area++,A<s.x0&&(s.x0=A),A>=s.x1&&(s.x1=A+1),a<s.y0&&(s.y0=a),a>=s.y1&&(s.y1=a+1),A>0&&t[u-1]&&(t[u-1]=0,r[l++]=u-1),A<e-1&&t[u+1]&&(t[u+1]=0,r[l++]=u+1),a>0&&t[u-e]&&(t[u-e]=0,r[l++]=u-e),a<n-1&&t[u+e]&&(t[u+e]=0,r[l++]=u+e)}o.push(s)}return o}function vt(t,e,n){let o=t.x1-t.x0,r=t.y1-t.y0,c=r/o;return t.area>=e*n*Nt&&t.area<=e*n*Ct&&c>=Lt&&c<=Pt&&t.area/(o*r)>=Ut}function H(t){let e=t.x1-t.x0;return{x:t.x0,y:t.y0,width:e,height:Math.min(t.y1-t.y0,Math.round(e*Dt))}}function kt(t,e){let n=Math.min(t.x+t.width,e.x+e.width)-Math.max(t.x,e.x),o=Math.min(t.y+t.height,e.y+e.height)-Math.max(t.y,e.y);if(n<=0||o<=0)return 0;let r=n*o;return r/(t.width*t.height+e.width*e.height-r)}function zt(t,e,n){let o=e+1,r=new Float64Array(o*(n+1)),c=new Float64Array(o*(n+1));for(let l=0;l<n;l++){let s=0,u=0;for(let A=0;A<e;A++){let a=t[l*e+A];s+=a,u+=a*a,r[(l+1)*o+A+1]=r[l*o+A+1]+s,c[(l+1)*o+A+1]=c[l*o+A+1]+u}}return{sums:r,squares:c}}function nt(t,e,n){let o=e+1,r=n.x+n.width,c=n.y+n.height;return(t[c*o+r]-t[n.y*o+r]-t[c*o+n.x]+t[n.y*o+n.x])/(n.width*n.height)}function rt(t,e){let n=new Int32Array(D*D);for(let o=0;o<D;o++){let r=Math.floor((o+.5)*t.height/D);for(let c=0;c<D;c++)n[o*D+c]=r*e+Math.floor((c+.5)*t.width/D)}return n}function Yt(t,e,n){let o=rt(n,e),r=n.y*e+n.x,c=0;for(let u=n.y;u<n.y+n.height;u++)for(let A=n.x;A<n.x+n.width;A++)c+=t[u*e+A];let l=c/(n.width*n.height),s=new Float32Array(o.length);for(let u=0;u<s.length;u++)s[u]=t[r+o[u]]-l;return s}var d={top:.2,bottom:.5,left:.1,right:.9},qt={top:.5,bottom:.68,left:.35,right:.65},Vt={top:.68,bottom:.95,left:.25,right:.75},Wt=[{top:.5,bottom:.68,left:.12,right:.3},{top:.5,bottom:.68,left:.7,right:.88}],z=.6,Zt=.8,jt=2;function ct(t,e,n,o){let r=Math.max(0,Math.floor(t.x+t.width*e.left)),c=Math.max(0,Math.floor(t.y+t.height*e.top)),l=Math.min(n,Math.ceil(t.x+t.width*e.right)),s=Math.min(o,Math.ceil(t.y+t.height*e.bottom));return l>r&&s>c?{x0:r,y0:c,x1:l,y1:s}:null}var st=(t,e,n,o)=>{let r=(o*e+n)*4;return x(t[r],t[r+1],t[r+2])};function Jt(t,e,n,o){let r=0,c=0,l=0,s=0;for(let u=n.y0;u<n.y1;u++)for(let A=n.x0;A<n.x1;A++){let a=o-st(t,e,A,u);a<=0||(r+=a,c+=(A+.5)*a,l+=(u+.5)*a,s++)}return s>=jt?{x:c/r,y:l/r}:null}function lt(t,e,n,o){let r=Wt.map(a=>ct(o,a,e,n)).filter(Boolean);if(r.length===0)return[];let c=0,l=0;r.forEach(a=>{for(let M=a.y0;M<a.y1;M++)for(let _=a.x0;_<a.x1;_++)c+=st(t,e,_,M),l++});let s=c/l,u=d.left+(d.right-d.left)/2;return[{type:"eye",part:{...d,right:u},ratio:z},{type:"eye",part:{...d,left:u},ratio:z},{type:"nose",part:qt,ratio:Zt},{type:"mouth",part:Vt,ratio:z}].flatMap(({type:a,part:M,ratio:_})=>{let E=ct(o,M,e,n),i=E&&Jt(t,e,E,s*_);return i?[{type:a,locations:[i]}]:[]})}var Qt=.6,$t={top:.3,bottom:.5,left:.15,right:.85},bt={top:.7,bottom:.92,left:.3,right:.7},te={top:.5,bottom:.65,left:.25,right:.75},ee={width:.25,height:.14},ne={width:.4,height:.2},ut=(t,e)=>x(t[e],t[e+1],t[e+2]);function Y(t,e,n){let o=Math.max(0,Math.floor(t.x)),r=Math.max(0,Math.floor(t.y)),c=Math.min(e,Math.ceil(t.x+t.width)),l=Math.min(n,Math.ceil(t.y+t.height));return c>o&&l>r?{x0:o,y0:r,x1:c,y1:l}:null}function oe(t,e,n){let o=0,r=0;for(let c=n.y0;c<n.y1;c++)for(let l=n.x0;l<n.x1;l++)o+=ut(t,(c*e+l)*4),r++;return o/r}function it(t,e,n,o){let r=0,c=0;for(let l=n.y0;l<n.y1;l++)for(let s=n.x0;s<n.x1;s++)ut(t,(l*e+s)*4)<o&&r++,c++;return r/c}var q=(t,e)=>({x:t.x+t.width*e.left,y:t.y+t.height*e.top,width:t.width*(e.right-e.left),height:t.height*(e.bottom-e.top)}),at=(t,e,n)=>({x:t.x-e.width*n.width/2,y:t.y-e.height*n.height/2,width:e.width*n.width,height:e.height*n.height});function ft(t,e,n,o,r=null){let c=Y(q(o,te),e,n);if(!c)return null;let l=oe(t,e,c)*Qt,s=r&&r.eyes&&r.eyes.length>=2?r.eyes.map(M=>at(M,o,ee)):[q(o,$t)],u=r&&r.mouth?at(r.mouth,o,ne):q(o,bt),A=s.map(M=>Y(M,e,n)).filter(Boolean).map(M=>it(t,e,M,l)),a=Y(u,e,n);return A.length===0||!a?null:{eyes:A.reduce((M,_)=>M+_,0)/A.length,mouth:it(t,e,a,l)}}var re=.02,ce=.98,se=120,le=25,ie=230,ae=80,ue=170,fe=4,he=.4,Ee=1.6;function ht(t){let e=new Uint32Array(256),n=t.length/4,o=0;for(let c=0;c<t.length;c+=4){let l=Math.round(x(t[c],t[c+1],t[c+2]));e[l]++,o+=l}let r=c=>{let l=0;for(let s=0;s<256;s++)if(l+=e[s],l>=n*c)return s;return 255};return{mean:o/n,low:r(re),high:r(ce)}}function Et(t,e){if(e.low<=le&&e.high>=ie&&e.mean>=ae&&e.mean<=ue)return!1;let n=Math.min(fe,255/Math.max(1,e.high-e.low)),o=s=>Math.min(255,Math.max(0,(s-e.low)*n)),r=Math.min(254,Math.max(1,o(e.mean))),c=Math.min(Ee,Math.max(he,Math.log(se/255)/Math.log(r/255))),l=new Uint8ClampedArray(256);for(let s=0;s<256;s++)l[s]=Math.round(255*Math.pow(o(s)/255,c));for(let s=0;s<t.length;s+=4)t[s]=l[t[s]],t[s+1]=l[t[s+1]],t[s+2]=l[t[s+2]];return!0}var V=t=>t*180/Math.PI;function W(t){let e=t.reduce((n,o)=>({x:n.x+o.x,y:n.y+o.y}),{x:0,y:0});return{x:e.x/t.length,y:e.y/t.length}}function At(t){if(!t)return null;let e=t.filter(h=>h.type==="eye"&&h.locations.length>0),n=t.find(h=>h.type==="nose"&&h.locations.length>0),o=t.find(h=>h.type==="mouth"&&h.locations.length>0);if(e.length<2||!n)return null;let[r,c]=e.slice(0,2).map(h=>W(h.locations)).sort((h,y)=>h.x-y.x),l=Math.hypot(c.x-r.x,c.y-r.y);if(l===0)return null;let s=Math.atan2(c.y-r.y,c.x-r.x),u={x:(r.x+c.x)/2,y:(r.y+c.y)/2},A=Math.cos(-s),a=Math.sin(-s),M=h=>{let y=h.x-u.x,p=h.y-u.y;return{x:(y*A-p*a)/l,y:(y*a+p*A)/l}},_=M(W(n.locations)),E=V(Math.asin(Math.max(-1,Math.min(1,-_.x/.6)))),i;if(o){let h=M(W(o.locations));i=h.y>0?_.y/h.y-.6:_.y-.65}else i=_.y-.65;return{pitch:V(Math.asin(Math.max(-1,Math.min(1,i/.6)))),yaw:E,roll:-V(s)}}function Z(t,e,n,o,{measureFeatures:r=!1,lockPrimaryUser:c=!1}={}){let l=ht(e);Et(e,l);let s=t.detect(e,n,o,{lockPrimaryUser:c});return s&&(s.pose=At(lt(e,n,o,s.box))),s&&r&&(s.features=ft(e,n,o,s.box)),{face:s,light:l,primaryUser:c?t.getPrimaryUser():null}}var U={DETECT:"detect",RESULT:"result",START_CAPTURE:"start-capture",CONFIGURE:"configure",STOP_CAPTURE:"stop-capture",FRAME:"frame",RESET:"reset"};var Ae=.8,j=ot(),C=null;self.onmessage=function(t){let e=t.data;switch(e.type){case U.DETECT:{let{id:n,width:o,height:r,buffer:c,measureFeatures:l,lockPrimaryUser:s}=e,u=Z(j,new Uint8ClampedArray(c),o,r,{measureFeatures:l,lockPrimaryUser:s});self.postMessage({type:U.RESULT,id:n,...u});break}case U.RESET:j.reset(e.primaryUser);break;case U.START_CAPTURE:Me(e);break;case U.CONFIGURE:C&&(C.options={measureFeatures:e.measureFeatures,lockPrimaryUser:e.lockPrimaryUser});break;case U.STOP_CAPTURE:Mt();break}};async function Me({readable:t,width:e,height:n,frameRate:o,measureFeatures:r,lockPrimaryUser:c}){Mt();let l={reader:t.getReader(),frameInterval:1e3/o,options:{measureFeatures:r,lockPrimaryUser:c}};C=l;let u=new OffscreenCanvas(e,n).getContext("2d",{willReadFrequently:!0}),A=-1/0;for(;C===l;){let a;try{a=await l.reader.read()}catch{break}if(a.done)break;let M=a.value,_=performance.now(),E=performance.timeOrigin+_;if(C!==l||_-A<l.frameInterval*Ae){M.close();continue}A=_,u.drawImage(M,0,0,e,n),M.close();let{data:i}=u.getImageData(0,0,e,n),f=Z(j,i,e,n,l.options);self.postMessage({type:U.FRAME,capturedAt:E,...f})}C===l&&(C=null)}function Mt(){C&&(C.reader.cancel().catch(()=>{}),C=null)}})();
@@ -1,93 +1,87 @@
-// detectorWorker.js – runs in its own thread and performs pixel-based face detection
+// detectorWorker.js – pixel-based face tracking in its own thread (see frameAnalysis.js).
+// Either the offscreen document posts canvas frames one at a time, or it hands over the
+// camera's frame stream and the worker captures frames itself, posting results as they
+// come. The tracker keeps state between frames, so there is one per worker.
+import { createFaceTracker } from './faceDetection.js';
+import { analyzeFrame } from './frameAnalysis.js';
+import { WORKER } from './messages.js';
+
+// Frames arriving sooner than this share of the frame interval after the last one are dropped
+const FRAME_INTERVAL_TOLERANCE = 0.8;
+
+const faceTracker = createFaceTracker();
+// The running capture, { reader, frameInterval, options }, or null; `options` go to analyzeFrame
+let capture = null;
+
 self.onmessage = function (e) {
-  const { id, width, height, buffer } = e.data;
-  const data = new Uint8ClampedArray(buffer);
-  const faceY = detectFacePosition(data, width, height);
-  // NOTE: the buffer is now neutered in the worker – no need to send it back.
-  self.postMessage({ id, faceY });
+  const message = e.data;
+
+  switch (message.type) {
+    case WORKER.DETECT: {
+      const { id, width, height, buffer, measureFeatures, lockPrimaryUser } = message;
+      // NOTE: the buffer is now neutered in the sender – no need to send it back.
+      const result = analyzeFrame(faceTracker, new Uint8ClampedArray(buffer), width, height, { measureFeatures, lockPrimaryUser });
+      self.postMessage({ type: WORKER.RESULT, id, ...result });
+      break;
+    }
+    case WORKER.RESET:
+      faceTracker.reset(message.primaryUser);
+      break;
+    case WORKER.START_CAPTURE:
+      startCapture(message);
+      break;
+    case WORKER.CONFIGURE:
+      if (capture) capture.options = { measureFeatures: message.measureFeatures, lockPrimaryUser: message.lockPrimaryUser };
+      break;
+    case WORKER.STOP_CAPTURE:
+      stopCapture();
+      break;
+  }
 };
 
-function detectFacePosition(data, width, height) {
-  const FACE_SCAN_REGION_TOP_RATIO = 0.15;
-  const FACE_SCAN_REGION_BOTTOM_RATIO = 0.85;
-  const FACE_SCAN_REGION_LEFT_RATIO = 0.25;
-  const FACE_SCAN_REGION_RIGHT_RATIO = 0.75;
-  const FACE_REGION_SIZE_PX = 30;
-  const FACE_REGION_STEP_PX = 15;
-  const MIN_BRIGHTNESS_THRESHOLD = 60;
-  const MAX_BRIGHTNESS_THRESHOLD = 220;
-  const MIN_SKIN_TONE_RATIO_THRESHOLD = 0.1;
-  const SKIN_R_MIN_THRESHOLD = 95;
-  const SKIN_G_MIN_THRESHOLD = 40;
-  const SKIN_B_MIN_THRESHOLD = 20;
-  const SKIN_RGB_DIFF_MIN_THRESHOLD = 15;
-  const EXPECTED_FACE_CENTER_Y_RATIO = 0.4;
-  const DISTANCE_PENALTY_FACTOR = 0.1;
-  const BRIGHTNESS_SCORE_WEIGHT = 0.7;
-  const SKIN_TONE_SCORE_WEIGHT = 1000;
+// Read VideoFrames from a MediaStreamTrackProcessor stream until stopped or the track ends
+async function startCapture({ readable, width, height, frameRate, measureFeatures, lockPrimaryUser }) {
+  stopCapture();
+  const session = { reader: readable.getReader(), frameInterval: 1000 / frameRate, options: { measureFeatures, lockPrimaryUser } };
+  capture = session;
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  let lastFrame = -Infinity;
 
-  // Pre-calculate constants outside loop
-  const centerX = width / 2;
-  const centerY = height * EXPECTED_FACE_CENTER_Y_RATIO;
-  const regionHalfSize = FACE_REGION_SIZE_PX / 2;
-  
-  let bestScore = -Infinity;
-  let bestRegion = null;
+  // One frame at a time: while one is analysed, the track processor keeps only the newest
+  // and drops the rest, so a slow frame never leaves a backlog of stale ones
+  while (capture === session) {
+    let read;
+    try {
+      read = await session.reader.read();
+    } catch (error) {
+      break;
+    }
+    if (read.done) break;
 
-  // Process regions and track best score directly (avoid intermediate array)
-  for (let y = Math.floor(height * FACE_SCAN_REGION_TOP_RATIO); y < height * FACE_SCAN_REGION_BOTTOM_RATIO; y += FACE_REGION_STEP_PX) {
-    for (let x = Math.floor(width * FACE_SCAN_REGION_LEFT_RATIO); x < width * FACE_SCAN_REGION_RIGHT_RATIO; x += FACE_REGION_STEP_PX) {
-      let totalBrightness = 0;
-      let skinToneCount = 0;
-      let pixelCount = 0;
-      for (let dy = 0; dy < FACE_REGION_SIZE_PX && y + dy < height; dy++) {
-        for (let dx = 0; dx < FACE_REGION_SIZE_PX && x + dx < width; dx++) {
-          const idx = ((y + dy) * width + (x + dx)) * 4;
-          const r = data[idx];
-          const g = data[idx + 1];
-          const b = data[idx + 2];
-          // Luma component
-          totalBrightness += r * 0.299 + g * 0.587 + b * 0.114;
-          pixelCount++;
-          if (
-            r > SKIN_R_MIN_THRESHOLD &&
-            g > SKIN_G_MIN_THRESHOLD &&
-            b > SKIN_B_MIN_THRESHOLD &&
-            Math.max(r, g, b) - Math.min(r, g, b) > SKIN_RGB_DIFF_MIN_THRESHOLD &&
-            Math.abs(r - g) > SKIN_RGB_DIFF_MIN_THRESHOLD &&
-            r > g &&
-            r > b
-          ) {
-            skinToneCount++;
-          }
-        }
-      }
-      const avgBrightness = totalBrightness / pixelCount;
-      const skinToneRatio = skinToneCount / pixelCount;
-      
-      // Skip regions that don't meet face-like thresholds (inverted logic for reduced nesting)
-      if (
-        avgBrightness <= MIN_BRIGHTNESS_THRESHOLD ||
-        avgBrightness >= MAX_BRIGHTNESS_THRESHOLD ||
-        skinToneRatio <= MIN_SKIN_TONE_RATIO_THRESHOLD
-      ) {
-        continue;
-      }
-      
-      // Calculate score immediately for valid regions (avoid storing intermediate data)
-      const regionX = x + regionHalfSize;
-      const regionY = y + regionHalfSize;
-      const score =
-        avgBrightness * BRIGHTNESS_SCORE_WEIGHT +
-        skinToneRatio * SKIN_TONE_SCORE_WEIGHT -
-        Math.hypot(regionX - centerX, regionY - centerY) * DISTANCE_PENALTY_FACTOR;
-      
-      if (score > bestScore) {
-        bestScore = score;
-        bestRegion = { y: regionY };
-      }
+    const frame = read.value;
+    const now = performance.now();
+    // On the shared clock, so the offscreen document can tell how old the result is
+    const capturedAt = performance.timeOrigin + now;
+    if (capture !== session || now - lastFrame < session.frameInterval * FRAME_INTERVAL_TOLERANCE) {
+      frame.close();
+      continue;
     }
+    lastFrame = now;
+
+    // Down-sample onto the analysis canvas; the frame holds camera memory until closed
+    ctx.drawImage(frame, 0, 0, width, height);
+    frame.close();
+    const { data } = ctx.getImageData(0, 0, width, height);
+    const result = analyzeFrame(faceTracker, data, width, height, session.options);
+    self.postMessage({ type: WORKER.FRAME, capturedAt, ...result });
   }
-  
-  return bestRegion ? bestRegion.y : null;
-}
\ No newline at end of file
+
+  if (capture === session) capture = null;
+}
+
+function stopCapture() {
+  if (!capture) return;
+  capture.reader.cancel().catch(() => {});
+  capture = null;
+}
@@ -0,0 +1,128 @@
+// externalApi.js – the public API for other extensions, served by the service worker.
+// Extensions on the allow-list (options page) can start and stop tracking with one-off
+// messages and subscribe to head events over a port. Everything in and out carries an
+// `api` version; see "Extension API" in the README for the schema. It is for extensions
+// only: the manifest has no `externally_connectable` entry, so web pages can't reach it.
+
+/** Current API version. Requests for any other version are refused. */
+export const API_VERSION = 1;
+
+/** chrome.runtime.connect name for event subscriptions. */
+export const API_PORT = 'head-events';
+
+/**
+ * Events a port can subscribe to:
+ *
+ *   { type: 'state', state }              tracking started, stopped, paused or changed status
+ *   { type: 'offset', x, y }              head offset from baseline in thresholds (1 = at the
+ *                                         threshold), y > 0 down, x > 0 turned to the user's right;
+ *                                         about 15 times a second once calibrated
+ *   { type: 'gesture', gesture, action }  a bound gesture fired (see gestures.js, actions.js)
+ *   { type: 'face-lost' } / { type: 'face-found' }
+ */
+export const API_EVENTS = ['state', 'offset', 'gesture', 'face-lost', 'face-found'];
+
+/**
+ * The part of the tracking state (see offscreen.js getState) other extensions get to see:
+ * `{ isTracking, isPaused, status }`, status being `{ type, message }` or null.
+ */
+export function publicState(state) {
+  return {
+    isTracking: Boolean(state && state.isTracking),
+    isPaused: Boolean(state && state.isPaused),
+    status: (state && state.status) || null
+  };
+}
+
+/** Whether a message from `sender` (a chrome.runtime.MessageSender) may use the API. */
+export function isAllowedSender(sender, allowList) {
+  return Boolean(sender && sender.id) && allowList.includes(sender.id);
+}
+
+/**
+ * Answer a one-off request. `message` is `{ api, type }` with type 'getState', 'start' or
+ * 'stop'; `controls` provides async `getState()`, `start()` and `stop()`, each resolving
+ * to the tracking state (`start()` once the camera is up, with `error` set if it failed).
+ * Resolves to `{ api, ok: true, state }` or `{ api, ok: false, error }`.
+ */
+export async function handleApiRequest(message, controls) {
+  if (!message || message.api !== API_VERSION) {
+    return { api: API_VERSION, ok: false, error: 'unsupported-api-version' };
+  }
+
+  switch (message.type) {
+    case 'getState':
+      return { api: API_VERSION, ok: true, state: publicState(await controls.getState()) };
+    case 'start': {
+      const state = await controls.start();
+      if (state && state.error) return { api: API_VERSION, ok: false, error: state.error };
+      return { api: API_VERSION, ok: true, state: publicState(state) };
+    }
+    case 'stop':
+      return { api: API_VERSION, ok: true, state: publicState(await controls.stop()) };
+    default:
+      return { api: API_VERSION, ok: false, error: 'unknown-request' };
+  }
+}
+
+/**
+ * Create the hub that fans head events out to subscribed ports. `add(port)` takes an
+ * allowed port; it receives every event until it posts `{ api, type: 'subscribe', events }`
+ * to pick some. `broadcast(event)` sends an event to the ports that want it.
+ * `retain(keep)` disconnects the ports for which `keep(port)` is false (an extension taken
+ * off the allow-list). `onListeningChange(listening)` is called when the first port
+ * connects or the last one goes, so the tracker only produces events while someone is
+ * listening.
+ */
+export function createApiHub({ onListeningChange = () => {} } = {}) {
+  // port -> Set of subscribed event types
+  const subscriptions = new Map();
+
+  function add(port) {
+    subscriptions.set(port, new Set(API_EVENTS));
+    port.onMessage.addListener((message) => {
+      if (!message || message.api !== API_VERSION) {
+        port.postMessage({ api: API_VERSION, type: 'error', error: 'unsupported-api-version' });
+        return;
+      }
+      if (message.type === 'subscribe' && Array.isArray(message.events)) {
+        subscriptions.set(port, new Set(message.events.filter((type) => API_EVENTS.includes(type))));
+      }
+    });
+    port.onDisconnect.addListener(() => drop(port));
+    if (subscriptions.size === 1) onListeningChange(true);
+  }
+
+  function drop(port) {
+    if (!subscriptions.delete(port)) return;
+    if (subscriptions.size === 0) onListeningChange(false);
+  }
+
+  function retain(keep) {
+    for (const port of [...subscriptions.keys()]) {
+      if (keep(port)) continue;
+      // Our own disconnect() doesn't fire onDisconnect on this side
+      port.disconnect();
+      drop(port);
+    }
+  }
+
+  function broadcast(event) {
+    if (event.type === 'state') event = { ...event, state: publicState(event.state) };
+    for (const [port, events] of subscriptions) {
+      if (!events.has(event.type)) continue;
+      try {
+        port.postMessage({ api: API_VERSION, ...event });
+      } catch (error) {
+        // Disconnected before its onDisconnect fired
+        drop(port);
+      }
+    }
+  }
+
+  function isListening() {
+    return subscriptions.size > 0;
+  }
+
+  return { add, broadcast, retain, isListening };
+}
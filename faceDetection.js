@@ -0,0 +1,359 @@
+// faceDetection.js – pixel-based face tracking for when FaceDetector isn't available.
+// Shared by the detector worker and the synchronous fallback in offscreen.js. Each frame,
+// skin pixels are picked by chroma (YCbCr keeps colour apart from brightness, so the rule
+// holds across skin tones and lighting levels), joined into connected blobs, and the blob
+// that continues last frame's face wins. When skin detection loses the face for a moment
+// (a lamp switched on, a hand in front) it is followed by its appearance instead.
+import { MIN_CHROMA_LUMA, SKIN_SAMPLE_REGION, cbOf, crOf, lumaOf } from './color.js';
+import { createPrimaryUserLock } from './primaryUser.js';
+
+// Generic skin chroma ranges, used until the user's own skin has been learnt
+const SKIN_CB_MIN = 77;
+const SKIN_CB_MAX = 127;
+const SKIN_CR_MIN = 133;
+const SKIN_CR_MAX = 180;
+// After a reset, the user's skin colour is learnt over this many frames from the middle
+// of the face box (SKIN_SAMPLE_REGION)
+const MODEL_FRAMES = 30;
+// Learnt model: chroma within this many standard deviations of the user's mean, with the
+// range clamped so it is neither razor-thin nor everything
+const SKIN_SIGMA = 2.5;
+const MIN_CHROMA_SPREAD = 4;
+const MAX_CHROMA_SPREAD = 15;
+// Blobs outside this share of the frame are noise, or a wall
+const MIN_BLOB_AREA_RATIO = 0.01;
+const MAX_BLOB_AREA_RATIO = 0.5;
+// Height over width of a face blob (neck included); table edges and door frames fall outside
+const MIN_BLOB_ASPECT = 0.6;
+const MAX_BLOB_ASPECT = 3;
+// Share of its bounding box a blob must fill; long diagonal streaks fill little
+const MIN_BLOB_FILL = 0.35;
+// Taller blobs are a face with the neck attached; the box keeps this aspect from the top
+const MAX_FACE_ASPECT = 1.3;
+// A blob continues the last face if their boxes overlap at least this much (intersection over union)
+const MIN_TRACK_OVERLAP = 0.3;
+// Appearance template: the face box sampled on a grid this many cells across
+const TEMPLATE_SIZE = 16;
+// Search this far around the last box (share of its width), in steps of this many pixels
+const TEMPLATE_SEARCH_RATIO = 0.4;
+const TEMPLATE_SEARCH_STEP = 2;
+// Mean luma difference per cell (after removing overall brightness) for a match
+const TEMPLATE_MAX_ERROR = 14;
+// A template with less contrast than this (mean per cell) matches any flat patch of wall,
+// and a candidate position with less (standard deviation of its luma) is one
+const MIN_TEMPLATE_CONTRAST = 5;
+// Share of each new frame's appearance blended into the template
+const TEMPLATE_UPDATE_RATE = 0.3;
+// Follow the face on appearance alone for at most this many frames in a row
+const MAX_TEMPLATE_FRAMES = 15;
+// When (re)acquiring, prefer blobs near where a face usually sits
+const EXPECTED_FACE_CENTER_Y_RATIO = 0.4;
+const DISTANCE_PENALTY_FACTOR = 20;
+
+/**
+ * Create a face tracker for a stream of RGBA frames (e.g. ImageData.data) of one size.
+ * `detect(data, width, height, { lockPrimaryUser })` returns `{ x, y, box }` for the face
+ * center and bounds, or null if there is none. With `lockPrimaryUser`, a lost face is only
+ * picked up again if it is the user seen after the last reset (see primaryUser.js), never
+ * someone else. `reset(primaryUser)` forgets the face, the learnt skin colour and the
+ * primary user, or locks onto the given one (a signature from `getPrimaryUser()`); call
+ * it when the camera or the user changes.
+ */
+export function createFaceTracker() {
+  // Learnt skin chroma { cb, cr, spreadCb, spreadCr }, or null while using the generic range
+  let model = null;
+  let modelSamples = null;
+  let lastBox = null;
+  let template = null;
+  let templateFrames = 0;
+  const primaryUser = createPrimaryUserLock();
+
+  function reset(primaryUserSignature = null) {
+    model = null;
+    modelSamples = { frames: 0, count: 0, cb: 0, cr: 0, cb2: 0, cr2: 0 };
+    lastBox = null;
+    template = null;
+    templateFrames = 0;
+    primaryUser.reset(primaryUserSignature);
+  }
+
+  function isSkin(r, g, b) {
+    if (lumaOf(r, g, b) < MIN_CHROMA_LUMA) return false;
+    const cb = cbOf(r, g, b);
+    const cr = crOf(r, g, b);
+    return model
+      ? Math.abs(cb - model.cb) <= model.spreadCb && Math.abs(cr - model.cr) <= model.spreadCr
+      : cb >= SKIN_CB_MIN && cb <= SKIN_CB_MAX && cr >= SKIN_CR_MIN && cr <= SKIN_CR_MAX;
+  }
+
+  function detect(data, width, height, { lockPrimaryUser = false } = {}) {
+    const luma = new Float32Array(width * height);
+    const mask = new Uint8Array(width * height);
+    for (let i = 0; i < width * height; i++) {
+      const r = data[i * 4];
+      const g = data[i * 4 + 1];
+      const b = data[i * 4 + 2];
+      luma[i] = lumaOf(r, g, b);
+      mask[i] = isSkin(r, g, b) ? 1 : 0;
+    }
+
+    const blobs = findBlobs(mask, width, height).filter((blob) => isFaceShaped(blob, width, height));
+    let box = null;
+    let fromSkin = true;
+
+    if (lastBox) {
+      let bestOverlap = MIN_TRACK_OVERLAP;
+      blobs.forEach((blob) => {
+        const overlap = intersectionOverUnion(faceBox(blob), lastBox);
+        if (overlap >= bestOverlap) {
+          bestOverlap = overlap;
+          box = faceBox(blob);
+        }
+      });
+      if (!box && templateFrames < MAX_TEMPLATE_FRAMES) {
+        box = matchTemplate(luma, width, height);
+        fromSkin = false;
+      }
+    }
+    if (!box) {
+      box = lockPrimaryUser
+        ? primaryUser.select(blobs.map(faceBox), data, width)
+        : acquire(blobs, width, height);
+      fromSkin = true;
+    } else if (lockPrimaryUser) {
+      primaryUser.follow(box, data, width);
+    }
+
+    if (!box) {
+      lastBox = null;
+      template = null;
+      templateFrames = 0;
+      return null;
+    }
+
+    templateFrames = fromSkin ? 0 : templateFrames + 1;
+    if (fromSkin && !model) learnSkin(data, width, box);
+    updateTemplate(luma, width, box);
+    lastBox = box;
+    return { x: box.x + box.width / 2, y: box.y + box.height / 2, box };
+  }
+
+  // Best-placed plausible blob when there is no face to continue from
+  function acquire(blobs, width, height) {
+    let best = null;
+    let bestScore = -Infinity;
+    blobs.forEach((blob) => {
+      const box = faceBox(blob);
+      const distance = Math.hypot(
+        (box.x + box.width / 2 - width / 2) / width,
+        (box.y + box.height / 2 - height * EXPECTED_FACE_CENTER_Y_RATIO) / height
+      );
+      const score = blob.area / (width * height) * 100 - distance * DISTANCE_PENALTY_FACTOR;
+      if (score > bestScore) {
+        bestScore = score;
+        best = box;
+      }
+    });
+    return best;
+  }
+
+  function learnSkin(data, width, box) {
+    const x0 = Math.floor(box.x + box.width * SKIN_SAMPLE_REGION.left);
+    const x1 = Math.ceil(box.x + box.width * SKIN_SAMPLE_REGION.right);
+    const y0 = Math.floor(box.y + box.height * SKIN_SAMPLE_REGION.top);
+    const y1 = Math.ceil(box.y + box.height * SKIN_SAMPLE_REGION.bottom);
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        const index = (y * width + x) * 4;
+        const r = data[index];
+        const g = data[index + 1];
+        const b = data[index + 2];
+        // Only pixels the generic rule calls skin: eyes, brows and glasses would skew the mean
+        if (!isSkin(r, g, b)) continue;
+        const cb = cbOf(r, g, b);
+        const cr = crOf(r, g, b);
+        modelSamples.count++;
+        modelSamples.cb += cb;
+        modelSamples.cr += cr;
+        modelSamples.cb2 += cb * cb;
+        modelSamples.cr2 += cr * cr;
+      }
+    }
+
+    if (++modelSamples.frames < MODEL_FRAMES || modelSamples.count === 0) return;
+    const { count } = modelSamples;
+    const cb = modelSamples.cb / count;
+    const cr = modelSamples.cr / count;
+    const spread = (sumOfSquares, mean) => Math.min(MAX_CHROMA_SPREAD, Math.max(MIN_CHROMA_SPREAD,
+      SKIN_SIGMA * Math.sqrt(Math.max(0, sumOfSquares / count - mean * mean))));
+    model = { cb, cr, spreadCb: spread(modelSamples.cb2, cb), spreadCr: spread(modelSamples.cr2, cr) };
+  }
+
+  // The position around the last box whose appearance best matches the template. Each
+  // candidate's mean and spread come from summed-area tables: flat ones are skipped, and
+  // the rest dropped as soon as their error can't beat the best so far, most after a
+  // fraction of the grid.
+  function matchTemplate(luma, width, height) {
+    if (!template || template.reduce((sum, value) => sum + Math.abs(value), 0) / template.length < MIN_TEMPLATE_CONTRAST) {
+      return null;
+    }
+    const radius = Math.max(TEMPLATE_SEARCH_STEP, Math.round(lastBox.width * TEMPLATE_SEARCH_RATIO));
+    const offsets = cellOffsets(lastBox, width);
+    const { sums, squares } = summedAreaTables(luma, width, height);
+    let best = null;
+    // Total over all cells, rather than the mean, so candidates can stop early
+    let bestError = TEMPLATE_MAX_ERROR * template.length;
+
+    for (let dy = -radius; dy <= radius; dy += TEMPLATE_SEARCH_STEP) {
+      for (let dx = -radius; dx <= radius; dx += TEMPLATE_SEARCH_STEP) {
+        const candidate = { ...lastBox, x: lastBox.x + dx, y: lastBox.y + dy };
+        if (candidate.x < 0 || candidate.y < 0 || candidate.x + candidate.width > width || candidate.y + candidate.height > height) {
+          continue;
+        }
+        const mean = boxMean(sums, width, candidate);
+        if (Math.sqrt(Math.max(0, boxMean(squares, width, candidate) - mean * mean)) < MIN_TEMPLATE_CONTRAST) continue;
+        const corner = candidate.y * width + candidate.x;
+        let error = 0;
+        for (let i = 0; i < template.length && error < bestError; i++) {
+          error += Math.abs(luma[corner + offsets[i]] - mean - template[i]);
+        }
+        if (error < bestError) {
+          bestError = error;
+          best = candidate;
+        }
+      }
+    }
+    return best;
+  }
+
+  function updateTemplate(luma, width, box) {
+    const cells = sampleCells(luma, width, box);
+    if (!template) {
+      template = cells;
+      return;
+    }
+    for (let i = 0; i < cells.length; i++) {
+      template[i] += (cells[i] - template[i]) * TEMPLATE_UPDATE_RATE;
+    }
+  }
+
+  reset();
+  return { detect, reset, getPrimaryUser: primaryUser.getSignature };
+}
+
+// Connected regions (4-neighbour) of set pixels in `mask`, as bounding boxes and areas.
+// Clears the mask as it goes.
+function findBlobs(mask, width, height) {
+  const blobs = [];
+  const stack = new Int32Array(width * height);
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start]) continue;
+    let size = 0;
+    stack[size++] = start;
+    mask[start] = 0;
+    const blob = { x0: width, y0: height, x1: 0, y1: 0, area: 0 };
+
+    while (size > 0) {
+      const index = stack[--size];
+      const x = index % width;
+      const y = (index - x) / width;
+      blob.area++;
+      if (x < blob.x0) blob.x0 = x;
+      if (x >= blob.x1) blob.x1 = x + 1;
+      if (y < blob.y0) blob.y0 = y;
+      if (y >= blob.y1) blob.y1 = y + 1;
+
+      if (x > 0 && mask[index - 1]) { mask[index - 1] = 0; stack[size++] = index - 1; }
+      if (x < width - 1 && mask[index + 1]) { mask[index + 1] = 0; stack[size++] = index + 1; }
+      if (y > 0 && mask[index - width]) { mask[index - width] = 0; stack[size++] = index - width; }
+      if (y < height - 1 && mask[index + width]) { mask[index + width] = 0; stack[size++] = index + width; }
+    }
+    blobs.push(blob);
+  }
+  return blobs;
+}
+
+function isFaceShaped(blob, width, height) {
+  const blobWidth = blob.x1 - blob.x0;
+  const blobHeight = blob.y1 - blob.y0;
+  const aspect = blobHeight / blobWidth;
+  return blob.area >= width * height * MIN_BLOB_AREA_RATIO &&
+    blob.area <= width * height * MAX_BLOB_AREA_RATIO &&
+    aspect >= MIN_BLOB_ASPECT &&
+    aspect <= MAX_BLOB_ASPECT &&
+    blob.area / (blobWidth * blobHeight) >= MIN_BLOB_FILL;
+}
+
+function faceBox(blob) {
+  const width = blob.x1 - blob.x0;
+  return { x: blob.x0, y: blob.y0, width, height: Math.min(blob.y1 - blob.y0, Math.round(width * MAX_FACE_ASPECT)) };
+}
+
+function intersectionOverUnion(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  if (width <= 0 || height <= 0) return 0;
+  const intersection = width * height;
+  return intersection / (a.width * a.height + b.width * b.height - intersection);
+}
+
+// Summed-area tables of luma and its square, (width + 1) wide: each entry is the total
+// above and left of it, so the mean and spread of any box take four lookups each. Only
+// built for frames that fall back on the template.
+function summedAreaTables(luma, width, height) {
+  const stride = width + 1;
+  const sums = new Float64Array(stride * (height + 1));
+  const squares = new Float64Array(stride * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    let rowSquares = 0;
+    for (let x = 0; x < width; x++) {
+      const value = luma[y * width + x];
+      rowSum += value;
+      rowSquares += value * value;
+      sums[(y + 1) * stride + x + 1] = sums[y * stride + x + 1] + rowSum;
+      squares[(y + 1) * stride + x + 1] = squares[y * stride + x + 1] + rowSquares;
+    }
+  }
+  return { sums, squares };
+}
+
+// Mean over `box` of what a summed-area table sums
+function boxMean(table, width, box) {
+  const stride = width + 1;
+  const x1 = box.x + box.width;
+  const y1 = box.y + box.height;
+  const total = table[y1 * stride + x1] - table[box.y * stride + x1] -
+    table[y1 * stride + box.x] + table[box.y * stride + box.x];
+  return total / (box.width * box.height);
+}
+
+// Where a box's TEMPLATE_SIZE grid samples luma, the middle of each cell, as offsets from
+// its corner in a frame `width` pixels wide. Boxes lie on whole pixels, so every
+// candidate position of one box size shares them.
+function cellOffsets(box, width) {
+  const offsets = new Int32Array(TEMPLATE_SIZE * TEMPLATE_SIZE);
+  for (let row = 0; row < TEMPLATE_SIZE; row++) {
+    const y = Math.floor((row + 0.5) * box.height / TEMPLATE_SIZE);
+    for (let column = 0; column < TEMPLATE_SIZE; column++) {
+      offsets[row * TEMPLATE_SIZE + column] = y * width + Math.floor((column + 0.5) * box.width / TEMPLATE_SIZE);
+    }
+  }
+  return offsets;
+}
+
+// Luma of `box` on a TEMPLATE_SIZE grid, minus the mean of the whole box so overall
+// brightness changes don't count
+function sampleCells(luma, width, box) {
+  const offsets = cellOffsets(box, width);
+  const corner = box.y * width + box.x;
+  let total = 0;
+  for (let y = box.y; y < box.y + box.height; y++) {
+    for (let x = box.x; x < box.x + box.width; x++) total += luma[y * width + x];
+  }
+  const mean = total / (box.width * box.height);
+  const cells = new Float32Array(offsets.length);
+  for (let i = 0; i < cells.length; i++) cells[i] = luma[corner + offsets[i]] - mean;
+  return cells;
+}
@@ -0,0 +1,96 @@
+// faceFeatures.js – how open the eyes and mouth look, measured on the analysis canvas.
+// Open eyes show dark pupils and lashes, closed ones mostly skin; an open mouth shows a
+// dark cavity. Both are measured as the share of dark pixels in their region, compared
+// with the face's own skin brightness so lighting matters less. The values only mean
+// something relative to the same person's calibrated baseline (see tracker.js).
+import { lumaOf } from './color.js';
+
+// Pixels darker than this fraction of the face's skin brightness count as dark
+const DARK_PIXEL_RATIO = 0.6;
+// Feature regions as fractions of the face box, used when there are no landmarks
+const EYE_BAND = { top: 0.3, bottom: 0.5, left: 0.15, right: 0.85 };
+const MOUTH_BOX = { top: 0.7, bottom: 0.92, left: 0.3, right: 0.7 };
+// Skin reference: the cheeks and nose, between eyes and mouth
+const SKIN_BOX = { top: 0.5, bottom: 0.65, left: 0.25, right: 0.75 };
+// Region sizes around landmark points, as fractions of the face box
+const EYE_REGION_SIZE = { width: 0.25, height: 0.14 };
+const MOUTH_REGION_SIZE = { width: 0.4, height: 0.2 };
+
+const luma = (data, index) => lumaOf(data[index], data[index + 1], data[index + 2]);
+
+function clampRegion(region, width, height) {
+  const x0 = Math.max(0, Math.floor(region.x));
+  const y0 = Math.max(0, Math.floor(region.y));
+  const x1 = Math.min(width, Math.ceil(region.x + region.width));
+  const y1 = Math.min(height, Math.ceil(region.y + region.height));
+  return x1 > x0 && y1 > y0 ? { x0, y0, x1, y1 } : null;
+}
+
+function meanLuma(data, width, region) {
+  let total = 0;
+  let count = 0;
+  for (let y = region.y0; y < region.y1; y++) {
+    for (let x = region.x0; x < region.x1; x++) {
+      total += luma(data, (y * width + x) * 4);
+      count++;
+    }
+  }
+  return total / count;
+}
+
+function darkFraction(data, width, region, darkBelow) {
+  let dark = 0;
+  let count = 0;
+  for (let y = region.y0; y < region.y1; y++) {
+    for (let x = region.x0; x < region.x1; x++) {
+      if (luma(data, (y * width + x) * 4) < darkBelow) dark++;
+      count++;
+    }
+  }
+  return dark / count;
+}
+
+const boxPart = (box, part) => ({
+  x: box.x + box.width * part.left,
+  y: box.y + box.height * part.top,
+  width: box.width * (part.right - part.left),
+  height: box.height * (part.bottom - part.top)
+});
+
+const around = (point, box, size) => ({
+  x: point.x - box.width * size.width / 2,
+  y: point.y - box.height * size.height / 2,
+  width: box.width * size.width,
+  height: box.height * size.height
+});
+
+/**
+ * Measure eye and mouth openness inside `box` of an RGBA pixel buffer. `landmarks` are
+ * optional `{ eyes: [{x, y}], mouth: {x, y} }` points in the same coordinates; without
+ * them the regions are placed by typical face proportions.
+ * Returns `{ eyes, mouth }` (shares of dark pixels, 0-1) or null if the box is off-frame.
+ */
+export function measureFaceFeatures(data, width, height, box, landmarks = null) {
+  const skin = clampRegion(boxPart(box, SKIN_BOX), width, height);
+  if (!skin) return null;
+  const darkBelow = meanLuma(data, width, skin) * DARK_PIXEL_RATIO;
+
+  const eyeRegions = landmarks && landmarks.eyes && landmarks.eyes.length >= 2
+    ? landmarks.eyes.map((eye) => around(eye, box, EYE_REGION_SIZE))
+    : [boxPart(box, EYE_BAND)];
+  const mouthRegion = landmarks && landmarks.mouth
+    ? around(landmarks.mouth, box, MOUTH_REGION_SIZE)
+    : boxPart(box, MOUTH_BOX);
+
+  const eyes = eyeRegions
+    .map((region) => clampRegion(region, width, height))
+    .filter(Boolean)
+    .map((region) => darkFraction(data, width, region, darkBelow));
+  const mouth = clampRegion(mouthRegion, width, height);
+  if (eyes.length === 0 || !mouth) return null;
+
+  return {
+    eyes: eyes.reduce((a, b) => a + b, 0) / eyes.length,
+    mouth: darkFraction(data, width, mouth, darkBelow)
+  };
+}
@@ -0,0 +1,91 @@
+// faceLandmarks.js – eye, nose and mouth points inside a face box found by pixel-based
+// tracking, so head pose (pose.js) works without FaceDetector landmarks too. The eyes,
+// nostrils and mouth are the darkest parts of a face; each is placed at the centre of the
+// pixels in its region that are clearly darker than the cheeks. Coarser than FaceDetector's
+// landmarks, but head pose only has to follow changes from the calibrated baseline.
+import { lumaOf } from './color.js';
+
+// Regions to look in, as fractions of the face box. The eye band is split at the middle
+// of the box, one eye each side.
+const EYE_BAND = { top: 0.2, bottom: 0.5, left: 0.1, right: 0.9 };
+const NOSE_BOX = { top: 0.5, bottom: 0.68, left: 0.35, right: 0.65 };
+const MOUTH_BOX = { top: 0.68, bottom: 0.95, left: 0.25, right: 0.75 };
+// Skin reference, either side of the nose
+const CHEEKS = [
+  { top: 0.5, bottom: 0.68, left: 0.12, right: 0.3 },
+  { top: 0.5, bottom: 0.68, left: 0.7, right: 0.88 }
+];
+// Pixels darker than this fraction of the cheeks count towards a feature. Nostrils are a
+// few pixels across at the analysis size, blurred into the skin around them, so they get
+// a laxer limit.
+const DARK_PIXEL_RATIO = 0.6;
+const NOSTRIL_DARK_RATIO = 0.8;
+// Fewer dark pixels than this is noise, not a feature
+const MIN_FEATURE_PIXELS = 2;
+
+function region(box, part, width, height) {
+  const x0 = Math.max(0, Math.floor(box.x + box.width * part.left));
+  const y0 = Math.max(0, Math.floor(box.y + box.height * part.top));
+  const x1 = Math.min(width, Math.ceil(box.x + box.width * part.right));
+  const y1 = Math.min(height, Math.ceil(box.y + box.height * part.bottom));
+  return x1 > x0 && y1 > y0 ? { x0, y0, x1, y1 } : null;
+}
+
+const lumaAt = (data, width, x, y) => {
+  const i = (y * width + x) * 4;
+  return lumaOf(data[i], data[i + 1], data[i + 2]);
+};
+
+// Centre of the pixels in `area` darker than `darkBelow`, the darker the heavier, as a
+// FaceDetector landmark location; null when too few are dark
+function darkCenter(data, width, area, darkBelow) {
+  let weight = 0;
+  let sumX = 0;
+  let sumY = 0;
+  let count = 0;
+  for (let y = area.y0; y < area.y1; y++) {
+    for (let x = area.x0; x < area.x1; x++) {
+      const darkness = darkBelow - lumaAt(data, width, x, y);
+      if (darkness <= 0) continue;
+      weight += darkness;
+      sumX += (x + 0.5) * darkness;
+      sumY += (y + 0.5) * darkness;
+      count++;
+    }
+  }
+  return count >= MIN_FEATURE_PIXELS ? { x: sumX / weight, y: sumY / weight } : null;
+}
+
+/**
+ * Find the eyes, nose and mouth inside `box` of an RGBA pixel buffer. Returns them in the
+ * shape of FaceDetector's `landmarks` (`[{ type, locations: [{x, y}] }]`, see pose.js),
+ * leaving out any that can't be made out, e.g. closed eyes; empty if the box is off-frame.
+ */
+export function findFaceLandmarks(data, width, height, box) {
+  const cheeks = CHEEKS.map((part) => region(box, part, width, height)).filter(Boolean);
+  if (cheeks.length === 0) return [];
+  let skinTotal = 0;
+  let skinCount = 0;
+  cheeks.forEach((area) => {
+    for (let y = area.y0; y < area.y1; y++) {
+      for (let x = area.x0; x < area.x1; x++) {
+        skinTotal += lumaAt(data, width, x, y);
+        skinCount++;
+      }
+    }
+  });
+  const skin = skinTotal / skinCount;
+
+  const middle = EYE_BAND.left + (EYE_BAND.right - EYE_BAND.left) / 2;
+  const searches = [
+    { type: 'eye', part: { ...EYE_BAND, right: middle }, ratio: DARK_PIXEL_RATIO },
+    { type: 'eye', part: { ...EYE_BAND, left: middle }, ratio: DARK_PIXEL_RATIO },
+    { type: 'nose', part: NOSE_BOX, ratio: NOSTRIL_DARK_RATIO },
+    { type: 'mouth', part: MOUTH_BOX, ratio: DARK_PIXEL_RATIO }
+  ];
+  return searches.flatMap(({ type, part, ratio }) => {
+    const area = region(box, part, width, height);
+    const center = area && darkCenter(data, width, area, skin * ratio);
+    return center ? [{ type, locations: [center] }] : [];
+  });
+}
@@ -0,0 +1,30 @@
+// frameAnalysis.js – the pixel pipeline for one analysis-canvas frame: exposure correction,
+// face tracking, head pose and, when a gesture needs it, eye and mouth measurement. Runs
+// in the detector worker, or on the main thread when there is no worker.
+import { findFaceLandmarks } from './faceLandmarks.js';
+import { measureFaceFeatures } from './faceFeatures.js';
+import { correctLighting, measureLight } from './lighting.js';
+import { estimateHeadPose } from './pose.js';
+
+/**
+ * Analyse an RGBA frame with `faceTracker` (see faceDetection.js), correcting its exposure
+ * in place first. Returns `{ face, light, primaryUser }`: the face, with its `pose` (null
+ * when its eyes and nose can't be made out, see faceLandmarks.js) and `features` if
+ * `measureFeatures`, or null; the frame's brightness before correction (see lighting.js);
+ * and with `lockPrimaryUser`, which is passed on to the face tracker, the primary user's
+ * signature (null until learnt, see primaryUser.js).
+ */
+export function analyzeFrame(faceTracker, data, width, height, { measureFeatures = false, lockPrimaryUser = false } = {}) {
+  const light = measureLight(data);
+  // Brighten dim frames before looking for skin in them
+  correctLighting(data, light);
+
+  const face = faceTracker.detect(data, width, height, { lockPrimaryUser });
+  if (face) {
+    face.pose = estimateHeadPose(findFaceLandmarks(data, width, height, face.box));
+  }
+  if (face && measureFeatures) {
+    face.features = measureFaceFeatures(data, width, height, face.box);
+  }
+  return { face, light, primaryUser: lockPrimaryUser ? faceTracker.getPrimaryUser() : null };
+}
@@ -0,0 +1,266 @@
+// gestures.js – turns the per-frame head offset from baseline, and eye and mouth
+// openness, into discrete gestures.
+
+export const GESTURES = {
+  nodDown: 'Nod down',
+  nodUp: 'Nod up',
+  doubleNodDown: 'Double nod down',
+  doubleNodUp: 'Double nod up',
+  holdDown: 'Hold head down',
+  holdUp: 'Hold head up',
+  tiltLeft: 'Tilt / turn left',
+  tiltRight: 'Tilt / turn right',
+  longBlink: 'Long blink',
+  doubleBlink: 'Double blink',
+  mouthOpen: 'Open mouth'
+};
+
+/** Gestures made with the eyes or mouth rather than by moving the head. */
+export const FACE_GESTURES = ['longBlink', 'doubleBlink', 'mouthOpen'];
+
+// A nod is an excursion past the threshold that comes back within this time
+const NOD_MAX_MS = 700;
+// Excursions held this long become a hold gesture instead of a nod
+const HOLD_MS = 900;
+// While a hold (or tilt) continues, it re-fires at this interval
+const REPEAT_MS = 500;
+// Second nod must finish within this window of the first to count as a double nod
+const DOUBLE_NOD_WINDOW_MS = 600;
+// The head counts as back to neutral below this fraction of the threshold (hysteresis)
+const NEUTRAL_RATIO = 0.5;
+// Cap on how many thresholds past baseline count towards gesture intensity
+const MAX_INTENSITY = 4;
+// With confirmation on, a nod followed this soon by a swing past the threshold the other
+// way was a jolt (a sneeze, a glance at the keyboard and back), not a nod
+const REVERSAL_WINDOW_MS = 300;
+
+// Eyes count as closed below this share of their calibrated openness, and open again
+// above the second (hysteresis against flicker around one threshold)
+const EYES_CLOSED_RATIO = 0.5;
+const EYES_OPEN_RATIO = 0.75;
+// Natural blinks last roughly 100-150ms. Shorter closures are ignored; a deliberate blink
+// is held at least FIRM_BLINK_MS, and LONG_BLINK_MS makes it a long blink.
+const FIRM_BLINK_MS = 200;
+const LONG_BLINK_MS = 700;
+// Second firm blink must start within this time of the first one ending
+const DOUBLE_BLINK_WINDOW_MS = 700;
+// Mouth counts as open this far (share of the mouth region) above its calibrated value...
+const MOUTH_OPEN_DELTA = 0.15;
+// ...for this long, so talking doesn't trigger it
+const MOUTH_OPEN_MS = 500;
+
+/**
+ * Create a gesture recognizer. Feed it one sample per frame with `update()`;
+ * it returns the gestures completed on that frame as `{ gesture, intensity }`.
+ *
+ * With `confirmFrames` above zero, a movement must stay past the threshold for that many
+ * frames before it can count, and a nod is held back for REVERSAL_WINDOW_MS and dropped
+ * if the head swings past the threshold the opposite way in that time.
+ *
+ * `waitForDouble(gesture)` tells the recognizer whether a single nod should be held
+ * back for DOUBLE_NOD_WINDOW_MS in case it becomes a double nod. Returning false lets
+ * single nods fire without that delay when no double nod is bound.
+ */
+export function createGestureRecognizer({ waitForDouble = () => true } = {}) {
+  // Current excursion away from neutral, or null while neutral
+  let excursion = null;
+  // Single nod waiting to see whether a second one follows
+  let pendingNod = null;
+  // With confirmation on: a finished nod waiting to see whether it is immediately reversed
+  let unconfirmedNod = null;
+
+  function reset() {
+    excursion = null;
+    pendingNod = null;
+    unconfirmedNod = null;
+  }
+
+  function update({ deltaY, deltaX, thresholdY, thresholdX, now, confirmFrames = 0 }) {
+    const events = [];
+    const verticalRatio = deltaY / thresholdY;
+    const horizontalRatio = deltaX / thresholdX;
+
+    // A nod nothing reversed is confirmed, as of when it ended
+    if (unconfirmedNod && now - unconfirmedNod.time > REVERSAL_WINDOW_MS) {
+      events.push(...confirmNod());
+    }
+    // Flush a single nod whose double-nod window has run out
+    if (pendingNod && now - pendingNod.time > DOUBLE_NOD_WINDOW_MS) {
+      events.push({ gesture: pendingNod.gesture, intensity: pendingNod.intensity });
+      pendingNod = null;
+    }
+
+    if (!excursion) {
+      // Only one axis at a time: the one furthest past its own threshold wins
+      const absVertical = Math.abs(verticalRatio);
+      const absHorizontal = Math.abs(horizontalRatio);
+      if (absVertical > 1 && absVertical >= absHorizontal) {
+        const sign = Math.sign(verticalRatio);
+        // Swinging straight past the other way: the nod and this swing are one jolt.
+        // Another nod the same way means the first one wasn't reversed.
+        const rebound = Boolean(unconfirmedNod && unconfirmedNod.sign !== sign);
+        if (rebound) unconfirmedNod = null;
+        if (unconfirmedNod) events.push(...confirmNod());
+        excursion = { axis: 'y', sign, start: now, peak: absVertical, lastRepeat: null, framesPast: 1, rebound };
+      } else if (absHorizontal > 1) {
+        excursion = { axis: 'x', sign: Math.sign(horizontalRatio), start: now, peak: absHorizontal, lastRepeat: null, framesPast: 1 };
+        if (confirmFrames <= 1) {
+          excursion.lastRepeat = now;
+          events.push({ gesture: tiltGesture(excursion.sign), intensity: intensityOf(absHorizontal) });
+        }
+      }
+      return events;
+    }
+
+    const ratio = excursion.axis === 'y' ? verticalRatio : horizontalRatio;
+    const signedRatio = ratio * excursion.sign;
+    if (signedRatio > 1) excursion.framesPast++;
+    const confirmed = excursion.framesPast >= confirmFrames;
+
+    if (signedRatio < NEUTRAL_RATIO) {
+      // Back to neutral: a short vertical excursion that never became a hold is a nod
+      if (excursion.axis === 'y' && excursion.lastRepeat === null && now - excursion.start <= NOD_MAX_MS &&
+          confirmed && !excursion.rebound) {
+        const direction = excursion.sign > 0 ? 'Down' : 'Up';
+        if (confirmFrames > 0) {
+          unconfirmedNod = { direction, sign: excursion.sign, intensity: intensityOf(excursion.peak), time: now };
+        } else {
+          events.push(...completeNod(direction, intensityOf(excursion.peak), now));
+        }
+      }
+      excursion = null;
+      return events;
+    }
+
+    excursion.peak = Math.max(excursion.peak, signedRatio);
+    if (!confirmed) return events;
+
+    if (excursion.axis === 'y') {
+      const gesture = excursion.sign > 0 ? 'holdDown' : 'holdUp';
+      if (excursion.lastRepeat === null && now - excursion.start >= HOLD_MS) {
+        excursion.lastRepeat = now;
+        events.push({ gesture, intensity: intensityOf(signedRatio) });
+      } else if (excursion.lastRepeat !== null && now - excursion.lastRepeat >= REPEAT_MS) {
+        excursion.lastRepeat = now;
+        events.push({ gesture, intensity: intensityOf(signedRatio) });
+      }
+    } else if (excursion.lastRepeat === null) {
+      // Held past the threshold long enough to confirm the tilt
+      excursion.lastRepeat = now;
+      events.push({ gesture: tiltGesture(excursion.sign), intensity: intensityOf(signedRatio) });
+    } else if (signedRatio > 1 && now - excursion.lastRepeat >= REPEAT_MS) {
+      excursion.lastRepeat = now;
+      events.push({ gesture: tiltGesture(excursion.sign), intensity: intensityOf(signedRatio) });
+    }
+
+    return events;
+  }
+
+  function confirmNod() {
+    const { direction, intensity, time } = unconfirmedNod;
+    unconfirmedNod = null;
+    return completeNod(direction, intensity, time);
+  }
+
+  // The camera image is not mirrored: turning or tilting to your right moves the face
+  // towards the left of the frame (negative deltaX)
+  function tiltGesture(sign) {
+    return sign < 0 ? 'tiltRight' : 'tiltLeft';
+  }
+
+  function completeNod(direction, intensity, now) {
+    const single = `nod${direction}`;
+    const double = `doubleNod${direction}`;
+
+    if (pendingNod && pendingNod.gesture === single) {
+      pendingNod = null;
+      return [{ gesture: double, intensity }];
+    }
+
+    // A different pending nod is not going to pair up any more
+    const flushed = pendingNod ? [{ gesture: pendingNod.gesture, intensity: pendingNod.intensity }] : [];
+    pendingNod = null;
+
+    if (waitForDouble(double)) {
+      pendingNod = { gesture: single, intensity, time: now };
+      return flushed;
+    }
+    return [...flushed, { gesture: single, intensity }];
+  }
+
+  return { update, reset };
+}
+
+/**
+ * Create a recognizer for eye and mouth gestures. Feed it one sample per frame with
+ * `update({ eyes, mouth, now })`: `eyes` is eye openness relative to the calibrated
+ * baseline (1 = as open as during calibration), `mouth` how much more of the mouth region
+ * reads as open than during calibration. Returns the gestures completed on that frame
+ * as `{ gesture, intensity }`.
+ */
+export function createFaceGestureRecognizer() {
+  // When the eyes closed, or null while open
+  let eyesClosedAt = null;
+  let longBlinkFired = false;
+  // When the last firm (deliberate) blink ended, waiting for a second one
+  let firmBlinkEndedAt = null;
+  // When the mouth opened, or null while closed
+  let mouthOpenedAt = null;
+  let mouthFired = false;
+
+  function reset() {
+    eyesClosedAt = null;
+    longBlinkFired = false;
+    firmBlinkEndedAt = null;
+    mouthOpenedAt = null;
+    mouthFired = false;
+  }
+
+  function update({ eyes, mouth, now }) {
+    const events = [];
+
+    if (firmBlinkEndedAt !== null && now - firmBlinkEndedAt > DOUBLE_BLINK_WINDOW_MS) {
+      firmBlinkEndedAt = null;
+    }
+
+    if (eyesClosedAt === null && eyes < EYES_CLOSED_RATIO) {
+      eyesClosedAt = now;
+    } else if (eyesClosedAt !== null && eyes > EYES_OPEN_RATIO) {
+      const duration = now - eyesClosedAt;
+      if (!longBlinkFired && duration >= FIRM_BLINK_MS) {
+        if (firmBlinkEndedAt !== null) {
+          events.push({ gesture: 'doubleBlink', intensity: 1 });
+          firmBlinkEndedAt = null;
+        } else {
+          firmBlinkEndedAt = now;
+        }
+      }
+      eyesClosedAt = null;
+      longBlinkFired = false;
+    } else if (eyesClosedAt !== null && !longBlinkFired && now - eyesClosedAt >= LONG_BLINK_MS) {
+      // Fire while still closed so the user knows when to open their eyes again
+      longBlinkFired = true;
+      firmBlinkEndedAt = null;
+      events.push({ gesture: 'longBlink', intensity: 1 });
+    }
+
+    if (mouth >= MOUTH_OPEN_DELTA) {
+      if (mouthOpenedAt === null) mouthOpenedAt = now;
+      if (!mouthFired && now - mouthOpenedAt >= MOUTH_OPEN_MS) {
+        mouthFired = true;
+        events.push({ gesture: 'mouthOpen', intensity: 1 });
+      }
+    } else if (mouth < MOUTH_OPEN_DELTA * NEUTRAL_RATIO) {
+      mouthOpenedAt = null;
+      mouthFired = false;
+    }
+
+    return events;
+  }
+
+  return { update, reset };
+}
+
+function intensityOf(ratio) {
+  return Math.min(Math.abs(ratio), MAX_INTENSITY);
+}
@@ -0,0 +1,151 @@
+// hud.js – the on-page status display: tracking state, a live gauge of the head offset
+// against the threshold, the calibration countdown and a flash for each scroll. Bundled
+// into scroller.js. It lives in a closed shadow root on a fixed, click-through host, so
+// the page's styles don't reach it and it takes no part in the page's layout or events.
+
+// Hide when updates stop arriving (tracking stopped, tab switched away)
+const HUD_TIMEOUT_MS = 1500;
+const FLASH_MS = 800;
+// The gauge spans this many thresholds either side of the baseline
+const GAUGE_RANGE = 2;
+
+const CORNERS = {
+  'top-left': { top: '16px', left: '16px' },
+  'top-right': { top: '16px', right: '16px' },
+  'bottom-left': { bottom: '16px', left: '16px' },
+  'bottom-right': { bottom: '16px', right: '16px' }
+};
+
+const STATE_COLORS = {
+  tracking: '#4caf50',
+  loading: '#f0ad4e',
+  ready: '#9e9e9e',
+  paused: '#9e9e9e',
+  error: '#e06c5a'
+};
+
+const STYLE = `
+  .hud {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 6px 10px;
+    border-radius: 16px;
+    background: rgba(32, 33, 36, 0.9);
+    color: #fff;
+    font: 12px/1.2 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+    transition: transform 0.15s ease;
+  }
+  .hud.flashing { transform: scale(1.08); }
+  .dot { width: 8px; height: 8px; border-radius: 50%; flex: none; }
+  .gauge { position: relative; width: 6px; height: 28px; border-radius: 3px; background: rgba(255, 255, 255, 0.15); flex: none; }
+  .gauge[hidden] { display: none; }
+  .band { position: absolute; left: 0; right: 0; border-top: 1px solid rgba(255, 255, 255, 0.5); border-bottom: 1px solid rgba(255, 255, 255, 0.5); }
+  .marker { position: absolute; left: -2px; right: -2px; height: 4px; margin-top: -2px; border-radius: 2px; background: #fff; }
+  .marker.past { background: #ff9800; }
+  .flash { font-weight: 600; }
+  .flash:empty { display: none; }
+`;
+
+/**
+ * Create the HUD for this page. `update(state, flash)` shows `state`:
+ *
+ *   { type, label, offset }   type as in the popup's status ('tracking', 'loading',
+ *                             'ready', 'error') or 'paused'; offset is the vertical head
+ *                             offset in thresholds, null before calibration
+ *
+ * and briefly shows `flash` (e.g. the action just performed) if given. `update(null)`
+ * removes the HUD, as does a lack of updates. `configure({ position, opacity })` sets the
+ * corner ('top-left', ... 'bottom-right') and opacity (0-1).
+ */
+export function createHud() {
+  let host = null;
+  let parts = null;
+  let options = { position: 'bottom-right', opacity: 0.85 };
+  let hideTimer = null;
+  let flashTimer = null;
+
+  function mount() {
+    // A custom element name, so page rules for div and friends don't match the host
+    host = document.createElement('head-knock-hud');
+    host.setAttribute('aria-hidden', 'true');
+    const root = host.attachShadow({ mode: 'closed' });
+    root.innerHTML = `<style>${STYLE}</style>
+      <div class="hud">
+        <span class="dot"></span>
+        <div class="gauge"><div class="band"></div><div class="marker"></div></div>
+        <span class="label"></span>
+        <span class="flash"></span>
+      </div>`;
+    parts = {
+      hud: root.querySelector('.hud'),
+      dot: root.querySelector('.dot'),
+      gauge: root.querySelector('.gauge'),
+      band: root.querySelector('.band'),
+      marker: root.querySelector('.marker'),
+      label: root.querySelector('.label'),
+      flash: root.querySelector('.flash')
+    };
+    // The threshold band only depends on the gauge range
+    const bandHeight = 100 / GAUGE_RANGE;
+    parts.band.style.top = `${50 - bandHeight / 2}%`;
+    parts.band.style.height = `${bandHeight}%`;
+    applyOptions();
+    document.documentElement.appendChild(host);
+  }
+
+  function applyOptions() {
+    if (!host) return;
+    host.style.cssText = 'all: initial; position: fixed; z-index: 2147483647; pointer-events: none;';
+    Object.assign(host.style, CORNERS[options.position] || CORNERS['bottom-right']);
+    host.style.opacity = String(options.opacity);
+  }
+
+  function configure(changes) {
+    options = { ...options, ...changes };
+    applyOptions();
+  }
+
+  function update(state, flash) {
+    if (!state) {
+      remove();
+      return;
+    }
+    if (!host || !host.isConnected) mount();
+
+    parts.dot.style.background = STATE_COLORS[state.type] || STATE_COLORS.ready;
+    parts.label.textContent = state.label;
+    parts.gauge.hidden = state.offset === null;
+    if (state.offset !== null) {
+      const position = Math.max(-1, Math.min(1, state.offset / GAUGE_RANGE));
+      parts.marker.style.top = `${50 + position * 50}%`;
+      parts.marker.classList.toggle('past', Math.abs(state.offset) >= 1);
+    }
+    if (flash) showFlash(flash);
+
+    clearTimeout(hideTimer);
+    hideTimer = setTimeout(remove, HUD_TIMEOUT_MS);
+  }
+
+  function showFlash(text) {
+    parts.flash.textContent = text;
+    parts.hud.classList.add('flashing');
+    clearTimeout(flashTimer);
+    flashTimer = setTimeout(() => {
+      if (!parts) return;
+      parts.flash.textContent = '';
+      parts.hud.classList.remove('flashing');
+    }, FLASH_MS);
+  }
+
+  function remove() {
+    clearTimeout(hideTimer);
+    clearTimeout(flashTimer);
+    if (host) host.remove();
+    host = null;
+    parts = null;
+  }
+
+  return { update, configure, remove };
+}
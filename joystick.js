@@ -0,0 +1,19 @@
+// joystick.js – continuous scrolling: maps the head offset from baseline to a scroll velocity.
+
+// Offset (in multiples of the sensitivity threshold) at which max speed is reached, unless
+// the calibration wizard measured the user's own range (see rangeOfMotion.js)
+const FULL_SPEED_RATIO = 3;
+
+/**
+ * Scroll velocity in page pixels per second for a head offset `delta` from baseline.
+ * Offsets inside `threshold` are the dead zone and give 0; beyond it speed rises along
+ * `curve` (1 = linear, >1 = gentle start, <1 = quick start) up to `maxSpeed`, reached at
+ * `fullSpeedRatio` thresholds. The sign follows `delta`.
+ */
+export function scrollVelocity(delta, threshold, { maxSpeed, curve, fullSpeedRatio = FULL_SPEED_RATIO }) {
+  const ratio = Math.abs(delta) / threshold;
+  if (ratio <= 1) return 0;
+
+  const progress = Math.min((ratio - 1) / (fullSpeedRatio - 1), 1);
+  return Math.sign(delta) * maxSpeed * Math.pow(progress, curve);
+}
@@ -0,0 +1,80 @@
+// lighting.js – frame brightness statistics and software exposure correction, applied to
+// the analysis canvas before pixel-based tracking. Dim rooms and cheap webcams give flat,
+// dark frames where skin barely has any colour; stretching the used brightness range and
+// lifting the midtones gives the tracker something to work with.
+import { lumaOf } from './color.js';
+
+// Brightness percentiles that count as the frame's black and white points
+const LOW_PERCENTILE = 0.02;
+const HIGH_PERCENTILE = 0.98;
+// Corrected frames aim for this mean brightness
+const TARGET_MEAN = 120;
+// Frames already spanning most of the range around a reasonable mean are left alone
+const GOOD_LOW = 25;
+const GOOD_HIGH = 230;
+const GOOD_MEAN_MIN = 80;
+const GOOD_MEAN_MAX = 170;
+// Limits, so a near-black frame turns into visible noise rather than pure static
+const MAX_GAIN = 4;
+const MIN_GAMMA = 0.4;
+const MAX_GAMMA = 1.6;
+// Below this mean, or with nothing brighter than TOO_DARK_HIGH, no correction helps much
+const TOO_DARK_MEAN = 35;
+const TOO_DARK_HIGH = 70;
+
+/**
+ * Brightness statistics of an RGBA pixel buffer: `{ mean, low, high }` in luma levels
+ * (0-255), `low` and `high` being the frame's black and white points.
+ */
+export function measureLight(data) {
+  const histogram = new Uint32Array(256);
+  const pixels = data.length / 4;
+  let total = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    const luma = Math.round(lumaOf(data[i], data[i + 1], data[i + 2]));
+    histogram[luma]++;
+    total += luma;
+  }
+
+  const percentile = (share) => {
+    let count = 0;
+    for (let level = 0; level < 256; level++) {
+      count += histogram[level];
+      if (count >= pixels * share) return level;
+    }
+    return 255;
+  };
+  return { mean: total / pixels, low: percentile(LOW_PERCENTILE), high: percentile(HIGH_PERCENTILE) };
+}
+
+/** Whether the frame is too dark for tracking to be reliable, even after correction. */
+export function isTooDark(light) {
+  return light.mean < TOO_DARK_MEAN || light.high < TOO_DARK_HIGH;
+}
+
+/**
+ * Stretch the frame's black-to-white range over the full scale and gamma-correct its mean
+ * toward TARGET_MEAN, in place. All three channels get the same curve, which keeps hues
+ * close enough for skin detection. Returns whether the frame was changed.
+ */
+export function correctLighting(data, light) {
+  if (light.low <= GOOD_LOW && light.high >= GOOD_HIGH && light.mean >= GOOD_MEAN_MIN && light.mean <= GOOD_MEAN_MAX) {
+    return false;
+  }
+
+  const gain = Math.min(MAX_GAIN, 255 / Math.max(1, light.high - light.low));
+  const stretch = (level) => Math.min(255, Math.max(0, (level - light.low) * gain));
+  const stretchedMean = Math.min(254, Math.max(1, stretch(light.mean)));
+  const gamma = Math.min(MAX_GAMMA, Math.max(MIN_GAMMA, Math.log(TARGET_MEAN / 255) / Math.log(stretchedMean / 255)));
+
+  const curve = new Uint8ClampedArray(256);
+  for (let level = 0; level < 256; level++) {
+    curve[level] = Math.round(255 * Math.pow(stretch(level) / 255, gamma));
+  }
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = curve[data[i]];
+    data[i + 1] = curve[data[i + 1]];
+    data[i + 2] = curve[data[i + 2]];
+  }
+  return true;
+}
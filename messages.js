@@ -0,0 +1,85 @@
+// messages.js – shared message vocabulary between popup, background and offscreen contexts
+// (and the offscreen document's detector worker).
+// chrome.runtime.sendMessage broadcasts to every extension page, so each message carries
+// a `target` and listeners ignore anything not addressed to them.
+
+export const TARGET = {
+  BACKGROUND: 'background',
+  OFFSCREEN: 'offscreen',
+  POPUP: 'popup',
+  // scroller.js, injected into the active tab
+  CONTENT: 'content'
+};
+
+// Long-lived chrome.runtime ports (chrome.runtime.connect names)
+export const PORT = {
+  // popup <-> offscreen: live detection data for the debug overlay
+  DEBUG_OVERLAY: 'debug-overlay',
+  // calibration.html <-> offscreen: the calibration wizard runs while this is connected.
+  // Offscreen posts { step, progress }, { faceLost: true } and { result }; the page
+  // answers { type: 'accept' } or { type: 'retry' }
+  RANGE_CALIBRATION: 'range-calibration'
+};
+
+// offscreen <-> detectorWorker.js (worker.postMessage `type`s)
+export const WORKER = {
+  // offscreen -> worker: analyse one canvas frame; the worker answers with RESULT
+  DETECT: 'detect',
+  RESULT: 'result',
+  // offscreen -> worker: take over frame capture from a camera track's frame stream;
+  // the worker then posts a FRAME for every frame it analyses
+  START_CAPTURE: 'start-capture',
+  CONFIGURE: 'configure',
+  STOP_CAPTURE: 'stop-capture',
+  FRAME: 'frame',
+  // offscreen -> worker: forget the tracked face and learnt skin colour, and lock onto
+  // `primaryUser` if given (see primaryUser.js)
+  RESET: 'reset'
+};
+
+export const MSG = {
+  // popup -> background -> offscreen
+  START: 'start',
+  STOP: 'stop',
+  GET_STATE: 'get-state',
+  // Record the tracker's input and output for replay tests (see replay.js)
+  START_RECORDING: 'start-recording',
+  STOP_RECORDING: 'stop-recording',
+  // popup or keyboard shortcut -> background -> offscreen
+  RECALIBRATE: 'recalibrate',
+  SET_PAUSED: 'set-paused',
+  // keyboard shortcut -> background -> offscreen: an action the background performed
+  // itself (undo), so the session's statistics count it too
+  RECORD_ACTION: 'record-action',
+  // background -> offscreen, when stored settings change
+  UPDATE_SETTINGS: 'update-settings',
+  // offscreen -> popup, and background for the toolbar badge
+  STATE: 'state',
+  // offscreen -> background
+  RUN_ACTION: 'run-action',
+  // Head events for extensions subscribed to the public API (see externalApi.js), sent
+  // only while background -> offscreen SET_API_LISTENING says someone is subscribed
+  API_EVENT: 'api-event',
+  SET_API_LISTENING: 'set-api-listening',
+  // Usage statistics for the session so far (see stats.js); also the offscreen
+  // document's answer to STOP
+  SAVE_SESSION_STATS: 'save-session-stats',
+  LOAD_CALIBRATION: 'load-calibration',
+  SAVE_CALIBRATION: 'save-calibration',
+  // offscreen -> background -> content script (continuous mode)
+  SET_VELOCITY: 'set-velocity',
+  // background -> content script: one-off scroll actions
+  SCROLL: 'scroll',
+  // background -> content script: put back the scroll position from before the last scroll
+  UNDO_SCROLL: 'undo-scroll',
+  // background -> content script: activate the focused link or button
+  CLICK_FOCUSED: 'click-focused',
+  // background -> content script: a slide or media action (see pageControl.js)
+  PAGE_CONTROL: 'page-control',
+  // offscreen -> background -> content script: where to look during reading mode's
+  // screen calibration (null hides the target)
+  SHOW_GAZE_TARGET: 'show-gaze-target',
+  // offscreen -> background -> content script: the on-page HUD's state (see hud.js), and
+  // optionally something to flash; a null state removes the HUD
+  UPDATE_HUD: 'update-hud'
+};
@@ -0,0 +1 @@
+(()=>{var Ie={BACKGROUND:"background",OFFSCREEN:"offscreen",POPUP:"popup",CONTENT:"content"},ot={DEBUG_OVERLAY:"debug-overlay",RANGE_CALIBRATION:"range-calibration"},$={DETECT:"detect",RESULT:"result",START_CAPTURE:"start-capture",CONFIGURE:"configure",STOP_CAPTURE:"stop-capture",FRAME:"frame",RESET:"reset"},N={START:"start",STOP:"stop",GET_STATE:"get-state",START_RECORDING:"start-recording",STOP_RECORDING:"stop-recording",RECALIBRATE:"recalibrate",SET_PAUSED:"set-paused",RECORD_ACTION:"record-action",UPDATE_SETTINGS:"update-settings",STATE:"state",RUN_ACTION:"run-action",API_EVENT:"api-event",SET_API_LISTENING:"set-api-listening",SAVE_SESSION_STATS:"save-session-stats",LOAD_CALIBRATION:"load-calibration",SAVE_CALIBRATION:"save-calibration",SET_VELOCITY:"set-velocity",SCROLL:"scroll",UNDO_SCROLL:"undo-scroll",CLICK_FOCUSED:"click-focused",PAGE_CONTROL:"page-control",SHOW_GAZE_TARGET:"show-gaze-target",UPDATE_HUD:"update-hud"};var le={none:"Do nothing",scrollDown:"Scroll down",scrollUp:"Scroll up",scrollLeft:"Scroll left",scrollRight:"Scroll right",pageDown:"Page down",pageUp:"Page up",scrollToBottom:"Jump to bottom",scrollToTop:"Jump to top",undoScroll:"Undo last scroll",nextSlide:"Next slide",previousSlide:"Previous slide",mediaPlayPause:"Play / pause",mediaSeekForward:"Forward 10 s",mediaSeekBackward:"Back 10 s",mediaVolumeUp:"Volume up",mediaVolumeDown:"Volume down",historyBack:"Go back",historyForward:"Go forward",nextTab:"Next tab",previousTab:"Previous tab",clickFocused:"Click focused link",togglePause:"Pause / resume",recalibrate:"Recalibrate"};var X=(e,t,n)=>e*.299+t*.587+n*.114,we=(e,t,n)=>128-e*.168736-t*.331264+n*.5,Ce=(e,t,n)=>128+e*.5-t*.418688-n*.081312;var Z={left:.25,right:.75,top:.3,bottom:.8};var $n=30,xt=10,Lt=1.5,qn=30,Dt=1,Jn=.02;function Pt(e,t,n){let r=Math.max(0,Math.floor(n.x+n.width*Z.left)),o=Math.min(t,Math.ceil(n.x+n.width*Z.right)),i=Math.max(0,Math.floor(n.y+n.height*Z.top)),a=Math.min(e.length/4/t,Math.ceil(n.y+n.height*Z.bottom)),s=0,l=0,u=0;for(let f=i;f<a;f++)for(let m=r;m<o;m++){let y=(f*t+m)*4,h=e[y],d=e[y+1],c=e[y+2];X(h,d,c)<30||(s++,l+=we(h,d,c),u+=Ce(h,d,c))}return s===0?null:{cb:l/s,cr:u/s,size:n.width}}function Be(){let e=null,t=[],n=null,r=1/0;function o(f=null){e=f?{cb:f.cb,cr:f.cr,size:f.size}:null,t=[],n=null,r=1/0}function i(){return e!==null}function a(){return e?{...e}:null}function s(f,m,y){let h=e?u(f,m,y):f.reduce((d,c)=>!d||c.width>d.width?c:d,null);return h?(l(h,m,y),h):(r++,null)}function l(f,m,y){n=f,r=0;let h=Pt(m,y,f);if(h){if(!e){if(t.push(h),t.length<$n)return;let d=c=>t.reduce((p,E)=>p+E[c],0)/t.length;e={cb:d("cb"),cr:d("cr"),size:d("size")},t=[];return}for(let d of["cb","cr","size"])e[d]+=(h[d]-e[d])*Jn}}function u(f,m,y){let h=null,d=1/0;for(let c of f){let p=Pt(m,y,c);if(!p)continue;let E=Math.hypot(p.cb-e.cb,p.cr-e.cr),S=Math.abs(Math.log(p.size/e.size));if(E>xt||S>Math.log(Lt))continue;let T=0;if(n&&r<=qn&&(T=Math.hypot(c.x+c.width/2-(n.x+n.width/2),c.y+c.height/2-(n.y+n.height/2))/n.width,T>Dt))continue;let A=E/xt+S/Math.log(Lt)+T/Dt;A<d&&(d=A,h=c)}return h}return{select:s,follow:l,reset:o,isLocked:i,getSignature:a}}var Qn=77,er=127,tr=133,nr=180,rr=30,or=2.5,ir=4,ar=15,sr=.01,lr=.5,cr=.6,ur=3,fr=.35,dr=1.3,hr=.3,ce=16,pr=.4,at=2,mr=14,kt=5,gr=.3,Er=15,yr=.4,Sr=20;function Ut(){let e=null,t=null,n=null,r=null,o=0,i=Be();function a(h=null){e=null,t={frames:0,count:0,cb:0,cr:0,cb2:0,cr2:0},n=null,r=null,o=0,i.reset(h)}function s(h,d,c){if(X(h,d,c)<30)return!1;let p=we(h,d,c),E=Ce(h,d,c);return e?Math.abs(p-e.cb)<=e.spreadCb&&Math.abs(E-e.cr)<=e.spreadCr:p>=Qn&&p<=er&&E>=tr&&E<=nr}function l(h,d,c,{lockPrimaryUser:p=!1}={}){let E=new Float32Array(d*c),S=new Uint8Array(d*c);for(let I=0;I<d*c;I++){let x=h[I*4],w=h[I*4+1],F=h[I*4+2];E[I]=X(x,w,F),S[I]=s(x,w,F)?1:0}let T=Tr(S,d,c).filter(I=>_r(I,d,c)),A=null,O=!0;if(n){let I=hr;T.forEach(x=>{let w=Mr(He(x),n);w>=I&&(I=w,A=He(x))}),!A&&o<Er&&(A=m(E,d,c),O=!1)}return A?p&&i.follow(A,h,d):(A=p?i.select(T.map(He),h,d):u(T,d,c),O=!0),A?(o=O?0:o+1,O&&!e&&f(h,d,A),y(E,d,A),n=A,{x:A.x+A.width/2,y:A.y+A.height/2,box:A}):(n=null,r=null,o=0,null)}function u(h,d,c){let p=null,E=-1/0;return h.forEach(S=>{let T=He(S),A=Math.hypot((T.x+T.width/2-d/2)/d,(T.y+T.height/2-c*yr)/c),O=S.area/(d*c)*100-A*Sr;O>E&&(E=O,p=T)}),p}function f(h,d,c){let p=Math.floor(c.x+c.width*Z.left),E=Math.ceil(c.x+c.width*Z.right),S=Math.floor(c.y+c.height*Z.top),T=Math.ceil(c.y+c.height*Z.bottom);for(let w=S;w<T;w++)for(let F=p;F<E;F++){let ie=(w*d+F)*4,K=h[ie],U=h[ie+1],ae=h[ie+2];if(!s(K,U,ae))continue;let Oe=we(K,U,ae),se=Ce(K,U,ae);t.count++,t.cb+=Oe,t.cr+=se,t.cb2+=Oe*Oe,t.cr2+=se*se}if(++t.frames<rr||t.count===0)return;let{count:A}=t,O=t.cb/A,I=t.cr/A,x=(w,F)=>Math.min(ar,Math.max(ir,or*Math.sqrt(Math.max(0,w/A-F*F))));e={cb:O,cr:I,spreadCb:x(t.cb2,O),spreadCr:x(t.cr2,I)}}function m(h,d,c){if(!r||r.reduce((I,x)=>I+Math.abs(x),0)/r.length<kt)return null;let p=Math.max(at,Math.round(n.width*pr)),E=vt(n,d),{sums:S,squares:T}=Ar(h,d,c),A=null,O=mr*r.length;for(let I=-p;I<=p;I+=at)for(let x=-p;x<=p;x+=at){let w={...n,x:n.x+x,y:n.y+I};if(w.x<0||w.y<0||w.x+w.width>d||w.y+w.height>c)continue;let F=Ft(S,d,w);if(Math.sqrt(Math.max(0,Ft(T,d,w)-F*F))<kt)continue;let ie=w.y*d+w.x,K=0;for(let U=0;U<r.length&&K<O;U++)K+=Math.abs(h[ie+E[U]]-F-r[U]);K<O&&(O=K,A=w)}return A}function y(h,d,c){let p=Rr(h,d,c);if(!r){r=p;return}for(let E=0;E<p.length;E++)r[E]+=(p[E]-r[E])*gr}return a(),{detect:l,reset:a,getPrimaryUser:i.getSignature}}function Tr(e,t,n){let r=[],o=new Int32Array(t*n);for(let i=0;i<e.length;i++){if(!e[i])continue;let a=0;o[a++]=i,e[i]=0;let s={x0:t,y0:n,x1:0,y1:0,area:0};for(;a>0;){let l=o[--a],u=l%t,f=(l-u)/t;s.area++,u<s.x0&&(s.x0=u),u>=s.x1&&(s.x1=u+1),f<s.y0&&(s.y0=f),f>=s.y1&&(s.y1=f+1),u>0&&e[l-1]&&(e[l-1]=0,o[a++]=l-1),u<t-1&&e[l+1]&&(e[l+1]=0,o[a++]=l+1),f>0&&e[l-t]&&(e[l-t]=0,o[a++]=l-t),f<n-1&&e[l+t]&&(e[l+t]=0,o[a++]=l+t)}r.push(s)}return r}function _r(e,t,n){let r=e.x1-e.x0,o=e.y1-e.y0,i=o/r;return e.area>=t*n*sr&&e.area<=t*n*lr&&i>=cr&&i<=ur&&e.area/(r*o)>=fr}function He(e){let t=e.x1-e.x0;return{x:e.x0,y:e.y0,width:t,height:Math.min(e.y1-e.y0,Math.round(t*dr))}}function Mr(e,t){let n=Math.min(e.x+e.width,t.x+t.width)-Math.max(e.x,t.x),r=Math.min(e.y+e.height,t.y+t.height)-Math.max(e.y,t.y);if(n<=0||r<=0)return 0;let o=n*r;return o/(e.width*e.height+t.width*t.height-o)}function Ar(e,t,n){let r=t+1,o=new Float64Array(r*(n+1)),i=new Float64Array(r*(n+1));for(let a=0;a<n;a++){let s=0,l=0;for(let u=0;u<t;u++){let f=e[a*t+u];s+=f,l+=f*f,o[(a+1)*r+u+1]=o[a*r+u+1]+s,i[(a+1)*r+u+1]=i[a*r+u+1]+l}}return{sums:o,squares:i}}function Ft(e,t,n){let r=t+1,o=n.x+n.width,i=n.y+n.height;return(e[i*r+o]-e[n.y*r+o]-e[i*r+n.x]+e[n.y*r+n.x])/(n.width*n.height)}function vt(e,t){let n=new Int32Array(ce*ce);for(let r=0;r<ce;r++){let o=Math.floor((r+.5)*e.height/ce);for(let i=0;i<ce;i++)n[r*ce+i]=o*t+Math.floor((i+.5)*e.width/ce)}return n}function Rr(e,t,n){let r=vt(n,t),o=n.y*t+n.x,i=0;for(let l=n.y;l<n.y+n.height;l++)for(let u=n.x;u<n.x+n.width;u++)i+=e[l*t+u];let a=i/(n.width*n.height),s=new Float32Array(r.length);for(let l=0;l<s.length;l++)s[l]=e[o+r[l]]-a;return s}var Or=.6,Ir={top:.3,bottom:.5,left:.15,right:.85},wr={top:.7,bottom:.92,left:.3,right:.7},Cr={top:.5,bottom:.65,left:.25,right:.75},Nr={width:.25,height:.14},br={width:.4,height:.2},Ht=(e,t)=>X(e[t],e[t+1],e[t+2]);function st(e,t,n){let r=Math.max(0,Math.floor(e.x)),o=Math.max(0,Math.floor(e.y)),i=Math.min(t,Math.ceil(e.x+e.width)),a=Math.min(n,Math.ceil(e.y+e.height));return i>r&&a>o?{x0:r,y0:o,x1:i,y1:a}:null}function xr(e,t,n){let r=0,o=0;for(let i=n.y0;i<n.y1;i++)for(let a=n.x0;a<n.x1;a++)r+=Ht(e,(i*t+a)*4),o++;return r/o}function Gt(e,t,n,r){let o=0,i=0;for(let a=n.y0;a<n.y1;a++)for(let s=n.x0;s<n.x1;s++)Ht(e,(a*t+s)*4)<r&&o++,i++;return o/i}var lt=(e,t)=>({x:e.x+e.width*t.left,y:e.y+e.height*t.top,width:e.width*(t.right-t.left),height:e.height*(t.bottom-t.top)}),Bt=(e,t,n)=>({x:e.x-t.width*n.width/2,y:e.y-t.height*n.height/2,width:t.width*n.width,height:t.height*n.height});function ze(e,t,n,r,o=null){let i=st(lt(r,Cr),t,n);if(!i)return null;let a=xr(e,t,i)*Or,s=o&&o.eyes&&o.eyes.length>=2?o.eyes.map(m=>Bt(m,r,Nr)):[lt(r,Ir)],l=o&&o.mouth?Bt(o.mouth,r,br):lt(r,wr),u=s.map(m=>st(m,t,n)).filter(Boolean).map(m=>Gt(e,t,m,a)),f=st(l,t,n);return u.length===0||!f?null:{eyes:u.reduce((m,y)=>m+y,0)/u.length,mouth:Gt(e,t,f,a)}}var Ne={top:.2,bottom:.5,left:.1,right:.9},Lr={top:.5,bottom:.68,left:.35,right:.65},Dr={top:.68,bottom:.95,left:.25,right:.75},Pr=[{top:.5,bottom:.68,left:.12,right:.3},{top:.5,bottom:.68,left:.7,right:.88}],ct=.6,kr=.8,Fr=2;function zt(e,t,n,r){let o=Math.max(0,Math.floor(e.x+e.width*t.left)),i=Math.max(0,Math.floor(e.y+e.height*t.top)),a=Math.min(n,Math.ceil(e.x+e.width*t.right)),s=Math.min(r,Math.ceil(e.y+e.height*t.bottom));return a>o&&s>i?{x0:o,y0:i,x1:a,y1:s}:null}var Vt=(e,t,n,r)=>{let o=(r*t+n)*4;return X(e[o],e[o+1],e[o+2])};function Ur(e,t,n,r){let o=0,i=0,a=0,s=0;for(let l=n.y0;l<n.y1;l++)for(let u=n.x0;u<n.x1;u++){let f=r-Vt(e,t,u,l);f<=0||(o+=f,i+=(u+.5)*f,a+=(l+.5)*f,s++)}return s>=Fr?{x:i/o,y:a/o}:null}function Xt(e,t,n,r){let o=Pr.map(f=>zt(r,f,t,n)).filter(Boolean);if(o.length===0)return[];let i=0,a=0;o.forEach(f=>{for(let m=f.y0;m<f.y1;m++)for(let y=f.x0;y<f.x1;y++)i+=Vt(e,t,y,m),a++});let s=i/a,l=Ne.left+(Ne.right-Ne.left)/2;return[{type:"eye",part:{...Ne,right:l},ratio:ct},{type:"eye",part:{...Ne,left:l},ratio:ct},{type:"nose",part:Lr,ratio:kr},{type:"mouth",part:Dr,ratio:ct}].flatMap(({type:f,part:m,ratio:y})=>{let h=zt(r,m,t,n),d=h&&Ur(e,t,h,s*y);return d?[{type:f,locations:[d]}]:[]})}var vr=.02,Gr=.98,Br=120,Hr=25,zr=230,Vr=80,Xr=170,Yr=4,Wr=.4,Kr=1.6,jr=35,Zr=70;function be(e){let t=new Uint32Array(256),n=e.length/4,r=0;for(let i=0;i<e.length;i+=4){let a=Math.round(X(e[i],e[i+1],e[i+2]));t[a]++,r+=a}let o=i=>{let a=0;for(let s=0;s<256;s++)if(a+=t[s],a>=n*i)return s;return 255};return{mean:r/n,low:o(vr),high:o(Gr)}}function Yt(e){return e.mean<jr||e.high<Zr}function Wt(e,t){if(t.low<=Hr&&t.high>=zr&&t.mean>=Vr&&t.mean<=Xr)return!1;let n=Math.min(Yr,255/Math.max(1,t.high-t.low)),r=s=>Math.min(255,Math.max(0,(s-t.low)*n)),o=Math.min(254,Math.max(1,r(t.mean))),i=Math.min(Kr,Math.max(Wr,Math.log(Br/255)/Math.log(o/255))),a=new Uint8ClampedArray(256);for(let s=0;s<256;s++)a[s]=Math.round(255*Math.pow(r(s)/255,i));for(let s=0;s<e.length;s+=4)e[s]=a[e[s]],e[s+1]=a[e[s+1]],e[s+2]=a[e[s+2]];return!0}var ut=e=>e*180/Math.PI;function ft(e){let t=e.reduce((n,r)=>({x:n.x+r.x,y:n.y+r.y}),{x:0,y:0});return{x:t.x/e.length,y:t.y/e.length}}function Ve(e){if(!e)return null;let t=e.filter(p=>p.type==="eye"&&p.locations.length>0),n=e.find(p=>p.type==="nose"&&p.locations.length>0),r=e.find(p=>p.type==="mouth"&&p.locations.length>0);if(t.length<2||!n)return null;let[o,i]=t.slice(0,2).map(p=>ft(p.locations)).sort((p,E)=>p.x-E.x),a=Math.hypot(i.x-o.x,i.y-o.y);if(a===0)return null;let s=Math.atan2(i.y-o.y,i.x-o.x),l={x:(o.x+i.x)/2,y:(o.y+i.y)/2},u=Math.cos(-s),f=Math.sin(-s),m=p=>{let E=p.x-l.x,S=p.y-l.y;return{x:(E*u-S*f)/a,y:(E*f+S*u)/a}},y=m(ft(n.locations)),h=ut(Math.asin(Math.max(-1,Math.min(1,-y.x/.6)))),d;if(r){let p=m(ft(r.locations));d=p.y>0?y.y/p.y-.6:y.y-.65}else d=y.y-.65;return{pitch:ut(Math.asin(Math.max(-1,Math.min(1,d/.6)))),yaw:h,roll:-ut(s)}}function Kt(e,t,n,r,{measureFeatures:o=!1,lockPrimaryUser:i=!1}={}){let a=be(t);Wt(t,a);let s=e.detect(t,n,r,{lockPrimaryUser:i});return s&&(s.pose=Ve(Xt(t,n,r,s.box))),s&&o&&(s.features=ze(t,n,r,s.box)),{face:s,light:a,primaryUser:i?e.getPrimaryUser():null}}var $t={nodDown:"Nod down",nodUp:"Nod up",doubleNodDown:"Double nod down",doubleNodUp:"Double nod up",holdDown:"Hold head down",holdUp:"Hold head up",tiltLeft:"Tilt / turn left",tiltRight:"Tilt / turn right",longBlink:"Long blink",doubleBlink:"Double blink",mouthOpen:"Open mouth"},qt=["longBlink","doubleBlink","mouthOpen"],$r=700,qr=900,jt=500,Jr=600,Jt=.5,Qr=4,eo=300,to=.5,no=.75,ro=200,oo=700,io=700,Zt=.15,ao=500;function Qt({waitForDouble:e=()=>!0}={}){let t=null,n=null,r=null;function o(){t=null,n=null,r=null}function i({deltaY:u,deltaX:f,thresholdY:m,thresholdX:y,now:h,confirmFrames:d=0}){let c=[],p=u/m,E=f/y;if(r&&h-r.time>eo&&c.push(...a()),n&&h-n.time>Jr&&(c.push({gesture:n.gesture,intensity:n.intensity}),n=null),!t){let O=Math.abs(p),I=Math.abs(E);if(O>1&&O>=I){let x=Math.sign(p),w=!!(r&&r.sign!==x);w&&(r=null),r&&c.push(...a()),t={axis:"y",sign:x,start:h,peak:O,lastRepeat:null,framesPast:1,rebound:w}}else I>1&&(t={axis:"x",sign:Math.sign(E),start:h,peak:I,lastRepeat:null,framesPast:1},d<=1&&(t.lastRepeat=h,c.push({gesture:s(t.sign),intensity:ue(I)})));return c}let T=(t.axis==="y"?p:E)*t.sign;T>1&&t.framesPast++;let A=t.framesPast>=d;if(T<Jt){if(t.axis==="y"&&t.lastRepeat===null&&h-t.start<=$r&&A&&!t.rebound){let O=t.sign>0?"Down":"Up";d>0?r={direction:O,sign:t.sign,intensity:ue(t.peak),time:h}:c.push(...l(O,ue(t.peak),h))}return t=null,c}if(t.peak=Math.max(t.peak,T),!A)return c;if(t.axis==="y"){let O=t.sign>0?"holdDown":"holdUp";t.lastRepeat===null&&h-t.start>=qr?(t.lastRepeat=h,c.push({gesture:O,intensity:ue(T)})):t.lastRepeat!==null&&h-t.lastRepeat>=jt&&(t.lastRepeat=h,c.push({gesture:O,intensity:ue(T)}))}else t.lastRepeat===null?(t.lastRepeat=h,c.push({gesture:s(t.sign),intensity:ue(T)})):T>1&&h-t.lastRepeat>=jt&&(t.lastRepeat=h,c.push({gesture:s(t.sign),intensity:ue(T)}));return c}function a(){let{direction:u,intensity:f,time:m}=r;return r=null,l(u,f,m)}function s(u){return u<0?"tiltRight":"tiltLeft"}function l(u,f,m){let y=`nod${u}`,h=`doubleNod${u}`;if(n&&n.gesture===y)return n=null,[{gesture:h,intensity:f}];let d=n?[{gesture:n.gesture,intensity:n.intensity}]:[];return n=null,e(h)?(n={gesture:y,intensity:f,time:m},d):[...d,{gesture:y,intensity:f}]}return{update:i,reset:o}}function en(){let e=null,t=!1,n=null,r=null,o=!1;function i(){e=null,t=!1,n=null,r=null,o=!1}function a({eyes:s,mouth:l,now:u}){let f=[];if(n!==null&&u-n>io&&(n=null),e===null&&s<to)e=u;else if(e!==null&&s>no){let m=u-e;!t&&m>=ro&&(n!==null?(f.push({gesture:"doubleBlink",intensity:1}),n=null):n=u),e=null,t=!1}else e!==null&&!t&&u-e>=oo&&(t=!0,n=null,f.push({gesture:"longBlink",intensity:1}));return l>=Zt?(r===null&&(r=u),!o&&u-r>=ao&&(o=!0,f.push({gesture:"mouthOpen",intensity:1}))):l<Zt*Jt&&(r=null,o=!1),f}return{update:a,reset:i}}function ue(e){return Math.min(Math.abs(e),Qr)}function dt(e,t,{maxSpeed:n,curve:r,fullSpeedRatio:o=3}){let i=Math.abs(e)/t;if(i<=1)return 0;let a=Math.min((i-1)/(o-1),1);return Math.sign(e)*n*Math.pow(a,r)}var me=["neutral","up","down"];var Xe=e=>Math.round(e*10)/10;function tn(e){let t=[...e].sort((r,o)=>r-o),n=Math.floor(t.length/2);return t.length%2?t[n]:(t[n-1]+t[n])/2}function so(e){return Math.sqrt(e.reduce((t,n)=>t+n*n,0)/e.length)}function lo({jitter:e,reachUp:t,reachDown:n}){if(e>3)return{ok:!1,reason:"jittery"};let r=Math.min(t,n),o=Math.max(r*.4,e*5),i=Math.round(Math.min(Math.max(o,5),50)),a=r/i;return a<1.5?{ok:!1,reason:"range-too-small"}:{ok:!0,sensitivity:i,continuousFullSpeedRatio:Xe(Math.min(a,6))}}function nn(){let e=0,t=0,n=0,r=null,o=me.map(()=>[]);function i(){return r?[]:(n++,n<=45?[]:(r={ok:!1,reason:"face-missing"},[{type:"range-result",result:r}]))}function a(l){return r?[]:(t>=30&&o[e].push(l),t++,t<90?[{type:"range-step",step:me[e],progress:Math.round(t/90*100)}]:(t=0,e++,e<me.length?[{type:"range-step",step:me[e],progress:0}]:(r=s(),[{type:"range-result",result:r}])))}function s(){let[l,u,f]=o,m={jitter:Xe(so(l)),reachUp:Xe(-tn(u)),reachDown:Xe(tn(f))};return{...lo(m),...m}}return{update:a,faceLost:i,result:()=>r}}var xe=[.1,.5,.9],co=6,uo=2/3,fo=600,ho=.25,po=1500,rn=.25;function on(e){if(e.length<2)return null;let t=e.length,n=e.reduce((l,u)=>l+u.offset,0)/t,r=e.reduce((l,u)=>l+u.target,0)/t,o=0,i=0;for(let{offset:l,target:u}of e)o+=(l-n)*(u-r),i+=(l-n)**2;if(i===0)return null;let a=o/i,s=Math.max(...e.map(l=>l.target))-Math.min(...e.map(l=>l.target));return a<=0||s/a<co?null:{slope:a,intercept:r-a*n}}function an(e,t){return e.intercept+e.slope*t}function sn(){let e=!1,t=null,n=-1/0;function r(){e=!1,t=null,n=-1/0}function o({gaze:i,now:a}){let s=[],l=i===null||i<-rn||i>1+rn;return l!==e&&(e=l,s.push({type:"gaze-away",away:e})),e||i<uo?(t=null,s):(t===null&&(t=a),a-t>=fo&&a-n>=po&&(s.push({type:"reading-scroll",fraction:Math.min(1,i)-ho}),n=a,t=null),s)}return{update:o,reset:r}}var L={sensitivity:25,horizontalSensitivity:30,scrollSpeed:80,scrollMode:"stepped",pageMode:"auto",continuousMaxSpeed:900,continuousCurve:1.5,continuousFullSpeedRatio:3,cameraDeviceId:"",cameraResolution:"640x480",cameraFrameRate:30,showHud:!0,hudPosition:"bottom-right",hudOpacity:.85,debugOverlay:!1,lockPrimaryUser:!1,reuseCalibration:!0,driftCompensation:!0,driftTimeConstant:60,confirmFrames:0,gestureBindings:{nodDown:"scrollDown",nodUp:"scrollUp",doubleNodDown:"none",doubleNodUp:"none",holdDown:"scrollDown",holdUp:"scrollUp",tiltLeft:"scrollLeft",tiltRight:"scrollRight",longBlink:"none",doubleBlink:"none",mouthOpen:"none"},apiAllowList:[],siteProfiles:{}},Xi=8*60*60*1e3;var fe=90,ge=.7,ht=2,mo=.5,go=5,Eo=1500,yo=30,So=.03,ln=.5,pt=45,To=15;function mt(e={}){let t={...L,...e},n=[],r=null,o=null,i=0,a=null,s=null,l=null,u=null,f=1/0,m=null,y=-1/0,h=[],d=null,c=null,p=null,E=0,S=null,T=Qt({waitForDouble:g=>t.gestureBindings[g]!=="none"}),A=en(),O=sn();function I(g){g.scrollMode&&g.scrollMode!==t.scrollMode&&(T.reset(),O.reset()),t={...t,...g,gestureBindings:{...t.gestureBindings,...g.gestureBindings}}}function x(){i=0,n=[],r=null,o=null,a=null,s=null,l=null,u=null,f=1/0,m=null,y=-1/0,h=[],d=null,c=null,p=null,S=null,T.reset(),A.reset(),O.reset()}function w(g){o=g.baselineX,r=g.baselineY,l=g.basePose||null,c=g.gaze||null,i=fe}function F(){x(),S=nn()}function ie(){let g=S&&S.result();return!g||!g.ok?[]:(S=null,t.scrollMode==="reading"&&!c?ve():[{type:"calibrated",calibration:U()}])}function K(){return S!==null}function U(){return r===null?null:{baselineX:o,baselineY:r,basePose:l,gaze:c}}function ae(){return r!==null&&i>=fe&&p===null&&S===null}function Oe(){if(!ae()||a===null)return null;let{deltaX:g,deltaY:_}=rt();return{x:-g/t.horizontalSensitivity,y:_/t.sensitivity}}function se(){return!!(l&&u&&f<=go)}function rt(){return se()?{deltaY:(u.pitch-l.pitch)*ht,deltaX:-(u.yaw-l.yaw)*ht}:{deltaY:a-r,deltaX:s-o}}function Hn(g,_){let C=m===null?0:_-m;if(m=_,g===null)return O.reset(),[{type:"face-lost"},...S?S.faceLost():[]];if(a===null?(a=g.y,s=g.x):(a=a*ge+g.y*(1-ge),s=s*ge+g.x*(1-ge)),g.pose?(u=_o(u,g.pose),f=0):f++,i++,g.features&&!d&&Kn(g.features),i<=fe){if(n.push({x:s,y:a,pose:g.pose?u:null}),i<fe)return[{type:"calibrating",progress:Math.round(i/fe*100)}];let pe=n.reduce((Nt,bt)=>({x:Nt.x+bt.x,y:Nt.y+bt.y}),{x:0,y:0});return r=pe.y/n.length,o=pe.x/n.length,l=Mo(n),S?[{type:"range-step",step:me[0],progress:0}]:t.scrollMode==="reading"&&!c?ve():[{type:"calibrated",calibration:U()}]}let{deltaX:V,deltaY:j}=rt();if(S)return S.update(j);if(p)return Vn(j);if(t.scrollMode==="reading"&&!c)return ve();let Ge=zn(V,j,_);return Ge.push(...Wn(g.features,V,j,_)),Math.abs(j)>=t.sensitivity||Math.abs(V)>=t.horizontalSensitivity||Ge.some(pe=>pe.type==="gesture")?y=_:t.scrollMode!=="reading"&&jn(C,_),Ge.some(pe=>pe.action==="recalibrate")&&x(),Ge}function zn(g,_,C){switch(t.scrollMode){case"continuous":return[Xn(g,_)];case"reading":return O.update({gaze:an(c,_),now:C});default:return Yn(g,_,C)}}function ve(){return p=[],E=0,[{type:"gaze-target",target:xe[0],retry:!1}]}function Vn(g){if(t.scrollMode!=="reading")return p=null,[{type:"calibrated",calibration:U()}];let _=Math.floor(E/pt);return E%pt>=To&&p.push({target:xe[_],offset:g}),E++,E%pt!==0?[]:_+1<xe.length?[{type:"gaze-target",target:xe[_+1],retry:!1}]:(c=on(p),c?(p=null,O.reset(),[{type:"calibrated",calibration:U()}]):ve().map(C=>({...C,retry:!0})))}function Xn(g,_){let C={maxSpeed:t.continuousMaxSpeed,curve:t.continuousCurve,fullSpeedRatio:t.continuousFullSpeedRatio};return{type:"velocity",y:Math.round(dt(_,t.sensitivity,C)),x:Math.round(dt(-g,t.horizontalSensitivity,C))}}function Yn(g,_,C){return Ct(T.update({deltaY:_,deltaX:g,thresholdY:t.sensitivity,thresholdX:t.horizontalSensitivity,now:C,confirmFrames:t.confirmFrames}))}function Wn(g,_,C,V){let j=Math.abs(C)<t.sensitivity*ln&&Math.abs(_)<t.horizontalSensitivity*ln;return!g||!d||!j?(A.reset(),[]):Ct(A.update({eyes:d.eyes>=So?g.eyes/d.eyes:1,mouth:g.mouth-d.mouth,now:V}))}function Kn(g){if(h.push(g),h.length<yo)return;let _=h.reduce((C,V)=>({eyes:C.eyes+V.eyes,mouth:C.mouth+V.mouth}),{eyes:0,mouth:0});d={eyes:_.eyes/h.length,mouth:_.mouth/h.length},h=[]}function Ct(g){return g.map(({gesture:_,intensity:C})=>({type:"gesture",gesture:_,action:t.gestureBindings[_]||"none",amount:Math.round(C*t.scrollSpeed)})).filter(_=>_.action!=="none")}function jn(g,_){if(!t.driftCompensation||g<=0||_-y<Eo)return;let C=1-Math.exp(-g/(t.driftTimeConstant*1e3));r+=(a-r)*C,o+=(s-o)*C,l&&u&&se()&&(l={pitch:l.pitch+(u.pitch-l.pitch)*C,yaw:l.yaw+(u.yaw-l.yaw)*C,roll:l.roll+(u.roll-l.roll)*C})}function Zn(g){let _=ae(),C=_&&se(),V=g?g.y:null,j=a;return C&&(j=r+rt().deltaY,V=g&&g.pose?r+(g.pose.pitch-l.pitch)*ht:null),{rawY:V,smoothedY:j,baselineY:_?r:null,threshold:t.sensitivity,source:C?"pose":"position"}}return{process:Hn,configure:I,reset:x,restoreCalibration:w,startRangeCalibration:F,finishRangeCalibration:ie,isRangeCalibrating:K,getCalibration:U,isCalibrated:ae,getHeadOffset:Oe,getDebugState:Zn}}function _o(e,t){if(!e)return{...t};let n=(r,o)=>r*ge+o*(1-ge);return{pitch:n(e.pitch,t.pitch),yaw:n(e.yaw,t.yaw),roll:n(e.roll,t.roll)}}function Mo(e){let t=e.map(r=>r.pose).filter(Boolean);if(t.length<e.length*mo)return null;let n=t.reduce((r,o)=>({pitch:r.pitch+o.pitch,yaw:r.yaw+o.yaw,roll:r.roll+o.roll}),{pitch:0,yaw:0,roll:0});return{pitch:n.pitch/t.length,yaw:n.yaw/t.length,roll:n.roll/t.length}}var Ao=1;function cn({settings:e,frame:t,description:n=""}){let r=null,o=[],i=[],a={x:0,y:0};function s(m){return r===null&&(r=m),m-r}function l(m,y,h){let d=s(h);o.push({t:d,face:m&&Ro(m)}),y.forEach(c=>{c.type==="gesture"?i.push({t:d,type:c.type,gesture:c.gesture,action:c.action,amount:c.amount}):c.type==="velocity"&&(c.x!==a.x||c.y!==a.y)?(a={x:c.x,y:c.y},i.push({t:d,type:c.type,x:c.x,y:c.y})):c.type==="reading-scroll"&&i.push({t:d,type:c.type,fraction:c.fraction})})}function u(m,y){o.push({t:s(y),reset:!0,calibration:m}),a={x:0,y:0}}function f(){return{version:Ao,recordedAt:new Date().toISOString(),description:n,frame:t,settings:e,samples:o,expected:i}}return{record:l,markReset:u,finish:f}}function Ro(e){let t={x:e.x,y:e.y};return e.pose&&(t.pose=e.pose),e.features&&(t.features=e.features),t}var Oo={scrollDown:"down",pageDown:"down",scrollToBottom:"down",readingScroll:"down",nextSlide:"down",scrollUp:"up",pageUp:"up",scrollToTop:"up",previousSlide:"up"};function un(e=Date.now()){let t=`${e}-${Math.random().toString(36).slice(2,8)}`,n=0,r=0,o={},i={},a=0,s=0,l=0,u=0,f=0,m=0,y=null;function h(E,S){n++,E?S&&(o[S]=(o[S]||0)+1):r++}function d(E,S){i[E]=(i[E]||0)+1,E==="undoScroll"&&u++;let T=Oo[E];if(T){if(T==="down"?a++:s++,y&&y.direction!==T&&S-y.time<=2e3){l++,y=null;return}y={direction:T,time:S}}}function c(E){f+=E,m++}function p(E=Date.now()){return{id:t,startedAt:e,endedAt:E,durationSeconds:Math.round((E-e)/1e3),frames:n,faceLostPercent:n>0?Math.round(r/n*1e3)/10:0,methods:{...o},actions:{...i},scrollsDown:a,scrollsUp:s,reversals:l,undos:u,averageLatencyMs:m>0?Math.round(f/m):null}}return{recordFrame:h,recordAction:d,recordLatency:c,summary:p}}var k=document.getElementById("webcam"),P=!1,ee=!1,v=!1,z=null,tt=null,We=null,M=null,de=null,J={message:"Idle.",type:"ready"},En=L.sensitivity,yn=L.horizontalSensitivity,Sn=L.scrollSpeed,_t=L.reuseCalibration,De=L.scrollMode,Se="scroll",Tn=L.continuousMaxSpeed,_n=L.continuousCurve,Mn=L.continuousFullSpeedRatio,An=L.driftCompensation,Rn=L.driftTimeConstant,On=L.confirmFrames,te=L.cameraDeviceId,Ke=L.cameraResolution,he=L.cameraFrameRate,ne=L.lockPrimaryUser,je=L.showHud,Pe={...L.gestureBindings},b=mt(),Io="Tracking active! Nod, hold or turn your head to scroll.",wo="Reading mode active. The page moves on as you read down it.",Co="Slides mode active. Nod down or turn right for the next slide, up or left to go back.",No="Media mode active. Nod down to play or pause, turn to seek, hold to change the volume.",In="Reading paused while you look away.",Mt="Paused. Scrolling is off until you resume.",bo={neutral:"Calibration wizard: keep looking straight ahead, relaxed.",up:"Calibration wizard: tilt your head up as far as is comfortable and hold it there.",down:"Calibration wizard: tilt your head down as far as is comfortable and hold it there."},fn=.3,xo=1e3,Te=null,Lo=4,At=Be();function wn(){if("FaceDetector"in window)try{Te=new FaceDetector({fastMode:!0,maxDetectedFaces:ne?Lo:1})}catch(e){console.warn("FaceDetector initialization failed:",e),Te=null}}wn();var B=null,Ee={};if(window.Worker)try{B=new Worker("detectorWorker.bundle.js"),B.onmessage=e=>{let{type:t,id:n,face:r,light:o,primaryUser:i,capturedAt:a}=e.data;t===$.FRAME?(Fe=i,ai(r,o,a-performance.timeOrigin)):t===$.RESULT&&Ee[n]&&(Ee[n]({face:r,light:o,primaryUser:i}),delete Ee[n])}}catch(e){console.warn("Detector worker failed to start:",e),B=null}var Do=500;function Po(e,t,n,r){return new Promise(o=>{let i=Math.random().toString(36).slice(2);Ee[i]=o,setTimeout(()=>{Ee[i]&&(delete Ee[i],o({face:null,light:null,primaryUser:Fe}))},Do),B.postMessage({type:$.DETECT,id:i,width:t,height:n,buffer:e.data.buffer,...r},[e.data.buffer])})}var _e=!1;function ko(){return B!==null&&Te===null&&"MediaStreamTrackProcessor"in window}function Fo(e){let t=new MediaStreamTrackProcessor({track:e,maxBufferSize:1});B.postMessage({type:$.START_CAPTURE,readable:t.readable,width:M.width,height:M.height,frameRate:he,...ke()},[t.readable]),_e=!0,Ae="worker"}function Uo(){_e&&(B.postMessage({type:$.STOP_CAPTURE}),_e=!1)}var Cn=Ut(),Fe=null;function Ue(e=null){Cn.reset(e),At.reset(e),Fe=e,B&&B.postMessage({type:$.RESET,primaryUser:e})}function vo(){return ne?Ae==="FaceDetector"?At.getSignature():Fe:null}var Me=null,Rt=0,gt=0,Go=1e3,Bo=70,Ho=190,zo=2e3,Vo=["exposureCompensation","brightness"],Nn="Too dark to see you. Turn on a light or face a window.",H={x:0,y:0,time:0},dn=15,Xo=200,Et=null,Qe=!1,yt=null,hn=0,Yo=66,pn=0,Ze=null,Q=null,Wo=100,Le=null,mn=0,q=null,gn=0,Ko=66,Ae=null,ye=0,$e=null,jo=66,G=null,D=null,Ot=0,Zo=60*1e3,bn=0;M=document.createElement("canvas");de=M.getContext("2d",{willReadFrequently:!0});function xn(e){if(!e)return;Number.isFinite(e.sensitivity)&&(En=e.sensitivity),Number.isFinite(e.horizontalSensitivity)&&(yn=e.horizontalSensitivity),Number.isFinite(e.scrollSpeed)&&(Sn=e.scrollSpeed),e.scrollMode&&e.scrollMode!==De&&(oe(),De=e.scrollMode),e.pageMode&&e.pageMode!==Se&&(Se=e.pageMode,J.type==="tracking"&&!v&&R(re(),"tracking")),Number.isFinite(e.continuousMaxSpeed)&&(Tn=e.continuousMaxSpeed),Number.isFinite(e.continuousCurve)&&(_n=e.continuousCurve),Number.isFinite(e.continuousFullSpeedRatio)&&e.continuousFullSpeedRatio>1&&(Mn=e.continuousFullSpeedRatio),typeof e.driftCompensation=="boolean"&&(An=e.driftCompensation),Number.isFinite(e.driftTimeConstant)&&e.driftTimeConstant>0&&(Rn=e.driftTimeConstant),Number.isFinite(e.confirmFrames)&&e.confirmFrames>=0&&(On=e.confirmFrames),(typeof e.cameraDeviceId=="string"&&e.cameraDeviceId!==te||e.cameraResolution&&e.cameraResolution!==Ke||Number.isFinite(e.cameraFrameRate)&&e.cameraFrameRate!==he)&&(te=e.cameraDeviceId??te,Ke=e.cameraResolution||Ke,he=e.cameraFrameRate||he,P&&wt("Switching camera...")),typeof e.showHud=="boolean"&&e.showHud!==je&&(je=e.showHud,je||W(N.UPDATE_HUD,{state:null}).catch(()=>{})),typeof e.reuseCalibration=="boolean"&&(_t=e.reuseCalibration),e.gestureBindings&&(Pe={...Pe,...e.gestureBindings},_e&&B.postMessage({type:$.CONFIGURE,...ke()})),typeof e.lockPrimaryUser=="boolean"&&e.lockPrimaryUser!==ne&&(ne=e.lockPrimaryUser,Te&&wn(),_e&&B.postMessage({type:$.CONFIGURE,...ke()})),b.configure(It())}function It(){return{sensitivity:En,horizontalSensitivity:yn,scrollSpeed:Sn,scrollMode:De,continuousMaxSpeed:Tn,continuousCurve:_n,continuousFullSpeedRatio:Mn,driftCompensation:An,driftTimeConstant:Rn,confirmFrames:On,gestureBindings:Pe}}function St(){return qt.some(e=>Pe[e]&&Pe[e]!=="none")}function ke(){return{measureFeatures:St(),lockPrimaryUser:ne}}function $o(e,t,n){let r=({locations:a})=>({x:a.reduce((s,l)=>s+l.x,0)/a.length*t,y:a.reduce((s,l)=>s+l.y,0)/a.length*n}),o=(e||[]).filter(a=>a.locations&&a.locations.length>0),i=o.find(a=>a.type==="mouth");return{eyes:o.filter(a=>a.type==="eye").map(r),mouth:i?r(i):null}}function Y(){return{isTracking:P||ee,isPaused:v,status:J,isRecording:G!==null,settings:{...It(),reuseCalibration:_t}}}function re(){return Se==="slides"?Co:Se==="media"?No:De==="reading"?wo:Io}function R(e,t){J={message:e,type:t};let n=Y();chrome.runtime.sendMessage({target:Ie.POPUP,type:N.STATE,state:n}).catch(()=>{}),W(N.STATE,{state:n}).catch(()=>{}),Qe&&Je({type:"state",state:n})}async function Ln(e){if(P||ee)return null;xn(e),ee=!0;try{if(R("Requesting camera access...","loading"),!navigator.mediaDevices||!navigator.mediaDevices.getUserMedia)throw Object.assign(new Error("Camera not supported in this browser."),{name:"NotSupportedError"});let t=null;for(let n of Qo())try{z=await navigator.mediaDevices.getUserMedia(n);break}catch(r){if(t=r,r.name==="NotAllowedError")break}if(!z)throw t||new Error("Failed to obtain camera stream");if(k.srcObject=z,z.getVideoTracks()[0].addEventListener("ended",ei),await ti(z.getVideoTracks()[0]),await new Promise((n,r)=>{let o=setTimeout(()=>{r(new Error("Video load timeout - camera may be in use by another application"))},8e3);k.onloadedmetadata=()=>{clearTimeout(o),k.play().then(n).catch(r)},k.onerror=()=>{clearTimeout(o),r(new Error("Video failed to load"))}}),k.videoWidth===0||k.videoHeight===0)throw new Error("Video stream has invalid dimensions");if(M.width=Math.floor(k.videoWidth*fn),M.height=Math.floor(k.videoHeight*fn),ee=!1,P=!0,b.reset(),Ue(),Me=null,Rt=0,gt=0,ye=0,$e=null,tt=z.getVideoTracks()[0].getSettings().deviceId||"default",q?et():_t&&await qo()?R(re(),"tracking"):R("Calibrating... Please look straight ahead and stay still.","loading"),v&&R(Mt,"ready"),G&&G.markReset(b.getCalibration(),performance.now()),ko())try{Fo(z.getVideoTracks()[0])}catch(n){console.warn("Worker frame capture failed \u2013 capturing on the main thread.",n),Tt()}else Tt()}catch(t){console.error("Camera error:",t),ee=!1,kn();let n=oi(t);return R(n,"error"),n}return null}async function qo(){try{let e=await W(N.LOAD_CALIBRATION,{deviceId:tt,width:M.width,height:M.height});return e?(b.restoreCalibration(e),e.primaryUser&&Ue(e.primaryUser),console.log("Restored calibration:",e),!0):!1}catch(e){return console.warn("Could not restore calibration:",e),!1}}function Jo(e){W(N.SAVE_CALIBRATION,{deviceId:tt,calibration:{...e,width:M.width,height:M.height,primaryUser:vo()}}).catch(t=>console.warn("Could not save calibration:",t))}function W(e,t={}){return chrome.runtime.sendMessage({target:Ie.BACKGROUND,type:e,...t})}function Qo(){let[e,t]=Ke.split("x").map(Number),n=te?{deviceId:{exact:te}}:{facingMode:"user"};return[{video:{...n,width:{ideal:e},height:{ideal:t},frameRate:{ideal:he}}},{video:n},{video:{facingMode:"user"}},{video:!0}]}function ei(){P&&(console.warn("Camera track ended"),wt("Camera disconnected. Reconnecting...",xo))}function wt(e,t=0){kn({silent:!0}),ee=!0,R(e,"loading"),setTimeout(()=>{ee=!1,Ln()},t)}function Dn(){if(P){if(q&&b.isRangeCalibrating()){et();return}oe(),Re(null),b.reset(),Ue(),G&&G.markReset(null,performance.now()),R("Recalibrating... Please look straight ahead and stay still.","loading")}}function Pn(e){!P||e===v||(v=e,v?(oe(),Re(null),R(Mt,"ready")):b.isCalibrated()?R(re(),"tracking"):R("Calibrating... Please look straight ahead and stay still.","loading"))}async function ti(e){let t=e.getCapabilities?e.getCapabilities():{};if(!(!t.exposureMode||!t.exposureMode.includes("continuous")))try{await e.applyConstraints({advanced:[{exposureMode:"continuous"}]})}catch(n){console.warn("Could not enable auto exposure:",n)}}function qe(e){Me=e,Rt=performance.now(),ni().catch(t=>console.warn("Could not adjust camera exposure:",t))}async function ni(){let e=performance.now(),t=Me.mean<Bo?1:Me.mean>Ho?-1:0,n=z&&z.getVideoTracks()[0];if(!t||!n||!n.getCapabilities||e-gt<zo)return;gt=e;let r=n.getCapabilities(),o=n.getSettings(),i=Vo.find(f=>r[f]&&Number.isFinite(o[f]));if(!i)return;let{min:a,max:s,step:l}=r[i],u=Math.min(s,Math.max(a,o[i]+t*(l||(s-a)/20)));u!==o[i]&&await n.applyConstraints({advanced:[{[i]:u}]})}async function ri(){if(!P||!te||tt===te)return;(await navigator.mediaDevices.enumerateDevices()).some(t=>t.kind==="videoinput"&&t.deviceId===te)&&wt("Preferred camera reconnected. Switching...")}function oi(e){let t="Failed to access camera. ";return e.name==="NotAllowedError"?t+="Please allow camera access and try again.":e.name==="NotFoundError"||e.name==="DevicesNotFoundError"?t+="No camera found. Please connect a camera.":e.name==="NotReadableError"||e.name==="TrackStartError"?t+="Camera is already in use by another application.":e.name==="OverconstrainedError"||e.name==="ConstraintNotSatisfiedError"?t+="Camera does not meet requirements.":e.name==="NotSupportedError"?t+="Camera not supported in this browser.":e.name==="AbortError"?t+="Camera access was aborted.":e.message&&e.message.includes("timeout")?t+="Camera took too long to respond. It may be in use.":t+=`Unknown error: ${e.message}`,t}function kn({silent:e=!1}={}){P=!1,oe(),Re(null),Q=null,z&&(z.getTracks().forEach(t=>t.stop()),z=null),Uo(),We&&(clearTimeout(We),We=null),k.srcObject=null,e||R("Stopped. Click Start to begin tracking again.","ready")}async function Tt(){let e=performance.now();if(Un(e),await ii(e),P){let t=performance.now()-e;We=setTimeout(Tt,Math.max(0,1e3/he-t))}}async function ii(e){if(!(!P||k.readyState<2))try{let t=null,n=!1;if(Te)try{let r=await Te.detect(k);if(r.length>0){let o=M.width/k.videoWidth,i=M.height/k.videoHeight,a=r.map(({boundingBox:f})=>({x:f.x*o,y:f.y*i,width:f.width*o,height:f.height*i})),s=null;(St()||ne)&&(de.drawImage(k,0,0,M.width,M.height),s=de.getImageData(0,0,M.width,M.height).data,qe(be(s)));let l=ne?At.select(a,s,M.width):a[0],u=r[a.indexOf(l)];u?(t={x:l.x+l.width/2,y:l.y+l.height/2,box:l,pose:Ve(u.landmarks)},St()&&(t.features=ze(s,M.width,M.height,t.box,$o(u.landmarks,o,i))),Ae="FaceDetector"):n=!0}}catch(r){console.warn("FaceDetector detect() failed \u2013 falling back to manual detection.",r),t=null}if(t===null&&!n){de.drawImage(k,0,0,M.width,M.height);let r=de.getImageData(0,0,M.width,M.height),o=B?await Po(r,M.width,M.height,ke()):Kt(Cn,r.data,M.width,M.height,ke());t=o.face,Fe=o.primaryUser,o.light&&qe(o.light),Ae=B?"worker":"sync"}performance.now()-Rt>Go&&(de.drawImage(k,0,0,M.width,M.height),qe(be(de.getImageData(0,0,M.width,M.height).data))),Fn(t,e)}catch(t){console.error("Detection error:",t),R("Detection error. Please try again.","error")}}function ai(e,t,n){if(!(!P||!_e)){Un(performance.now()),qe(t);try{Fn(e,n)}catch(r){console.error("Detection error:",r),R("Detection error. Please try again.","error")}}}function Fn(e,t){let n=performance.now();bn=t,D&&(D.recordFrame(e,Ae),n-Ot>Zo&&vn());let r=b.process(e,n);G&&G.record(e,r,n);let o=r.filter(i=>!v||i.type==="calibrated"||i.action==="togglePause");o.forEach(Gn),si(e),li(e),ui(e,o)}function Un(e){if($e!==null){let t=1e3/(e-$e);ye=ye===0?t:ye*.9+t*.1}$e=e}function si(e){let t=performance.now();!Le||t-mn<jo||(mn=t,Le.postMessage({...b.getDebugState(e),width:M.width,height:M.height,box:e?e.box:null,method:e?Ae:null,pose:e&&e.pose?e.pose:null,fps:Math.round(ye)}))}function li(e){let t=performance.now();if(!je||!Ze&&t-pn<Wo)return;pn=t;let n=b.getDebugState(e),r={type:v?"paused":J.type,label:ci(e),offset:n.baselineY!==null&&n.smoothedY!==null?(n.smoothedY-n.baselineY)/n.threshold:null};W(N.UPDATE_HUD,{state:r,flash:Ze}).catch(()=>{}),Ze=null}function nt(e){Ze=e}function ci(e){if(v)return"Paused";if(Q!==null)return`Hold still\u2026 ${Q}`;if(Et!==null)return"Look at the dot";if(b.isRangeCalibrating())return"Calibration wizard";switch(J.type){case"tracking":return Se==="slides"?"Slides":Se==="media"?"Media":De==="reading"?"Reading":"Tracking";case"ready":return J.message===In?"Looking away":"Idle";case"error":return J.message===Nn?"Too dark":e?"Error":"No face";default:return"Starting\u2026"}}function ui(e,t){if(!Qe||v)return;let n=e!==null;n!==yt&&(yt=n,Je({type:n?"face-found":"face-lost"})),t.filter(i=>i.type==="gesture").forEach(({gesture:i,action:a})=>Je({type:"gesture",gesture:i,action:a}));let r=performance.now(),o=b.getHeadOffset();n&&o&&r-hn>=Yo&&(hn=r,Je({type:"offset",x:o.x,y:o.y}))}function Je(e){W(N.API_EVENT,{event:e}).catch(()=>{})}function fi(){D&&vn(),D=un(),Ot=performance.now()}function di(){let e=D?D.summary():null;return D=null,e&&e.frames>0?e:null}function vn(){Ot=performance.now();let e=D.summary();e.frames!==0&&W(N.SAVE_SESSION_STATS,{stats:e}).catch(t=>console.warn("Could not save usage statistics:",t))}function hi(){!P||G||(oe(),b.reset(),G=cn({settings:It(),frame:{width:M.width,height:M.height}}),R("Recording... Please look straight ahead and stay still.","loading"))}function pi(){if(!G)return null;let e=G.finish();return G=null,R(J.message,J.type),e}function mi(e){q&&q.disconnect(),q=e,e.onMessage.addListener(t=>{t.type==="accept"?b.finishRangeCalibration().forEach(Gn):t.type==="retry"&&P&&et()}),e.onDisconnect.addListener(()=>{q===e&&(q=null,b.isRangeCalibrating()&&Dn())}),P&&et()}function et(){oe(),Re(null),b.startRangeCalibration(),Ue(),G&&G.markReset(null,performance.now()),R("Calibration wizard: look straight ahead and stay still.","loading")}function Ye(e,{force:t=!1}={}){if(!q)return;let n=performance.now();!t&&n-gn<Ko||(gn=n,q.postMessage(e))}chrome.runtime.onConnect.addListener(e=>{if(e.name===ot.RANGE_CALIBRATION){mi(e);return}e.name===ot.DEBUG_OVERLAY&&(Le=e,e.onDisconnect.addListener(()=>{Le===e&&(Le=null)}))});function Gn(e){switch(e.type){case"calibrating":Q=Math.ceil((100-e.progress)/100*fe/(ye||he)),R(`Calibrating... ${e.progress}% complete`,"loading"),b.isRangeCalibrating()&&Ye({step:"baseline",progress:e.progress});break;case"range-step":Q=null,e.progress===0&&R(bo[e.step],"loading"),Ye({step:e.step,progress:e.progress},{force:e.progress===0});break;case"range-result":R(e.result.ok?"Calibration wizard: check the result and accept it to start tracking.":"Calibration wizard: that didn't work, see the calibration page.","loading"),Ye({result:e.result},{force:!0});break;case"gaze-target":Q=null,Re(e.target),R(`${e.retry?"Couldn't tell where you were looking. ":""}Screen calibration: look at the blue dot on the page.`,"loading");break;case"calibrated":Q=null,Re(null),v?R(Mt,"ready"):R(re(),"tracking"),console.log("Calibration complete:",e.calibration),Jo(e.calibration);break;case"gesture":gi(e);break;case"velocity":Ei(e.x,e.y);break;case"reading-scroll":Bn("readingScroll",e.fraction),nt(le.scrollDown),D&&D.recordAction("readingScroll",performance.now());break;case"gaze-away":R(e.away?In:re(),e.away?"ready":"tracking");break;case"face-lost":Q=null,oe(),b.isRangeCalibrating()&&Ye({faceLost:!0}),Me&&Yt(Me)?R(Nn,"error"):b.isCalibrated()&&ne?R("Waiting for you to come back. Other people are ignored.","error"):b.isCalibrated()&&R("No face detected. Please position yourself in camera view.","error");break}}function gi({gesture:e,action:t,amount:n}){if(nt(le[t]),t==="recalibrate"){oe(),Ue(),R("Recalibrating... Please look straight ahead and stay still.","loading");return}if(t==="togglePause"){Pn(!v);return}Bn(t,n),D&&D.recordAction(t,performance.now()),R(`${$t[e]} \u2192 ${le[t]}`,"tracking"),setTimeout(()=>{P&&!v&&b.isCalibrated()&&R(re(),"tracking")},800)}function Ei(e,t){let n=performance.now(),r=e!==0||t!==0,o=H.x!==0||H.y!==0;if(!(Math.sign(e)!==Math.sign(H.x)||Math.sign(t)!==Math.sign(H.y)||Math.abs(e-H.x)>dn||Math.abs(t-H.y)>dn)&&!(r&&n-H.time>Xo))return;let a=H.y;H={x:e,y:t,time:n},W(N.SET_VELOCITY,{x:e,y:t}).catch(()=>{}),t!==0&&Math.sign(t)!==Math.sign(a)&&(D&&D.recordAction(t>0?"scrollDown":"scrollUp",n),nt(t>0?le.scrollDown:le.scrollUp)),r&&!o?R("Scrolling continuously\u2026","tracking"):!r&&o&&R(re(),"tracking")}function Re(e){e!==Et&&(Et=e,W(N.SHOW_GAZE_TARGET,{target:e}).catch(()=>{}))}function oe(){H.x===0&&H.y===0||(H={x:0,y:0,time:performance.now()},W(N.SET_VELOCITY,{x:0,y:0}).catch(()=>{}))}async function Bn(e,t){let n=bn,r=await W(N.RUN_ACTION,{action:e,amount:t}).catch(o=>({ok:!1,error:o.message}));r&&r.ok&&D&&D.recordLatency(performance.now()-n),(!r||!r.ok)&&(R("Cannot control this page. Try a different tab.","error"),setTimeout(()=>{P&&!v&&b.isCalibrated()&&R(re(),"tracking")},2e3))}navigator.mediaDevices&&navigator.mediaDevices.addEventListener("devicechange",ri);chrome.runtime.onMessage.addListener((e,t,n)=>{if(e.target!==Ie.OFFSCREEN)return!1;switch(e.type){case N.START:return Qe=!!e.apiListening,!P&&!ee&&fi(),Ln(e.settings).then(r=>{n(r?{...Y(),error:r}:Y())}),!0;case N.STOP:n({stats:di()});break;case N.UPDATE_SETTINGS:xn(e.settings),n(Y());break;case N.GET_STATE:n(Y());break;case N.RECALIBRATE:Dn(),n(Y());break;case N.SET_PAUSED:Pn(e.paused),n(Y());break;case N.RECORD_ACTION:nt(le[e.action]),D&&D.recordAction(e.action,performance.now()),n(Y());break;case N.SET_API_LISTENING:Qe=e.listening,yt=null,n(Y());break;case N.START_RECORDING:hi(),n(Y());break;case N.STOP_RECORDING:n({session:pi(),state:Y()});break;default:return!1}return!1});})();
@@ -0,0 +1,1245 @@
+// Offscreen.js - Head tracking for scrolling. Runs in an offscreen document so the camera
+// and detection loop survive the popup closing; the popup is only a remote control.
+import { ACTIONS } from './actions.js';
+import { createFaceTracker } from './faceDetection.js';
+import { measureFaceFeatures } from './faceFeatures.js';
+import { analyzeFrame } from './frameAnalysis.js';
+import { FACE_GESTURES, GESTURES } from './gestures.js';
+import { isTooDark, measureLight } from './lighting.js';
+import { MSG, PORT, TARGET, WORKER } from './messages.js';
+import { estimateHeadPose } from './pose.js';
+import { createPrimaryUserLock } from './primaryUser.js';
+import { createSessionRecorder } from './replay.js';
+import { DEFAULT_SETTINGS } from './settings.js';
+import { createSessionStats } from './stats.js';
+import { CALIBRATION_FRAMES, createTracker } from './tracker.js';
+
+const video = document.getElementById("webcam");
+
+let isTracking = false;
+let isStarting = false;
+// Paused: the camera and tracker keep running but nothing scrolls
+let isPaused = false;
+let stream = null;
+let deviceId = null;
+let loopTimer = null;
+let canvas = null;
+let ctx = null;
+let currentStatus = { message: 'Idle.', type: 'ready' };
+
+// Settings
+let MOVEMENT_THRESHOLD = DEFAULT_SETTINGS.sensitivity;
+let HORIZONTAL_THRESHOLD = DEFAULT_SETTINGS.horizontalSensitivity;
+let SCROLL_SPEED = DEFAULT_SETTINGS.scrollSpeed;
+let REUSE_CALIBRATION = DEFAULT_SETTINGS.reuseCalibration;
+let SCROLL_MODE = DEFAULT_SETTINGS.scrollMode;
+// The active tab's page mode, resolved by the service worker (see pageModes.js)
+let PAGE_MODE = 'scroll';
+let CONTINUOUS_MAX_SPEED = DEFAULT_SETTINGS.continuousMaxSpeed;
+let CONTINUOUS_CURVE = DEFAULT_SETTINGS.continuousCurve;
+let CONTINUOUS_FULL_SPEED_RATIO = DEFAULT_SETTINGS.continuousFullSpeedRatio;
+let DRIFT_COMPENSATION = DEFAULT_SETTINGS.driftCompensation;
+let DRIFT_TIME_CONSTANT = DEFAULT_SETTINGS.driftTimeConstant;
+let CONFIRM_FRAMES = DEFAULT_SETTINGS.confirmFrames;
+let CAMERA_DEVICE_ID = DEFAULT_SETTINGS.cameraDeviceId;
+let CAMERA_RESOLUTION = DEFAULT_SETTINGS.cameraResolution;
+let CAMERA_FRAME_RATE = DEFAULT_SETTINGS.cameraFrameRate;
+let LOCK_PRIMARY_USER = DEFAULT_SETTINGS.lockPrimaryUser;
+let SHOW_HUD = DEFAULT_SETTINGS.showHud;
+let gestureBindings = { ...DEFAULT_SETTINGS.gestureBindings };
+
+// Smoothing, calibration and gesture logic (see tracker.js)
+const tracker = createTracker();
+const TRACKING_MESSAGE = 'Tracking active! Nod, hold or turn your head to scroll.';
+const READING_MESSAGE = 'Reading mode active. The page moves on as you read down it.';
+const SLIDES_MESSAGE = 'Slides mode active. Nod down or turn right for the next slide, up or left to go back.';
+const MEDIA_MESSAGE = 'Media mode active. Nod down to play or pause, turn to seek, hold to change the volume.';
+const READING_AWAY_MESSAGE = 'Reading paused while you look away.';
+const PAUSED_MESSAGE = 'Paused. Scrolling is off until you resume.';
+const RANGE_STEP_MESSAGES = {
+  neutral: 'Calibration wizard: keep looking straight ahead, relaxed.',
+  up: 'Calibration wizard: tilt your head up as far as is comfortable and hold it there.',
+  down: 'Calibration wizard: tilt your head down as far as is comfortable and hold it there.'
+};
+
+// === Performance/Modern APIs ===
+// Scale factor used when drawing the video onto the analysis canvas (fewer pixels, faster).
+const DETECTION_SCALE = 0.3;
+// How long to wait before reopening the camera after it disappears mid-session
+const CAMERA_RECONNECT_DELAY_MS = 1000;
+// FaceDetector API setup (if supported by the browser).
+let faceDetector = null;
+// Faces FaceDetector looks for while locked to the primary user (see primaryUser.js)
+const MAX_DETECTED_FACES = 4;
+// With FaceDetector the lock lives here; the pixel-based tracker has its own
+const primaryUser = createPrimaryUserLock();
+
+function createFaceDetector() {
+  if (!('FaceDetector' in window)) return;
+  try {
+    faceDetector = new FaceDetector({ fastMode: true, maxDetectedFaces: LOCK_PRIMARY_USER ? MAX_DETECTED_FACES : 1 });
+  } catch (err) {
+    console.warn('FaceDetector initialization failed:', err);
+    faceDetector = null;
+  }
+}
+createFaceDetector();
+
+// Optional: Web Worker for manual face detection fallback
+let detectorWorker = null;
+const pendingWorkerPromises = {};
+if (window.Worker) {
+  try {
+    detectorWorker = new Worker('detectorWorker.bundle.js');
+    detectorWorker.onmessage = (e) => {
+      const { type, id, face, light, primaryUser: signature, capturedAt } = e.data;
+      if (type === WORKER.FRAME) {
+        pixelPrimaryUser = signature;
+        handleCapturedFrame(face, light, capturedAt - performance.timeOrigin);
+      } else if (type === WORKER.RESULT && pendingWorkerPromises[id]) {
+        pendingWorkerPromises[id]({ face, light, primaryUser: signature });
+        delete pendingWorkerPromises[id];
+      }
+    };
+  } catch (err) {
+    console.warn('Detector worker failed to start:', err);
+    detectorWorker = null;
+  }
+}
+
+// A worker that hasn't answered in this long is treated as having found nothing, so a
+// stuck worker can't stall the detection loop
+const WORKER_TIMEOUT_MS = 500;
+
+// Resolves to the worker's `{ face, light, primaryUser }` for one canvas frame (see frameAnalysis.js)
+function detectFaceInWorker(imageData, width, height, options) {
+  return new Promise((resolve) => {
+    const id = Math.random().toString(36).slice(2);
+    pendingWorkerPromises[id] = resolve;
+    setTimeout(() => {
+      if (!pendingWorkerPromises[id]) return;
+      delete pendingWorkerPromises[id];
+      resolve({ face: null, light: null, primaryUser: pixelPrimaryUser });
+    }, WORKER_TIMEOUT_MS);
+    // Transfer the underlying ArrayBuffer to avoid copying costs
+    detectorWorker.postMessage({ type: WORKER.DETECT, id, width, height, buffer: imageData.data.buffer, ...options }, [imageData.data.buffer]);
+  });
+}
+
+// Without FaceDetector, the worker can read frames straight from the camera track
+// (MediaStreamTrackProcessor), so this thread does no pixel work at all
+let workerCapture = false;
+
+function canCaptureInWorker() {
+  return detectorWorker !== null && faceDetector === null && 'MediaStreamTrackProcessor' in window;
+}
+
+function startWorkerCapture(track) {
+  // A buffer of one: frames that arrive while the worker is busy replace each other
+  const processor = new MediaStreamTrackProcessor({ track, maxBufferSize: 1 });
+  detectorWorker.postMessage({
+    type: WORKER.START_CAPTURE,
+    readable: processor.readable,
+    width: canvas.width,
+    height: canvas.height,
+    frameRate: CAMERA_FRAME_RATE,
+    ...analysisOptions()
+  }, [processor.readable]);
+  workerCapture = true;
+  detectionMethod = 'worker';
+}
+
+function stopWorkerCapture() {
+  if (!workerCapture) return;
+  detectorWorker.postMessage({ type: WORKER.STOP_CAPTURE });
+  workerCapture = false;
+}
+
+// Pixel-based tracking on the main thread, for when the worker couldn't start
+const faceTracker = createFaceTracker();
+// The pixel-based tracker's primary user, as its last result reported it
+let pixelPrimaryUser = null;
+
+// The pixel-based tracker learns the user's skin colour, and both trackers who the primary
+// user is; start over with a new camera or calibration, or from a restored calibration's
+// primary user (`signature`, see primaryUser.js)
+function resetFaceTracker(signature = null) {
+  faceTracker.reset(signature);
+  primaryUser.reset(signature);
+  pixelPrimaryUser = signature;
+  if (detectorWorker) detectorWorker.postMessage({ type: WORKER.RESET, primaryUser: signature });
+}
+
+// Whoever the active tracker locked onto, saved with the calibration so a restored one
+// stays with the person who calibrated rather than whoever is in view first
+function primaryUserSignature() {
+  if (!LOCK_PRIMARY_USER) return null;
+  return detectionMethod === 'FaceDetector' ? primaryUser.getSignature() : pixelPrimaryUser;
+}
+
+// Brightness of the camera image (see lighting.js). The pixel path measures every frame;
+// with FaceDetector the canvas is only sampled this often.
+let light = null;
+let lastLightCheck = 0;
+let lastExposureChange = 0;
+const LIGHT_CHECK_INTERVAL_MS = 1000;
+// Ask the camera for more or less exposure when the mean brightness leaves this range,
+// at most this often (each step takes the camera a moment to settle)
+const DIM_MEAN = 70;
+const BRIGHT_MEAN = 190;
+const EXPOSURE_CHANGE_INTERVAL_MS = 2000;
+// Exposure controls to nudge, in order of preference, when the camera has them
+const EXPOSURE_CONTROLS = ['exposureCompensation', 'brightness'];
+const LOW_LIGHT_MESSAGE = 'Too dark to see you. Turn on a light or face a window.';
+
+// Continuous mode: last velocity sent to the page, and when
+let sentVelocity = { x: 0, y: 0, time: 0 };
+// Velocity changes smaller than this (px/s) aren't worth a message
+const VELOCITY_EPSILON = 15;
+// Re-send an unchanged non-zero velocity this often so the page's watchdog keeps scrolling
+const VELOCITY_KEEPALIVE_MS = 200;
+
+// Reading mode: the screen calibration target currently shown in the page, if any
+let gazeTarget = null;
+
+// Public API (see externalApi.js): whether any extension is subscribed, whether the face
+// was visible last frame and when the head offset was last sent
+let apiListening = false;
+let apiFaceVisible = null;
+let lastApiOffset = 0;
+const API_OFFSET_INTERVAL_MS = 66;
+
+// On-page HUD (see hud.js): state updates at most this often, plus what to flash with the
+// next one and the seconds of calibration left, if calibrating
+let lastHudPost = 0;
+let hudFlash = null;
+let calibrationCountdown = null;
+const HUD_INTERVAL_MS = 100;
+
+// Debug overlay state
+let debugPort = null;
+let lastDebugPost = 0;
+// Calibration wizard page (calibration.html), while it is open, and when it was last updated
+let rangePort = null;
+let lastRangePost = 0;
+const RANGE_POST_INTERVAL_MS = 66;
+let detectionMethod = null;
+let fps = 0;
+let lastFrameStart = null;
+// ~15 updates per second is plenty for a preview and halves the messaging cost
+const DEBUG_INTERVAL_MS = 66;
+
+// Session recorder for replay tests (see replay.js), or null when not recording
+let recording = null;
+
+// Usage statistics for the current session (see stats.js), saved through the service
+// worker every so often and when tracking stops
+let sessionStats = null;
+let lastStatsSave = 0;
+const STATS_SAVE_INTERVAL_MS = 60 * 1000;
+// When the frame being processed was captured, to measure how long its actions take
+let frameTime = 0;
+
+// Create canvas for image processing
+canvas = document.createElement('canvas');
+ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+function applySettings(settings) {
+  if (!settings) return;
+  if (Number.isFinite(settings.sensitivity)) {
+    MOVEMENT_THRESHOLD = settings.sensitivity;
+  }
+  if (Number.isFinite(settings.horizontalSensitivity)) {
+    HORIZONTAL_THRESHOLD = settings.horizontalSensitivity;
+  }
+  if (Number.isFinite(settings.scrollSpeed)) {
+    SCROLL_SPEED = settings.scrollSpeed;
+  }
+  if (settings.scrollMode && settings.scrollMode !== SCROLL_MODE) {
+    // Leaving continuous mode must not leave the page scrolling at the last velocity
+    stopContinuousScroll();
+    SCROLL_MODE = settings.scrollMode;
+  }
+  if (settings.pageMode && settings.pageMode !== PAGE_MODE) {
+    PAGE_MODE = settings.pageMode;
+    if (currentStatus.type === 'tracking' && !isPaused) updateStatus(trackingMessage(), 'tracking');
+  }
+  if (Number.isFinite(settings.continuousMaxSpeed)) {
+    CONTINUOUS_MAX_SPEED = settings.continuousMaxSpeed;
+  }
+  if (Number.isFinite(settings.continuousCurve)) {
+    CONTINUOUS_CURVE = settings.continuousCurve;
+  }
+  if (Number.isFinite(settings.continuousFullSpeedRatio) && settings.continuousFullSpeedRatio > 1) {
+    CONTINUOUS_FULL_SPEED_RATIO = settings.continuousFullSpeedRatio;
+  }
+  if (typeof settings.driftCompensation === 'boolean') {
+    DRIFT_COMPENSATION = settings.driftCompensation;
+  }
+  if (Number.isFinite(settings.driftTimeConstant) && settings.driftTimeConstant > 0) {
+    DRIFT_TIME_CONSTANT = settings.driftTimeConstant;
+  }
+  if (Number.isFinite(settings.confirmFrames) && settings.confirmFrames >= 0) {
+    CONFIRM_FRAMES = settings.confirmFrames;
+  }
+  const cameraChanged =
+    (typeof settings.cameraDeviceId === 'string' && settings.cameraDeviceId !== CAMERA_DEVICE_ID) ||
+    (settings.cameraResolution && settings.cameraResolution !== CAMERA_RESOLUTION) ||
+    (Number.isFinite(settings.cameraFrameRate) && settings.cameraFrameRate !== CAMERA_FRAME_RATE);
+  if (cameraChanged) {
+    CAMERA_DEVICE_ID = settings.cameraDeviceId ?? CAMERA_DEVICE_ID;
+    CAMERA_RESOLUTION = settings.cameraResolution || CAMERA_RESOLUTION;
+    CAMERA_FRAME_RATE = settings.cameraFrameRate || CAMERA_FRAME_RATE;
+    if (isTracking) restartTracking('Switching camera...');
+  }
+  if (typeof settings.showHud === 'boolean' && settings.showHud !== SHOW_HUD) {
+    SHOW_HUD = settings.showHud;
+    if (!SHOW_HUD) sendToBackground(MSG.UPDATE_HUD, { state: null }).catch(() => {});
+  }
+  if (typeof settings.reuseCalibration === 'boolean') {
+    REUSE_CALIBRATION = settings.reuseCalibration;
+  }
+  if (settings.gestureBindings) {
+    gestureBindings = { ...gestureBindings, ...settings.gestureBindings };
+    // A newly bound blink or mouth gesture needs the worker to start measuring them
+    if (workerCapture) detectorWorker.postMessage({ type: WORKER.CONFIGURE, ...analysisOptions() });
+  }
+  if (typeof settings.lockPrimaryUser === 'boolean' && settings.lockPrimaryUser !== LOCK_PRIMARY_USER) {
+    LOCK_PRIMARY_USER = settings.lockPrimaryUser;
+    if (faceDetector) createFaceDetector();
+    if (workerCapture) detectorWorker.postMessage({ type: WORKER.CONFIGURE, ...analysisOptions() });
+  }
+  tracker.configure(trackerSettings());
+}
+
+// The subset of settings the tracker works from; also stored with recordings
+function trackerSettings() {
+  return {
+    sensitivity: MOVEMENT_THRESHOLD,
+    horizontalSensitivity: HORIZONTAL_THRESHOLD,
+    scrollSpeed: SCROLL_SPEED,
+    scrollMode: SCROLL_MODE,
+    continuousMaxSpeed: CONTINUOUS_MAX_SPEED,
+    continuousCurve: CONTINUOUS_CURVE,
+    continuousFullSpeedRatio: CONTINUOUS_FULL_SPEED_RATIO,
+    driftCompensation: DRIFT_COMPENSATION,
+    driftTimeConstant: DRIFT_TIME_CONSTANT,
+    confirmFrames: CONFIRM_FRAMES,
+    gestureBindings
+  };
+}
+
+// Measuring the eyes and mouth costs a pass over the frame; skip it unless a gesture uses them
+function needsFaceFeatures() {
+  return FACE_GESTURES.some((gesture) => gestureBindings[gesture] && gestureBindings[gesture] !== 'none');
+}
+
+// Options for the pixel pipeline (see frameAnalysis.js)
+function analysisOptions() {
+  return { measureFeatures: needsFaceFeatures(), lockPrimaryUser: LOCK_PRIMARY_USER };
+}
+
+// FaceDetector landmarks ({ type, locations }) as eye and mouth centers in canvas pixels
+function featureLandmarks(landmarks, scaleX, scaleY) {
+  const center = ({ locations }) => ({
+    x: locations.reduce((sum, point) => sum + point.x, 0) / locations.length * scaleX,
+    y: locations.reduce((sum, point) => sum + point.y, 0) / locations.length * scaleY
+  });
+  const located = (landmarks || []).filter((landmark) => landmark.locations && landmark.locations.length > 0);
+  const mouth = located.find((landmark) => landmark.type === 'mouth');
+  return {
+    eyes: located.filter((landmark) => landmark.type === 'eye').map(center),
+    mouth: mouth ? center(mouth) : null
+  };
+}
+
+function getState() {
+  return {
+    // Report camera start-up as tracking so the popup doesn't offer Start twice
+    isTracking: isTracking || isStarting,
+    isPaused,
+    status: currentStatus,
+    isRecording: recording !== null,
+    settings: { ...trackerSettings(), reuseCalibration: REUSE_CALIBRATION }
+  };
+}
+
+function trackingMessage() {
+  if (PAGE_MODE === 'slides') return SLIDES_MESSAGE;
+  if (PAGE_MODE === 'media') return MEDIA_MESSAGE;
+  return SCROLL_MODE === 'reading' ? READING_MESSAGE : TRACKING_MESSAGE;
+}
+
+function updateStatus(message, type) {
+  currentStatus = { message, type };
+  const state = getState();
+  // The popup may be closed; nobody listening is not an error.
+  chrome.runtime.sendMessage({ target: TARGET.POPUP, type: MSG.STATE, state })
+    .catch(() => {});
+  // The service worker mirrors the state on the toolbar badge
+  sendToBackground(MSG.STATE, { state }).catch(() => {});
+  if (apiListening) sendApiEvent({ type: 'state', state });
+}
+
+// Resolves once the camera is up, with the error message if it couldn't be started
+async function startTracking(settings) {
+  if (isTracking || isStarting) return null;
+  applySettings(settings);
+  isStarting = true;
+
+  try {
+    updateStatus('Requesting camera access...', 'loading');
+
+    // Check for getUserMedia support
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      throw Object.assign(new Error('Camera not supported in this browser.'), { name: 'NotSupportedError' });
+    }
+
+    let lastError = null;
+
+    for (const constraint of cameraConstraints()) {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia(constraint);
+        break;
+      } catch (err) {
+        lastError = err;
+        // Permission problems won't be fixed by relaxing constraints
+        if (err.name === 'NotAllowedError') break;
+      }
+    }
+
+    if (!stream) {
+      throw lastError || new Error('Failed to obtain camera stream');
+    }
+
+    video.srcObject = stream;
+
+    // Camera unplugged or taken away by the OS mid-session
+    stream.getVideoTracks()[0].addEventListener('ended', handleCameraLost);
+    await enableAutoExposure(stream.getVideoTracks()[0]);
+
+    // Wait for video to start
+    await new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        reject(new Error('Video load timeout - camera may be in use by another application'));
+      }, 8000);
+
+      video.onloadedmetadata = () => {
+        clearTimeout(timeoutId);
+        video.play().then(resolve).catch(reject);
+      };
+      video.onerror = () => {
+        clearTimeout(timeoutId);
+        reject(new Error('Video failed to load'));
+      };
+    });
+
+    if (video.videoWidth === 0 || video.videoHeight === 0) {
+      throw new Error('Video stream has invalid dimensions');
+    }
+
+    // Down-sample the video frame for face detection to cut processing cost ~10x
+    canvas.width = Math.floor(video.videoWidth * DETECTION_SCALE);
+    canvas.height = Math.floor(video.videoHeight * DETECTION_SCALE);
+
+    // Reset tracking state
+    isStarting = false;
+    isTracking = true;
+    tracker.reset();
+    resetFaceTracker();
+    light = null;
+    lastLightCheck = 0;
+    lastExposureChange = 0;
+    fps = 0;
+    lastFrameStart = null;
+
+    // Calibrations are per camera: a different device sees the user from a different angle
+    deviceId = stream.getVideoTracks()[0].getSettings().deviceId || 'default';
+
+    if (rangePort) {
+      // Started from the calibration wizard
+      startRangeCalibration();
+    } else if (REUSE_CALIBRATION && await restoreCalibration()) {
+      updateStatus(trackingMessage(), 'tracking');
+    } else {
+      updateStatus('Calibrating... Please look straight ahead and stay still.', 'loading');
+    }
+    // Reopening the camera (see restartTracking) doesn't unpause
+    if (isPaused) updateStatus(PAUSED_MESSAGE, 'ready');
+    // The camera was reopened mid-recording; replays must start over the same way
+    if (recording) recording.markReset(tracker.getCalibration(), performance.now());
+
+    // Start detection: in the worker where it can capture frames itself, else the loop here
+    if (canCaptureInWorker()) {
+      try {
+        startWorkerCapture(stream.getVideoTracks()[0]);
+      } catch (error) {
+        console.warn('Worker frame capture failed – capturing on the main thread.', error);
+        detectionLoop();
+      }
+    } else {
+      detectionLoop();
+    }
+
+  } catch (error) {
+    console.error('Camera error:', error);
+    isStarting = false;
+    stopTracking();
+    const errorMsg = describeCameraError(error);
+    updateStatus(errorMsg, 'error');
+    return errorMsg;
+  }
+  return null;
+}
+
+// Load this camera's last baseline through the service worker (no chrome.storage here).
+// Returns true when tracking can skip the calibration phase.
+async function restoreCalibration() {
+  try {
+    const calibration = await sendToBackground(MSG.LOAD_CALIBRATION, {
+      deviceId,
+      width: canvas.width,
+      height: canvas.height
+    });
+    if (!calibration) return false;
+
+    tracker.restoreCalibration(calibration);
+    if (calibration.primaryUser) resetFaceTracker(calibration.primaryUser);
+    console.log('Restored calibration:', calibration);
+    return true;
+  } catch (error) {
+    console.warn('Could not restore calibration:', error);
+    return false;
+  }
+}
+
+function persistCalibration(calibration) {
+  sendToBackground(MSG.SAVE_CALIBRATION, {
+    deviceId,
+    calibration: { ...calibration, width: canvas.width, height: canvas.height, primaryUser: primaryUserSignature() }
+  }).catch((error) => console.warn('Could not save calibration:', error));
+}
+
+function sendToBackground(type, payload = {}) {
+  return chrome.runtime.sendMessage({ target: TARGET.BACKGROUND, type, ...payload });
+}
+
+// Progressive fallback for camera constraints, starting from the user's choices
+function cameraConstraints() {
+  const [width, height] = CAMERA_RESOLUTION.split('x').map(Number);
+  const device = CAMERA_DEVICE_ID
+    ? { deviceId: { exact: CAMERA_DEVICE_ID } }
+    : { facingMode: 'user' };
+
+  return [
+    // Chosen camera at the chosen size and frame rate
+    {
+      video: {
+        ...device,
+        width: { ideal: width },
+        height: { ideal: height },
+        frameRate: { ideal: CAMERA_FRAME_RATE }
+      }
+    },
+    // Chosen camera at whatever it offers
+    { video: device },
+    // Chosen camera is gone: any front-facing camera
+    { video: { facingMode: 'user' } },
+    // Most basic - just video
+    { video: true }
+  ];
+}
+
+function handleCameraLost() {
+  if (!isTracking) return;
+  console.warn('Camera track ended');
+  restartTracking('Camera disconnected. Reconnecting...', CAMERA_RECONNECT_DELAY_MS);
+}
+
+// Reopen the camera (new device or settings, or after losing it) without the popup
+// seeing a stop in between.
+function restartTracking(message, delayMs = 0) {
+  stopTracking({ silent: true });
+  isStarting = true;
+  updateStatus(message, 'loading');
+  setTimeout(() => {
+    isStarting = false;
+    startTracking();
+  }, delayMs);
+}
+
+// Restart calibration from the current head position (popup button or keyboard shortcut)
+function recalibrate() {
+  if (!isTracking) return;
+  // Mid-wizard, start the wizard over rather than leave its page waiting
+  if (rangePort && tracker.isRangeCalibrating()) {
+    startRangeCalibration();
+    return;
+  }
+  stopContinuousScroll();
+  showGazeTarget(null);
+  tracker.reset();
+  resetFaceTracker();
+  if (recording) recording.markReset(null, performance.now());
+  updateStatus('Recalibrating... Please look straight ahead and stay still.', 'loading');
+}
+
+// Keep the camera (and calibration) but stop scrolling, e.g. while someone walks into frame
+function setPaused(paused) {
+  if (!isTracking || paused === isPaused) return;
+  isPaused = paused;
+
+  if (isPaused) {
+    stopContinuousScroll();
+    showGazeTarget(null);
+    updateStatus(PAUSED_MESSAGE, 'ready');
+  } else if (tracker.isCalibrated()) {
+    updateStatus(trackingMessage(), 'tracking');
+  } else {
+    updateStatus('Calibrating... Please look straight ahead and stay still.', 'loading');
+  }
+}
+
+// Let the camera manage exposure itself where it can; off by default on some webcams
+async function enableAutoExposure(track) {
+  const capabilities = track.getCapabilities ? track.getCapabilities() : {};
+  if (!capabilities.exposureMode || !capabilities.exposureMode.includes('continuous')) return;
+  try {
+    await track.applyConstraints({ advanced: [{ exposureMode: 'continuous' }] });
+  } catch (error) {
+    console.warn('Could not enable auto exposure:', error);
+  }
+}
+
+function updateLight(measured) {
+  light = measured;
+  lastLightCheck = performance.now();
+  adjustCameraExposure().catch((error) => console.warn('Could not adjust camera exposure:', error));
+}
+
+// Brighter pixels from the sensor beat brightened noise: step the camera's own exposure
+// controls toward a usable brightness before software correction has to do it all
+async function adjustCameraExposure() {
+  const now = performance.now();
+  const direction = light.mean < DIM_MEAN ? 1 : light.mean > BRIGHT_MEAN ? -1 : 0;
+  const track = stream && stream.getVideoTracks()[0];
+  if (!direction || !track || !track.getCapabilities || now - lastExposureChange < EXPOSURE_CHANGE_INTERVAL_MS) return;
+  lastExposureChange = now;
+
+  const capabilities = track.getCapabilities();
+  const current = track.getSettings();
+  const control = EXPOSURE_CONTROLS.find((name) => capabilities[name] && Number.isFinite(current[name]));
+  if (!control) return;
+
+  const { min, max, step } = capabilities[control];
+  const value = Math.min(max, Math.max(min, current[control] + direction * (step || (max - min) / 20)));
+  if (value !== current[control]) {
+    await track.applyConstraints({ advanced: [{ [control]: value }] });
+  }
+}
+
+// A camera came or went. If we're on a fallback camera and the chosen one is back, switch.
+async function handleDeviceChange() {
+  if (!isTracking || !CAMERA_DEVICE_ID || deviceId === CAMERA_DEVICE_ID) return;
+
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  if (devices.some((d) => d.kind === 'videoinput' && d.deviceId === CAMERA_DEVICE_ID)) {
+    restartTracking('Preferred camera reconnected. Switching...');
+  }
+}
+
+function describeCameraError(error) {
+  let errorMsg = 'Failed to access camera. ';
+
+  // Provide specific error messages
+  if (error.name === 'NotAllowedError') {
+    errorMsg += 'Please allow camera access and try again.';
+  } else if (error.name === 'NotFoundError' || error.name === 'DevicesNotFoundError') {
+    errorMsg += 'No camera found. Please connect a camera.';
+  } else if (error.name === 'NotReadableError' || error.name === 'TrackStartError') {
+    errorMsg += 'Camera is already in use by another application.';
+  } else if (error.name === 'OverconstrainedError' || error.name === 'ConstraintNotSatisfiedError') {
+    errorMsg += 'Camera does not meet requirements.';
+  } else if (error.name === 'NotSupportedError') {
+    errorMsg += 'Camera not supported in this browser.';
+  } else if (error.name === 'AbortError') {
+    errorMsg += 'Camera access was aborted.';
+  } else if (error.message && error.message.includes('timeout')) {
+    errorMsg += 'Camera took too long to respond. It may be in use.';
+  } else {
+    errorMsg += `Unknown error: ${error.message}`;
+  }
+
+  return errorMsg;
+}
+
+function stopTracking({ silent = false } = {}) {
+  isTracking = false;
+  stopContinuousScroll();
+  showGazeTarget(null);
+  calibrationCountdown = null;
+
+  // Stop camera
+  if (stream) {
+    stream.getTracks().forEach(track => track.stop());
+    stream = null;
+  }
+
+  // Cancel detection loop
+  stopWorkerCapture();
+  if (loopTimer) {
+    clearTimeout(loopTimer);
+    loopTimer = null;
+  }
+
+  video.srcObject = null;
+
+  if (!silent) {
+    updateStatus('Stopped. Click Start to begin tracking again.', 'ready');
+  }
+}
+
+// ----------------------------------------------------------------------------------
+// Frame processing loop. Offscreen documents are never rendered, so neither
+// requestAnimationFrame nor requestVideoFrameCallback fire reliably here; the loop runs
+// on a timer at the camera frame rate instead.
+async function detectionLoop() {
+  const frameStart = performance.now();
+  countFrame(frameStart);
+  await detectMovement(frameStart);
+  if (isTracking) {
+    // Schedule the next frame after this one finishes so slow detection can't pile up
+    const elapsed = performance.now() - frameStart;
+    loopTimer = setTimeout(detectionLoop, Math.max(0, 1000 / CAMERA_FRAME_RATE - elapsed));
+  }
+}
+
+async function detectMovement(frameStart) {
+  if (!isTracking || video.readyState < 2) return;
+
+  try {
+    let face = null;
+    // Set when FaceDetector saw only people other than the primary user
+    let onlyOthers = false;
+
+    // 1) Try the built-in FaceDetector API (GPU-accelerated, very fast)
+    if (faceDetector) {
+      try {
+        const faces = await faceDetector.detect(video);
+        if (faces.length > 0) {
+          // Convert the boxes into the same coordinate system as the analysis canvas
+          const scaleX = canvas.width / video.videoWidth;
+          const scaleY = canvas.height / video.videoHeight;
+          const boxes = faces.map(({ boundingBox: box }) => ({
+            x: box.x * scaleX, y: box.y * scaleY, width: box.width * scaleX, height: box.height * scaleY
+          }));
+          let data = null;
+          if (needsFaceFeatures() || LOCK_PRIMARY_USER) {
+            ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+            data = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+            updateLight(measureLight(data));
+          }
+
+          const box = LOCK_PRIMARY_USER ? primaryUser.select(boxes, data, canvas.width) : boxes[0];
+          const detected = faces[boxes.indexOf(box)];
+          if (detected) {
+            face = {
+              x: box.x + box.width / 2,
+              y: box.y + box.height / 2,
+              box,
+              pose: estimateHeadPose(detected.landmarks)
+            };
+            if (needsFaceFeatures()) {
+              face.features = measureFaceFeatures(data, canvas.width, canvas.height, face.box,
+                featureLandmarks(detected.landmarks, scaleX, scaleY));
+            }
+            detectionMethod = 'FaceDetector';
+          } else {
+            onlyOthers = true;
+          }
+        }
+      } catch (detErr) {
+        console.warn('FaceDetector detect() failed – falling back to manual detection.', detErr);
+        face = null;
+      }
+    }
+
+    // 2) Manual pixel-based fallback (runs on the down-sampled canvas)
+    if (face === null && !onlyOthers) {
+      // Draw current video frame to canvas (down-sampled)
+      ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+      const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+      // Off-thread in the worker if there is one, else synchronously here
+      const result = detectorWorker
+        ? await detectFaceInWorker(imageData, canvas.width, canvas.height, analysisOptions())
+        : analyzeFrame(faceTracker, imageData.data, canvas.width, canvas.height, analysisOptions());
+      face = result.face;
+      pixelPrimaryUser = result.primaryUser;
+      if (result.light) updateLight(result.light);
+      detectionMethod = detectorWorker ? 'worker' : 'sync';
+    }
+
+    if (performance.now() - lastLightCheck > LIGHT_CHECK_INTERVAL_MS) {
+      ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+      updateLight(measureLight(ctx.getImageData(0, 0, canvas.width, canvas.height).data));
+    }
+    processFace(face, frameStart);
+
+  } catch (error) {
+    console.error('Detection error:', error);
+    updateStatus('Detection error. Please try again.', 'error');
+  }
+}
+
+// A frame the worker captured and analysed by itself (see startWorkerCapture)
+function handleCapturedFrame(face, measuredLight, capturedAt) {
+  if (!isTracking || !workerCapture) return;
+  countFrame(performance.now());
+  updateLight(measuredLight);
+
+  try {
+    processFace(face, capturedAt);
+  } catch (error) {
+    console.error('Detection error:', error);
+    updateStatus('Detection error. Please try again.', 'error');
+  }
+}
+
+// Feed one frame's detection result to the tracker and act on what it reports
+function processFace(face, capturedAt) {
+  const now = performance.now();
+  frameTime = capturedAt;
+  if (sessionStats) {
+    sessionStats.recordFrame(face, detectionMethod);
+    if (now - lastStatsSave > STATS_SAVE_INTERVAL_MS) saveSessionStats();
+  }
+  const events = tracker.process(face, now);
+  if (recording) recording.record(face, events, now);
+  // While paused the tracker keeps its state (and calibration) current, but its output is
+  // dropped, except for the gesture that resumes
+  const handled = events.filter((event) => !isPaused || event.type === 'calibrated' || event.action === 'togglePause');
+  handled.forEach(handleTrackerEvent);
+
+  postDebugSnapshot(face);
+  postHud(face);
+  postApiEvents(face, handled);
+}
+
+function countFrame(frameStart) {
+  if (lastFrameStart !== null) {
+    const instantFps = 1000 / (frameStart - lastFrameStart);
+    fps = fps === 0 ? instantFps : fps * 0.9 + instantFps * 0.1;
+  }
+  lastFrameStart = frameStart;
+}
+
+// ----------------------------------------------------------------------------------
+// Debug overlay: while the popup has its overlay open it holds a port to us, and we
+// stream what the detector saw. Nothing is sent when no one is watching.
+function postDebugSnapshot(face) {
+  const now = performance.now();
+  if (!debugPort || now - lastDebugPost < DEBUG_INTERVAL_MS) return;
+  lastDebugPost = now;
+
+  debugPort.postMessage({
+    ...tracker.getDebugState(face),
+    width: canvas.width,
+    height: canvas.height,
+    box: face ? face.box : null,
+    method: face ? detectionMethod : null,
+    pose: face && face.pose ? face.pose : null,
+    fps: Math.round(fps)
+  });
+}
+
+// ----------------------------------------------------------------------------------
+// On-page HUD: a short label, the head offset in thresholds and anything to flash, sent to
+// the active tab through the service worker
+function postHud(face) {
+  const now = performance.now();
+  if (!SHOW_HUD || (!hudFlash && now - lastHudPost < HUD_INTERVAL_MS)) return;
+  lastHudPost = now;
+
+  const debug = tracker.getDebugState(face);
+  const state = {
+    type: isPaused ? 'paused' : currentStatus.type,
+    label: hudLabel(face),
+    offset: debug.baselineY !== null && debug.smoothedY !== null ? (debug.smoothedY - debug.baselineY) / debug.threshold : null
+  };
+  sendToBackground(MSG.UPDATE_HUD, { state, flash: hudFlash }).catch(() => {});
+  hudFlash = null;
+}
+
+function flashHud(text) {
+  hudFlash = text;
+}
+
+// The status message, in a word or two
+function hudLabel(face) {
+  if (isPaused) return 'Paused';
+  if (calibrationCountdown !== null) return `Hold still… ${calibrationCountdown}`;
+  if (gazeTarget !== null) return 'Look at the dot';
+  if (tracker.isRangeCalibrating()) return 'Calibration wizard';
+  switch (currentStatus.type) {
+    case 'tracking':
+      if (PAGE_MODE === 'slides') return 'Slides';
+      if (PAGE_MODE === 'media') return 'Media';
+      return SCROLL_MODE === 'reading' ? 'Reading' : 'Tracking';
+    case 'ready':
+      return currentStatus.message === READING_AWAY_MESSAGE ? 'Looking away' : 'Idle';
+    case 'error':
+      if (currentStatus.message === LOW_LIGHT_MESSAGE) return 'Too dark';
+      return face ? 'Error' : 'No face';
+    default:
+      return 'Starting…';
+  }
+}
+
+// ----------------------------------------------------------------------------------
+// Public API: head events for subscribed extensions, relayed by the service worker
+function postApiEvents(face, events) {
+  // Paused, only the state changes (see updateStatus)
+  if (!apiListening || isPaused) return;
+
+  const visible = face !== null;
+  if (visible !== apiFaceVisible) {
+    apiFaceVisible = visible;
+    sendApiEvent({ type: visible ? 'face-found' : 'face-lost' });
+  }
+  events
+    .filter((event) => event.type === 'gesture')
+    .forEach(({ gesture, action }) => sendApiEvent({ type: 'gesture', gesture, action }));
+
+  const now = performance.now();
+  const offset = tracker.getHeadOffset();
+  if (visible && offset && now - lastApiOffset >= API_OFFSET_INTERVAL_MS) {
+    lastApiOffset = now;
+    sendApiEvent({ type: 'offset', x: offset.x, y: offset.y });
+  }
+}
+
+function sendApiEvent(event) {
+  sendToBackground(MSG.API_EVENT, { event }).catch(() => {});
+}
+
+// ----------------------------------------------------------------------------------
+// Usage statistics (see stats.js). A session runs from Start to Stop; camera restarts
+// in between belong to the same session.
+function startSessionStats() {
+  // Started again without a Stop in between (e.g. after a camera error): keep what we have
+  if (sessionStats) saveSessionStats();
+  sessionStats = createSessionStats();
+  lastStatsSave = performance.now();
+}
+
+// The finished session's summary, or null if nothing was tracked
+function finishSessionStats() {
+  const summary = sessionStats ? sessionStats.summary() : null;
+  sessionStats = null;
+  return summary && summary.frames > 0 ? summary : null;
+}
+
+function saveSessionStats() {
+  lastStatsSave = performance.now();
+  const summary = sessionStats.summary();
+  if (summary.frames === 0) return;
+  sendToBackground(MSG.SAVE_SESSION_STATS, { stats: summary })
+    .catch((error) => console.warn('Could not save usage statistics:', error));
+}
+
+// ----------------------------------------------------------------------------------
+// Session recording. Recordings start with a fresh calibration so that replaying the
+// file through a new tracker reproduces the live session exactly.
+function startRecording() {
+  if (!isTracking || recording) return;
+  stopContinuousScroll();
+  tracker.reset();
+  recording = createSessionRecorder({
+    settings: trackerSettings(),
+    frame: { width: canvas.width, height: canvas.height }
+  });
+  updateStatus('Recording... Please look straight ahead and stay still.', 'loading');
+}
+
+function stopRecording() {
+  if (!recording) return null;
+  const session = recording.finish();
+  recording = null;
+  // Let the popup know recording stopped
+  updateStatus(currentStatus.message, currentStatus.type);
+  return session;
+}
+
+// ----------------------------------------------------------------------------------
+// Calibration wizard: while calibration.html holds a port to us, calibration goes on to
+// measure the user's range of motion (see rangeOfMotion.js) and waits for the page to
+// accept the result. Closing the page before that falls back to a plain calibration.
+function connectRangeCalibration(port) {
+  if (rangePort) rangePort.disconnect();
+  rangePort = port;
+  port.onMessage.addListener((message) => {
+    if (message.type === 'accept') {
+      tracker.finishRangeCalibration().forEach(handleTrackerEvent);
+    } else if (message.type === 'retry' && isTracking) {
+      startRangeCalibration();
+    }
+  });
+  port.onDisconnect.addListener(() => {
+    if (rangePort !== port) return;
+    rangePort = null;
+    if (tracker.isRangeCalibrating()) recalibrate();
+  });
+  // Still starting up: startTracking begins the wizard once the camera is ready
+  if (isTracking) startRangeCalibration();
+}
+
+function startRangeCalibration() {
+  stopContinuousScroll();
+  showGazeTarget(null);
+  tracker.startRangeCalibration();
+  resetFaceTracker();
+  if (recording) recording.markReset(null, performance.now());
+  updateStatus('Calibration wizard: look straight ahead and stay still.', 'loading');
+}
+
+// Progress goes to the page at most every RANGE_POST_INTERVAL_MS; step changes and the
+// result always do
+function postRangeCalibration(update, { force = false } = {}) {
+  if (!rangePort) return;
+  const now = performance.now();
+  if (!force && now - lastRangePost < RANGE_POST_INTERVAL_MS) return;
+  lastRangePost = now;
+  rangePort.postMessage(update);
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name === PORT.RANGE_CALIBRATION) {
+    connectRangeCalibration(port);
+    return;
+  }
+  if (port.name !== PORT.DEBUG_OVERLAY) return;
+  debugPort = port;
+  port.onDisconnect.addListener(() => {
+    if (debugPort === port) debugPort = null;
+  });
+});
+
+function handleTrackerEvent(event) {
+  switch (event.type) {
+    case 'calibrating':
+      calibrationCountdown = Math.ceil((100 - event.progress) / 100 * CALIBRATION_FRAMES / (fps || CAMERA_FRAME_RATE));
+      updateStatus(`Calibrating... ${event.progress}% complete`, 'loading');
+      if (tracker.isRangeCalibrating()) postRangeCalibration({ step: 'baseline', progress: event.progress });
+      break;
+    case 'range-step':
+      calibrationCountdown = null;
+      if (event.progress === 0) updateStatus(RANGE_STEP_MESSAGES[event.step], 'loading');
+      postRangeCalibration({ step: event.step, progress: event.progress }, { force: event.progress === 0 });
+      break;
+    case 'range-result':
+      updateStatus(event.result.ok
+        ? 'Calibration wizard: check the result and accept it to start tracking.'
+        : 'Calibration wizard: that didn\'t work, see the calibration page.', 'loading');
+      postRangeCalibration({ result: event.result }, { force: true });
+      break;
+    case 'gaze-target':
+      calibrationCountdown = null;
+      showGazeTarget(event.target);
+      updateStatus(`${event.retry ? "Couldn't tell where you were looking. " : ''}Screen calibration: look at the blue dot on the page.`, 'loading');
+      break;
+    case 'calibrated':
+      calibrationCountdown = null;
+      showGazeTarget(null);
+      if (isPaused) {
+        updateStatus(PAUSED_MESSAGE, 'ready');
+      } else {
+        updateStatus(trackingMessage(), 'tracking');
+      }
+      console.log('Calibration complete:', event.calibration);
+      persistCalibration(event.calibration);
+      break;
+    case 'gesture':
+      handleGesture(event);
+      break;
+    case 'velocity':
+      updateContinuousScroll(event.x, event.y);
+      break;
+    case 'reading-scroll':
+      runAction('readingScroll', event.fraction);
+      flashHud(ACTIONS.scrollDown);
+      if (sessionStats) sessionStats.recordAction('readingScroll', performance.now());
+      break;
+    case 'gaze-away':
+      updateStatus(event.away ? READING_AWAY_MESSAGE : trackingMessage(), event.away ? 'ready' : 'tracking');
+      break;
+    case 'face-lost':
+      calibrationCountdown = null;
+      stopContinuousScroll();
+      if (tracker.isRangeCalibrating()) postRangeCalibration({ faceLost: true });
+      // In a dark room the face is lost before calibration ever finishes; say why
+      if (light && isTooDark(light)) {
+        updateStatus(LOW_LIGHT_MESSAGE, 'error');
+      } else if (tracker.isCalibrated() && LOCK_PRIMARY_USER) {
+        updateStatus('Waiting for you to come back. Other people are ignored.', 'error');
+      } else if (tracker.isCalibrated()) {
+        updateStatus('No face detected. Please position yourself in camera view.', 'error');
+      }
+      break;
+  }
+}
+
+function handleGesture({ gesture, action, amount }) {
+  flashHud(ACTIONS[action]);
+  if (action === 'recalibrate') {
+    // The tracker has already restarted calibration; the page isn't involved
+    stopContinuousScroll();
+    resetFaceTracker();
+    updateStatus('Recalibrating... Please look straight ahead and stay still.', 'loading');
+    return;
+  }
+  if (action === 'togglePause') {
+    setPaused(!isPaused);
+    return;
+  }
+
+  runAction(action, amount);
+  if (sessionStats) sessionStats.recordAction(action, performance.now());
+
+  // Visual feedback
+  updateStatus(`${GESTURES[gesture]} → ${ACTIONS[action]}`, 'tracking');
+
+  // Reset status after feedback
+  setTimeout(() => {
+    if (isTracking && !isPaused && tracker.isCalibrated()) {
+      updateStatus(trackingMessage(), 'tracking');
+    }
+  }, 800);
+}
+
+// Continuous mode: the head offset sets a scroll velocity that scroller.js applies in the
+// page every animation frame. Velocities are only re-sent when they change noticeably or
+// as a keep-alive, since the scroller stops by itself when updates dry up.
+function updateContinuousScroll(x, y) {
+  const now = performance.now();
+
+  const moving = x !== 0 || y !== 0;
+  const wasMoving = sentVelocity.x !== 0 || sentVelocity.y !== 0;
+  // Any axis starting, stopping or reversing always counts as a change
+  const changed = Math.sign(x) !== Math.sign(sentVelocity.x) ||
+    Math.sign(y) !== Math.sign(sentVelocity.y) ||
+    Math.abs(x - sentVelocity.x) > VELOCITY_EPSILON ||
+    Math.abs(y - sentVelocity.y) > VELOCITY_EPSILON;
+
+  if (!changed && !(moving && now - sentVelocity.time > VELOCITY_KEEPALIVE_MS)) return;
+
+  const previousY = sentVelocity.y;
+  sentVelocity = { x, y, time: now };
+  sendToBackground(MSG.SET_VELOCITY, { x, y }).catch(() => {});
+
+  // A continuous scroll starting or turning around counts as one scroll in the statistics
+  if (y !== 0 && Math.sign(y) !== Math.sign(previousY)) {
+    if (sessionStats) sessionStats.recordAction(y > 0 ? 'scrollDown' : 'scrollUp', now);
+    flashHud(y > 0 ? ACTIONS.scrollDown : ACTIONS.scrollUp);
+  }
+
+  // Visual feedback on start/stop only; per-frame status updates would flood the popup
+  if (moving && !wasMoving) {
+    updateStatus('Scrolling continuously…', 'tracking');
+  } else if (!moving && wasMoving) {
+    updateStatus(trackingMessage(), 'tracking');
+  }
+}
+
+// Reading mode's screen calibration target, shown in the page by scroller.js
+function showGazeTarget(target) {
+  if (target === gazeTarget) return;
+  gazeTarget = target;
+  sendToBackground(MSG.SHOW_GAZE_TARGET, { target }).catch(() => {});
+}
+
+function stopContinuousScroll() {
+  if (sentVelocity.x === 0 && sentVelocity.y === 0) return;
+  sentVelocity = { x: 0, y: 0, time: performance.now() };
+  sendToBackground(MSG.SET_VELOCITY, { x: 0, y: 0 }).catch(() => {});
+}
+
+async function runAction(action, amount) {
+  const triggeredBy = frameTime;
+  // Actions need chrome.tabs / chrome.scripting, which only the service worker can use
+  const response = await sendToBackground(MSG.RUN_ACTION, { action, amount })
+    .catch((error) => ({ ok: false, error: error.message }));
+  if (response && response.ok && sessionStats) {
+    sessionStats.recordLatency(performance.now() - triggeredBy);
+  }
+
+  if (!response || !response.ok) {
+    updateStatus('Cannot control this page. Try a different tab.', 'error');
+
+    setTimeout(() => {
+      if (isTracking && !isPaused && tracker.isCalibrated()) {
+        updateStatus(trackingMessage(), 'tracking');
+      }
+    }, 2000);
+  }
+}
+
+if (navigator.mediaDevices) {
+  navigator.mediaDevices.addEventListener('devicechange', handleDeviceChange);
+}
+
+// Commands from the popup, relayed by the service worker
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== TARGET.OFFSCREEN) return false;
+
+  switch (message.type) {
+    case MSG.START:
+      apiListening = Boolean(message.apiListening);
+      // A START while already running or starting continues the same session
+      if (!isTracking && !isStarting) startSessionStats();
+      // Answer once the camera is up, so callers hear about a camera that failed
+      startTracking(message.settings).then((error) => {
+        sendResponse(error ? { ...getState(), error } : getState());
+      });
+      return true;
+    case MSG.STOP:
+      // The service worker closes this document next; hand over what it would lose
+      sendResponse({ stats: finishSessionStats() });
+      break;
+    case MSG.UPDATE_SETTINGS:
+      applySettings(message.settings);
+      sendResponse(getState());
+      break;
+    case MSG.GET_STATE:
+      sendResponse(getState());
+      break;
+    case MSG.RECALIBRATE:
+      recalibrate();
+      sendResponse(getState());
+      break;
+    case MSG.SET_PAUSED:
+      setPaused(message.paused);
+      sendResponse(getState());
+      break;
+    case MSG.RECORD_ACTION:
+      flashHud(ACTIONS[message.action]);
+      if (sessionStats) sessionStats.recordAction(message.action, performance.now());
+      sendResponse(getState());
+      break;
+    case MSG.SET_API_LISTENING:
+      apiListening = message.listening;
+      apiFaceVisible = null;
+      sendResponse(getState());
+      break;
+    case MSG.START_RECORDING:
+      startRecording();
+      sendResponse(getState());
+      break;
+    case MSG.STOP_RECORDING:
+      sendResponse({ session: stopRecording(), state: getState() });
+      break;
+    default:
+      return false;
+  }
+  return false;
+});
@@ -0,0 +1,2 @@
+(()=>{var T={none:"Do nothing",scrollDown:"Scroll down",scrollUp:"Scroll up",scrollLeft:"Scroll left",scrollRight:"Scroll right",pageDown:"Page down",pageUp:"Page up",scrollToBottom:"Jump to bottom",scrollToTop:"Jump to top",undoScroll:"Undo last scroll",nextSlide:"Next slide",previousSlide:"Previous slide",mediaPlayPause:"Play / pause",mediaSeekForward:"Forward 10 s",mediaSeekBackward:"Back 10 s",mediaVolumeUp:"Volume up",mediaVolumeDown:"Volume down",historyBack:"Go back",historyForward:"Go forward",nextTab:"Next tab",previousTab:"Previous tab",clickFocused:"Click focused link",togglePause:"Pause / resume",recalibrate:"Recalibrate"};var y={nodDown:"Nod down",nodUp:"Nod up",doubleNodDown:"Double nod down",doubleNodUp:"Double nod up",holdDown:"Hold head down",holdUp:"Hold head up",tiltLeft:"Tilt / turn left",tiltRight:"Tilt / turn right",longBlink:"Long blink",doubleBlink:"Double blink",mouthOpen:"Open mouth"};var c={sensitivity:25,horizontalSensitivity:30,scrollSpeed:80,scrollMode:"stepped",pageMode:"auto",continuousMaxSpeed:900,continuousCurve:1.5,continuousFullSpeedRatio:3,cameraDeviceId:"",cameraResolution:"640x480",cameraFrameRate:30,showHud:!0,hudPosition:"bottom-right",hudOpacity:.85,debugOverlay:!1,lockPrimaryUser:!1,reuseCalibration:!0,driftCompensation:!0,driftTimeConstant:60,confirmFrames:0,gestureBindings:{nodDown:"scrollDown",nodUp:"scrollUp",doubleNodDown:"none",doubleNodUp:"none",holdDown:"scrollDown",holdUp:"scrollUp",tiltLeft:"scrollLeft",tiltRight:"scrollRight",longBlink:"none",doubleBlink:"none",mouthOpen:"none"},apiAllowList:[],siteProfiles:{}},ae=8*60*60*1e3;async function b(){let e=await chrome.storage.sync.get(Object.keys(c));return{...c,...e,gestureBindings:{...c.gestureBindings,...e.gestureBindings}}}function R(e){return chrome.storage.sync.set(e)}var v={auto:"Automatic",scroll:"Scroll",slides:"Slides",media:"Video and audio"};var O=document.getElementById("gestureBindings"),K=document.getElementById("resetBindings"),C=document.getElementById("saveStatus"),B=document.getElementById("confirmFrames"),I=document.getElementById("confirmFramesValue"),N=document.getElementById("continuousMaxSpeed"),_=document.getElementById("continuousMaxSpeedValue"),P=document.getElementById("continuousCurve"),D=document.getElementById("continuousCurveValue"),x=document.getElementById("driftCompensation"),U=document.getElementById("driftTimeConstant"),k=document.getElementById("driftTimeConstantValue"),w=document.getElementById("siteProfiles"),A=document.getElementById("newProfileHost"),Y=document.getElementById("addProfile"),M=document.getElementById("cameraResolution"),F=document.getElementById("cameraFrameRate"),G=document.getElementById("lockPrimaryUser"),V=document.getElementById("showHud"),H=document.getElementById("hudPosition"),j=document.getElementById("hudOpacity"),$=document.getElementById("hudOpacityValue"),W=document.getElementById("apiAllowList"),u={...c.gestureBindings},s={},L=null;document.addEventListener("DOMContentLoaded",q);async function q(){try{let e=await b();u=e.gestureBindings,s=e.siteProfiles,d(B,I,e.confirmFrames),d(N,_,e.continuousMaxSpeed),d(P,D,e.continuousCurve),x.checked=e.driftCompensation,d(U,k,e.driftTimeConstant),M.value=e.cameraResolution,F.value=e.cameraFrameRate,G.checked=e.lockPrimaryUser,V.checked=e.showHud,H.value=e.hudPosition,d(j,$,e.hudOpacity),W.value=e.apiAllowList.join(`
+`)}catch(e){console.error("Failed to load settings:",e)}z(),S()}function d(e,t,o){e.value=o,t.textContent=o}function p(e,t,o){e.addEventListener("input",n=>{t.textContent=n.target.value}),e.addEventListener("change",n=>{i({[o]:parseFloat(n.target.value)})})}function z(){O.textContent="";for(let[e,t]of Object.entries(y)){let o=document.createElement("div");o.className="setting-item";let n=document.createElement("label");n.htmlFor=`gesture-${e}`,n.textContent=`${t}:`;let r=document.createElement("select");r.id=`gesture-${e}`;for(let[a,f]of Object.entries(T))r.add(new Option(f,a,!1,u[e]===a));r.addEventListener("change",()=>{u[e]=r.value,i({gestureBindings:u})}),o.append(n,r),O.appendChild(o)}}var X=[["selector","Scroll container (CSS selector)","text"],["scrollSpeed","Scroll speed (20-150)","number"],["sensitivity","Sensitivity (5-50)","number"],["pageMode","Page controls","select"]];function S(){w.textContent="";for(let[e,t]of Object.entries(s).sort(([o],[n])=>o.localeCompare(n))){let o=document.createElement("div");o.className="site-profile";let n=document.createElement("h4"),r=document.createElement("button");r.textContent="Remove",r.addEventListener("click",()=>{delete s[e],S(),i({siteProfiles:s})}),n.append(e,r),o.appendChild(n);for(let[a,f,g]of X){let h=document.createElement("div");h.className="setting-item";let E=document.createElement("label");E.htmlFor=`profile-${e}-${a}`,E.textContent=`${f}:`;let l=g==="select"?J():document.createElement("input");l.id=`profile-${e}-${a}`,g!=="select"&&(l.type=g,l.placeholder="Default"),l.value=t[a]??"",l.addEventListener("change",()=>Z(e,a,l)),h.append(E,l),o.appendChild(h)}w.appendChild(o)}}function J(){let e=document.createElement("select");for(let[t,o]of Object.entries(v)){let n=document.createElement("option");n.value=t==="auto"?"":t,n.textContent=o,e.appendChild(n)}return e}function Z(e,t,o){let n=o.value.trim();if(n==="")delete s[e][t];else if(t==="selector"){if(!Q(n)){m("Not a valid CSS selector");return}s[e][t]=n}else t==="pageMode"?s[e][t]=n:s[e][t]=parseFloat(n);i({siteProfiles:s})}function Q(e){try{return document.createDocumentFragment().querySelector(e),!0}catch{return!1}}function ee(e){let t=e.trim().toLowerCase();if(!t)return"";try{return new URL(t.includes("://")?t:`https://${t}`).hostname}catch{return""}}async function i(e){try{await R(e),m("Saved")}catch(t){console.error("Failed to save settings:",t),m("Could not save settings")}}function m(e){C.textContent=e,clearTimeout(L),L=setTimeout(()=>{C.textContent=""},1500)}K.addEventListener("click",()=>{u={...c.gestureBindings},z(),i({gestureBindings:u})});p(N,_,"continuousMaxSpeed");p(B,I,"confirmFrames");p(P,D,"continuousCurve");p(U,k,"driftTimeConstant");p(j,$,"hudOpacity");x.addEventListener("change",e=>{i({driftCompensation:e.target.checked})});Y.addEventListener("click",()=>{let e=ee(A.value);if(!e){m("Enter a site such as mail.google.com");return}s[e]=s[e]||{},A.value="",S(),i({siteProfiles:s})});M.addEventListener("change",e=>{i({cameraResolution:e.target.value})});F.addEventListener("change",e=>{i({cameraFrameRate:parseInt(e.target.value)})});G.addEventListener("change",e=>{i({lockPrimaryUser:e.target.checked})});V.addEventListener("change",e=>{i({showHud:e.target.checked})});H.addEventListener("change",e=>{i({hudPosition:e.target.value})});W.addEventListener("change",e=>{let t=e.target.value.split(/\s+/).filter(Boolean);i({apiAllowList:[...new Set(t)]})});})();
@@ -0,0 +1,268 @@
+// Options.js - Settings page for gesture bindings, false triggers, continuous scrolling, posture drift,
+// site profiles, camera mode, other people in view, the on-page display and other extensions.
+import { ACTIONS } from './actions.js';
+import { GESTURES } from './gestures.js';
+import { PAGE_MODES } from './pageModes.js';
+import { DEFAULT_SETTINGS, loadSettings, saveSettings } from './settings.js';
+
+const bindingsContainer = document.getElementById("gestureBindings");
+const resetBtn = document.getElementById("resetBindings");
+const saveStatus = document.getElementById("saveStatus");
+const confirmSlider = document.getElementById("confirmFrames");
+const confirmValue = document.getElementById("confirmFramesValue");
+const maxSpeedSlider = document.getElementById("continuousMaxSpeed");
+const maxSpeedValue = document.getElementById("continuousMaxSpeedValue");
+const curveSlider = document.getElementById("continuousCurve");
+const curveValue = document.getElementById("continuousCurveValue");
+const driftCheckbox = document.getElementById("driftCompensation");
+const driftSlider = document.getElementById("driftTimeConstant");
+const driftValue = document.getElementById("driftTimeConstantValue");
+const profilesContainer = document.getElementById("siteProfiles");
+const newProfileHost = document.getElementById("newProfileHost");
+const addProfileBtn = document.getElementById("addProfile");
+const resolutionSelect = document.getElementById("cameraResolution");
+const frameRateSelect = document.getElementById("cameraFrameRate");
+const lockPrimaryUserCheckbox = document.getElementById("lockPrimaryUser");
+const showHudCheckbox = document.getElementById("showHud");
+const hudPositionSelect = document.getElementById("hudPosition");
+const hudOpacitySlider = document.getElementById("hudOpacity");
+const hudOpacityValue = document.getElementById("hudOpacityValue");
+const apiAllowListInput = document.getElementById("apiAllowList");
+
+let bindings = { ...DEFAULT_SETTINGS.gestureBindings };
+let siteProfiles = {};
+let saveStatusTimer = null;
+
+document.addEventListener('DOMContentLoaded', initializeOptions);
+
+async function initializeOptions() {
+  try {
+    const settings = await loadSettings();
+    bindings = settings.gestureBindings;
+    siteProfiles = settings.siteProfiles;
+    renderSlider(confirmSlider, confirmValue, settings.confirmFrames);
+    renderSlider(maxSpeedSlider, maxSpeedValue, settings.continuousMaxSpeed);
+    renderSlider(curveSlider, curveValue, settings.continuousCurve);
+    driftCheckbox.checked = settings.driftCompensation;
+    renderSlider(driftSlider, driftValue, settings.driftTimeConstant);
+    resolutionSelect.value = settings.cameraResolution;
+    frameRateSelect.value = settings.cameraFrameRate;
+    lockPrimaryUserCheckbox.checked = settings.lockPrimaryUser;
+    showHudCheckbox.checked = settings.showHud;
+    hudPositionSelect.value = settings.hudPosition;
+    renderSlider(hudOpacitySlider, hudOpacityValue, settings.hudOpacity);
+    apiAllowListInput.value = settings.apiAllowList.join('\n');
+  } catch (error) {
+    console.error('Failed to load settings:', error);
+  }
+  renderBindings();
+  renderProfiles();
+}
+
+function renderSlider(slider, valueLabel, value) {
+  slider.value = value;
+  valueLabel.textContent = value;
+}
+
+function bindSlider(slider, valueLabel, key) {
+  slider.addEventListener('input', (e) => {
+    valueLabel.textContent = e.target.value;
+  });
+  slider.addEventListener('change', (e) => {
+    persist({ [key]: parseFloat(e.target.value) });
+  });
+}
+
+function renderBindings() {
+  bindingsContainer.textContent = '';
+
+  for (const [gesture, label] of Object.entries(GESTURES)) {
+    const item = document.createElement('div');
+    item.className = 'setting-item';
+
+    const labelEl = document.createElement('label');
+    labelEl.htmlFor = `gesture-${gesture}`;
+    labelEl.textContent = `${label}:`;
+
+    const select = document.createElement('select');
+    select.id = `gesture-${gesture}`;
+    for (const [action, actionLabel] of Object.entries(ACTIONS)) {
+      select.add(new Option(actionLabel, action, false, bindings[gesture] === action));
+    }
+    select.addEventListener('change', () => {
+      bindings[gesture] = select.value;
+      persist({ gestureBindings: bindings });
+    });
+
+    item.append(labelEl, select);
+    bindingsContainer.appendChild(item);
+  }
+}
+
+// Profile fields: settings key, label, input type
+const PROFILE_FIELDS = [
+  ['selector', 'Scroll container (CSS selector)', 'text'],
+  ['scrollSpeed', 'Scroll speed (20-150)', 'number'],
+  ['sensitivity', 'Sensitivity (5-50)', 'number'],
+  ['pageMode', 'Page controls', 'select']
+];
+
+function renderProfiles() {
+  profilesContainer.textContent = '';
+
+  for (const [host, profile] of Object.entries(siteProfiles).sort(([a], [b]) => a.localeCompare(b))) {
+    const section = document.createElement('div');
+    section.className = 'site-profile';
+
+    const heading = document.createElement('h4');
+    const removeBtn = document.createElement('button');
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => {
+      delete siteProfiles[host];
+      renderProfiles();
+      persist({ siteProfiles });
+    });
+    heading.append(host, removeBtn);
+    section.appendChild(heading);
+
+    for (const [key, label, type] of PROFILE_FIELDS) {
+      const item = document.createElement('div');
+      item.className = 'setting-item';
+
+      const labelEl = document.createElement('label');
+      labelEl.htmlFor = `profile-${host}-${key}`;
+      labelEl.textContent = `${label}:`;
+
+      const input = type === 'select' ? pageModeSelect() : document.createElement('input');
+      input.id = `profile-${host}-${key}`;
+      if (type !== 'select') {
+        input.type = type;
+        input.placeholder = 'Default';
+      }
+      input.value = profile[key] ?? '';
+      input.addEventListener('change', () => updateProfile(host, key, input));
+
+      item.append(labelEl, input);
+      section.appendChild(item);
+    }
+    profilesContainer.appendChild(section);
+  }
+}
+
+// Page modes for a site profile; 'auto' stands for no override, i.e. the built-in patterns
+function pageModeSelect() {
+  const select = document.createElement('select');
+  for (const [mode, label] of Object.entries(PAGE_MODES)) {
+    const option = document.createElement('option');
+    option.value = mode === 'auto' ? '' : mode;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+  return select;
+}
+
+function updateProfile(host, key, input) {
+  const value = input.value.trim();
+  if (value === '') {
+    delete siteProfiles[host][key];
+  } else if (key === 'selector') {
+    if (!isValidSelector(value)) {
+      showSaveStatus('Not a valid CSS selector');
+      return;
+    }
+    siteProfiles[host][key] = value;
+  } else if (key === 'pageMode') {
+    siteProfiles[host][key] = value;
+  } else {
+    siteProfiles[host][key] = parseFloat(value);
+  }
+  persist({ siteProfiles });
+}
+
+function isValidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Accept a bare hostname or a pasted URL
+function hostnameFrom(text) {
+  const trimmed = text.trim().toLowerCase();
+  if (!trimmed) return '';
+  try {
+    return new URL(trimmed.includes('://') ? trimmed : `https://${trimmed}`).hostname;
+  } catch (error) {
+    return '';
+  }
+}
+
+async function persist(changes) {
+  try {
+    await saveSettings(changes);
+    showSaveStatus('Saved');
+  } catch (error) {
+    console.error('Failed to save settings:', error);
+    showSaveStatus('Could not save settings');
+  }
+}
+
+function showSaveStatus(message) {
+  saveStatus.textContent = message;
+  clearTimeout(saveStatusTimer);
+  saveStatusTimer = setTimeout(() => {
+    saveStatus.textContent = '';
+  }, 1500);
+}
+
+resetBtn.addEventListener('click', () => {
+  bindings = { ...DEFAULT_SETTINGS.gestureBindings };
+  renderBindings();
+  persist({ gestureBindings: bindings });
+});
+
+bindSlider(maxSpeedSlider, maxSpeedValue, 'continuousMaxSpeed');
+bindSlider(confirmSlider, confirmValue, 'confirmFrames');
+bindSlider(curveSlider, curveValue, 'continuousCurve');
+bindSlider(driftSlider, driftValue, 'driftTimeConstant');
+bindSlider(hudOpacitySlider, hudOpacityValue, 'hudOpacity');
+
+driftCheckbox.addEventListener('change', (e) => {
+  persist({ driftCompensation: e.target.checked });
+});
+
+addProfileBtn.addEventListener('click', () => {
+  const host = hostnameFrom(newProfileHost.value);
+  if (!host) {
+    showSaveStatus('Enter a site such as mail.google.com');
+    return;
+  }
+  siteProfiles[host] = siteProfiles[host] || {};
+  newProfileHost.value = '';
+  renderProfiles();
+  persist({ siteProfiles });
+});
+
+resolutionSelect.addEventListener('change', (e) => {
+  persist({ cameraResolution: e.target.value });
+});
+frameRateSelect.addEventListener('change', (e) => {
+  persist({ cameraFrameRate: parseInt(e.target.value) });
+});
+lockPrimaryUserCheckbox.addEventListener('change', (e) => {
+  persist({ lockPrimaryUser: e.target.checked });
+});
+
+showHudCheckbox.addEventListener('change', (e) => {
+  persist({ showHud: e.target.checked });
+});
+hudPositionSelect.addEventListener('change', (e) => {
+  persist({ hudPosition: e.target.value });
+});
+
+apiAllowListInput.addEventListener('change', (e) => {
+  const ids = e.target.value.split(/\s+/).filter(Boolean);
+  persist({ apiAllowList: [...new Set(ids)] });
+});
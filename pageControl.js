@@ -0,0 +1,72 @@
+// pageControl.js – slide and media actions in the page (see pageModes.js). Bundled into
+// scroller.js. Slides change with PageDown / PageUp, the keys presentation clickers send,
+// which slide decks and web PDF viewers listen for; media actions work the page's main
+// video or audio element directly, so they don't depend on the player's shortcuts.
+import { deepActiveElement } from './scrollTarget.js';
+
+const SLIDE_KEYS = {
+  nextSlide: { key: 'PageDown', code: 'PageDown', keyCode: 34 },
+  previousSlide: { key: 'PageUp', code: 'PageUp', keyCode: 33 }
+};
+const SEEK_SECONDS = 10;
+const VOLUME_STEP = 0.1;
+
+// Press `key` where a real key press would go: the focused element, else the page
+function pressKey({ key, code, keyCode }) {
+  const focused = deepActiveElement();
+  const target = focused || document.body || document.documentElement;
+  // The event must come from the target's own window if focus is inside a frame
+  const { KeyboardEvent } = target.ownerDocument.defaultView;
+  for (const type of ['keydown', 'keyup']) {
+    const event = new KeyboardEvent(type, { key, code, bubbles: true, cancelable: true, composed: true });
+    // Older deck frameworks still read the deprecated keyCode / which
+    Object.defineProperty(event, 'keyCode', { get: () => keyCode });
+    Object.defineProperty(event, 'which', { get: () => keyCode });
+    target.dispatchEvent(event);
+  }
+}
+
+// The media element being watched: one that is playing, else the largest on screen
+function mainMedia() {
+  const elements = [...document.querySelectorAll('video, audio')];
+  const area = (element) => {
+    const rect = element.getBoundingClientRect();
+    return rect.width * rect.height;
+  };
+  return elements.find((element) => !element.paused && !element.ended) ||
+    elements.reduce((largest, element) => (!largest || area(element) > area(largest) ? element : largest), null);
+}
+
+function controlMedia(action) {
+  const media = mainMedia();
+  if (!media) return;
+
+  switch (action) {
+    case 'mediaPlayPause':
+      // play() is refused on pages the user never interacted with; nothing to be done then
+      if (media.paused) media.play().catch(() => {});
+      else media.pause();
+      break;
+    case 'mediaSeekForward': {
+      const end = Number.isFinite(media.duration) ? media.duration : Infinity;
+      media.currentTime = Math.min(end, media.currentTime + SEEK_SECONDS);
+      break;
+    }
+    case 'mediaSeekBackward':
+      media.currentTime = Math.max(0, media.currentTime - SEEK_SECONDS);
+      break;
+    case 'mediaVolumeUp':
+      media.muted = false;
+      media.volume = Math.min(1, media.volume + VOLUME_STEP);
+      break;
+    case 'mediaVolumeDown':
+      media.volume = Math.max(0, media.volume - VOLUME_STEP);
+      break;
+  }
+}
+
+/** Perform a slide or media action (see actions.js) in this page. */
+export function controlPage(action) {
+  if (SLIDE_KEYS[action]) pressKey(SLIDE_KEYS[action]);
+  else controlMedia(action);
+}
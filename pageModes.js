@@ -0,0 +1,102 @@
+// pageModes.js – what gestures do on pages where scrolling is the wrong action. On slide
+// decks nods change slides; on video sites they play, pause, seek and change the volume
+// (see pageControl.js for how that reaches the page). The mode is chosen in the popup or,
+// left on 'auto', picked per tab from its site profile, the URL or the page's markup.
+import { siteProfileFor } from './settings.js';
+
+export const PAGE_MODES = {
+  auto: 'Automatic',
+  scroll: 'Scroll',
+  slides: 'Slides',
+  media: 'Video and audio'
+};
+
+// What 'auto' recognises without a site profile, first match wins. `host` also covers
+// its subdomains; `path` is matched against the URL's pathname.
+const AUTO_PATTERNS = [
+  { mode: 'slides', host: 'docs.google.com', path: /^\/presentation\// },
+  { mode: 'media', host: 'youtube.com', path: /^\/(watch|live\/)/ },
+  { mode: 'media', host: 'vimeo.com', path: /^\/\d+/ },
+  { mode: 'media', host: 'twitch.tv', path: /^\/videos\// },
+  { mode: 'media', host: 'netflix.com', path: /^\/watch\// }
+];
+
+/**
+ * Markup of slide decks 'auto' recognises wherever they are hosted: reveal.js, which
+ * slides.com and most self-hosted decks are built on. The service worker looks for it in
+ * the tab (see background.js) and passes what it found to pageModeFor as `slideDeck`.
+ */
+export const SLIDE_DECK_SELECTOR = '.reveal .slides';
+
+// Gesture bindings of each mode, over the user's own (see settings.js). Eye and mouth
+// gestures keep what the user bound them to.
+const PAGE_MODE_BINDINGS = {
+  slides: {
+    nodDown: 'nextSlide',
+    nodUp: 'previousSlide',
+    doubleNodDown: 'none',
+    doubleNodUp: 'none',
+    holdDown: 'none',
+    holdUp: 'none',
+    tiltLeft: 'previousSlide',
+    tiltRight: 'nextSlide'
+  },
+  media: {
+    nodDown: 'mediaPlayPause',
+    // The nod's rebound could read as a nod up; toggling twice would undo the first
+    nodUp: 'none',
+    doubleNodDown: 'none',
+    doubleNodUp: 'none',
+    // Repeats while held, like scrolling
+    holdDown: 'mediaVolumeDown',
+    holdUp: 'mediaVolumeUp',
+    tiltLeft: 'mediaSeekBackward',
+    tiltRight: 'mediaSeekForward'
+  }
+};
+
+function hostMatches(hostname, host) {
+  return hostname === host || hostname.endsWith(`.${host}`);
+}
+
+/**
+ * The page mode ('scroll', 'slides' or 'media') for `url` when the chosen mode is `mode`:
+ * `mode` itself unless it is 'auto', else the site profile's mode (from `siteProfiles`,
+ * see settings.js), the built-in URL patterns or, failing those, 'slides' if the page
+ * has SLIDE_DECK_SELECTOR's markup (`slideDeck`).
+ */
+export function pageModeFor(mode, url, siteProfiles = {}, { slideDeck = false } = {}) {
+  if (mode && mode !== 'auto') return mode;
+
+  const profile = url ? siteProfileFor(siteProfiles, url) : null;
+  if (profile && profile.pageMode) return profile.pageMode;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return slideDeck ? 'slides' : 'scroll';
+  }
+  const match = AUTO_PATTERNS.find(({ host, path }) =>
+    (!host || hostMatches(parsed.hostname, host)) && (!path || path.test(parsed.pathname)));
+  if (match) return match.mode;
+  return slideDeck ? 'slides' : 'scroll';
+}
+
+/**
+ * `settings` for a tab at `url` in its page mode: `pageMode` set to the mode in effect and,
+ * for slides and media, the mode's gesture bindings and stepped scrolling (a head held off
+ * centre means nothing to a slide deck). `page` is what is known of the tab's content,
+ * see pageModeFor.
+ */
+export function withPageMode(settings, url, page = {}) {
+  const pageMode = pageModeFor(settings.pageMode, url, settings.siteProfiles, page);
+  const bindings = PAGE_MODE_BINDINGS[pageMode];
+  if (!bindings) return { ...settings, pageMode };
+  return {
+    ...settings,
+    pageMode,
+    scrollMode: 'stepped',
+    gestureBindings: { ...settings.gestureBindings, ...bindings }
+  };
+}
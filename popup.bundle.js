@@ -1 +1 @@
-const video=document.getElementById("webcam"),startBtn=document.getElementById("startBtn"),stopBtn=document.getElementById("stopBtn"),status=document.getElementById("status"),sensitivitySlider=document.getElementById("sensitivity"),scrollSpeedSlider=document.getElementById("scrollSpeed"),sensitivityValue=document.getElementById("sensitivityValue"),scrollSpeedValue=document.getElementById("scrollSpeedValue");let isTracking=!1,stream=null,animationId=null,canvas=null,ctx=null,calibrationData=[],baselineY=null,scrollLock=!1,frameCount=0,smoothedY=null,MOVEMENT_THRESHOLD=25,SCROLL_SPEED=80;const CALIBRATION_FRAMES=90,SMOOTHING_FACTOR=.7,DETECTION_SCALE=.3,hasRequestVideoFrameCallback="requestVideoFrameCallback"in HTMLVideoElement.prototype;let faceDetector=null;if("FaceDetector"in window)try{faceDetector=new FaceDetector({fastMode:!0,maxDetectedFaces:1})}catch(e){console.warn("FaceDetector initialization failed:",e),faceDetector=null}let detectorWorker=null;const pendingWorkerPromises={};if(window.Worker)try{detectorWorker=new Worker("detectorWorker.js"),detectorWorker.onmessage=e=>{const{id:t,faceY:n}=e.data;pendingWorkerPromises[t]&&(pendingWorkerPromises[t](n),delete pendingWorkerPromises[t])}}catch(e){console.warn("Detector worker failed to start:",e),detectorWorker=null}function detectFaceInWorker(e,t,n){return new Promise(o=>{if(!detectorWorker){o(null);return}const a=Math.random().toString(36).slice(2);pendingWorkerPromises[a]=o,detectorWorker.postMessage({id:a,width:t,height:n,buffer:e.data.buffer},[e.data.buffer])})}document.addEventListener("DOMContentLoaded",initializeApp);function initializeApp(){try{canvas=document.createElement("canvas"),ctx=canvas.getContext("2d"),updateStatus("Ready! Click Start to begin head tracking.","ready"),startBtn.disabled=!1,setupSettings()}catch(e){console.error("Initialization error:",e),updateStatus("Error: Failed to initialize. Please refresh the page.","error")}}function setupSettings(){sensitivitySlider.addEventListener("input",e=>{MOVEMENT_THRESHOLD=parseInt(e.target.value),sensitivityValue.textContent=MOVEMENT_THRESHOLD}),scrollSpeedSlider.addEventListener("input",e=>{SCROLL_SPEED=parseInt(e.target.value),scrollSpeedValue.textContent=SCROLL_SPEED})}function updateStatus(e,t){status.textContent=e,status.className=`status-${t}`}async function startTracking(){try{updateStatus("Requesting camera access...","loading"),stream=await navigator.mediaDevices.getUserMedia({video:{width:{ideal:640,min:320},height:{ideal:480,min:240},facingMode:"user",frameRate:{ideal:30,min:15}}}),video.srcObject=stream,video.style.display="block",await new Promise((e,t)=>{video.onloadedmetadata=()=>{video.play().then(e).catch(t)},video.onerror=t,setTimeout(()=>t(new Error("Video timeout")),5e3)}),canvas.width=Math.floor(video.videoWidth*DETECTION_SCALE),canvas.height=Math.floor(video.videoHeight*DETECTION_SCALE),isTracking=!0,frameCount=0,calibrationData=[],baselineY=null,smoothedY=null,scrollLock=!1,startBtn.style.display="none",stopBtn.style.display="inline-block",stopBtn.disabled=!1,updateStatus("Calibrating... Please look straight ahead and stay still.","loading"),startDetectionLoop()}catch(e){console.error("Camera error:",e);const t=e.name==="NotAllowedError"?"Camera access denied. Please allow camera access and try again.":"Failed to access camera. Please check your camera and try again.";updateStatus(t,"error"),stopTracking()}}function stopTracking(){isTracking=!1,stream&&(stream.getTracks().forEach(e=>e.stop()),stream=null),animationId&&(cancelAnimationFrame(animationId),animationId=null),video.style.display="none",startBtn.style.display="inline-block",stopBtn.style.display="none",startBtn.disabled=!1,updateStatus("Stopped. Click Start to begin tracking again.","ready")}function startDetectionLoop(){hasRequestVideoFrameCallback?video.requestVideoFrameCallback(handleVideoFrame):detectMovement()}async function handleVideoFrame(){await detectMovement(),isTracking&&video.requestVideoFrameCallback(handleVideoFrame)}async function detectMovement(){if(isTracking){try{let e=null;if(faceDetector)try{const t=await faceDetector.detect(video);if(t.length>0){const n=t[0].boundingBox;e=(n.y+n.height/2)*(canvas.height/video.videoHeight)}}catch(t){console.warn("FaceDetector detect() failed \u2013 falling back to manual detection.",t),e=null}if(e===null){ctx.drawImage(video,0,0,canvas.width,canvas.height);const t=ctx.getImageData(0,0,canvas.width,canvas.height);e=await detectFaceInWorker(t,canvas.width,canvas.height),e===null&&!detectorWorker&&(e=detectFacePosition(t.data,canvas.width,canvas.height))}if(e!==null){if(smoothedY===null?smoothedY=e:smoothedY=smoothedY*SMOOTHING_FACTOR+e*(1-SMOOTHING_FACTOR),frameCount++,frameCount<=CALIBRATION_FRAMES){calibrationData.push(smoothedY);const t=Math.round(frameCount/CALIBRATION_FRAMES*100);updateStatus(`Calibrating... ${t}% complete`,"loading"),frameCount===CALIBRATION_FRAMES&&(baselineY=calibrationData.reduce((o,a)=>o+a,0)/calibrationData.length,updateStatus("Tracking active! Move your head up/down to scroll.","tracking"),console.log("Calibration complete. Baseline Y:",baselineY))}else if(baselineY!==null&&!scrollLock){const t=smoothedY-baselineY;if(Math.abs(t)>MOVEMENT_THRESHOLD){scrollLock=!0;const n=Math.min(Math.abs(t)/MOVEMENT_THRESHOLD,4),o=Math.round(n*SCROLL_SPEED),a=t>0?o:-o;executeScroll(a);const y=t>0?"DOWN":"UP";updateStatus(`Scrolling ${y} (${Math.round(Math.abs(t))}px)`,"tracking"),setTimeout(()=>{isTracking&&frameCount>CALIBRATION_FRAMES&&updateStatus("Tracking active! Move your head up/down to scroll.","tracking")},800),setTimeout(()=>{scrollLock=!1},500)}}}else frameCount>CALIBRATION_FRAMES&&updateStatus("No face detected. Please position yourself in camera view.","error")}catch(e){console.error("Detection error:",e),updateStatus("Detection error. Please try again.","error")}isTracking&&!hasRequestVideoFrameCallback&&(animationId=requestAnimationFrame(detectMovement))}}function detectFacePosition(e,t,n){const E=t/2,M=n*.4;let g=null,p=-1/0;for(let l=Math.floor(n*.15);l<n*.85;l+=15)for(let s=Math.floor(t*.25);s<t*.75;s+=15){let b=0,k=0,f=0;for(let d=0;d<30&&l+d<n;d++)for(let u=0;u<30&&s+u<t;u++){const h=((l+d)*t+(s+u))*4,i=e[h],r=e[h+1],c=e[h+2];b+=i*.299+r*.587+c*.114,f++,i>95&&r>40&&c>20&&Math.max(i,r,c)-Math.min(i,r,c)>15&&Math.abs(i-r)>15&&i>r&&i>c&&k++}const m=b/f,w=k/f;if(m<=60||m>=220||w<=.1)continue;const C=s+15,v=l+15,T=Math.hypot(C-E,v-M),S=m*.7+w*1e3-T*.1;S>p&&(p=S,g={y:v})}return g?g.y:null}async function executeScroll(e){try{const[t]=await chrome.tabs.query({active:!0,currentWindow:!0});if(!t)throw new Error("No active tab found");await chrome.scripting.executeScript({target:{tabId:t.id},func:n=>{window.scrollBy({top:n,behavior:"smooth"})},args:[e]})}catch(t){console.error("Scroll error:",t),updateStatus("Cannot scroll this page. Try a different tab.","error"),setTimeout(()=>{isTracking&&frameCount>CALIBRATION_FRAMES&&updateStatus("Tracking active! Move your head up/down to scroll.","tracking")},2e3)}}startBtn.addEventListener("click",startTracking),stopBtn.addEventListener("click",stopTracking),window.addEventListener("beforeunload",()=>{isTracking&&stopTracking()}),document.addEventListener("visibilitychange",()=>{document.hidden&&isTracking&&console.log("Popup hidden, pausing tracking")});
+(()=>{var L={BACKGROUND:"background",OFFSCREEN:"offscreen",POPUP:"popup",CONTENT:"content"},_={DEBUG_OVERLAY:"debug-overlay",RANGE_CALIBRATION:"range-calibration"};var a={START:"start",STOP:"stop",GET_STATE:"get-state",START_RECORDING:"start-recording",STOP_RECORDING:"stop-recording",RECALIBRATE:"recalibrate",SET_PAUSED:"set-paused",RECORD_ACTION:"record-action",UPDATE_SETTINGS:"update-settings",STATE:"state",RUN_ACTION:"run-action",API_EVENT:"api-event",SET_API_LISTENING:"set-api-listening",SAVE_SESSION_STATS:"save-session-stats",LOAD_CALIBRATION:"load-calibration",SAVE_CALIBRATION:"save-calibration",SET_VELOCITY:"set-velocity",SCROLL:"scroll",UNDO_SCROLL:"undo-scroll",CLICK_FOCUSED:"click-focused",PAGE_CONTROL:"page-control",SHOW_GAZE_TARGET:"show-gaze-target",UPDATE_HUD:"update-hud"};var O={sensitivity:25,horizontalSensitivity:30,scrollSpeed:80,scrollMode:"stepped",pageMode:"auto",continuousMaxSpeed:900,continuousCurve:1.5,continuousFullSpeedRatio:3,cameraDeviceId:"",cameraResolution:"640x480",cameraFrameRate:30,showHud:!0,hudPosition:"bottom-right",hudOpacity:.85,debugOverlay:!1,lockPrimaryUser:!1,reuseCalibration:!0,driftCompensation:!0,driftTimeConstant:60,confirmFrames:0,gestureBindings:{nodDown:"scrollDown",nodUp:"scrollUp",doubleNodDown:"none",doubleNodUp:"none",holdDown:"scrollDown",holdUp:"scrollUp",tiltLeft:"scrollLeft",tiltRight:"scrollRight",longBlink:"none",doubleBlink:"none",mouthOpen:"none"},apiAllowList:[],siteProfiles:{}},ce=8*60*60*1e3;async function N(){let e=await chrome.storage.sync.get(Object.keys(O));return{...O,...e,gestureBindings:{...O.gestureBindings,...e.gestureBindings}}}function y(e){return chrome.storage.sync.set(e)}var p=document.getElementById("webcam"),h=document.getElementById("startBtn"),v=document.getElementById("stopBtn"),U=document.getElementById("status"),M=document.getElementById("sensitivity"),G=document.getElementById("horizontalSensitivity"),F=document.getElementById("scrollSpeed"),z=document.getElementById("sensitivityValue"),V=document.getElementById("horizontalSensitivityValue"),Y=document.getElementById("scrollSpeedValue"),S=document.getElementById("cameraDevice"),j=document.getElementById("scrollMode"),$=document.getElementById("pageMode"),H=document.getElementById("reuseCalibration"),B=document.getElementById("debugOverlayToggle"),i=document.getElementById("debugOverlay"),Z=document.getElementById("optionsLink"),Q=document.getElementById("calibrationLink"),w=document.getElementById("recordLink"),D=document.getElementById("recalibrateLink"),C=document.getElementById("pauseLink"),g=null,u=null,s="",R=!1,I=!1;document.addEventListener("DOMContentLoaded",ee);async function ee(){try{if(!window.isSecureContext){r("Error: Camera requires HTTPS. Extension must be loaded properly.","error");return}if(!navigator.mediaDevices||!navigator.mediaDevices.getUserMedia){r("Error: Camera not supported in this browser.","error");return}await te();let e=await f(a.GET_STATE);e&&e.isTracking?(m(e),P()):(r("Ready! Click Start to begin head tracking.","ready"),b())}catch(e){console.error("Initialization error:",e),r("Error: Failed to initialize. Please refresh the page.","error")}}async function te(){ne(await N()),A(M,z,"sensitivity"),A(G,V,"horizontalSensitivity"),A(F,Y,"scrollSpeed"),S.addEventListener("change",async e=>{if(s=e.target.value,y({cameraDeviceId:s}),g){T();try{await P()}catch(t){console.error("Preview error:",t)}}}),navigator.mediaDevices.addEventListener("devicechange",x),j.addEventListener("change",e=>{y({scrollMode:e.target.value})}),$.addEventListener("change",e=>{y({pageMode:e.target.value})}),H.addEventListener("change",e=>{y({reuseCalibration:e.target.checked})}),B.addEventListener("change",e=>{y({debugOverlay:e.target.checked}),e.target.checked?W():q()})}function A(e,t,n){e.addEventListener("input",o=>{t.textContent=o.target.value}),e.addEventListener("change",o=>{y({[n]:parseInt(o.target.value)})})}function ne(e){s=e.cameraDeviceId,x(),j.value=e.scrollMode,$.value=e.pageMode,M.value=e.sensitivity,z.textContent=e.sensitivity,G.value=e.horizontalSensitivity,V.textContent=e.horizontalSensitivity,F.value=e.scrollSpeed,Y.textContent=e.scrollSpeed,H.checked=e.reuseCalibration,B.checked=e.debugOverlay}function r(e,t){U.textContent=e,U.className=`status-${t}`}function m(e){e.status&&r(e.status.message,e.status.type),R=!!e.isRecording,I=!!e.isPaused,C.textContent=I?"Resume scrolling (Alt+Shift+P)":"Pause scrolling (Alt+Shift+P)",w.textContent=R?"Stop recording and save\u2026":"Record session for replay tests",e.isTracking?(K(),B.checked&&W()):(b(),T())}function K(){h.style.display="none",v.style.display="inline-block",v.disabled=!1,C.style.display="block",D.style.display="block",w.style.display="block"}function b(){h.style.display="inline-block",v.style.display="none",h.disabled=!1,C.style.display="none",D.style.display="none",w.style.display="none"}function f(e,t={}){return chrome.runtime.sendMessage({target:L.BACKGROUND,type:e,...t})}async function P(){if(g)return;let e=s?{deviceId:{ideal:s}}:{facingMode:"user"};g=await navigator.mediaDevices.getUserMedia({video:e}),p.srcObject=g,p.style.display="block",x()}async function x(){let e=[];try{e=(await navigator.mediaDevices.enumerateDevices()).filter(n=>n.kind==="videoinput"&&n.deviceId)}catch(t){console.warn("Could not list cameras:",t)}S.length=1,e.forEach((t,n)=>{S.add(new Option(t.label||`Camera ${n+1}`,t.deviceId))}),s&&!e.some(t=>t.deviceId===s)&&S.add(new Option("Saved camera (not connected)",s)),S.value=s}function W(){u||(u=chrome.runtime.connect({name:_.DEBUG_OVERLAY}),u.onMessage.addListener(oe),u.onDisconnect.addListener(()=>{chrome.runtime.lastError,u=null,i.style.display="none"}))}function q(){u&&(u.disconnect(),u=null),i.style.display="none"}function oe(e){if(!g)return;i.width=p.clientWidth,i.height=p.clientHeight,i.style.display="block";let t=i.getContext("2d"),n=i.width/e.width,o=i.height/e.height,c=i.width;if(t.clearRect(0,0,c,i.height),t.lineWidth=2,e.baselineY!==null){let l=e.baselineY*o,d=e.threshold*o;t.fillStyle="rgba(0, 102, 204, 0.15)",t.fillRect(0,l-d,c,d*2),t.strokeStyle="#0066cc",E(t,l,c),t.setLineDash([4,4]),E(t,l-d,c),E(t,l+d,c),t.setLineDash([])}e.box&&(t.strokeStyle="#4CAF50",t.strokeRect(e.box.x*n,e.box.y*o,e.box.width*n,e.box.height*o)),e.rawY!==null&&(t.strokeStyle="rgba(255, 255, 255, 0.7)",E(t,e.rawY*o,c)),e.smoothedY!==null&&(t.strokeStyle="#ff9800",E(t,e.smoothedY*o,c));let k=[`${e.method||"no face"} \xB7 ${e.source} \xB7 ${e.fps} fps`];if(e.pose){let{pitch:l,yaw:d,roll:J}=e.pose;k.push(`pitch ${l.toFixed(0)}\xB0 yaw ${d.toFixed(0)}\xB0 roll ${J.toFixed(0)}\xB0`)}t.font="11px sans-serif",t.fillStyle="rgba(0, 0, 0, 0.6)",t.fillRect(0,0,c,k.length*14+4),t.fillStyle="#fff",k.forEach((l,d)=>t.fillText(l,4,13+d*14))}function E(e,t,n){e.beginPath(),e.moveTo(0,t),e.lineTo(n,t),e.stroke()}function T(){g&&(g.getTracks().forEach(e=>e.stop()),g=null),q(),p.style.display="none",p.srcObject=null}async function ie(){h.disabled=!0;try{r("Requesting camera access...","loading"),await P()}catch(e){console.error("Camera error:",e);let t=e.name==="NotAllowedError"?"Camera access denied. Please allow camera access and try again.":"Failed to access camera. Please check your camera and try again.";r(t,"error"),b();return}try{let e=await f(a.START);K(),e&&m(e)}catch(e){console.error("Start error:",e),r("Error: Failed to start tracking.","error"),T(),b()}}async function re(){v.disabled=!0,R&&await X();try{await f(a.STOP)}catch(e){console.error("Stop error:",e)}T(),b(),r("Stopped. Click Start to begin tracking again.","ready")}async function X(){try{if(!R){let t=await f(a.START_RECORDING);t&&m(t);return}let e=await f(a.STOP_RECORDING);e&&m(e.state),e&&e.session&&ae(e.session)}catch(e){console.error("Recording error:",e),r("Error: Failed to record session.","error")}}function ae(e){let t=new Blob([JSON.stringify(e,null,2)],{type:"application/json"}),n=document.createElement("a");n.href=URL.createObjectURL(t),n.download=`head-scroll-session-${e.recordedAt.replace(/[:.]/g,"-")}.json`,n.click(),setTimeout(()=>URL.revokeObjectURL(n.href),1e3)}chrome.runtime.onMessage.addListener(e=>{e.target!==L.POPUP||e.type!==a.STATE||m(e.state)});h.addEventListener("click",ie);v.addEventListener("click",re);Z.addEventListener("click",()=>chrome.runtime.openOptionsPage());Q.addEventListener("click",()=>chrome.tabs.create({url:"calibration.html"}));w.addEventListener("click",X);C.addEventListener("click",async()=>{let e=await f(a.SET_PAUSED,{paused:!I}).catch(()=>null);e&&m(e)});D.addEventListener("click",async()=>{let e=await f(a.RECALIBRATE).catch(()=>null);e&&m(e)});window.addEventListener("beforeunload",T);})();
@@ -0,0 +1,73 @@
+// pose.js – head pose (pitch/yaw/roll) from face landmarks: FaceDetector's, or those the
+// pixel-based tracker finds itself (faceLandmarks.js).
+// Angles come from the geometry of eyes, nose and mouth rather than where the face sits
+// in the frame, so leaning or shifting in the chair no longer reads as a nod.
+
+// Approximate face proportions, relative to the distance between the eye centers.
+// Absolute accuracy is not needed: scrolling works on the change from a calibrated
+// baseline, so these only have to keep the angles roughly to scale.
+const NOSE_DEPTH_RATIO = 0.6;
+const NEUTRAL_NOSE_DROP_RATIO = 0.65;
+const NOSE_MOUTH_NEUTRAL_RATIO = 0.6;
+
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+function centerOf(locations) {
+  const sum = locations.reduce((a, p) => ({ x: a.x + p.x, y: a.y + p.y }), { x: 0, y: 0 });
+  return { x: sum.x / locations.length, y: sum.y / locations.length };
+}
+
+/**
+ * Estimate head pose from a FaceDetector result's `landmarks`.
+ * Returns `{ pitch, yaw, roll }` in degrees, or null when the eyes or nose are missing.
+ *
+ * Signs are from the user's point of view: pitch > 0 is looking down, yaw > 0 is turning
+ * to their right, roll > 0 is tilting the right ear towards the right shoulder.
+ */
+export function estimateHeadPose(landmarks) {
+  if (!landmarks) return null;
+
+  const eyes = landmarks.filter((l) => l.type === 'eye' && l.locations.length > 0);
+  const nose = landmarks.find((l) => l.type === 'nose' && l.locations.length > 0);
+  const mouth = landmarks.find((l) => l.type === 'mouth' && l.locations.length > 0);
+  if (eyes.length < 2 || !nose) return null;
+
+  // Image-left eye first. The camera image is not mirrored, so that is the user's right eye.
+  const [leftEye, rightEye] = eyes.slice(0, 2).map((eye) => centerOf(eye.locations)).sort((a, b) => a.x - b.x);
+  const eyeDistance = Math.hypot(rightEye.x - leftEye.x, rightEye.y - leftEye.y);
+  if (eyeDistance === 0) return null;
+
+  const rollRadians = Math.atan2(rightEye.y - leftEye.y, rightEye.x - leftEye.x);
+  const eyeMid = { x: (leftEye.x + rightEye.x) / 2, y: (leftEye.y + rightEye.y) / 2 };
+
+  // Undo the roll so pitch and yaw are measured along the face's own axes
+  const cos = Math.cos(-rollRadians);
+  const sin = Math.sin(-rollRadians);
+  const toFaceAxes = (point) => {
+    const dx = point.x - eyeMid.x;
+    const dy = point.y - eyeMid.y;
+    return { x: (dx * cos - dy * sin) / eyeDistance, y: (dx * sin + dy * cos) / eyeDistance };
+  };
+  const noseTip = toFaceAxes(centerOf(nose.locations));
+
+  // Yaw: the nose tip swings sideways from between the eyes. It moves towards the image
+  // left when the user turns to their right.
+  const yaw = toDegrees(Math.asin(Math.max(-1, Math.min(1, -noseTip.x / NOSE_DEPTH_RATIO))));
+
+  // Pitch: looking down pushes the nose tip down towards the mouth, looking up pulls it
+  // up towards the eyes. With a mouth landmark use the nose's share of the eye-to-mouth
+  // span, which is independent of distance from the camera; otherwise the nose drop alone.
+  let pitchRatio;
+  if (mouth) {
+    const mouthCenter = toFaceAxes(centerOf(mouth.locations));
+    pitchRatio = mouthCenter.y > 0
+      ? noseTip.y / mouthCenter.y - NOSE_MOUTH_NEUTRAL_RATIO
+      : noseTip.y - NEUTRAL_NOSE_DROP_RATIO;
+  } else {
+    pitchRatio = noseTip.y - NEUTRAL_NOSE_DROP_RATIO;
+  }
+  const pitch = toDegrees(Math.asin(Math.max(-1, Math.min(1, pitchRatio / NOSE_DEPTH_RATIO))));
+
+  // Positive image-space roll (right eye lower) is the user tilting towards their left
+  return { pitch, yaw, roll: -toDegrees(rollRadians) };
+}
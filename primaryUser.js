@@ -0,0 +1,142 @@
+// primaryUser.js – keeps tracking on the person who calibrated when other faces come into
+// view. The face seen right after a reset becomes the primary user, unless a restored
+// calibration brought their signature along; afterwards a face is only followed if it
+// looks like them (skin colour and size) and, while they were seen recently, is near where
+// they last were. Anyone else is ignored, so scrolling stops when the primary user leaves
+// instead of following whoever is left.
+import { MIN_CHROMA_LUMA, SKIN_SAMPLE_REGION, cbOf, crOf, lumaOf } from './color.js';
+
+// The primary user's signature is averaged over this many frames after a reset
+const LEARN_FRAMES = 30;
+// A face is the primary user only within this chroma distance of their signature...
+const MAX_CHROMA_DISTANCE = 10;
+// ...and this factor of their face width (leaning in and back changes it)
+const MAX_SIZE_RATIO = 1.5;
+// For this many frames after the primary user was last seen, a face must also be near
+// where they were: at most this many face widths away
+const CONTINUITY_FRAMES = 30;
+const MAX_JUMP_RATIO = 1;
+// Share of each matched frame blended into the signature, to follow lighting changes
+const SIGNATURE_UPDATE_RATE = 0.02;
+
+/**
+ * Appearance signature of the face in `box` of an RGBA frame `width` pixels wide:
+ * `{ cb, cr, size }`, its mean skin chroma and width. Null if the box has no usable pixels.
+ */
+export function faceSignature(data, width, box) {
+  const x0 = Math.max(0, Math.floor(box.x + box.width * SKIN_SAMPLE_REGION.left));
+  const x1 = Math.min(width, Math.ceil(box.x + box.width * SKIN_SAMPLE_REGION.right));
+  const y0 = Math.max(0, Math.floor(box.y + box.height * SKIN_SAMPLE_REGION.top));
+  const y1 = Math.min(data.length / 4 / width, Math.ceil(box.y + box.height * SKIN_SAMPLE_REGION.bottom));
+  let count = 0;
+  let cb = 0;
+  let cr = 0;
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const index = (y * width + x) * 4;
+      const r = data[index];
+      const g = data[index + 1];
+      const b = data[index + 2];
+      // Eyes, brows and shadows carry too little colour to go into the signature
+      if (lumaOf(r, g, b) < MIN_CHROMA_LUMA) continue;
+      count++;
+      cb += cbOf(r, g, b);
+      cr += crOf(r, g, b);
+    }
+  }
+  return count === 0 ? null : { cb: cb / count, cr: cr / count, size: box.width };
+}
+
+/**
+ * Create a primary-user lock. Each frame, call `select(boxes, data, width)` with the boxes
+ * of every face found: it returns the primary user's box, or null when they aren't among
+ * them. A detector that followed the face on its own can report it with
+ * `follow(box, data, width)` instead. `reset()` forgets the primary user; the next face
+ * seen becomes the new one. `getSignature()` is the learnt signature (null until then),
+ * which `reset(signature)` locks onto again, e.g. with a restored calibration.
+ */
+export function createPrimaryUserLock() {
+  let signature = null;
+  let samples = [];
+  let lastBox = null;
+  let framesSinceSeen = Infinity;
+
+  function reset(restored = null) {
+    signature = restored ? { cb: restored.cb, cr: restored.cr, size: restored.size } : null;
+    samples = [];
+    lastBox = null;
+    framesSinceSeen = Infinity;
+  }
+
+  function isLocked() {
+    return signature !== null;
+  }
+
+  function getSignature() {
+    return signature ? { ...signature } : null;
+  }
+
+  function select(boxes, data, width) {
+    // While learning, whoever is closest to the camera is taken to be the user
+    const box = signature
+      ? bestMatch(boxes, data, width)
+      : boxes.reduce((largest, candidate) => (!largest || candidate.width > largest.width ? candidate : largest), null);
+    if (!box) {
+      framesSinceSeen++;
+      return null;
+    }
+    follow(box, data, width);
+    return box;
+  }
+
+  function follow(box, data, width) {
+    lastBox = box;
+    framesSinceSeen = 0;
+    const current = faceSignature(data, width, box);
+    if (!current) return;
+
+    if (!signature) {
+      samples.push(current);
+      if (samples.length < LEARN_FRAMES) return;
+      const average = (key) => samples.reduce((sum, sample) => sum + sample[key], 0) / samples.length;
+      signature = { cb: average('cb'), cr: average('cr'), size: average('size') };
+      samples = [];
+      return;
+    }
+    for (const key of ['cb', 'cr', 'size']) {
+      signature[key] += (current[key] - signature[key]) * SIGNATURE_UPDATE_RATE;
+    }
+  }
+
+  // The candidate most like the primary user, or null if none is close enough
+  function bestMatch(boxes, data, width) {
+    let best = null;
+    let bestScore = Infinity;
+    for (const box of boxes) {
+      const candidate = faceSignature(data, width, box);
+      if (!candidate) continue;
+
+      const chroma = Math.hypot(candidate.cb - signature.cb, candidate.cr - signature.cr);
+      const sizeRatio = Math.abs(Math.log(candidate.size / signature.size));
+      if (chroma > MAX_CHROMA_DISTANCE || sizeRatio > Math.log(MAX_SIZE_RATIO)) continue;
+
+      let jump = 0;
+      if (lastBox && framesSinceSeen <= CONTINUITY_FRAMES) {
+        jump = Math.hypot(
+          box.x + box.width / 2 - (lastBox.x + lastBox.width / 2),
+          box.y + box.height / 2 - (lastBox.y + lastBox.height / 2)
+        ) / lastBox.width;
+        if (jump > MAX_JUMP_RATIO) continue;
+      }
+
+      const score = chroma / MAX_CHROMA_DISTANCE + sizeRatio / Math.log(MAX_SIZE_RATIO) + jump / MAX_JUMP_RATIO;
+      if (score < bestScore) {
+        bestScore = score;
+        best = box;
+      }
+    }
+    return best;
+  }
+
+  return { select, follow, reset, isLocked, getSignature };
+}
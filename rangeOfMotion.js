@@ -0,0 +1,113 @@
+// rangeOfMotion.js – the calibration wizard's measurements (see tracker.js): how steady the
+// head rests, how far up and down the user can comfortably move it, and the threshold and
+// continuous-mode speed curve that fit. Users with limited neck mobility get a threshold
+// they can reach; a noisy camera gets one its noise can't.
+
+/** The wizard's steps after the baseline: rest, then up and down as far as is comfortable. */
+export const RANGE_STEPS = ['neutral', 'up', 'down'];
+// Frames per step; the first RANGE_SETTLE_FRAMES of each are ignored while the head gets there
+export const RANGE_STEP_FRAMES = 90;
+const RANGE_SETTLE_FRAMES = 30;
+// The wizard fails once the face has been missing for this many frames in all
+const MAX_MISSING_FRAMES = 45;
+// Resting jitter (RMS offset from baseline) above this is too unsteady to calibrate on
+const MAX_JITTER = 3;
+// The threshold sits at this share of the smaller comfortable reach...
+const THRESHOLD_SHARE = 0.4;
+// ...but at least this many times the resting jitter, so noise alone never crosses it
+const JITTER_MARGIN = 5;
+// Threshold limits, those of the popup's sensitivity slider
+const MIN_SENSITIVITY = 5;
+const MAX_SENSITIVITY = 50;
+// Continuous mode reaches full speed at the comfortable reach, which must leave some room
+// past the threshold
+const MIN_FULL_SPEED_RATIO = 1.5;
+const MAX_FULL_SPEED_RATIO = 6;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function rms(values) {
+  return Math.sqrt(values.reduce((sum, value) => sum + value * value, 0) / values.length);
+}
+
+/**
+ * Settings for a measured range of motion: `jitter` is the resting RMS offset, `reachUp` and
+ * `reachDown` the comfortable offsets each way, all in the tracker's offset units. Returns
+ * `{ ok: true, sensitivity, continuousFullSpeedRatio }` or `{ ok: false, reason }`, the
+ * reason being 'jittery' or 'range-too-small'.
+ */
+export function deriveRangeSettings({ jitter, reachUp, reachDown }) {
+  if (jitter > MAX_JITTER) return { ok: false, reason: 'jittery' };
+
+  // One threshold serves both directions, so the shorter reach decides
+  const reach = Math.min(reachUp, reachDown);
+  const threshold = Math.max(reach * THRESHOLD_SHARE, jitter * JITTER_MARGIN);
+  const sensitivity = Math.round(Math.min(Math.max(threshold, MIN_SENSITIVITY), MAX_SENSITIVITY));
+  const fullSpeedRatio = reach / sensitivity;
+  if (fullSpeedRatio < MIN_FULL_SPEED_RATIO) return { ok: false, reason: 'range-too-small' };
+
+  return {
+    ok: true,
+    sensitivity,
+    continuousFullSpeedRatio: round1(Math.min(fullSpeedRatio, MAX_FULL_SPEED_RATIO))
+  };
+}
+
+/**
+ * Create the wizard's measuring steps, run once the baseline is known. Call `update(offset)`
+ * each frame with the vertical head offset from baseline (positive = down) and `faceLost()`
+ * on frames without a face (the tracker also reports those while learning the baseline).
+ * Both return tracker events:
+ *
+ *   { type: 'range-step', step, progress }   step from RANGE_STEPS, progress 0-100
+ *   { type: 'range-result', result }         deriveRangeSettings()'s answer plus the
+ *                                            measurements (jitter, reachUp, reachDown),
+ *                                            or `{ ok: false, reason: 'face-missing' }`
+ *
+ * and nothing after the result, which `result()` keeps returning (null until then).
+ */
+export function createRangeCalibration() {
+  let step = 0;
+  let frame = 0;
+  let missing = 0;
+  let outcome = null;
+  const samples = RANGE_STEPS.map(() => []);
+
+  function faceLost() {
+    if (outcome) return [];
+    missing++;
+    if (missing <= MAX_MISSING_FRAMES) return [];
+    outcome = { ok: false, reason: 'face-missing' };
+    return [{ type: 'range-result', result: outcome }];
+  }
+
+  function update(offset) {
+    if (outcome) return [];
+    if (frame >= RANGE_SETTLE_FRAMES) samples[step].push(offset);
+    frame++;
+    if (frame < RANGE_STEP_FRAMES) {
+      return [{ type: 'range-step', step: RANGE_STEPS[step], progress: Math.round((frame / RANGE_STEP_FRAMES) * 100) }];
+    }
+
+    frame = 0;
+    step++;
+    if (step < RANGE_STEPS.length) return [{ type: 'range-step', step: RANGE_STEPS[step], progress: 0 }];
+    outcome = measure();
+    return [{ type: 'range-result', result: outcome }];
+  }
+
+  function measure() {
+    const [neutral, up, down] = samples;
+    // Medians, so the trip there and a glance away don't count
+    const measurements = { jitter: round1(rms(neutral)), reachUp: round1(-median(up)), reachDown: round1(median(down)) };
+    return { ...deriveRangeSettings(measurements), ...measurements };
+  }
+
+  return { update, faceLost, result: () => outcome };
+}
@@ -0,0 +1,99 @@
+// reading.js – reading mode: maps the head offset from baseline to a coarse vertical gaze
+// position on screen, learnt by looking at a few targets in turn, and scrolls the page
+// on when the reader's line reaches the bottom of the viewport.
+
+/**
+ * Screen calibration targets, as fractions of the viewport height from the top. The user
+ * looks at each in turn; more than two lets the fit average out a sloppy glance.
+ */
+export const GAZE_TARGETS = [0.1, 0.5, 0.9];
+
+// Looking from the top to the bottom target has to move the head at least this far (in
+// head-offset units, see tracker.js), or the mapping would amplify noise into scrolling
+const MIN_GAZE_RANGE = 6;
+// The page scrolls once the gaze has stayed this far down the viewport...
+const READ_ZONE_START = 2 / 3;
+// ...for this long, so a glance at the bottom doesn't scroll
+const DWELL_MS = 600;
+// Scrolling brings the line being read up to here
+const READ_LINE_TARGET = 0.25;
+// After a scroll the eyes need a moment to find their line again
+const SETTLE_MS = 1500;
+// Gaze this far outside the viewport means the user looked away from the page
+const AWAY_MARGIN = 0.25;
+
+/**
+ * Fit the screen calibration: `samples` are `{ target, offset }` pairs of a target from
+ * GAZE_TARGETS and the head offset measured while looking at it. Returns
+ * `{ slope, intercept }` for gazePosition(), or null when the head barely moved between
+ * targets (or moved the wrong way) and no usable mapping can be made.
+ */
+export function fitGazeCalibration(samples) {
+  if (samples.length < 2) return null;
+
+  const n = samples.length;
+  const meanOffset = samples.reduce((sum, s) => sum + s.offset, 0) / n;
+  const meanTarget = samples.reduce((sum, s) => sum + s.target, 0) / n;
+  let covariance = 0;
+  let variance = 0;
+  for (const { offset, target } of samples) {
+    covariance += (offset - meanOffset) * (target - meanTarget);
+    variance += (offset - meanOffset) ** 2;
+  }
+  if (variance === 0) return null;
+
+  // Least squares, gaze position as a function of head offset
+  const slope = covariance / variance;
+  const targetRange = Math.max(...samples.map((s) => s.target)) - Math.min(...samples.map((s) => s.target));
+  // Looking down moves the offset up; the other way round is a calibration gone wrong
+  if (slope <= 0 || targetRange / slope < MIN_GAZE_RANGE) return null;
+  return { slope, intercept: meanTarget - slope * meanOffset };
+}
+
+/** Where on screen (fraction of the viewport height from the top) a head offset points. */
+export function gazePosition(calibration, offset) {
+  return calibration.intercept + calibration.slope * offset;
+}
+
+/**
+ * Create a reading recognizer. Feed it the gaze position every frame with
+ * `update({ gaze, now })` (null when there is no face) and it returns:
+ *
+ *   { type: 'reading-scroll', fraction }   scroll down by this share of the viewport
+ *   { type: 'gaze-away', away }            the user looked away from the page, or back
+ */
+export function createReadingRecognizer() {
+  let away = false;
+  let dwellStart = null;
+  let lastScroll = -Infinity;
+
+  function reset() {
+    away = false;
+    dwellStart = null;
+    lastScroll = -Infinity;
+  }
+
+  function update({ gaze, now }) {
+    const events = [];
+    const lookingAway = gaze === null || gaze < -AWAY_MARGIN || gaze > 1 + AWAY_MARGIN;
+    if (lookingAway !== away) {
+      away = lookingAway;
+      events.push({ type: 'gaze-away', away });
+    }
+
+    if (away || gaze < READ_ZONE_START) {
+      dwellStart = null;
+      return events;
+    }
+
+    if (dwellStart === null) dwellStart = now;
+    if (now - dwellStart >= DWELL_MS && now - lastScroll >= SETTLE_MS) {
+      events.push({ type: 'reading-scroll', fraction: Math.min(1, gaze) - READ_LINE_TARGET });
+      lastScroll = now;
+      dwellStart = null;
+    }
+    return events;
+  }
+
+  return { update, reset };
+}
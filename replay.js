@@ -0,0 +1,97 @@
+// replay.js – recorded tracking sessions. A session is the face stream the tracker was fed
+// plus the scroll events it produced; replaying one through a fresh tracker in Node (see
+// test/) shows whether a change to smoothing, calibration or thresholds alters the result.
+import { createTracker } from './tracker.js';
+
+export const SESSION_VERSION = 1;
+
+/**
+ * Record a session as it happens. Call `record(face, events, now)` with each frame's
+ * tracker input and output, and `markReset(calibration, now)` whenever the tracker is reset
+ * (with the calibration restored into it, if any). `finish()` returns the session:
+ *
+ *   { version, recordedAt, description, frame: { width, height }, settings,
+ *     samples: [{ t, face: { x, y, pose?, features? } | null } | { t, reset: true, calibration }],
+ *     expected: [{ t, type: 'gesture', gesture, action, amount } | { t, type: 'velocity', x, y }
+ *                | { t, type: 'reading-scroll', fraction }] }
+ *
+ * Times are milliseconds since recording started. `settings` are the tracker settings
+ * at the start; changing them mid-recording is not captured.
+ */
+export function createSessionRecorder({ settings, frame, description = '' }) {
+  let startedAt = null;
+  const samples = [];
+  const expected = [];
+  // Continuous mode reports a velocity every frame; only changes are worth keeping
+  let lastVelocity = { x: 0, y: 0 };
+
+  function elapsed(now) {
+    if (startedAt === null) startedAt = now;
+    return now - startedAt;
+  }
+
+  function record(face, events, now) {
+    const t = elapsed(now);
+    samples.push({ t, face: face && sampleFace(face) });
+
+    events.forEach((event) => {
+      if (event.type === 'gesture') {
+        expected.push({ t, type: event.type, gesture: event.gesture, action: event.action, amount: event.amount });
+      } else if (event.type === 'velocity' && (event.x !== lastVelocity.x || event.y !== lastVelocity.y)) {
+        lastVelocity = { x: event.x, y: event.y };
+        expected.push({ t, type: event.type, x: event.x, y: event.y });
+      } else if (event.type === 'reading-scroll') {
+        expected.push({ t, type: event.type, fraction: event.fraction });
+      }
+    });
+  }
+
+  function markReset(calibration, now) {
+    samples.push({ t: elapsed(now), reset: true, calibration });
+    lastVelocity = { x: 0, y: 0 };
+  }
+
+  function finish() {
+    return {
+      version: SESSION_VERSION,
+      recordedAt: new Date().toISOString(),
+      description,
+      frame,
+      settings,
+      samples,
+      expected
+    };
+  }
+
+  return { record, markReset, finish };
+}
+
+// What the tracker reads from a face, without the detector's box and landmarks
+function sampleFace(face) {
+  const sample = { x: face.x, y: face.y };
+  if (face.pose) sample.pose = face.pose;
+  if (face.features) sample.features = face.features;
+  return sample;
+}
+
+/** Feed a recorded session through a fresh tracker; returns the scroll events it produces. */
+export function replaySession(session) {
+  if (session.version !== SESSION_VERSION) {
+    throw new Error(`Unsupported session version: ${session.version}`);
+  }
+
+  const tracker = createTracker(session.settings);
+  const recorder = createSessionRecorder({ settings: session.settings, frame: session.frame });
+
+  session.samples.forEach((sample) => {
+    if (sample.reset) {
+      tracker.reset();
+      if (sample.calibration) tracker.restoreCalibration(sample.calibration);
+      recorder.markReset(sample.calibration, sample.t);
+      return;
+    }
+    recorder.record(sample.face, tracker.process(sample.face, sample.t), sample.t);
+  });
+
+  return recorder.finish().expected;
+}
@@ -0,0 +1,145 @@
+// scrollTarget.js – finds the element that actually scrolls a page's content. Runs in the
+// page (bundled into scroller.js). Web apps like Gmail, Slack or Notion keep the document
+// fixed and scroll an inner container, so window.scrollBy alone does nothing there.
+
+/**
+ * The element to scroll along `axis` ('x' or 'y'), in order of preference:
+ * 1. the first match for `selector` (from the site profile), in the page or a same-origin frame
+ * 2. the nearest scrollable ancestor of the focused element, following focus into frames
+ * 3. the scrollable region with the largest visible area, the document itself included
+ * Falls back to the top document's scrolling element.
+ */
+export function findScrollTarget({ selector = '', axis = 'y' } = {}) {
+  const documents = sameOriginDocuments(document);
+
+  if (selector) {
+    for (const doc of documents) {
+      const match = querySelectorSafe(doc, selector);
+      if (match) return match;
+    }
+  }
+
+  const focused = scrollableAncestor(deepActiveElement(), axis);
+  if (focused) return focused;
+
+  return largestScrollable(documents, axis) || document.scrollingElement || document.documentElement;
+}
+
+/** Scroll `target` by the given offsets; the top document scrolls through its window. */
+export function scrollTargetBy(target, options) {
+  if (target === document.scrollingElement) {
+    window.scrollBy(options);
+  } else {
+    target.scrollBy(options);
+  }
+}
+
+/** Height of one "page" in `target`, i.e. its visible height. */
+export function pageHeight(target) {
+  return target === target.ownerDocument.scrollingElement
+    ? target.ownerDocument.defaultView.innerHeight
+    : target.clientHeight;
+}
+
+function querySelectorSafe(doc, selector) {
+  try {
+    return doc.querySelector(selector);
+  } catch (error) {
+    // An invalid selector in a profile shouldn't break scrolling altogether
+    console.warn('Invalid scroll container selector:', selector);
+    return null;
+  }
+}
+
+// The document and every same-origin frame inside it, recursively
+function sameOriginDocuments(doc) {
+  const documents = [doc];
+  for (const frame of doc.querySelectorAll('iframe, frame')) {
+    let frameDoc = null;
+    try {
+      frameDoc = frame.contentDocument;
+    } catch (error) {
+      // Cross-origin: not ours to scroll
+    }
+    if (frameDoc && frameDoc.documentElement) {
+      documents.push(...sameOriginDocuments(frameDoc));
+    }
+  }
+  return documents;
+}
+
+/** document.activeElement, following focus into same-origin frames. */
+export function deepActiveElement() {
+  let element = document.activeElement;
+  while (element && /^i?frame$/i.test(element.tagName)) {
+    let inner = null;
+    try {
+      inner = element.contentDocument && element.contentDocument.activeElement;
+    } catch (error) {
+      break;
+    }
+    if (!inner) break;
+    element = inner;
+  }
+  return element;
+}
+
+function scrollableAncestor(element, axis) {
+  // Nothing focused: the body has focus, which says nothing about where the user reads
+  if (!element || element === element.ownerDocument.body) return null;
+
+  for (let node = element; node; node = node.parentElement) {
+    if (canScroll(node, axis)) return node;
+  }
+  // Inside a frame whose own document scrolls
+  const root = element.ownerDocument.scrollingElement;
+  return root && root !== document.scrollingElement && canScroll(root, axis) ? root : null;
+}
+
+function largestScrollable(documents, axis) {
+  let best = null;
+  let bestArea = 0;
+
+  for (const doc of documents) {
+    const candidates = [doc.scrollingElement, ...(doc.body ? doc.body.querySelectorAll('*') : [])];
+    for (const element of candidates) {
+      if (!element || !canScroll(element, axis)) continue;
+      const area = visibleArea(element);
+      if (area > bestArea) {
+        best = element;
+        bestArea = area;
+      }
+    }
+  }
+  return best;
+}
+
+function canScroll(element, axis) {
+  const overflow = axis === 'x'
+    ? element.scrollWidth - element.clientWidth
+    : element.scrollHeight - element.clientHeight;
+  if (overflow <= 1) return false;
+
+  const doc = element.ownerDocument;
+  const overflowStyle = (node) => {
+    const style = doc.defaultView.getComputedStyle(node);
+    return axis === 'x' ? style.overflowX : style.overflowY;
+  };
+  // The document scrolls unless the page locked it (apps that scroll an inner container do)
+  if (element === doc.scrollingElement) {
+    return ![doc.documentElement, doc.body].some((node) => node && /hidden|clip/.test(overflowStyle(node)));
+  }
+  return /auto|scroll|overlay/.test(overflowStyle(element));
+}
+
+// On-screen area of `element` within its own window's viewport
+function visibleArea(element) {
+  const view = element.ownerDocument.defaultView;
+  if (element === element.ownerDocument.scrollingElement) {
+    return view.innerWidth * view.innerHeight;
+  }
+  const rect = element.getBoundingClientRect();
+  const width = Math.min(rect.right, view.innerWidth) - Math.max(rect.left, 0);
+  const height = Math.min(rect.bottom, view.innerHeight) - Math.max(rect.top, 0);
+  return width > 0 && height > 0 ? width * height : 0;
+}
@@ -0,0 +1,29 @@
+(()=>{var k={"top-left":{top:"16px",left:"16px"},"top-right":{top:"16px",right:"16px"},"bottom-left":{bottom:"16px",left:"16px"},"bottom-right":{bottom:"16px",right:"16px"}},_={tracking:"#4caf50",loading:"#f0ad4e",ready:"#9e9e9e",paused:"#9e9e9e",error:"#e06c5a"},J=`
+  .hud {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 6px 10px;
+    border-radius: 16px;
+    background: rgba(32, 33, 36, 0.9);
+    color: #fff;
+    font: 12px/1.2 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+    transition: transform 0.15s ease;
+  }
+  .hud.flashing { transform: scale(1.08); }
+  .dot { width: 8px; height: 8px; border-radius: 50%; flex: none; }
+  .gauge { position: relative; width: 6px; height: 28px; border-radius: 3px; background: rgba(255, 255, 255, 0.15); flex: none; }
+  .gauge[hidden] { display: none; }
+  .band { position: absolute; left: 0; right: 0; border-top: 1px solid rgba(255, 255, 255, 0.5); border-bottom: 1px solid rgba(255, 255, 255, 0.5); }
+  .marker { position: absolute; left: -2px; right: -2px; height: 4px; margin-top: -2px; border-radius: 2px; background: #fff; }
+  .marker.past { background: #ff9800; }
+  .flash { font-weight: 600; }
+  .flash:empty { display: none; }
+`;function D(){let e=null,t=null,n={position:"bottom-right",opacity:.85},o=null,r=null;function l(){e=document.createElement("head-knock-hud"),e.setAttribute("aria-hidden","true");let i=e.attachShadow({mode:"closed"});i.innerHTML=`<style>${J}</style>
+      <div class="hud">
+        <span class="dot"></span>
+        <div class="gauge"><div class="band"></div><div class="marker"></div></div>
+        <span class="label"></span>
+        <span class="flash"></span>
+      </div>`,t={hud:i.querySelector(".hud"),dot:i.querySelector(".dot"),gauge:i.querySelector(".gauge"),band:i.querySelector(".band"),marker:i.querySelector(".marker"),label:i.querySelector(".label"),flash:i.querySelector(".flash")};let m=100/2;t.band.style.top=`${50-m/2}%`,t.band.style.height=`${m}%`,c(),document.documentElement.appendChild(e)}function c(){e&&(e.style.cssText="all: initial; position: fixed; z-index: 2147483647; pointer-events: none;",Object.assign(e.style,k[n.position]||k["bottom-right"]),e.style.opacity=String(n.opacity))}function s(i){n={...n,...i},c()}function $(i,m){if(!i){x();return}if((!e||!e.isConnected)&&l(),t.dot.style.background=_[i.type]||_.ready,t.label.textContent=i.label,t.gauge.hidden=i.offset===null,i.offset!==null){let Z=Math.max(-1,Math.min(1,i.offset/2));t.marker.style.top=`${50+Z*50}%`,t.marker.classList.toggle("past",Math.abs(i.offset)>=1)}m&&X(m),clearTimeout(o),o=setTimeout(x,1500)}function X(i){t.flash.textContent=i,t.hud.classList.add("flashing"),clearTimeout(r),r=setTimeout(()=>{t&&(t.flash.textContent="",t.hud.classList.remove("flashing"))},800)}function x(){clearTimeout(o),clearTimeout(r),e&&e.remove(),e=null,t=null}return{update:$,configure:s,remove:x}}var L={BACKGROUND:"background",OFFSCREEN:"offscreen",POPUP:"popup",CONTENT:"content"};var a={START:"start",STOP:"stop",GET_STATE:"get-state",START_RECORDING:"start-recording",STOP_RECORDING:"stop-recording",RECALIBRATE:"recalibrate",SET_PAUSED:"set-paused",RECORD_ACTION:"record-action",UPDATE_SETTINGS:"update-settings",STATE:"state",RUN_ACTION:"run-action",API_EVENT:"api-event",SET_API_LISTENING:"set-api-listening",SAVE_SESSION_STATS:"save-session-stats",LOAD_CALIBRATION:"load-calibration",SAVE_CALIBRATION:"save-calibration",SET_VELOCITY:"set-velocity",SCROLL:"scroll",UNDO_SCROLL:"undo-scroll",CLICK_FOCUSED:"click-focused",PAGE_CONTROL:"page-control",SHOW_GAZE_TARGET:"show-gaze-target",UPDATE_HUD:"update-hud"};function w({selector:e="",axis:t="y"}={}){let n=U(document);if(e)for(let r of n){let l=Q(r,e);if(l)return l}let o=ee(h(),t);return o||te(n,t)||document.scrollingElement||document.documentElement}function u(e,t){e===document.scrollingElement?window.scrollBy(t):e.scrollBy(t)}function v(e){return e===e.ownerDocument.scrollingElement?e.ownerDocument.defaultView.innerHeight:e.clientHeight}function Q(e,t){try{return e.querySelector(t)}catch{return console.warn("Invalid scroll container selector:",t),null}}function U(e){let t=[e];for(let n of e.querySelectorAll("iframe, frame")){let o=null;try{o=n.contentDocument}catch{}o&&o.documentElement&&t.push(...U(o))}return t}function h(){let e=document.activeElement;for(;e&&/^i?frame$/i.test(e.tagName);){let t=null;try{t=e.contentDocument&&e.contentDocument.activeElement}catch{break}if(!t)break;e=t}return e}function ee(e,t){if(!e||e===e.ownerDocument.body)return null;for(let o=e;o;o=o.parentElement)if(A(o,t))return o;let n=e.ownerDocument.scrollingElement;return n&&n!==document.scrollingElement&&A(n,t)?n:null}function te(e,t){let n=null,o=0;for(let r of e){let l=[r.scrollingElement,...r.body?r.body.querySelectorAll("*"):[]];for(let c of l){if(!c||!A(c,t))continue;let s=oe(c);s>o&&(n=c,o=s)}}return n}function A(e,t){if((t==="x"?e.scrollWidth-e.clientWidth:e.scrollHeight-e.clientHeight)<=1)return!1;let o=e.ownerDocument,r=l=>{let c=o.defaultView.getComputedStyle(l);return t==="x"?c.overflowX:c.overflowY};return e===o.scrollingElement?![o.documentElement,o.body].some(l=>l&&/hidden|clip/.test(r(l))):/auto|scroll|overlay/.test(r(e))}function oe(e){let t=e.ownerDocument.defaultView;if(e===e.ownerDocument.scrollingElement)return t.innerWidth*t.innerHeight;let n=e.getBoundingClientRect(),o=Math.min(n.right,t.innerWidth)-Math.max(n.left,0),r=Math.min(n.bottom,t.innerHeight)-Math.max(n.top,0);return o>0&&r>0?o*r:0}var P={nextSlide:{key:"PageDown",code:"PageDown",keyCode:34},previousSlide:{key:"PageUp",code:"PageUp",keyCode:33}},N=10,M=.1;function ne({key:e,code:t,keyCode:n}){let r=h()||document.body||document.documentElement,{KeyboardEvent:l}=r.ownerDocument.defaultView;for(let c of["keydown","keyup"]){let s=new l(c,{key:e,code:t,bubbles:!0,cancelable:!0,composed:!0});Object.defineProperty(s,"keyCode",{get:()=>n}),Object.defineProperty(s,"which",{get:()=>n}),r.dispatchEvent(s)}}function re(){let e=[...document.querySelectorAll("video, audio")],t=n=>{let o=n.getBoundingClientRect();return o.width*o.height};return e.find(n=>!n.paused&&!n.ended)||e.reduce((n,o)=>!n||t(o)>t(n)?o:n,null)}function ie(e){let t=re();if(t)switch(e){case"mediaPlayPause":t.paused?t.play().catch(()=>{}):t.pause();break;case"mediaSeekForward":{let n=Number.isFinite(t.duration)?t.duration:1/0;t.currentTime=Math.min(n,t.currentTime+N);break}case"mediaSeekBackward":t.currentTime=Math.max(0,t.currentTime-N);break;case"mediaVolumeUp":t.muted=!1,t.volume=Math.min(1,t.volume+M);break;case"mediaVolumeDown":t.volume=Math.max(0,t.volume-M);break}}function I(e){P[e]?ne(P[e]):ie(e)}var S={sensitivity:25,horizontalSensitivity:30,scrollSpeed:80,scrollMode:"stepped",pageMode:"auto",continuousMaxSpeed:900,continuousCurve:1.5,continuousFullSpeedRatio:3,cameraDeviceId:"",cameraResolution:"640x480",cameraFrameRate:30,showHud:!0,hudPosition:"bottom-right",hudOpacity:.85,debugOverlay:!1,lockPrimaryUser:!1,reuseCalibration:!0,driftCompensation:!0,driftTimeConstant:60,confirmFrames:0,gestureBindings:{nodDown:"scrollDown",nodUp:"scrollUp",doubleNodDown:"none",doubleNodUp:"none",holdDown:"scrollDown",holdUp:"scrollUp",tiltLeft:"scrollLeft",tiltRight:"scrollRight",longBlink:"none",doubleBlink:"none",mouthOpen:"none"},apiAllowList:[],siteProfiles:{}},Ee=8*60*60*1e3;async function O(){let e=await chrome.storage.sync.get(Object.keys(S));return{...S,...e,gestureBindings:{...S.gestureBindings,...e.gestureBindings}}}function G(e,t){return t==="sync"&&Object.keys(e).some(n=>n in S)}function F(e,t){let n;try{n=new URL(t).hostname}catch{return null}let o=n.split(".");for(let r=0;r<o.length;r++){let l=e[o.slice(r).join(".")];if(l)return l}return null}var le=500,ce=1e3,se=20,b=0,d=0,R=0,E=null,p=null,y=0,T=0,f=null,H=0,C="",B=null,K=D(),g=[];function W(e,t){return(!f||!f.isConnected||t-H>ce)&&(f=w({selector:C,axis:e}),H=t),f}function Y(e){if(e-R>le||b===0&&d===0){j();return}if(E!==null){let t=(e-E)/1e3;y+=b*t,T+=d*t;let n=Math.trunc(y),o=Math.trunc(T);(n!==0||o!==0)&&(u(W(d!==0?"y":"x",e),{left:n,top:o,behavior:"instant"}),y-=n,T-=o)}E=e,p=requestAnimationFrame(Y)}function j(){p!==null&&(cancelAnimationFrame(p),p=null),E=null,y=0,T=0,f=null}function ae(e,t){b=e,d=t,R=performance.now(),p===null&&(b!==0||d!==0)&&(z(W(d!==0?"y":"x",R)),p=requestAnimationFrame(Y))}function z(e){g.push({element:e,left:e.scrollLeft,top:e.scrollTop}),g.length>se&&g.shift()}function ue(){j(),b=0,d=0;let e=g.pop();for(;e&&!e.element.isConnected;)e=g.pop();e&&e.element.scrollTo({left:e.left,top:e.top,behavior:"smooth"})}function de(e,t){let o=w({selector:C,axis:e==="scrollLeft"||e==="scrollRight"?"x":"y"});switch(z(o),e){case"scrollDown":return u(o,{top:t,behavior:"smooth"});case"scrollUp":return u(o,{top:-t,behavior:"smooth"});case"scrollLeft":return u(o,{left:-t,behavior:"smooth"});case"scrollRight":return u(o,{left:t,behavior:"smooth"});case"pageDown":case"pageUp":return u(o,{top:(e==="pageDown"?1:-1)*v(o)*.9,behavior:"smooth"});case"scrollToBottom":return o.scrollTo({top:o.scrollHeight,behavior:"smooth"});case"scrollToTop":return o.scrollTo({top:0,behavior:"smooth"});case"readingScroll":return u(o,{top:v(o)*t,behavior:"smooth"})}}function fe(e){let t=document.getElementById("head-knock-gaze-target");if(e===null){t&&t.remove();return}t||(t=document.createElement("div"),t.id="head-knock-gaze-target",Object.assign(t.style,{position:"fixed",left:"50%",width:"24px",height:"24px",margin:"-12px 0 0 -12px",borderRadius:"50%",background:"#4a90d9",boxShadow:"0 0 0 6px rgba(74, 144, 217, 0.3)",zIndex:"2147483647",pointerEvents:"none",transition:"top 0.3s ease"}),document.documentElement.appendChild(t)),t.style.top=`${e*100}%`}function pe(){let e=h();!e||e===e.ownerDocument.body||e===e.ownerDocument.documentElement||e.click()}async function q(){let e=await O(),t=F(e.siteProfiles,location.href);C=t&&t.selector||"",f=null}async function V(){let e=await O();K.configure({position:e.hudPosition,opacity:e.hudOpacity})}window.__headKnockScroller||(window.__headKnockScroller=!0,B=q().catch(e=>console.warn("Could not load site profile:",e)),V().catch(()=>{}),chrome.runtime.onMessage.addListener((e,t,n)=>{if(e.target!==L.CONTENT)return!1;switch(e.type){case a.SET_VELOCITY:ae(e.x,e.y);break;case a.SCROLL:B.then(()=>de(e.action,e.amount));break;case a.UNDO_SCROLL:ue();break;case a.CLICK_FOCUSED:pe();break;case a.PAGE_CONTROL:I(e.action);break;case a.SHOW_GAZE_TARGET:fe(e.target);break;case a.UPDATE_HUD:K.update(e.state,e.flash);break;default:return!1}return n({ok:!0}),!1}),chrome.storage.onChanged.addListener((e,t)=>{G(e,t)&&(e.siteProfiles&&q().catch(()=>{}),(e.hudPosition||e.hudOpacity)&&V().catch(()=>{}))}));})();
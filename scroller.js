@@ -0,0 +1,232 @@
+// scroller.js – content script injected into the active tab. Performs scroll actions and
+// applies the continuous-mode velocity on every animation frame, on whichever element
+// actually scrolls the page (see scrollTarget.js). Also performs slide and media actions
+// (see pageControl.js) and shows reading mode's screen calibration target and the on-page
+// HUD (see hud.js).
+import { createHud } from './hud.js';
+import { MSG, TARGET } from './messages.js';
+import { controlPage } from './pageControl.js';
+import { deepActiveElement, findScrollTarget, pageHeight, scrollTargetBy } from './scrollTarget.js';
+import { isSettingsChange, loadSettings, siteProfileFor } from './settings.js';
+
+// Stop on our own if updates stop arriving (tracking stopped, tab switched away)
+const WATCHDOG_MS = 500;
+// Re-pick the scroll target this often while scrolling continuously (focus may move)
+const TARGET_REFRESH_MS = 1000;
+// Scroll positions kept for undo
+const MAX_UNDO = 20;
+
+let velocityX = 0;
+let velocityY = 0;
+let lastUpdate = 0;
+let lastFrame = null;
+let frameId = null;
+// scrollBy rounds to whole pixels; carry the remainder so slow speeds still move
+let remainderX = 0;
+let remainderY = 0;
+let target = null;
+let targetFoundAt = 0;
+// Scroll container selector from this site's profile, if any
+let profileSelector = '';
+let profileLoaded = null;
+const hud = createHud();
+// Where each scroll started, most recent last: { element, left, top }
+const undoStack = [];
+
+function currentTarget(axis, now) {
+  if (!target || !target.isConnected || now - targetFoundAt > TARGET_REFRESH_MS) {
+    target = findScrollTarget({ selector: profileSelector, axis });
+    targetFoundAt = now;
+  }
+  return target;
+}
+
+function step(now) {
+  if (now - lastUpdate > WATCHDOG_MS || (velocityX === 0 && velocityY === 0)) {
+    stop();
+    return;
+  }
+
+  if (lastFrame !== null) {
+    const seconds = (now - lastFrame) / 1000;
+    remainderX += velocityX * seconds;
+    remainderY += velocityY * seconds;
+    const left = Math.trunc(remainderX);
+    const top = Math.trunc(remainderY);
+    if (left !== 0 || top !== 0) {
+      scrollTargetBy(currentTarget(velocityY !== 0 ? 'y' : 'x', now), { left, top, behavior: 'instant' });
+      remainderX -= left;
+      remainderY -= top;
+    }
+  }
+
+  lastFrame = now;
+  frameId = requestAnimationFrame(step);
+}
+
+function stop() {
+  if (frameId !== null) {
+    cancelAnimationFrame(frameId);
+    frameId = null;
+  }
+  lastFrame = null;
+  remainderX = 0;
+  remainderY = 0;
+  target = null;
+}
+
+function setVelocity(x, y) {
+  velocityX = x;
+  velocityY = y;
+  lastUpdate = performance.now();
+
+  if (frameId === null && (velocityX !== 0 || velocityY !== 0)) {
+    // A continuous scroll is undone as a whole
+    rememberPosition(currentTarget(velocityY !== 0 ? 'y' : 'x', lastUpdate));
+    frameId = requestAnimationFrame(step);
+  }
+}
+
+function rememberPosition(element) {
+  undoStack.push({ element, left: element.scrollLeft, top: element.scrollTop });
+  if (undoStack.length > MAX_UNDO) undoStack.shift();
+}
+
+// Go back to where the last scroll started; repeating goes further back
+function undoScroll() {
+  stop();
+  velocityX = 0;
+  velocityY = 0;
+  let entry = undoStack.pop();
+  // Skip panels that have gone since (a closed dialog, a re-rendered view)
+  while (entry && !entry.element.isConnected) entry = undoStack.pop();
+  if (!entry) return;
+  entry.element.scrollTo({ left: entry.left, top: entry.top, behavior: 'smooth' });
+}
+
+// One-off scroll actions (see actions.js)
+function scroll(action, amount) {
+  const axis = action === 'scrollLeft' || action === 'scrollRight' ? 'x' : 'y';
+  const element = findScrollTarget({ selector: profileSelector, axis });
+  rememberPosition(element);
+
+  switch (action) {
+    case 'scrollDown':
+      return scrollTargetBy(element, { top: amount, behavior: 'smooth' });
+    case 'scrollUp':
+      return scrollTargetBy(element, { top: -amount, behavior: 'smooth' });
+    case 'scrollLeft':
+      return scrollTargetBy(element, { left: -amount, behavior: 'smooth' });
+    case 'scrollRight':
+      return scrollTargetBy(element, { left: amount, behavior: 'smooth' });
+    case 'pageDown':
+    case 'pageUp': {
+      // Leave a little overlap so the reader doesn't lose their line
+      const direction = action === 'pageDown' ? 1 : -1;
+      return scrollTargetBy(element, { top: direction * pageHeight(element) * 0.9, behavior: 'smooth' });
+    }
+    case 'scrollToBottom':
+      return element.scrollTo({ top: element.scrollHeight, behavior: 'smooth' });
+    case 'scrollToTop':
+      return element.scrollTo({ top: 0, behavior: 'smooth' });
+    case 'readingScroll':
+      // Reading mode: `amount` is the share of the viewport the reader has moved down
+      return scrollTargetBy(element, { top: pageHeight(element) * amount, behavior: 'smooth' });
+  }
+}
+
+// Reading mode's screen calibration: a dot to look at, `position` of the way down the
+// viewport; null removes it
+function showGazeTarget(position) {
+  let dot = document.getElementById('head-knock-gaze-target');
+  if (position === null) {
+    if (dot) dot.remove();
+    return;
+  }
+
+  if (!dot) {
+    dot = document.createElement('div');
+    dot.id = 'head-knock-gaze-target';
+    Object.assign(dot.style, {
+      position: 'fixed',
+      left: '50%',
+      width: '24px',
+      height: '24px',
+      margin: '-12px 0 0 -12px',
+      borderRadius: '50%',
+      background: '#4a90d9',
+      boxShadow: '0 0 0 6px rgba(74, 144, 217, 0.3)',
+      zIndex: '2147483647',
+      pointerEvents: 'none',
+      transition: 'top 0.3s ease'
+    });
+    document.documentElement.appendChild(dot);
+  }
+  dot.style.top = `${position * 100}%`;
+}
+
+// Activate whatever has keyboard focus (a link tabbed to, a button), as Enter would
+function clickFocused() {
+  const element = deepActiveElement();
+  // The body has focus when nothing else does; clicking it would do nothing useful
+  if (!element || element === element.ownerDocument.body || element === element.ownerDocument.documentElement) return;
+  element.click();
+}
+
+async function loadProfile() {
+  const settings = await loadSettings();
+  const profile = siteProfileFor(settings.siteProfiles, location.href);
+  profileSelector = (profile && profile.selector) || '';
+  target = null;
+}
+
+async function loadHudSettings() {
+  const settings = await loadSettings();
+  hud.configure({ position: settings.hudPosition, opacity: settings.hudOpacity });
+}
+
+// Injection can happen more than once per page; only the first copy listens
+if (!window.__headKnockScroller) {
+  window.__headKnockScroller = true;
+  profileLoaded = loadProfile().catch((error) => console.warn('Could not load site profile:', error));
+  loadHudSettings().catch(() => {});
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.target !== TARGET.CONTENT) return false;
+
+    switch (message.type) {
+      case MSG.SET_VELOCITY:
+        setVelocity(message.x, message.y);
+        break;
+      case MSG.SCROLL:
+        // Right after injection the profile may still be loading
+        profileLoaded.then(() => scroll(message.action, message.amount));
+        break;
+      case MSG.UNDO_SCROLL:
+        undoScroll();
+        break;
+      case MSG.CLICK_FOCUSED:
+        clickFocused();
+        break;
+      case MSG.PAGE_CONTROL:
+        controlPage(message.action);
+        break;
+      case MSG.SHOW_GAZE_TARGET:
+        showGazeTarget(message.target);
+        break;
+      case MSG.UPDATE_HUD:
+        hud.update(message.state, message.flash);
+        break;
+      default:
+        return false;
+    }
+    sendResponse({ ok: true });
+    return false;
+  });
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (!isSettingsChange(changes, areaName)) return;
+    if (changes.siteProfiles) loadProfile().catch(() => {});
+    if (changes.hudPosition || changes.hudOpacity) loadHudSettings().catch(() => {});
+  });
+}
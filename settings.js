@@ -0,0 +1,151 @@
+// settings.js – user-adjustable tracking settings, their defaults and persistence.
+// Settings sync across the user's browsers; calibrations are tied to a physical camera
+// and stay in local storage.
+
+export const DEFAULT_SETTINGS = {
+  // Pixels (in down-sampled canvas space) the head must move from baseline to trigger a scroll.
+  sensitivity: 25,
+  // Same as `sensitivity` but for left/right head turns (face X offset from baseline).
+  horizontalSensitivity: 30,
+  // Base scroll distance in page pixels, multiplied by movement intensity.
+  scrollSpeed: 80,
+  // 'stepped': gestures fire discrete actions. 'continuous': the head works like a joystick,
+  // its offset from baseline setting a scroll velocity (see joystick.js). 'reading': the page
+  // follows where on screen the user is looking (see reading.js).
+  scrollMode: 'stepped',
+  // What gestures do in the page: 'scroll', 'slides' (change slides), 'media' (play, seek,
+  // volume) or 'auto' to pick by site profile and URL (see pageModes.js).
+  pageMode: 'auto',
+  // Continuous mode: top speed in page pixels per second.
+  continuousMaxSpeed: 900,
+  // Continuous mode: response curve exponent (1 = linear, higher = finer control near the dead zone).
+  continuousCurve: 1.5,
+  // Continuous mode: head offset, in multiples of `sensitivity`, at which top speed is
+  // reached. The calibration wizard fits it to the user's range of motion (see rangeOfMotion.js).
+  continuousFullSpeedRatio: 3,
+  // Camera to track with ('' = browser default, front-facing when there is a choice).
+  cameraDeviceId: '',
+  // Requested capture size as 'WIDTHxHEIGHT'; the camera may pick the closest it supports.
+  cameraResolution: '640x480',
+  // Requested camera frame rate, also the detection loop rate.
+  cameraFrameRate: 30,
+  // Show tracking state and feedback in a small display on the page itself (see hud.js).
+  showHud: true,
+  // Corner of the page for the display: 'top-left', 'top-right', 'bottom-left' or 'bottom-right'.
+  hudPosition: 'bottom-right',
+  // Opacity of the on-page display, 0.3-1.
+  hudOpacity: 0.85,
+  // Draw what the detector sees over the popup's camera preview.
+  debugOverlay: false,
+  // Track only the person who calibrated, ignoring anyone else who comes into view
+  // (see primaryUser.js); scrolling stops while they are away.
+  lockPrimaryUser: false,
+  // Skip the calibration phase when this camera has a recent saved baseline.
+  reuseCalibration: true,
+  // Let the baseline slowly follow posture changes while the head is idle.
+  driftCompensation: true,
+  // Drift compensation: seconds for the baseline to cover ~63% of a posture change.
+  driftTimeConstant: 60,
+  // False-trigger protection: frames a movement must stay past the threshold before it counts,
+  // with nods also dropped when immediately reversed (see gestures.js). 0 = off.
+  confirmFrames: 0,
+  // Gesture name (see gestures.js) -> action name (see actions.js). Edited on the options page.
+  gestureBindings: {
+    nodDown: 'scrollDown',
+    nodUp: 'scrollUp',
+    doubleNodDown: 'none',
+    doubleNodUp: 'none',
+    holdDown: 'scrollDown',
+    holdUp: 'scrollUp',
+    tiltLeft: 'scrollLeft',
+    tiltRight: 'scrollRight',
+    // Eye and mouth gestures are off until bound: reading them costs some work per frame
+    longBlink: 'none',
+    doubleBlink: 'none',
+    mouthOpen: 'none'
+  },
+  // IDs of other extensions allowed to use the public API (see externalApi.js).
+  apiAllowList: [],
+  // Hostname -> { selector, scrollSpeed, sensitivity, pageMode } overrides, each optional.
+  // `selector` picks the element to scroll on sites whose content lives in an inner
+  // container; `pageMode` is what 'auto' picks on the site.
+  siteProfiles: {}
+};
+
+// A saved baseline older than this is assumed to no longer match how the user sits
+const CALIBRATION_MAX_AGE_MS = 8 * 60 * 60 * 1000;
+
+export async function loadSettings() {
+  const stored = await chrome.storage.sync.get(Object.keys(DEFAULT_SETTINGS));
+  return {
+    ...DEFAULT_SETTINGS,
+    ...stored,
+    gestureBindings: { ...DEFAULT_SETTINGS.gestureBindings, ...stored.gestureBindings }
+  };
+}
+
+/** Save some settings; keys not in `changes` keep their stored value. */
+export function saveSettings(changes) {
+  return chrome.storage.sync.set(changes);
+}
+
+/** Whether a storage.onChanged event touched any setting. */
+export function isSettingsChange(changes, areaName) {
+  return areaName === 'sync' && Object.keys(changes).some((key) => key in DEFAULT_SETTINGS);
+}
+
+/**
+ * The site profile for `url`: the one for its hostname, or failing that for the closest
+ * parent domain (a 'google.com' profile also covers 'mail.google.com'). Null if none.
+ */
+export function siteProfileFor(siteProfiles, url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch (error) {
+    return null;
+  }
+
+  const labels = hostname.split('.');
+  for (let i = 0; i < labels.length; i++) {
+    const profile = siteProfiles[labels.slice(i).join('.')];
+    if (profile) return profile;
+  }
+  return null;
+}
+
+/** `settings` with the speed and sensitivity overrides of the site profile for `url`. */
+export function withSiteProfile(settings, url) {
+  const profile = url ? siteProfileFor(settings.siteProfiles, url) : null;
+  if (!profile) return settings;
+
+  const overrides = {};
+  if (Number.isFinite(profile.sensitivity)) overrides.sensitivity = profile.sensitivity;
+  if (Number.isFinite(profile.scrollSpeed)) overrides.scrollSpeed = profile.scrollSpeed;
+  return { ...settings, ...overrides };
+}
+
+/**
+ * The saved calibration for `deviceId`, or null when there is none, it is too old,
+ * or it was taken at a different analysis resolution (baselines are in canvas pixels).
+ */
+export async function loadCalibration(deviceId, width, height) {
+  const { calibrations = {} } = await chrome.storage.local.get('calibrations');
+  const calibration = calibrations[deviceId];
+
+  if (
+    !calibration ||
+    Date.now() - calibration.savedAt > CALIBRATION_MAX_AGE_MS ||
+    calibration.width !== width ||
+    calibration.height !== height
+  ) {
+    return null;
+  }
+  return calibration;
+}
+
+export async function saveCalibration(deviceId, calibration) {
+  const { calibrations = {} } = await chrome.storage.local.get('calibrations');
+  calibrations[deviceId] = { ...calibration, savedAt: Date.now() };
+  await chrome.storage.local.set({ calibrations });
+}
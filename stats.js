@@ -0,0 +1,144 @@
+// stats.js – per-session usage statistics: how often the face was found, which detector
+// found it, what the gestures did and how quickly. Collected in the offscreen document,
+// kept in local storage by the service worker and charted on the dashboard page.
+
+// Only the most recent sessions are kept
+const MAX_SESSIONS = 200;
+// A scroll reversed this soon was most likely a false trigger being corrected
+const REVERSAL_WINDOW_MS = 2000;
+
+// Actions that scroll down or up, for the per-direction counts
+const SCROLL_DIRECTIONS = {
+  scrollDown: 'down',
+  pageDown: 'down',
+  scrollToBottom: 'down',
+  readingScroll: 'down',
+  nextSlide: 'down',
+  scrollUp: 'up',
+  pageUp: 'up',
+  scrollToTop: 'up',
+  previousSlide: 'up'
+};
+
+/** Detection methods in the order the offscreen document tries them. */
+export const DETECTION_METHODS = ['FaceDetector', 'worker', 'sync'];
+
+/**
+ * Start collecting statistics for a tracking session. Call `recordFrame(face, method)`
+ * for each analysed frame, `recordAction(action, now)` for each action performed and
+ * `recordLatency(ms)` with the time from a frame to its action taking effect. `summary()`
+ * returns the session so far, as stored:
+ *
+ *   { id, startedAt, endedAt, durationSeconds, frames, faceLostPercent,
+ *     methods: { [method]: frames }, actions: { [action]: count },
+ *     scrollsDown, scrollsUp, reversals, undos, averageLatencyMs }
+ *
+ * `reversals` counts scrolls undone by an opposite scroll within two seconds, `undos` the
+ * times Undo last scroll was used. Both are measures of false triggers.
+ */
+export function createSessionStats(startedAt = Date.now()) {
+  const id = `${startedAt}-${Math.random().toString(36).slice(2, 8)}`;
+  let frames = 0;
+  let facesLost = 0;
+  const methods = {};
+  const actions = {};
+  let scrollsDown = 0;
+  let scrollsUp = 0;
+  let reversals = 0;
+  let undos = 0;
+  let latencyTotal = 0;
+  let latencyCount = 0;
+  // Direction and time of the last scroll, to spot reversals
+  let lastScroll = null;
+
+  function recordFrame(face, method) {
+    frames++;
+    if (!face) {
+      facesLost++;
+    } else if (method) {
+      methods[method] = (methods[method] || 0) + 1;
+    }
+  }
+
+  function recordAction(action, now) {
+    actions[action] = (actions[action] || 0) + 1;
+    if (action === 'undoScroll') undos++;
+    const direction = SCROLL_DIRECTIONS[action];
+    if (!direction) return;
+
+    if (direction === 'down') scrollsDown++;
+    else scrollsUp++;
+    if (lastScroll && lastScroll.direction !== direction && now - lastScroll.time <= REVERSAL_WINDOW_MS) {
+      reversals++;
+      // The correction itself isn't a new scroll to be reversed
+      lastScroll = null;
+      return;
+    }
+    lastScroll = { direction, time: now };
+  }
+
+  function recordLatency(ms) {
+    latencyTotal += ms;
+    latencyCount++;
+  }
+
+  function summary(endedAt = Date.now()) {
+    return {
+      id,
+      startedAt,
+      endedAt,
+      durationSeconds: Math.round((endedAt - startedAt) / 1000),
+      frames,
+      faceLostPercent: frames > 0 ? Math.round(facesLost / frames * 1000) / 10 : 0,
+      methods: { ...methods },
+      actions: { ...actions },
+      scrollsDown,
+      scrollsUp,
+      reversals,
+      undos,
+      averageLatencyMs: latencyCount > 0 ? Math.round(latencyTotal / latencyCount) : null
+    };
+  }
+
+  return { recordFrame, recordAction, recordLatency, summary };
+}
+
+/** Stored session summaries, oldest first. */
+export async function loadSessionStats() {
+  const { sessionStats = [] } = await chrome.storage.local.get('sessionStats');
+  return sessionStats;
+}
+
+/** Store a session summary, replacing an earlier save of the same session. */
+export async function saveSessionStats(summary) {
+  const sessions = (await loadSessionStats()).filter((session) => session.id !== summary.id);
+  sessions.push(summary);
+  await chrome.storage.local.set({ sessionStats: sessions.slice(-MAX_SESSIONS) });
+}
+
+export function clearSessionStats() {
+  return chrome.storage.local.remove('sessionStats');
+}
+
+/** Session summaries as CSV, one row per session, frame counts per detection method included. */
+export function sessionStatsToCsv(sessions) {
+  const header = [
+    'startedAt', 'durationSeconds', 'frames', 'faceLostPercent',
+    ...DETECTION_METHODS.map((method) => `${method}Frames`),
+    'scrollsDown', 'scrollsUp', 'reversals', 'undos', 'averageLatencyMs'
+  ];
+  const rows = sessions.map((session) => [
+    new Date(session.startedAt).toISOString(),
+    session.durationSeconds,
+    session.frames,
+    session.faceLostPercent,
+    ...DETECTION_METHODS.map((method) => session.methods[method] || 0),
+    session.scrollsDown,
+    session.scrollsUp,
+    session.reversals,
+    // Sessions saved before undos were counted
+    session.undos ?? 0,
+    session.averageLatencyMs ?? ''
+  ]);
+  return [header, ...rows].map((row) => row.join(',')).join('\n') + '\n';
+}
@@ -0,0 +1,135 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { API_VERSION, createApiHub, handleApiRequest, isAllowedSender } from '../externalApi.js';
+
+// Just enough of a chrome.runtime.Port to drive the hub
+function fakePort(id) {
+  const listeners = { message: [], disconnect: [] };
+  return {
+    sender: { id },
+    posted: [],
+    disconnected: false,
+    onMessage: { addListener: (listener) => listeners.message.push(listener) },
+    onDisconnect: { addListener: (listener) => listeners.disconnect.push(listener) },
+    postMessage(message) { this.posted.push(message); },
+    disconnect() { this.disconnected = true; },
+    // What the other extension does
+    send(message) { listeners.message.forEach((listener) => listener(message)); },
+    close() { listeners.disconnect.forEach((listener) => listener()); }
+  };
+}
+
+const controls = {
+  getState: async () => ({ isTracking: true, isPaused: false, status: { type: 'tracking', message: 'Tracking' }, settings: {} }),
+  start: async () => ({ isTracking: true }),
+  stop: async () => ({ isTracking: false })
+};
+
+test('only extensions on the allow-list may use the API', () => {
+  assert.equal(isAllowedSender({ id: 'abc' }, ['abc']), true);
+  assert.equal(isAllowedSender({ id: 'xyz' }, ['abc']), false);
+  // Web pages and content scripts without an extension ID
+  assert.equal(isAllowedSender({ url: 'https://example.com/' }, ['abc']), false);
+});
+
+test('requests are answered with the public part of the state', async () => {
+  assert.deepEqual(await handleApiRequest({ api: API_VERSION, type: 'getState' }, controls), {
+    api: API_VERSION,
+    ok: true,
+    state: { isTracking: true, isPaused: false, status: { type: 'tracking', message: 'Tracking' } }
+  });
+  assert.equal((await handleApiRequest({ api: API_VERSION, type: 'stop' }, controls)).state.isTracking, false);
+});
+
+test('a camera that fails to start is reported as an error', async () => {
+  const failing = { ...controls, start: async () => ({ isTracking: false, error: 'Failed to access camera. No camera found. Please connect a camera.' }) };
+  assert.deepEqual(await handleApiRequest({ api: API_VERSION, type: 'start' }, failing),
+    { api: API_VERSION, ok: false, error: 'Failed to access camera. No camera found. Please connect a camera.' });
+});
+
+test('requests for another version or of an unknown type are refused', async () => {
+  assert.deepEqual(await handleApiRequest({ api: 2, type: 'start' }, controls),
+    { api: API_VERSION, ok: false, error: 'unsupported-api-version' });
+  assert.deepEqual(await handleApiRequest({ type: 'start' }, controls),
+    { api: API_VERSION, ok: false, error: 'unsupported-api-version' });
+  assert.deepEqual(await handleApiRequest({ api: API_VERSION, type: 'calibrate' }, controls),
+    { api: API_VERSION, ok: false, error: 'unknown-request' });
+});
+
+test('ports get every event until they subscribe to some', () => {
+  const hub = createApiHub();
+  const all = fakePort('a');
+  const some = fakePort('b');
+  hub.add(all);
+  hub.add(some);
+  some.send({ api: API_VERSION, type: 'subscribe', events: ['gesture', 'no-such-event'] });
+
+  hub.broadcast({ type: 'offset', x: 0.5, y: -1 });
+  hub.broadcast({ type: 'gesture', gesture: 'nodDown', action: 'scrollDown' });
+
+  assert.deepEqual(all.posted, [
+    { api: API_VERSION, type: 'offset', x: 0.5, y: -1 },
+    { api: API_VERSION, type: 'gesture', gesture: 'nodDown', action: 'scrollDown' }
+  ]);
+  assert.deepEqual(some.posted, [{ api: API_VERSION, type: 'gesture', gesture: 'nodDown', action: 'scrollDown' }]);
+});
+
+test('a subscribe message with the wrong version is answered with an error', () => {
+  const hub = createApiHub();
+  const port = fakePort('a');
+  hub.add(port);
+  port.send({ api: 0, type: 'subscribe', events: [] });
+
+  assert.deepEqual(port.posted, [{ api: API_VERSION, type: 'error', error: 'unsupported-api-version' }]);
+  // The subscription is unchanged
+  hub.broadcast({ type: 'face-lost' });
+  assert.deepEqual(port.posted.at(-1), { api: API_VERSION, type: 'face-lost' });
+});
+
+test('listening starts with the first port and stops with the last', () => {
+  const changes = [];
+  const hub = createApiHub({ onListeningChange: (listening) => changes.push(listening) });
+  const first = fakePort('a');
+  const second = fakePort('b');
+
+  hub.add(first);
+  hub.add(second);
+  first.close();
+  assert.deepEqual(changes, [true]);
+  second.close();
+  assert.deepEqual(changes, [true, false]);
+  assert.equal(hub.isListening(), false);
+});
+
+test('ports of extensions taken off the allow-list are disconnected', () => {
+  const changes = [];
+  const hub = createApiHub({ onListeningChange: (listening) => changes.push(listening) });
+  const kept = fakePort('a');
+  const removed = fakePort('b');
+  hub.add(kept);
+  hub.add(removed);
+
+  hub.retain((port) => isAllowedSender(port.sender, ['a']));
+  hub.broadcast({ type: 'face-found' });
+
+  assert.equal(removed.disconnected, true);
+  assert.deepEqual(removed.posted, []);
+  assert.equal(kept.posted.length, 1);
+
+  hub.retain(() => false);
+  assert.deepEqual(changes, [true, false]);
+});
+
+test('a port that died without a disconnect event is dropped on the next broadcast', () => {
+  const changes = [];
+  const hub = createApiHub({ onListeningChange: (listening) => changes.push(listening) });
+  const dead = fakePort('a');
+  dead.postMessage = () => {
+    throw new Error('Attempting to use a disconnected port object');
+  };
+  hub.add(dead);
+
+  assert.doesNotThrow(() => hub.broadcast({ type: 'face-found' }));
+  assert.equal(hub.isListening(), false);
+  assert.deepEqual(changes, [true, false]);
+});
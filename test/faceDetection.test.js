@@ -0,0 +1,142 @@
+// The pixel-based fallback tracker, on synthetic frames: a skin-toned face with dark eyes
+// and mouth on a dark background, at the analysis canvas size of a 640x480 camera.
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createFaceTracker } from '../faceDetection.js';
+import { CALIBRATION_FRAMES, createTracker } from '../tracker.js';
+
+const WIDTH = 192;
+const HEIGHT = 144;
+const SKIN = [200, 140, 110];
+const DARK_SKIN = [95, 62, 45];
+const FEATURES = [20, 20, 20];
+const BACKGROUND = [30, 30, 35];
+const WOOD = [165, 115, 65];
+
+// `face` is { x, y, size, color? }; `extras` are more { x, y, width, height, color } rectangles
+function frame(face, extras = []) {
+  const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+  const inside = (x, y, rect) => Math.abs(x - rect.x) < rect.width / 2 && Math.abs(y - rect.y) < rect.height / 2;
+  const features = face ? [
+    ...[-0.2, 0.2].map((dx) => ({ x: face.x + dx * face.size, y: face.y - 0.1 * face.size, width: face.size * 0.15, height: face.size * 0.08 })),
+    { x: face.x, y: face.y + 0.25 * face.size, width: face.size * 0.35, height: face.size * 0.08 }
+  ] : [];
+
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      let color = BACKGROUND;
+      const extra = extras.find((rect) => inside(x, y, rect));
+      if (extra) color = extra.color;
+      if (face && inside(x, y, { x: face.x, y: face.y, width: face.size, height: face.size })) {
+        color = features.some((feature) => inside(x, y, feature)) ? FEATURES : face.color || SKIN;
+      }
+      data.set([...color, 255], (y * WIDTH + x) * 4);
+    }
+  }
+  return data;
+}
+
+function assertNear(actual, expected, tolerance, label) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${label} was ${actual}, expected ${expected}`);
+}
+
+test('finds nothing in a frame without skin tones', () => {
+  assert.equal(createFaceTracker().detect(frame(null), WIDTH, HEIGHT), null);
+});
+
+test('boxes the whole face, not a patch of it', () => {
+  const face = createFaceTracker().detect(frame({ x: 100, y: 60, size: 50 }), WIDTH, HEIGHT);
+
+  assertNear(face.x, 100, 1, 'x');
+  assertNear(face.y, 60, 1, 'y');
+  assertNear(face.box.width, 50, 1, 'width');
+  assertNear(face.box.height, 50, 1, 'height');
+});
+
+test('finds darker skin tones', () => {
+  const face = createFaceTracker().detect(frame({ x: 90, y: 70, size: 44, color: DARK_SKIN }), WIDTH, HEIGHT);
+  assertNear(face.x, 90, 1, 'x');
+  assertNear(face.y, 70, 1, 'y');
+});
+
+test('ignores skin-coloured shapes that are not face-shaped', () => {
+  const table = { x: 96, y: 134, width: 192, height: 20, color: WOOD };
+  const doorFrame = { x: 12, y: 60, width: 10, height: 120, color: WOOD };
+  const face = createFaceTracker().detect(frame({ x: 110, y: 55, size: 46 }, [table, doorFrame]), WIDTH, HEIGHT);
+
+  assertNear(face.x, 110, 1, 'x');
+  assertNear(face.y, 55, 1, 'y');
+});
+
+test('trims the neck off the face box', () => {
+  const neck = { x: 96, y: 105, width: 26, height: 40, color: SKIN };
+  const face = createFaceTracker().detect(frame({ x: 96, y: 60, size: 50 }, [neck]), WIDTH, HEIGHT);
+
+  assert.ok(face.box.height <= face.box.width * 1.3 + 1, `box was ${face.box.width}x${face.box.height}`);
+  assertNear(face.box.y, 35, 1, 'top');
+});
+
+test('sticks with the face it is tracking when a second one appears', () => {
+  const tracker = createFaceTracker();
+  tracker.detect(frame({ x: 60, y: 60, size: 40 }), WIDTH, HEIGHT);
+
+  const visitor = { x: 130, y: 58, width: 56, height: 56, color: SKIN };
+  const face = tracker.detect(frame({ x: 62, y: 60, size: 40 }, [visitor]), WIDTH, HEIGHT);
+  assertNear(face.x, 62, 1, 'x');
+});
+
+test('follows the face by appearance when its colour stops reading as skin', () => {
+  const tracker = createFaceTracker();
+  tracker.detect(frame({ x: 96, y: 60, size: 50 }), WIDTH, HEIGHT);
+
+  // Harsh white light: the face washes out to grey but keeps its eyes and mouth
+  const face = tracker.detect(frame({ x: 102, y: 64, size: 50, color: [170, 170, 170] }), WIDTH, HEIGHT);
+  assertNear(face.x, 102, 2, 'x');
+  assertNear(face.y, 64, 2, 'y');
+});
+
+test('learns the user\'s skin colour and then rejects other warm colours', () => {
+  const tracker = createFaceTracker();
+  for (let i = 0; i < 30; i++) tracker.detect(frame({ x: 96, y: 60, size: 50 }), WIDTH, HEIGHT);
+
+  // Lost, then only a wooden cupboard in view: generic rules would call it skin
+  tracker.detect(frame(null), WIDTH, HEIGHT);
+  const cupboard = { x: 96, y: 60, width: 50, height: 60, color: WOOD };
+  assert.equal(tracker.detect(frame(null, [cupboard]), WIDTH, HEIGHT), null);
+});
+
+test('frames of a nodding face replay into a single nod down', () => {
+  const faceTracker = createFaceTracker();
+  const tracker = createTracker();
+  // Head still for calibration, dips 45px for a few frames, comes back
+  const path = [
+    ...Array(CALIBRATION_FRAMES + 10).fill(60),
+    75, 90, 105, 105, 90, 75,
+    ...Array(30).fill(60)
+  ];
+
+  const gestures = path.flatMap((y, i) => {
+    const face = faceTracker.detect(frame({ x: 96, y, size: 50 }), WIDTH, HEIGHT);
+    return tracker.process(face, i * 1000 / 30).filter((event) => event.type === 'gesture');
+  });
+
+  assert.deepEqual(gestures.map((event) => event.gesture), ['nodDown']);
+});
+
+test('locked to the primary user, does not switch to someone else when they leave', () => {
+  const user = { x: 60, y: 65, size: 50 };
+  // Someone else, a little smaller, in the same skin tone and further along
+  const visitor = { x: 150, y: 60, width: 36, height: 40, color: SKIN };
+  const unlocked = createFaceTracker();
+  const locked = createFaceTracker();
+  for (let i = 0; i < 35; i++) {
+    unlocked.detect(frame(user), WIDTH, HEIGHT);
+    locked.detect(frame(user), WIDTH, HEIGHT, { lockPrimaryUser: true });
+  }
+
+  assertNear(unlocked.detect(frame(null, [visitor]), WIDTH, HEIGHT).x, 150, 1, 'unlocked x');
+  assert.equal(locked.detect(frame(null, [visitor]), WIDTH, HEIGHT, { lockPrimaryUser: true }), null);
+
+  const back = locked.detect(frame(user, [visitor]), WIDTH, HEIGHT, { lockPrimaryUser: true });
+  assertNear(back.x, 60, 1, 'x');
+});
@@ -0,0 +1,57 @@
+// Eye and mouth measurement on synthetic frames: a skin-toned face box with dark patches
+// where open eyes and an open mouth would be.
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { measureFaceFeatures } from '../faceFeatures.js';
+
+const WIDTH = 192;
+const HEIGHT = 144;
+const SKIN = [200, 140, 110];
+const DARK = [40, 30, 30];
+const BOX = { x: 60, y: 20, width: 80, height: 100 };
+
+function frame({ eyesOpen, mouthOpen }) {
+  const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+  const inside = (x, y, left, top, width, height) =>
+    x >= BOX.x + BOX.width * left && x < BOX.x + BOX.width * (left + width) &&
+    y >= BOX.y + BOX.height * top && y < BOX.y + BOX.height * (top + height);
+
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const eye = eyesOpen && (inside(x, y, 0.25, 0.35, 0.15, 0.1) || inside(x, y, 0.6, 0.35, 0.15, 0.1));
+      const mouth = mouthOpen && inside(x, y, 0.4, 0.75, 0.2, 0.12);
+      const [r, g, b] = eye || mouth ? DARK : SKIN;
+      data.set([r, g, b, 255], (y * WIDTH + x) * 4);
+    }
+  }
+  return data;
+}
+
+test('closed eyes read as less open than open ones', () => {
+  const open = measureFaceFeatures(frame({ eyesOpen: true }), WIDTH, HEIGHT, BOX);
+  const closed = measureFaceFeatures(frame({ eyesOpen: false }), WIDTH, HEIGHT, BOX);
+
+  assert.ok(open.eyes > 0.1, `open eyes read ${open.eyes}`);
+  assert.equal(closed.eyes, 0);
+});
+
+test('an open mouth reads as open', () => {
+  const closed = measureFaceFeatures(frame({ eyesOpen: true }), WIDTH, HEIGHT, BOX);
+  const open = measureFaceFeatures(frame({ eyesOpen: true, mouthOpen: true }), WIDTH, HEIGHT, BOX);
+
+  assert.equal(closed.mouth, 0);
+  assert.ok(open.mouth > 0.15, `open mouth read ${open.mouth}`);
+});
+
+test('landmarks place the eye regions on the eyes', () => {
+  const landmarks = { eyes: [{ x: 86, y: 60 }, { x: 114, y: 60 }], mouth: { x: 100, y: 101 } };
+  const features = measureFaceFeatures(frame({ eyesOpen: true, mouthOpen: true }), WIDTH, HEIGHT, BOX, landmarks);
+
+  assert.ok(features.eyes > 0.3, `eyes read ${features.eyes}`);
+  assert.ok(features.mouth > 0.2, `mouth read ${features.mouth}`);
+});
+
+test('a face box off the frame has nothing to measure', () => {
+  const box = { x: WIDTH + 10, y: 0, width: 40, height: 40 };
+  assert.equal(measureFaceFeatures(frame({ eyesOpen: true }), WIDTH, HEIGHT, box), null);
+});
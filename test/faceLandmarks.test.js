@@ -0,0 +1,75 @@
+// Eyes, nose and mouth found in pixels, on synthetic frames: a skin-toned face box with
+// dark eyes, nostrils and mouth, at the analysis canvas size of a 640x480 camera.
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { findFaceLandmarks } from '../faceLandmarks.js';
+import { estimateHeadPose } from '../pose.js';
+
+const WIDTH = 192;
+const HEIGHT = 144;
+const SKIN = [200, 140, 110];
+const DARK = [30, 25, 25];
+const BOX = { x: 60, y: 20, width: 60, height: 70 };
+const EYES = [{ x: 78, y: 48 }, { x: 102, y: 48 }];
+const NOSE = { x: 90, y: 62 };
+const MOUTH = { x: 90, y: 74 };
+
+// Dark patches centred on the given points: eyes 6x3 px, nostrils two 2x2 px dots either
+// side of `nose`, mouth 14x3 px
+function frame({ eyes = EYES, nose = NOSE, mouth = MOUTH } = {}) {
+  const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+  const patches = [
+    ...eyes.map((eye) => ({ ...eye, width: 6, height: 3 })),
+    ...(nose ? [-2, 2].map((dx) => ({ x: nose.x + dx, y: nose.y, width: 2, height: 2 })) : []),
+    ...(mouth ? [{ ...mouth, width: 14, height: 3 }] : [])
+  ];
+  const inside = (x, y, rect) => Math.abs(x + 0.5 - rect.x) < rect.width / 2 && Math.abs(y + 0.5 - rect.y) < rect.height / 2;
+
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      let color = [30, 30, 35];
+      if (x >= BOX.x && x < BOX.x + BOX.width && y >= BOX.y && y < BOX.y + BOX.height) {
+        color = patches.some((patch) => inside(x, y, patch)) ? DARK : SKIN;
+      }
+      data.set([...color, 255], (y * WIDTH + x) * 4);
+    }
+  }
+  return data;
+}
+
+const find = (options) => findFaceLandmarks(frame(options), WIDTH, HEIGHT, BOX);
+
+function assertAt(landmark, expected, label) {
+  const [point] = landmark.locations;
+  assert.ok(Math.hypot(point.x - expected.x, point.y - expected.y) <= 1, `${label} at ${point.x},${point.y}`);
+}
+
+test('finds the eyes, nose and mouth where they are drawn', () => {
+  const landmarks = find();
+
+  assert.deepEqual(landmarks.map((landmark) => landmark.type), ['eye', 'eye', 'nose', 'mouth']);
+  assertAt(landmarks[0], EYES[0], 'left eye');
+  assertAt(landmarks[1], EYES[1], 'right eye');
+  assertAt(landmarks[2], NOSE, 'nose');
+  assertAt(landmarks[3], MOUTH, 'mouth');
+});
+
+test('leaves out features that don\'t show, so plain skin has no pose', () => {
+  assert.deepEqual(find({ nose: null }).map((landmark) => landmark.type), ['eye', 'eye', 'mouth']);
+  assert.deepEqual(find({ eyes: [], nose: null, mouth: null }), []);
+  assert.equal(estimateHeadPose(find({ eyes: [], nose: null, mouth: null })), null);
+});
+
+test('the nose dropping towards the mouth reads as looking down, swinging aside as a turn', () => {
+  const ahead = estimateHeadPose(find());
+  const down = estimateHeadPose(find({ nose: { x: NOSE.x, y: NOSE.y + 4 } }));
+  const turned = estimateHeadPose(find({ nose: { x: NOSE.x - 4, y: NOSE.y } }));
+
+  assert.ok(down.pitch > ahead.pitch + 10, `pitch ${ahead.pitch} -> ${down.pitch}`);
+  assert.ok(turned.yaw > ahead.yaw + 10, `yaw ${ahead.yaw} -> ${turned.yaw}`);
+  assert.ok(Math.abs(turned.pitch - ahead.pitch) < 3, `pitch ${ahead.pitch} -> ${turned.pitch}`);
+});
+
+test('finds nothing in a box off the frame', () => {
+  assert.deepEqual(findFaceLandmarks(frame(), WIDTH, HEIGHT, { x: WIDTH, y: 0, width: 40, height: 40 }), []);
+});
@@ -0,0 +1,47 @@
+// The worker's per-frame pipeline on a synthetic dim frame: a skin-toned face with dark
+// features on a dark background, at the analysis canvas size of a 640x480 camera.
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createFaceTracker } from '../faceDetection.js';
+import { analyzeFrame } from '../frameAnalysis.js';
+
+const WIDTH = 192;
+const HEIGHT = 144;
+// A dark room: everything at a sixth of its normal brightness
+const DIM = 0.16;
+
+// Eyes and mouth, and with `nose` the shadow of the nostrils between them
+function frame({ nose = false } = {}) {
+  const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+  const features = [{ x: 86, y: 55 }, { x: 106, y: 55 }, { x: 96, y: 72 }, ...(nose ? [{ x: 96, y: 65 }] : [])];
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      let color = [60, 70, 80];
+      if (Math.abs(x - 96) < 25 && Math.abs(y - 60) < 25) {
+        color = features.some((point) => Math.abs(x - point.x) < 4 && Math.abs(y - point.y) < 2) ? [20, 20, 20] : [200, 140, 110];
+      }
+      data.set([...color.map((value) => value * DIM), 255], (y * WIDTH + x) * 4);
+    }
+  }
+  return data;
+}
+
+test('finds the face in a dim frame and reports the brightness it saw', () => {
+  const { face, light } = analyzeFrame(createFaceTracker(), frame(), WIDTH, HEIGHT);
+
+  assert.ok(Math.abs(face.x - 96) <= 2 && Math.abs(face.y - 60) <= 2, `face was at ${face.x},${face.y}`);
+  assert.ok(light.mean < 20, `mean was ${light.mean}`);
+  assert.equal(face.features, undefined);
+});
+
+test('measures eyes and mouth only when asked', () => {
+  const { face } = analyzeFrame(createFaceTracker(), frame(), WIDTH, HEIGHT, { measureFeatures: true });
+  assert.deepEqual(Object.keys(face.features), ['eyes', 'mouth']);
+});
+
+test('estimates head pose from the face\'s own eyes, nose and mouth', () => {
+  const { face } = analyzeFrame(createFaceTracker(), frame({ nose: true }), WIDTH, HEIGHT);
+  assert.ok(Math.abs(face.pose.yaw) < 5 && Math.abs(face.pose.roll) < 5, `pose was ${JSON.stringify(face.pose)}`);
+
+  assert.equal(analyzeFrame(createFaceTracker(), frame(), WIDTH, HEIGHT).face.pose, null);
+});
@@ -0,0 +1,69 @@
+// Exposure correction on synthetic frames: a face-sized block with dark features on a
+// background, at the analysis canvas size of a 640x480 camera.
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createFaceTracker } from '../faceDetection.js';
+import { correctLighting, isTooDark, measureLight } from '../lighting.js';
+
+const WIDTH = 192;
+const HEIGHT = 144;
+
+// `scale` dims the whole scene, as a dark room does
+function frame(scale) {
+  const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+  const features = [{ x: 86, y: 55 }, { x: 106, y: 55 }, { x: 96, y: 72 }];
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      let color = [60, 70, 80];
+      if (Math.abs(x - 96) < 25 && Math.abs(y - 60) < 25) {
+        color = features.some((point) => Math.abs(x - point.x) < 4 && Math.abs(y - point.y) < 2) ? [20, 20, 20] : [200, 140, 110];
+      }
+      data.set([...color.map((value) => value * scale), 255], (y * WIDTH + x) * 4);
+    }
+  }
+  return data;
+}
+
+test('measures the black point, white point and mean brightness', () => {
+  const light = measureLight(frame(1));
+
+  assert.ok(light.low >= 60 && light.low <= 70, `low was ${light.low}`);
+  assert.ok(light.high >= 150 && light.high <= 160, `high was ${light.high}`);
+  assert.ok(light.mean > light.low && light.mean < light.high);
+});
+
+test('brightens a dim frame', () => {
+  const data = frame(0.2);
+  const before = measureLight(data);
+  const skin = (60 * WIDTH + 100) * 4;
+  const skinBefore = data[skin];
+
+  assert.equal(correctLighting(data, before), true);
+  const after = measureLight(data);
+  assert.ok(data[skin] > skinBefore * 3, `skin red went from ${skinBefore} to ${data[skin]}`);
+  assert.ok(after.high > before.high * 3, `high went from ${before.high} to ${after.high}`);
+});
+
+test('leaves a well-exposed frame alone', () => {
+  const data = frame(1);
+  data.set([0, 0, 0, 255], 0);
+  for (let i = 0; i < 2000; i++) data.set([i % 2 ? 250 : 5, i % 2 ? 250 : 5, i % 2 ? 250 : 5, 255], i * 4);
+  const copy = data.slice();
+
+  assert.equal(correctLighting(data, { mean: 120, low: 5, high: 250 }), false);
+  assert.deepEqual(data, copy);
+});
+
+test('a face too dark to find is found after correction', () => {
+  const dark = frame(0.15);
+  assert.equal(createFaceTracker().detect(dark, WIDTH, HEIGHT), null);
+
+  correctLighting(dark, measureLight(dark));
+  const face = createFaceTracker().detect(dark, WIDTH, HEIGHT);
+  assert.ok(face && Math.abs(face.x - 96) <= 2 && Math.abs(face.y - 60) <= 2, `face was ${JSON.stringify(face)}`);
+});
+
+test('reports frames too dark to work with', () => {
+  assert.equal(isTooDark(measureLight(frame(0.1))), true);
+  assert.equal(isTooDark(measureLight(frame(1))), false);
+});
@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { pageModeFor, withPageMode } from '../pageModes.js';
+import { DEFAULT_SETTINGS } from '../settings.js';
+
+test('automatic mode recognises slide decks and video pages by URL', () => {
+  assert.equal(pageModeFor('auto', 'https://docs.google.com/presentation/d/abc/present'), 'slides');
+  assert.equal(pageModeFor('auto', 'https://docs.google.com/document/d/abc/edit'), 'scroll');
+  assert.equal(pageModeFor('auto', 'https://www.youtube.com/watch?v=abc'), 'media');
+  assert.equal(pageModeFor('auto', 'https://m.youtube.com/watch?v=abc'), 'media');
+  assert.equal(pageModeFor('auto', 'https://www.youtube.com/results?search_query=abc'), 'scroll');
+  assert.equal(pageModeFor('auto', 'https://vimeo.com/123456'), 'media');
+  assert.equal(pageModeFor('auto', 'https://notyoutube.com/watch'), 'scroll');
+  assert.equal(pageModeFor('auto', 'chrome://extensions'), 'scroll');
+  assert.equal(pageModeFor('auto', undefined), 'scroll');
+});
+
+test('automatic mode recognises reveal.js decks by their markup wherever they are hosted', () => {
+  assert.equal(pageModeFor('auto', 'https://talks.example.com/intro/', {}, { slideDeck: true }), 'slides');
+  assert.equal(pageModeFor('auto', 'https://slides.com/', {}, { slideDeck: false }), 'scroll');
+  // The URL patterns and site profiles still come first
+  assert.equal(pageModeFor('auto', 'https://www.youtube.com/watch?v=abc', {}, { slideDeck: true }), 'media');
+  assert.equal(pageModeFor('auto', 'https://talks.example.com/', { 'talks.example.com': { pageMode: 'scroll' } }, { slideDeck: true }), 'scroll');
+  assert.equal(pageModeFor('scroll', 'https://talks.example.com/', {}, { slideDeck: true }), 'scroll');
+});
+
+test('a site profile decides before the built-in patterns, a manual choice before both', () => {
+  const siteProfiles = { 'talks.example.com': { pageMode: 'slides' }, 'youtube.com': { pageMode: 'scroll' } };
+
+  assert.equal(pageModeFor('auto', 'https://talks.example.com/deck/#/3', siteProfiles), 'slides');
+  assert.equal(pageModeFor('auto', 'https://www.youtube.com/watch?v=abc', siteProfiles), 'scroll');
+  assert.equal(pageModeFor('media', 'https://talks.example.com/deck/', siteProfiles), 'media');
+  assert.equal(pageModeFor('scroll', 'https://www.youtube.com/watch?v=abc'), 'scroll');
+});
+
+test('slides and media modes rebind head gestures and keep the others', () => {
+  const settings = {
+    ...DEFAULT_SETTINGS,
+    scrollMode: 'continuous',
+    gestureBindings: { ...DEFAULT_SETTINGS.gestureBindings, longBlink: 'togglePause' }
+  };
+
+  const slides = withPageMode(settings, 'https://slides.com/someone/talk', { slideDeck: true });
+  assert.equal(slides.pageMode, 'slides');
+  assert.equal(slides.scrollMode, 'stepped');
+  assert.equal(slides.gestureBindings.nodDown, 'nextSlide');
+  assert.equal(slides.gestureBindings.tiltLeft, 'previousSlide');
+  assert.equal(slides.gestureBindings.longBlink, 'togglePause');
+
+  const media = withPageMode(settings, 'https://www.youtube.com/watch?v=abc');
+  assert.equal(media.gestureBindings.nodDown, 'mediaPlayPause');
+  assert.equal(media.gestureBindings.holdUp, 'mediaVolumeUp');
+
+  const page = withPageMode(settings, 'https://example.com/');
+  assert.equal(page.pageMode, 'scroll');
+  assert.equal(page.scrollMode, 'continuous');
+  assert.equal(page.gestureBindings, settings.gestureBindings);
+});
@@ -0,0 +1,80 @@
+// Head pose from synthetic FaceDetector landmarks: a face 60 px between the eyes whose
+// nose and mouth sit where they would when looking straight at the camera.
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { estimateHeadPose } from '../pose.js';
+
+const EYE_DISTANCE = 60;
+const CENTER = { x: 100, y: 80 };
+
+// Positions in eye distances from between the eyes, image axes (x right, y down)
+function landmarks({ nose = { x: 0, y: 0.65 }, mouth = { x: 0, y: 0.65 / 0.6 }, withMouth = true } = {}) {
+  const at = ({ x, y }) => [{ x: CENTER.x + x * EYE_DISTANCE, y: CENTER.y + y * EYE_DISTANCE }];
+  const result = [
+    { type: 'eye', locations: at({ x: -0.5, y: 0 }) },
+    { type: 'eye', locations: at({ x: 0.5, y: 0 }) },
+    { type: 'nose', locations: at(nose) }
+  ];
+  if (withMouth) result.push({ type: 'mouth', locations: at(mouth) });
+  return result;
+}
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 0.5, `${actual} is not about ${expected}`);
+
+test('a face looking straight ahead has no pitch, yaw or roll', () => {
+  const pose = estimateHeadPose(landmarks());
+  near(pose.pitch, 0);
+  near(pose.yaw, 0);
+  near(pose.roll, 0);
+
+  const withoutMouth = estimateHeadPose(landmarks({ withMouth: false }));
+  near(withoutMouth.pitch, 0);
+  near(withoutMouth.yaw, 0);
+});
+
+test('the nose swinging towards the image left is a turn to the user\'s right', () => {
+  const right = estimateHeadPose(landmarks({ nose: { x: -0.2, y: 0.65 } }));
+  const left = estimateHeadPose(landmarks({ nose: { x: 0.2, y: 0.65 } }));
+  assert.ok(right.yaw > 10, `yaw ${right.yaw}`);
+  near(left.yaw, -right.yaw);
+  near(right.pitch, 0);
+});
+
+test('the nose dropping towards the mouth is looking down', () => {
+  const down = estimateHeadPose(landmarks({ nose: { x: 0, y: 0.85 } }));
+  const up = estimateHeadPose(landmarks({ nose: { x: 0, y: 0.45 } }));
+  assert.ok(down.pitch > 10, `pitch ${down.pitch}`);
+  assert.ok(up.pitch < -10, `pitch ${up.pitch}`);
+  near(down.yaw, 0);
+
+  // Closer to the camera the whole face scales up; the nose's share of eye-to-mouth doesn't
+  const closer = estimateHeadPose(landmarks({ nose: { x: 0, y: 0.65 * 1.2 }, mouth: { x: 0, y: 0.65 / 0.6 * 1.2 } }));
+  near(closer.pitch, 0);
+});
+
+test('pitch and yaw are measured along the face when the head is tilted', () => {
+  // The whole face turned 20° in the image, right eye (image left) lower: the user tilting
+  // towards their right shoulder while looking down
+  const angle = (-20 * Math.PI) / 180;
+  const rotate = ({ x, y }) => ({
+    x: CENTER.x + (x - CENTER.x) * Math.cos(angle) - (y - CENTER.y) * Math.sin(angle),
+    y: CENTER.y + (x - CENTER.x) * Math.sin(angle) + (y - CENTER.y) * Math.cos(angle)
+  });
+  const tilted = landmarks({ nose: { x: 0, y: 0.85 } })
+    .map((landmark) => ({ ...landmark, locations: landmark.locations.map(rotate) }));
+  const upright = estimateHeadPose(landmarks({ nose: { x: 0, y: 0.85 } }));
+  const pose = estimateHeadPose(tilted);
+  near(pose.roll, 20);
+  near(pose.pitch, upright.pitch);
+  near(pose.yaw, 0);
+});
+
+test('no pose without both eyes and a nose', () => {
+  assert.equal(estimateHeadPose(null), null);
+  assert.equal(estimateHeadPose([]), null);
+  assert.equal(estimateHeadPose(landmarks().filter((landmark) => landmark.type !== 'nose')), null);
+  assert.equal(estimateHeadPose(landmarks().slice(1)), null);
+  // FaceDetector can report a landmark type without any locations
+  assert.equal(estimateHeadPose(landmarks().map((landmark) =>
+    landmark.type === 'nose' ? { ...landmark, locations: [] } : landmark)), null);
+});
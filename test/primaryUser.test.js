@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createPrimaryUserLock, faceSignature } from '../primaryUser.js';
+
+const WIDTH = 192;
+const HEIGHT = 144;
+const SKIN = [200, 140, 110];
+const PALE_SKIN = [235, 200, 185];
+
+// A dark frame with square faces of the given colours; returns the frame and their boxes
+function scene(faces) {
+  const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+  for (let i = 0; i < data.length; i += 4) data.set([30, 30, 35, 255], i);
+  const boxes = faces.map(({ x, y, size, color }) => {
+    for (let row = y; row < y + size; row++) {
+      for (let column = x; column < x + size; column++) data.set([...color, 255], (row * WIDTH + column) * 4);
+    }
+    return { x, y, width: size, height: size };
+  });
+  return { data, boxes };
+}
+
+// Run the lock through `frames` identical frames; returns its last choice
+function run(lock, faces, frames = 1) {
+  let chosen;
+  for (let i = 0; i < frames; i++) {
+    const { data, boxes } = scene(faces);
+    chosen = lock.select(boxes, data, WIDTH);
+    if (chosen) chosen = boxes.indexOf(chosen);
+  }
+  return chosen;
+}
+
+test('the signature is the skin colour and width of the face', () => {
+  const { data, boxes } = scene([{ x: 40, y: 30, size: 50, color: SKIN }]);
+  const signature = faceSignature(data, WIDTH, boxes[0]);
+  assert.equal(signature.size, 50);
+  assert.ok(signature.cr > 150 && signature.cb < 110);
+});
+
+test('learns the largest face, then ignores others and waits while the user is away', () => {
+  const lock = createPrimaryUserLock();
+  const user = { x: 40, y: 30, size: 50, color: SKIN };
+  const visitor = { x: 130, y: 40, size: 40, color: PALE_SKIN };
+
+  assert.equal(run(lock, [user], 30), 0);
+  assert.ok(lock.isLocked());
+  assert.equal(run(lock, [visitor, user]), 1);
+  // The user leaves: the visitor is not followed
+  assert.equal(run(lock, [visitor], 60), null);
+  // ...and the user is picked up again on their return
+  assert.equal(run(lock, [visitor, { ...user, x: 50 }]), 1);
+});
+
+test('a look-alike far from where the user just was is not the user', () => {
+  const lock = createPrimaryUserLock();
+  run(lock, [{ x: 20, y: 30, size: 50, color: SKIN }], 30);
+
+  assert.equal(run(lock, [{ x: 130, y: 30, size: 50, color: SKIN }]), null);
+});
+
+test('a signature kept from calibration locks onto that user, not whoever shows up first', () => {
+  const user = { x: 40, y: 30, size: 50, color: SKIN };
+  const visitor = { x: 130, y: 40, size: 50, color: PALE_SKIN };
+  const calibrated = createPrimaryUserLock();
+  run(calibrated, [user], 30);
+  const signature = calibrated.getSignature();
+
+  const restored = createPrimaryUserLock();
+  restored.reset(signature);
+  assert.ok(restored.isLocked());
+  assert.equal(run(restored, [visitor], 30), null);
+  assert.equal(run(restored, [visitor, user]), 1);
+
+  // Without one the lock learns from the first face again
+  const fresh = createPrimaryUserLock();
+  assert.equal(fresh.getSignature(), null);
+  assert.equal(run(fresh, [visitor], 30), 0);
+});
@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createRangeCalibration, deriveRangeSettings, RANGE_STEP_FRAMES, RANGE_STEPS } from '../rangeOfMotion.js';
+
+// Run the wizard's steps with the head at `offsets[step]`, wobbling by `wobble`
+function runSteps(offsets, wobble = 0) {
+  const calibration = createRangeCalibration();
+  const events = [];
+  RANGE_STEPS.forEach((step) => {
+    for (let frame = 0; frame < RANGE_STEP_FRAMES; frame++) {
+      events.push(...calibration.update(offsets[step] + (frame % 2 ? wobble : -wobble)));
+    }
+  });
+  return { calibration, events };
+}
+
+test('the threshold and full-speed point follow the comfortable range', () => {
+  assert.deepEqual(deriveRangeSettings({ jitter: 0.5, reachUp: 60, reachDown: 50 }),
+    { ok: true, sensitivity: 20, continuousFullSpeedRatio: 2.5 });
+  // Limited mobility: a small reach gets a small threshold, within the slider's range
+  assert.deepEqual(deriveRangeSettings({ jitter: 0.4, reachUp: 14, reachDown: 16 }),
+    { ok: true, sensitivity: 6, continuousFullSpeedRatio: 2.3 });
+});
+
+test('the threshold stays clear of the resting jitter', () => {
+  const { sensitivity } = deriveRangeSettings({ jitter: 2.5, reachUp: 40, reachDown: 40 });
+  assert.equal(sensitivity, 16);
+  assert.deepEqual(deriveRangeSettings({ jitter: 2.5, reachUp: 15, reachDown: 40 }), { ok: false, reason: 'range-too-small' });
+  assert.deepEqual(deriveRangeSettings({ jitter: 4, reachUp: 60, reachDown: 60 }), { ok: false, reason: 'jittery' });
+});
+
+test('the wizard steps through rest, up and down and reports what it measured', () => {
+  const { calibration, events } = runSteps({ neutral: 0, up: -50, down: 45 }, 0.5);
+
+  const starts = events.filter((event) => event.type === 'range-step' && event.progress === 0).map((event) => event.step);
+  assert.deepEqual(starts, ['up', 'down']);
+  const result = events.at(-1);
+  assert.equal(result.type, 'range-result');
+  assert.deepEqual(result.result, {
+    ok: true,
+    sensitivity: 18,
+    continuousFullSpeedRatio: 2.5,
+    jitter: 0.5,
+    reachUp: 50,
+    reachDown: 45
+  });
+  assert.equal(calibration.result(), result.result);
+  // Nothing more once measured
+  assert.deepEqual(calibration.update(0), []);
+});
+
+test('moving the wrong way or not at all is rejected', () => {
+  const { events } = runSteps({ neutral: 0, up: 3, down: 2 });
+  assert.deepEqual(events.at(-1).result, { ok: false, reason: 'range-too-small', jitter: 0, reachUp: -3, reachDown: 2 });
+});
+
+test('a face missing too often fails the wizard', () => {
+  const calibration = createRangeCalibration();
+  let events = [];
+  for (let frame = 0; frame < 60 && events.length === 0; frame++) events = calibration.faceLost();
+
+  assert.deepEqual(events, [{ type: 'range-result', result: { ok: false, reason: 'face-missing' } }]);
+  assert.deepEqual(calibration.update(0), []);
+});
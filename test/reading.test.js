@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createReadingRecognizer, fitGazeCalibration, gazePosition } from '../reading.js';
+
+test('fits a line from head offset to screen position', () => {
+  const calibration = fitGazeCalibration([
+    { target: 0.1, offset: -20 },
+    { target: 0.5, offset: 0 },
+    { target: 0.9, offset: 20 }
+  ]);
+  assert.deepEqual(calibration, { slope: 0.02, intercept: 0.5 });
+  assert.equal(gazePosition(calibration, 10), 0.7);
+});
+
+test('rejects a screen calibration where the head barely moved or moved backwards', () => {
+  assert.equal(fitGazeCalibration([{ target: 0.1, offset: 1 }, { target: 0.9, offset: 3 }]), null);
+  assert.equal(fitGazeCalibration([{ target: 0.1, offset: 20 }, { target: 0.9, offset: -20 }]), null);
+  assert.equal(fitGazeCalibration([{ target: 0.1, offset: 5 }, { target: 0.9, offset: 5 }]), null);
+});
+
+test('scrolls once the gaze has dwelt in the bottom third, then lets the eyes settle', () => {
+  const reading = createReadingRecognizer();
+  const events = [];
+  for (let now = 0; now < 3000; now += 100) {
+    events.push(...reading.update({ gaze: 0.8, now }));
+  }
+
+  // After the dwell at 600ms, and again once the settle time is over
+  assert.deepEqual(events, [
+    { type: 'reading-scroll', fraction: 0.55 },
+    { type: 'reading-scroll', fraction: 0.55 }
+  ]);
+});
+
+test('a glance at the bottom does not scroll', () => {
+  const reading = createReadingRecognizer();
+  const events = [
+    ...reading.update({ gaze: 0.9, now: 0 }),
+    ...reading.update({ gaze: 0.9, now: 300 }),
+    ...reading.update({ gaze: 0.4, now: 400 }),
+    ...reading.update({ gaze: 0.9, now: 700 })
+  ];
+  assert.deepEqual(events, []);
+});
+
+test('reports looking away and back, and does not scroll while away', () => {
+  const reading = createReadingRecognizer();
+  assert.deepEqual(reading.update({ gaze: 1.5, now: 0 }), [{ type: 'gaze-away', away: true }]);
+  assert.deepEqual(reading.update({ gaze: 1.5, now: 2000 }), []);
+  assert.deepEqual(reading.update({ gaze: null, now: 2100 }), []);
+  assert.deepEqual(reading.update({ gaze: 0.5, now: 2200 }), [{ type: 'gaze-away', away: false }]);
+});
@@ -0,0 +1,22 @@
+// Replays every recorded session in test/fixtures through a fresh tracker and checks it
+// still produces the same scroll events. Record new fixtures from the popup ("Record
+// session for replay tests") and drop the downloaded file in test/fixtures.
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { replaySession } from '../replay.js';
+
+const fixturesDir = new URL('./fixtures/', import.meta.url);
+const fixtures = readdirSync(fixturesDir).filter((name) => name.endsWith('.json'));
+
+for (const name of fixtures) {
+  const session = JSON.parse(readFileSync(new URL(name, fixturesDir), 'utf8'));
+
+  test(`${name}: ${session.description || 'recorded session'}`, () => {
+    assert.deepEqual(replaySession(session), session.expected);
+  });
+}
+
+test('rejects sessions from an unknown format version', () => {
+  assert.throws(() => replaySession({ version: 99, samples: [] }), /Unsupported session version/);
+});
@@ -0,0 +1,26 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { DEFAULT_SETTINGS, siteProfileFor, withSiteProfile } from '../settings.js';
+
+const siteProfiles = {
+  'google.com': { scrollSpeed: 40 },
+  'mail.google.com': { selector: '.AO', sensitivity: 20 }
+};
+
+test('site profiles match the hostname, then the closest parent domain', () => {
+  assert.equal(siteProfileFor(siteProfiles, 'https://mail.google.com/mail/u/0/'), siteProfiles['mail.google.com']);
+  assert.equal(siteProfileFor(siteProfiles, 'https://docs.google.com/document'), siteProfiles['google.com']);
+  assert.equal(siteProfileFor(siteProfiles, 'https://google.com.evil.example/'), null);
+  assert.equal(siteProfileFor(siteProfiles, 'chrome://extensions'), null);
+  assert.equal(siteProfileFor(siteProfiles, 'not a url'), null);
+});
+
+test('a site profile overrides only the settings it sets', () => {
+  const settings = { ...DEFAULT_SETTINGS, siteProfiles };
+
+  const gmail = withSiteProfile(settings, 'https://mail.google.com/');
+  assert.equal(gmail.sensitivity, 20);
+  assert.equal(gmail.scrollSpeed, DEFAULT_SETTINGS.scrollSpeed);
+
+  assert.equal(withSiteProfile(settings, 'https://example.com/'), settings);
+});
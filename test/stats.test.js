@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createSessionStats, sessionStatsToCsv } from '../stats.js';
+
+const STARTED_AT = Date.UTC(2026, 9, 19, 9, 0, 0);
+
+test('summarises frames, detectors and lost faces', () => {
+  const stats = createSessionStats(STARTED_AT);
+  for (let i = 0; i < 6; i++) stats.recordFrame({ x: 1, y: 1 }, 'worker');
+  stats.recordFrame({ x: 1, y: 1 }, 'FaceDetector');
+  stats.recordFrame(null, 'worker');
+
+  const summary = stats.summary(STARTED_AT + 90 * 1000);
+  assert.equal(summary.frames, 8);
+  assert.equal(summary.faceLostPercent, 12.5);
+  assert.deepEqual(summary.methods, { worker: 6, FaceDetector: 1 });
+  assert.equal(summary.durationSeconds, 90);
+  assert.equal(summary.averageLatencyMs, null);
+});
+
+test('counts scrolls by direction and quick reversals as false triggers', () => {
+  const stats = createSessionStats(STARTED_AT);
+  stats.recordAction('scrollDown', 1000);
+  // Undone straight away: a false trigger
+  stats.recordAction('scrollUp', 1800);
+  stats.recordAction('pageDown', 10000);
+  // Too late to be a correction
+  stats.recordAction('scrollToTop', 15000);
+  stats.recordAction('nextTab', 16000);
+
+  const summary = stats.summary();
+  assert.equal(summary.scrollsDown, 2);
+  assert.equal(summary.scrollsUp, 2);
+  assert.equal(summary.reversals, 1);
+  assert.deepEqual(summary.actions, { scrollDown: 1, scrollUp: 1, pageDown: 1, scrollToTop: 1, nextTab: 1 });
+  assert.equal(summary.undos, 0);
+});
+
+test('counts undos, by gesture or shortcut, without treating them as scrolls', () => {
+  const stats = createSessionStats(STARTED_AT);
+  stats.recordAction('scrollDown', 1000);
+  stats.recordAction('undoScroll', 1500);
+  stats.recordAction('undoScroll', 9000);
+
+  const summary = stats.summary();
+  assert.equal(summary.undos, 2);
+  assert.equal(summary.scrollsDown, 1);
+  assert.equal(summary.scrollsUp, 0);
+  assert.equal(summary.reversals, 0);
+});
+
+test('averages latency over the actions that reported it', () => {
+  const stats = createSessionStats(STARTED_AT);
+  [40, 60, 71].forEach((ms) => stats.recordLatency(ms));
+  assert.equal(stats.summary().averageLatencyMs, 57);
+});
+
+test('exports one CSV row per session with a frame column per detector', () => {
+  const stats = createSessionStats(STARTED_AT);
+  stats.recordFrame({ x: 1, y: 1 }, 'FaceDetector');
+  stats.recordAction('scrollDown', 0);
+  stats.recordLatency(50);
+
+  const [header, row, end] = sessionStatsToCsv([stats.summary(STARTED_AT + 5000)]).split('\n');
+  assert.equal(header, 'startedAt,durationSeconds,frames,faceLostPercent,FaceDetectorFrames,workerFrames,syncFrames,scrollsDown,scrollsUp,reversals,undos,averageLatencyMs');
+  assert.equal(row, '2026-10-19T09:00:00.000Z,5,1,0,1,0,0,1,0,0,0,50');
+  assert.equal(end, '');
+});
@@ -0,0 +1,257 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { withPageMode } from '../pageModes.js';
+import { replaySession, SESSION_VERSION } from '../replay.js';
+import { DEFAULT_SETTINGS, withSiteProfile } from '../settings.js';
+import { CALIBRATION_FRAMES, createTracker, GAZE_TARGET_FRAMES } from '../tracker.js';
+
+const FRAME_MS = 1000 / 30;
+
+// Feed `count` frames of the same face; returns every event produced
+function feed(tracker, count, face, start = 0) {
+  const events = [];
+  for (let i = 0; i < count; i++) {
+    events.push(...tracker.process(face, start + i * FRAME_MS));
+  }
+  return events;
+}
+
+test('calibrates on the average position over the calibration frames', () => {
+  const tracker = createTracker();
+  const events = feed(tracker, CALIBRATION_FRAMES, { x: 90, y: 60 });
+
+  assert.equal(events.length, CALIBRATION_FRAMES);
+  assert.deepEqual(events.at(-2), { type: 'calibrating', progress: 99 });
+  assert.deepEqual(events.at(-1), { type: 'calibrated', calibration: { baselineX: 90, baselineY: 60, basePose: null, gaze: null } });
+  assert.ok(tracker.isCalibrated());
+});
+
+test('reports a lost face without disturbing calibration', () => {
+  const tracker = createTracker();
+  feed(tracker, CALIBRATION_FRAMES, { x: 90, y: 60 });
+
+  assert.deepEqual(tracker.process(null, 5000), [{ type: 'face-lost' }]);
+  assert.ok(tracker.isCalibrated());
+});
+
+test('a restored calibration skips straight to tracking', () => {
+  const tracker = createTracker({ gestureBindings: { holdDown: 'pageDown' } });
+  tracker.restoreCalibration({ baselineX: 90, baselineY: 60, basePose: null });
+
+  // Held well past the threshold for over a second: one hold, then a repeat
+  const events = feed(tracker, 50, { x: 90, y: 120 });
+  assert.deepEqual(events.map((e) => e.gesture), ['holdDown', 'holdDown']);
+  assert.equal(events[0].action, 'pageDown');
+});
+
+test('prefers head pose over face position when landmarks are available', () => {
+  const tracker = createTracker();
+  feed(tracker, CALIBRATION_FRAMES, { x: 90, y: 60, pose: { pitch: 0, yaw: 0, roll: 0 } });
+
+  // Leaning forward moves the face down the frame without pitching the head: no scroll
+  const leaning = feed(tracker, 40, { x: 90, y: 120, pose: { pitch: 0, yaw: 0, roll: 0 } }, 3000);
+  assert.deepEqual(leaning, []);
+
+  // Looking down 25° is twice the default threshold
+  const looking = feed(tracker, 40, { x: 90, y: 60, pose: { pitch: 25, yaw: 0, roll: 0 } }, 5000);
+  assert.equal(looking[0].gesture, 'holdDown');
+});
+
+test('continuous mode reports a velocity every frame, zero inside the dead zone', () => {
+  const tracker = createTracker({ scrollMode: 'continuous' });
+  feed(tracker, CALIBRATION_FRAMES, { x: 90, y: 60 });
+
+  assert.deepEqual(tracker.process({ x: 90, y: 70 }, 3000), [{ type: 'velocity', x: 0, y: 0 }]);
+
+  const [fast] = feed(tracker, 30, { x: 90, y: 160 }, 3100).slice(-1);
+  assert.equal(fast.x, 0);
+  assert.equal(fast.y, 900);
+});
+
+test('drift compensation lets the baseline follow a slow slouch', () => {
+  const slouch = (settings) => {
+    const tracker = createTracker(settings);
+    feed(tracker, CALIBRATION_FRAMES, { x: 90, y: 60 });
+    // Sink 40px (past the 25px threshold) over five minutes
+    const frames = 5 * 60 * 30;
+    const events = [];
+    for (let i = 1; i <= frames; i++) {
+      events.push(...tracker.process({ x: 90, y: 60 + 40 * i / frames }, 3000 + i * FRAME_MS));
+    }
+    return { events, calibration: tracker.getCalibration() };
+  };
+
+  const fixed = slouch({ driftCompensation: false });
+  assert.ok(fixed.events.some((e) => e.gesture === 'holdDown'));
+
+  const adaptive = slouch({ driftCompensation: true, driftTimeConstant: 30 });
+  assert.deepEqual(adaptive.events, []);
+  assert.ok(adaptive.calibration.baselineY > 90);
+});
+
+test('drift compensation does not move the baseline during gestures', () => {
+  const tracker = createTracker({ driftTimeConstant: 1 });
+  feed(tracker, CALIBRATION_FRAMES, { x: 90, y: 60 });
+
+  feed(tracker, 60, { x: 90, y: 120 }, 3000);
+  const { baselineY } = tracker.getCalibration();
+  // Just back inside the threshold: still within the idle delay after the hold
+  feed(tracker, 10, { x: 90, y: 70 }, 5000);
+  assert.equal(tracker.getCalibration().baselineY, baselineY);
+  // Idle long enough: now it follows
+  feed(tracker, 60, { x: 90, y: 70 }, 5400);
+  assert.ok(tracker.getCalibration().baselineY > baselineY);
+});
+
+test('a gesture bound to recalibrate restarts calibration', () => {
+  const tracker = createTracker({ gestureBindings: { holdUp: 'recalibrate' } });
+  feed(tracker, CALIBRATION_FRAMES, { x: 90, y: 60 });
+
+  const events = feed(tracker, 40, { x: 90, y: 10 }, 3000);
+  assert.deepEqual(events[0], { type: 'gesture', gesture: 'holdUp', action: 'recalibrate', amount: 160 });
+  assert.equal(events[1].type, 'calibrating');
+  assert.equal(tracker.isCalibrated(), false);
+});
+
+test('blink gestures fire only for deliberate blinks, not natural ones', () => {
+  const tracker = createTracker({ gestureBindings: { longBlink: 'pageDown', doubleBlink: 'clickFocused' } });
+  const open = { x: 90, y: 60, features: { eyes: 0.4, mouth: 0.05 } };
+  const closed = { x: 90, y: 60, features: { eyes: 0.05, mouth: 0.05 } };
+  feed(tracker, CALIBRATION_FRAMES, open);
+
+  // A natural blink (~100ms) twice in a row
+  const natural = [
+    ...feed(tracker, 3, closed, 4000), ...feed(tracker, 6, open, 4100),
+    ...feed(tracker, 3, closed, 4300), ...feed(tracker, 6, open, 4400)
+  ];
+  assert.deepEqual(natural, []);
+
+  const double = [
+    ...feed(tracker, 9, closed, 6000), ...feed(tracker, 6, open, 6300),
+    ...feed(tracker, 9, closed, 6500), ...feed(tracker, 3, open, 6800)
+  ];
+  assert.deepEqual(double, [{ type: 'gesture', gesture: 'doubleBlink', action: 'clickFocused', amount: 80 }]);
+
+  const long = feed(tracker, 30, closed, 9000);
+  assert.deepEqual(long, [{ type: 'gesture', gesture: 'longBlink', action: 'pageDown', amount: 80 }]);
+});
+
+test('mouth gestures are ignored while the head is turned', () => {
+  const tracker = createTracker({ gestureBindings: { mouthOpen: 'togglePause', tiltLeft: 'none', tiltRight: 'none' } });
+  feed(tracker, CALIBRATION_FRAMES, { x: 90, y: 60, features: { eyes: 0.4, mouth: 0.05 } });
+
+  assert.deepEqual(feed(tracker, 30, { x: 140, y: 60, features: { eyes: 0.4, mouth: 0.4 } }, 4000), []);
+  const events = feed(tracker, 30, { x: 90, y: 60, features: { eyes: 0.4, mouth: 0.4 } }, 6000);
+  assert.deepEqual(events, [{ type: 'gesture', gesture: 'mouthOpen', action: 'togglePause', amount: 80 }]);
+});
+
+test('reading mode adds a screen calibration and scrolls when the gaze nears the bottom', () => {
+  const tracker = createTracker({ scrollMode: 'reading' });
+  const baseline = feed(tracker, CALIBRATION_FRAMES, { x: 90, y: 60 });
+  assert.deepEqual(baseline.at(-1), { type: 'gaze-target', target: 0.1, retry: false });
+  assert.equal(tracker.isCalibrated(), false);
+
+  // Looking at the top, middle and bottom targets in turn
+  const screen = [
+    ...feed(tracker, GAZE_TARGET_FRAMES, { x: 90, y: 50 }, 3000),
+    ...feed(tracker, GAZE_TARGET_FRAMES, { x: 90, y: 60 }, 4500),
+    ...feed(tracker, GAZE_TARGET_FRAMES, { x: 90, y: 70 }, 6000)
+  ];
+  assert.deepEqual(screen.slice(0, 2), [
+    { type: 'gaze-target', target: 0.5, retry: false },
+    { type: 'gaze-target', target: 0.9, retry: false }
+  ]);
+  assert.equal(screen[2].type, 'calibrated');
+  assert.ok(Math.abs(screen[2].calibration.gaze.slope - 0.04) < 0.002);
+  assert.ok(tracker.isCalibrated());
+
+  // Reading down the page: nothing until the line is in the bottom third
+  assert.deepEqual(feed(tracker, 30, { x: 90, y: 62 }, 8000), []);
+  const events = feed(tracker, 30, { x: 90, y: 68 }, 9000);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].type, 'reading-scroll');
+  assert.ok(Math.abs(events[0].fraction - 0.57) < 0.02);
+
+  // Looking away from the screen pauses reading
+  const away = feed(tracker, 30, { x: 90, y: 120 }, 11000);
+  assert.deepEqual(away, [{ type: 'gaze-away', away: true }]);
+});
+
+test('reading mode repeats the screen calibration when the head did not move', () => {
+  const tracker = createTracker({ scrollMode: 'reading' });
+  feed(tracker, CALIBRATION_FRAMES, { x: 90, y: 60 });
+
+  const events = feed(tracker, GAZE_TARGET_FRAMES * 3, { x: 90, y: 60 }, 3000);
+  assert.deepEqual(events.at(-1), { type: 'gaze-target', target: 0.1, retry: true });
+  assert.equal(tracker.isCalibrated(), false);
+});
+
+test('with confirmation, a one-frame jolt and a nod that swings straight back are ignored', () => {
+  const tracker = createTracker({ confirmFrames: 3 });
+  feed(tracker, CALIBRATION_FRAMES, { x: 90, y: 60 });
+
+  // A single-frame spike, as from a sneeze
+  const jolt = [...feed(tracker, 1, { x: 90, y: 200 }, 4000), ...feed(tracker, 30, { x: 90, y: 60 }, 4033)];
+  assert.deepEqual(jolt, []);
+
+  // Down past the threshold and straight past it upwards
+  const rebound = [
+    ...feed(tracker, 6, { x: 90, y: 120 }, 6000),
+    ...feed(tracker, 6, { x: 90, y: 0 }, 6200),
+    ...feed(tracker, 30, { x: 90, y: 60 }, 6400)
+  ];
+  assert.deepEqual(rebound, []);
+
+  // A deliberate nod still counts
+  const nod = [...feed(tracker, 6, { x: 90, y: 120 }, 9000), ...feed(tracker, 30, { x: 90, y: 60 }, 9200)];
+  assert.deepEqual(nod.map((event) => event.gesture), ['nodDown']);
+});
+
+test('confirmation set on the options page reaches a running tracker and its recordings', () => {
+  // Stored settings as the service worker hands them to the offscreen document
+  const url = 'https://example.com/';
+  const settings = withPageMode(withSiteProfile({ ...DEFAULT_SETTINGS, confirmFrames: 3 }, url), url);
+  const tracker = createTracker();
+  feed(tracker, CALIBRATION_FRAMES, { x: 90, y: 60 });
+  tracker.configure(settings);
+
+  const jolt = [...feed(tracker, 1, { x: 90, y: 200 }, 4000), ...feed(tracker, 30, { x: 90, y: 60 }, 4033)];
+  assert.deepEqual(jolt, []);
+
+  // A recording made with those settings replays with confirmation on
+  const samples = [];
+  for (let i = 0; i < CALIBRATION_FRAMES + 31; i++) {
+    samples.push({ t: i * FRAME_MS, face: { x: 90, y: i === CALIBRATION_FRAMES ? 200 : 60 } });
+  }
+  const session = { version: SESSION_VERSION, settings: { confirmFrames: settings.confirmFrames }, samples };
+  assert.deepEqual(replaySession(session), []);
+  assert.deepEqual(replaySession({ ...session, settings: { confirmFrames: 0 } }).map((event) => event.gesture), ['nodDown']);
+});
+
+test('the calibration wizard measures the range of motion and waits for acceptance', () => {
+  const tracker = createTracker({ gestureBindings: { nodDown: 'scrollDown' } });
+  tracker.startRangeCalibration();
+
+  const baseline = feed(tracker, CALIBRATION_FRAMES, { x: 90, y: 60 });
+  assert.deepEqual(baseline.at(-1), { type: 'range-step', step: 'neutral', progress: 0 });
+  assert.ok(!tracker.isCalibrated());
+
+  // Rest, up and down, three seconds each; the smoothing soon settles on each position
+  let now = CALIBRATION_FRAMES * FRAME_MS;
+  const events = [];
+  for (const y of [60, 20, 100]) {
+    events.push(...feed(tracker, 90, { x: 90, y }, now));
+    now += 90 * FRAME_MS;
+  }
+  const { result } = events.at(-1);
+  assert.equal(result.ok, true);
+  assert.equal(result.reachUp, 40);
+  assert.equal(result.reachDown, 40);
+  assert.equal(result.sensitivity, 16);
+
+  // Nothing scrolls while the result waits to be accepted
+  assert.deepEqual(feed(tracker, 30, { x: 90, y: 120 }, now), []);
+  assert.deepEqual(tracker.finishRangeCalibration(),
+    [{ type: 'calibrated', calibration: { baselineX: 90, baselineY: 60, basePose: null, gaze: null } }]);
+  assert.ok(tracker.isCalibrated());
+});
@@ -0,0 +1,452 @@
+// tracker.js – the detection-independent half of head tracking: smoothing, calibration,
+// head offset from baseline and what it should trigger. Pure logic with no browser APIs,
+// so recorded sessions can be replayed through it in Node (see test/).
+import { createFaceGestureRecognizer, createGestureRecognizer } from './gestures.js';
+import { scrollVelocity } from './joystick.js';
+import { createRangeCalibration, RANGE_STEPS } from './rangeOfMotion.js';
+import { createReadingRecognizer, fitGazeCalibration, GAZE_TARGETS, gazePosition } from './reading.js';
+import { DEFAULT_SETTINGS } from './settings.js';
+
+export const CALIBRATION_FRAMES = 90; // 3 seconds at 30fps
+const SMOOTHING_FACTOR = 0.7;
+// Pose angles are scaled into the same units as face position so one sensitivity
+// slider works for both: the default threshold of 25 becomes 12.5° of pitch.
+export const POSE_PIXELS_PER_DEGREE = 2;
+// Pose drives scrolling only if at least this share of calibration frames had landmarks...
+const MIN_POSE_CALIBRATION_RATIO = 0.5;
+// ...and landmarks were seen within this many frames; otherwise fall back to position
+const MAX_FRAMES_WITHOUT_POSE = 5;
+// Drift compensation only follows the head once it has been idle (no gesture or
+// continuous scrolling) this long, so deliberate movements never move the baseline
+const DRIFT_IDLE_MS = 1500;
+// Eye and mouth baselines are the average over this many frames after (re)calibration
+const FEATURE_BASELINE_FRAMES = 30;
+// Below this share of dark pixels in the eye region the eyes weren't really found, so
+// blinks can't be told apart from noise
+const MIN_EYE_BASELINE = 0.03;
+// Blink and mouth gestures are only read with the head near its resting position:
+// looking down lowers the eyelids, which would read as closed eyes
+const FACE_GESTURE_MAX_OFFSET_RATIO = 0.5;
+// Reading mode's screen calibration spends this many frames on each target, ignoring the
+// first GAZE_SETTLE_FRAMES while the eyes and head find it
+export const GAZE_TARGET_FRAMES = 45;
+const GAZE_SETTLE_FRAMES = 15;
+
+/**
+ * Create a tracker. Feed it one face observation per frame with `process(face, now)`:
+ * `face` is `{ x, y, pose?, features? }` in analysis-canvas pixels, or null when no face
+ * was found (pose in degrees, see pose.js; features from faceFeatures.js); `now` is a
+ * timestamp in milliseconds. It returns the events for that frame:
+ *
+ *   { type: 'calibrating', progress }        progress 0-100 during calibration
+ *   { type: 'calibrated', calibration }      baseline ready (see getCalibration())
+ *   { type: 'gesture', gesture, action, amount }   bound gestures only; head gestures
+ *                                            in stepped mode, eye/mouth ones in every mode
+ *   { type: 'velocity', x, y }               continuous mode, every frame (px/s)
+ *   { type: 'gaze-target', target, retry }   reading mode screen calibration: look at
+ *                                            this viewport fraction (see reading.js);
+ *                                            `retry` when the last round was unusable
+ *   { type: 'reading-scroll', fraction }     reading mode: scroll down this share of the viewport
+ *   { type: 'gaze-away', away }              reading mode: looked away from the page, or back
+ *   { type: 'range-step', step, progress }   calibration wizard: measuring this step
+ *   { type: 'range-result', result }         calibration wizard: measured (see rangeOfMotion.js)
+ *   { type: 'face-lost' }                    no face this frame
+ *
+ * In reading mode calibration carries on after the baseline with the screen calibration,
+ * and 'calibrated' only follows once that is done. `startRangeCalibration()` starts over
+ * with the calibration wizard instead, which measures the range of motion after the
+ * baseline and then waits, not tracking, until `finishRangeCalibration()` (the result
+ * was accepted) returns the events that carry on from there, or `reset()`.
+ * A gesture bound to the 'recalibrate' action is reported like any other and also
+ * restarts calibration. With `driftCompensation` on, the baseline slowly follows the
+ * head while it is idle, catching up with a time constant of `driftTimeConstant` seconds.
+ */
+export function createTracker(settings = {}) {
+  let config = { ...DEFAULT_SETTINGS, ...settings };
+
+  let calibrationData = [];
+  let baselineY = null;
+  let baselineX = null;
+  let frameCount = 0;
+  let smoothedY = null;
+  let smoothedX = null;
+  // Head pose (degrees), available when the detector finds eyes and nose
+  let basePose = null;
+  let smoothedPose = null;
+  let framesSincePose = Infinity;
+  // Timestamps for drift compensation
+  let lastFrameTime = null;
+  let lastActivity = -Infinity;
+  // Eye and mouth openness while at rest, learnt from the first frames after calibration
+  let featureSamples = [];
+  let baseFeatures = null;
+  // Reading mode: head offset -> screen position, and the samples while learning it
+  let gazeCalibration = null;
+  let gazeSamples = null;
+  let gazeFrame = 0;
+  // Calibration wizard in progress or awaiting acceptance (see rangeOfMotion.js), or null
+  let rangeCalibration = null;
+
+  // Single nods only wait for a possible second nod when a double nod is actually bound
+  const gestureRecognizer = createGestureRecognizer({
+    waitForDouble: (gesture) => config.gestureBindings[gesture] !== 'none'
+  });
+  const faceGestureRecognizer = createFaceGestureRecognizer();
+  const readingRecognizer = createReadingRecognizer();
+
+  function configure(changes) {
+    if (changes.scrollMode && changes.scrollMode !== config.scrollMode) {
+      gestureRecognizer.reset();
+      readingRecognizer.reset();
+    }
+    config = {
+      ...config,
+      ...changes,
+      gestureBindings: { ...config.gestureBindings, ...changes.gestureBindings }
+    };
+  }
+
+  function reset() {
+    frameCount = 0;
+    calibrationData = [];
+    baselineY = null;
+    baselineX = null;
+    smoothedY = null;
+    smoothedX = null;
+    basePose = null;
+    smoothedPose = null;
+    framesSincePose = Infinity;
+    lastFrameTime = null;
+    lastActivity = -Infinity;
+    featureSamples = [];
+    baseFeatures = null;
+    gazeCalibration = null;
+    gazeSamples = null;
+    rangeCalibration = null;
+    gestureRecognizer.reset();
+    faceGestureRecognizer.reset();
+    readingRecognizer.reset();
+  }
+
+  /** Skip calibration using a baseline saved from an earlier session. */
+  function restoreCalibration(calibration) {
+    baselineX = calibration.baselineX;
+    baselineY = calibration.baselineY;
+    basePose = calibration.basePose || null;
+    gazeCalibration = calibration.gaze || null;
+    // Jump straight past the calibration frames
+    frameCount = CALIBRATION_FRAMES;
+  }
+
+  /** Recalibrate with the calibration wizard's range-of-motion steps after the baseline. */
+  function startRangeCalibration() {
+    reset();
+    rangeCalibration = createRangeCalibration();
+  }
+
+  /** Accept the wizard's result: tracking resumes (after reading mode's screen calibration). */
+  function finishRangeCalibration() {
+    const result = rangeCalibration && rangeCalibration.result();
+    if (!result || !result.ok) return [];
+    rangeCalibration = null;
+    if (config.scrollMode === 'reading' && !gazeCalibration) return startGazeCalibration();
+    return [{ type: 'calibrated', calibration: getCalibration() }];
+  }
+
+  function isRangeCalibrating() {
+    return rangeCalibration !== null;
+  }
+
+  function getCalibration() {
+    return baselineY === null ? null : { baselineX, baselineY, basePose, gaze: gazeCalibration };
+  }
+
+  function isCalibrated() {
+    return baselineY !== null && frameCount >= CALIBRATION_FRAMES && gazeSamples === null && rangeCalibration === null;
+  }
+
+  /**
+   * Head offset from baseline in multiples of the thresholds, `{ x, y }` with y > 0 down
+   * and x > 0 turned to the user's right; null until calibrated.
+   */
+  function getHeadOffset() {
+    if (!isCalibrated() || smoothedY === null) return null;
+    const { deltaX, deltaY } = headOffset();
+    return { x: -deltaX / config.horizontalSensitivity, y: deltaY / config.sensitivity };
+  }
+
+  function usingPose() {
+    return Boolean(basePose && smoothedPose && framesSincePose <= MAX_FRAMES_WITHOUT_POSE);
+  }
+
+  // Head offset from baseline, in face-position units (positive deltaY = head down,
+  // negative deltaX = turned to the user's right). Uses pitch/yaw whenever landmarks are
+  // flowing, so leaning in the chair doesn't scroll; face position otherwise.
+  function headOffset() {
+    if (usingPose()) {
+      return {
+        deltaY: (smoothedPose.pitch - basePose.pitch) * POSE_PIXELS_PER_DEGREE,
+        // Match face-position direction: turning right moves the face left in the frame
+        deltaX: -(smoothedPose.yaw - basePose.yaw) * POSE_PIXELS_PER_DEGREE
+      };
+    }
+    return { deltaY: smoothedY - baselineY, deltaX: smoothedX - baselineX };
+  }
+
+  function process(face, now) {
+    const elapsed = lastFrameTime === null ? 0 : now - lastFrameTime;
+    lastFrameTime = now;
+
+    if (face === null) {
+      readingRecognizer.reset();
+      return [{ type: 'face-lost' }, ...(rangeCalibration ? rangeCalibration.faceLost() : [])];
+    }
+
+    // Apply smoothing
+    if (smoothedY === null) {
+      smoothedY = face.y;
+      smoothedX = face.x;
+    } else {
+      smoothedY = (smoothedY * SMOOTHING_FACTOR) + (face.y * (1 - SMOOTHING_FACTOR));
+      smoothedX = (smoothedX * SMOOTHING_FACTOR) + (face.x * (1 - SMOOTHING_FACTOR));
+    }
+
+    if (face.pose) {
+      smoothedPose = smoothPose(smoothedPose, face.pose);
+      framesSincePose = 0;
+    } else {
+      framesSincePose++;
+    }
+
+    frameCount++;
+    if (face.features && !baseFeatures) learnFeatureBaseline(face.features);
+
+    // Calibration phase
+    if (frameCount <= CALIBRATION_FRAMES) {
+      calibrationData.push({ x: smoothedX, y: smoothedY, pose: face.pose ? smoothedPose : null });
+
+      if (frameCount < CALIBRATION_FRAMES) {
+        return [{ type: 'calibrating', progress: Math.round((frameCount / CALIBRATION_FRAMES) * 100) }];
+      }
+
+      // Calculate baselines from calibration data
+      const sum = calibrationData.reduce((a, b) => ({ x: a.x + b.x, y: a.y + b.y }), { x: 0, y: 0 });
+      baselineY = sum.y / calibrationData.length;
+      baselineX = sum.x / calibrationData.length;
+      basePose = averagePose(calibrationData);
+      if (rangeCalibration) return [{ type: 'range-step', step: RANGE_STEPS[0], progress: 0 }];
+      if (config.scrollMode === 'reading' && !gazeCalibration) return startGazeCalibration();
+      return [{ type: 'calibrated', calibration: getCalibration() }];
+    }
+
+    // Active tracking phase
+    const { deltaX, deltaY } = headOffset();
+    if (rangeCalibration) return rangeCalibration.update(deltaY);
+    if (gazeSamples) return gazeCalibrationEvents(deltaY);
+    // Switched to reading mode, or restored a baseline saved without a screen calibration
+    if (config.scrollMode === 'reading' && !gazeCalibration) return startGazeCalibration();
+
+    const events = modeEvents(deltaX, deltaY, now);
+    events.push(...faceGestureEvents(face.features, deltaX, deltaY, now));
+
+    const pastThreshold = Math.abs(deltaY) >= config.sensitivity || Math.abs(deltaX) >= config.horizontalSensitivity;
+    if (pastThreshold || events.some((event) => event.type === 'gesture')) {
+      lastActivity = now;
+    } else if (config.scrollMode !== 'reading') {
+      // Reading moves the head down the page slowly; following that would undo the
+      // screen calibration
+      compensateDrift(elapsed, now);
+    }
+
+    if (events.some((event) => event.action === 'recalibrate')) {
+      reset();
+    }
+    return events;
+  }
+
+  function modeEvents(deltaX, deltaY, now) {
+    switch (config.scrollMode) {
+      case 'continuous':
+        return [velocityEvent(deltaX, deltaY)];
+      case 'reading':
+        return readingRecognizer.update({ gaze: gazePosition(gazeCalibration, deltaY), now });
+      default:
+        return gestureEvents(deltaX, deltaY, now);
+    }
+  }
+
+  function startGazeCalibration() {
+    gazeSamples = [];
+    gazeFrame = 0;
+    return [{ type: 'gaze-target', target: GAZE_TARGETS[0], retry: false }];
+  }
+
+  // One frame of the screen calibration: collect the head offset for the current target,
+  // move on to the next one, and fit the mapping after the last
+  function gazeCalibrationEvents(deltaY) {
+    if (config.scrollMode !== 'reading') {
+      // Left reading mode halfway through; the baseline is all the other modes need
+      gazeSamples = null;
+      return [{ type: 'calibrated', calibration: getCalibration() }];
+    }
+
+    const step = Math.floor(gazeFrame / GAZE_TARGET_FRAMES);
+    if (gazeFrame % GAZE_TARGET_FRAMES >= GAZE_SETTLE_FRAMES) {
+      gazeSamples.push({ target: GAZE_TARGETS[step], offset: deltaY });
+    }
+    gazeFrame++;
+    if (gazeFrame % GAZE_TARGET_FRAMES !== 0) return [];
+    if (step + 1 < GAZE_TARGETS.length) {
+      return [{ type: 'gaze-target', target: GAZE_TARGETS[step + 1], retry: false }];
+    }
+
+    gazeCalibration = fitGazeCalibration(gazeSamples);
+    if (!gazeCalibration) {
+      return startGazeCalibration().map((event) => ({ ...event, retry: true }));
+    }
+    gazeSamples = null;
+    readingRecognizer.reset();
+    return [{ type: 'calibrated', calibration: getCalibration() }];
+  }
+
+  function velocityEvent(deltaX, deltaY) {
+    const options = {
+      maxSpeed: config.continuousMaxSpeed,
+      curve: config.continuousCurve,
+      fullSpeedRatio: config.continuousFullSpeedRatio
+    };
+    return {
+      type: 'velocity',
+      y: Math.round(scrollVelocity(deltaY, config.sensitivity, options)),
+      // The camera image is not mirrored: turning right moves the face left in the frame
+      x: Math.round(scrollVelocity(-deltaX, config.horizontalSensitivity, options))
+    };
+  }
+
+  function gestureEvents(deltaX, deltaY, now) {
+    return boundGestureEvents(gestureRecognizer.update({
+      deltaY,
+      deltaX,
+      thresholdY: config.sensitivity,
+      thresholdX: config.horizontalSensitivity,
+      now,
+      confirmFrames: config.confirmFrames
+    }));
+  }
+
+  function faceGestureEvents(features, deltaX, deltaY, now) {
+    const headAtRest = Math.abs(deltaY) < config.sensitivity * FACE_GESTURE_MAX_OFFSET_RATIO &&
+      Math.abs(deltaX) < config.horizontalSensitivity * FACE_GESTURE_MAX_OFFSET_RATIO;
+    if (!features || !baseFeatures || !headAtRest) {
+      faceGestureRecognizer.reset();
+      return [];
+    }
+
+    return boundGestureEvents(faceGestureRecognizer.update({
+      // Without a usable eye baseline, report the eyes as open rather than guess
+      eyes: baseFeatures.eyes >= MIN_EYE_BASELINE ? features.eyes / baseFeatures.eyes : 1,
+      mouth: features.mouth - baseFeatures.mouth,
+      now
+    }));
+  }
+
+  function learnFeatureBaseline(features) {
+    featureSamples.push(features);
+    if (featureSamples.length < FEATURE_BASELINE_FRAMES) return;
+
+    const sum = featureSamples.reduce((a, b) => ({ eyes: a.eyes + b.eyes, mouth: a.mouth + b.mouth }), { eyes: 0, mouth: 0 });
+    baseFeatures = { eyes: sum.eyes / featureSamples.length, mouth: sum.mouth / featureSamples.length };
+    featureSamples = [];
+  }
+
+  function boundGestureEvents(gestures) {
+    return gestures
+      .map(({ gesture, intensity }) => ({
+        type: 'gesture',
+        gesture,
+        action: config.gestureBindings[gesture] || 'none',
+        // Scroll-by-pixels actions scale with how far past the threshold the head went
+        amount: Math.round(intensity * config.scrollSpeed)
+      }))
+      .filter((event) => event.action !== 'none');
+  }
+
+  // Ease the baseline towards where the head rests now, so slouching over a long session
+  // doesn't end up reading as a held nod. Only called while inside the thresholds.
+  function compensateDrift(elapsed, now) {
+    if (!config.driftCompensation || elapsed <= 0 || now - lastActivity < DRIFT_IDLE_MS) return;
+
+    const rate = 1 - Math.exp(-elapsed / (config.driftTimeConstant * 1000));
+    baselineY += (smoothedY - baselineY) * rate;
+    baselineX += (smoothedX - baselineX) * rate;
+    if (basePose && smoothedPose && usingPose()) {
+      basePose = {
+        pitch: basePose.pitch + (smoothedPose.pitch - basePose.pitch) * rate,
+        yaw: basePose.yaw + (smoothedPose.yaw - basePose.yaw) * rate,
+        roll: basePose.roll + (smoothedPose.roll - basePose.roll) * rate
+      };
+    }
+  }
+
+  /**
+   * What the debug overlay plots, all as Y positions in the analysis frame. With pose
+   * tracking the offsets are angles, so they're drawn relative to the baseline line in
+   * the same units the threshold uses.
+   */
+  function getDebugState(face) {
+    const calibrated = isCalibrated();
+    const pose = calibrated && usingPose();
+
+    let rawY = face ? face.y : null;
+    let currentY = smoothedY;
+    if (pose) {
+      currentY = baselineY + headOffset().deltaY;
+      rawY = face && face.pose ? baselineY + (face.pose.pitch - basePose.pitch) * POSE_PIXELS_PER_DEGREE : null;
+    }
+
+    return {
+      rawY,
+      smoothedY: currentY,
+      baselineY: calibrated ? baselineY : null,
+      threshold: config.sensitivity,
+      source: pose ? 'pose' : 'position'
+    };
+  }
+
+  return {
+    process,
+    configure,
+    reset,
+    restoreCalibration,
+    startRangeCalibration,
+    finishRangeCalibration,
+    isRangeCalibrating,
+    getCalibration,
+    isCalibrated,
+    getHeadOffset,
+    getDebugState
+  };
+}
+
+function smoothPose(previous, pose) {
+  if (!previous) return { ...pose };
+  const blend = (a, b) => (a * SMOOTHING_FACTOR) + (b * (1 - SMOOTHING_FACTOR));
+  return {
+    pitch: blend(previous.pitch, pose.pitch),
+    yaw: blend(previous.yaw, pose.yaw),
+    roll: blend(previous.roll, pose.roll)
+  };
+}
+
+// Baseline pose from the calibration frames that had landmarks, or null if too few did
+function averagePose(samples) {
+  const poses = samples.map((sample) => sample.pose).filter(Boolean);
+  if (poses.length < samples.length * MIN_POSE_CALIBRATION_RATIO) return null;
+
+  const sum = poses.reduce((a, p) => ({
+    pitch: a.pitch + p.pitch,
+    yaw: a.yaw + p.yaw,
+    roll: a.roll + p.roll
+  }), { pitch: 0, yaw: 0, roll: 0 });
+  return { pitch: sum.pitch / poses.length, yaw: sum.yaw / poses.length, roll: sum.roll / poses.length };
+}